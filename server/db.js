@@ -5,17 +5,33 @@ import { fileURLToPath } from "url";
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const db = new sqlite3.Database(path.join(__dirname, "data.db"));
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, "data.db");
+
+const db = new sqlite3.Database(DB_PATH);
+
+// dbPromise.transaction() runs on its own connection, so queries from other requests never land inside
+// (or get rolled back with) an open transaction. Each connection waits out the other's lock instead of
+// failing with SQLITE_BUSY.
+export const transactionDb = new sqlite3.Database(DB_PATH);
+db.configure("busyTimeout", 10000);
+transactionDb.configure("busyTimeout", 10000);
 
 db.run(`
   CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     email TEXT UNIQUE NOT NULL,
     password_hash TEXT NOT NULL,
+    role TEXT DEFAULT 'user', -- 'user' | 'arbitrator'
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )
 `);
 
+db.run(`ALTER TABLE users ADD COLUMN role TEXT DEFAULT 'user'`, (err) => {
+  if (err && !err.message.includes("duplicate column")) {
+    console.warn("Could not add role column:", err.message);
+  }
+});
+
 // Per-user UI settings (including custom default XRPL address)
 db.run(`
   CREATE TABLE IF NOT EXISTS user_settings (
@@ -26,6 +42,7 @@ db.run(`
     default_xrpl_address TEXT,
     default_xrpl_verified INTEGER DEFAULT 0,
     default_xrpl_verified_at DATETIME,
+    auto_refund_expired INTEGER DEFAULT 1,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -43,6 +60,11 @@ db.run(`ALTER TABLE user_settings ADD COLUMN default_xrpl_verified_at DATETIME`,
     console.warn("Could not add default_xrpl_verified_at column:", err.message);
   }
 });
+db.run(`ALTER TABLE user_settings ADD COLUMN auto_refund_expired INTEGER DEFAULT 1`, (err) => {
+  if (err && !err.message.includes("duplicate column")) {
+    console.warn("Could not add auto_refund_expired column:", err.message);
+  }
+});
 
 // Payments table
 db.run(`
@@ -55,11 +77,19 @@ db.run(`
     payment_id TEXT UNIQUE,
     status TEXT DEFAULT 'pending',
     tx_hash TEXT,
+    xlusd_per_xrp REAL, -- XLUSD/XRP rate at purchase time (utils/xlusd-rate.js)
+    xlusd_rate_source TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id)
   )
 `);
 
+db.run(`ALTER TABLE payments ADD COLUMN xlusd_per_xrp REAL`, (err) => {
+  if (err && !err.message.includes('duplicate column')) {
+    console.warn('Could not add payments.xlusd_per_xrp column:', err.message);
+  }
+});
+
 // User-to-user transfers (XRP / XLUSD)
 db.run(`
   CREATE TABLE IF NOT EXISTS transfers (
@@ -135,6 +165,9 @@ db.run(`
     is_verified INTEGER DEFAULT 0,
     verified_at DATETIME,
     simulated_balance_xrp REAL DEFAULT 0,
+    ledger_balance_xrp REAL,
+    ledger_balance_xlusd REAL,
+    ledger_synced_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -149,4 +182,738 @@ db.run(`ALTER TABLE user_wallets ADD COLUMN simulated_balance_xrp REAL DEFAULT 0
   }
 });
 
+// Last on-ledger balances seen by the ledger watcher
+for (const [column, type] of [
+  ["ledger_balance_xrp", "REAL"],
+  ["ledger_balance_xlusd", "REAL"],
+  ["ledger_synced_at", "DATETIME"],
+]) {
+  db.run(`ALTER TABLE user_wallets ADD COLUMN ${column} ${type}`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.warn(`Could not add ${column} column:`, err.message);
+    }
+  });
+}
+
+// Escrow registry - every escrow the platform creates on XRPL (one row per Owner + OfferSequence)
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    owner_address TEXT NOT NULL,
+    destination_address TEXT NOT NULL,
+    offer_sequence INTEGER NOT NULL,
+    amount_drops TEXT NOT NULL,
+    amount_xlusd REAL,
+    xlusd_per_xrp REAL,
+    xlusd_rate_source TEXT, -- 'override' | 'book' | 'amm' | 'book+amm' | 'fallback' (utils/xlusd-rate.js)
+    guaranteed_xlusd REAL, -- XLUSD promised to the payee when created with a value guarantee
+    xlusd_guarantee_policy TEXT, -- 'topup' | 'topup_and_reclaim', fixed at creation
+    condition TEXT,
+    finish_after INTEGER, -- unix seconds
+    cancel_after INTEGER, -- unix seconds
+    workflow TEXT NOT NULL DEFAULT 'standard', -- 'standard' | 'freelancer_payment' | 'quality_assurance' | 'external'
+    status TEXT NOT NULL DEFAULT 'open', -- 'open' | 'finished' | 'cancelled'
+    replaces_offer_sequence INTEGER, -- deadline extension: the escrow this one was recreated from
+    replaced_by_offer_sequence INTEGER, -- deadline extension: the escrow that replaced this one
+    create_tx_hash TEXT,
+    finish_tx_hash TEXT,
+    cancel_tx_hash TEXT,
+    finished_at DATETIME,
+    cancelled_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, offer_sequence),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+// Deadline extensions link the cancelled escrow and its replacement
+for (const column of ["replaces_offer_sequence", "replaced_by_offer_sequence"]) {
+  db.run(`ALTER TABLE escrows ADD COLUMN ${column} INTEGER`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.warn(`Could not add escrows.${column} column:`, err.message);
+    }
+  });
+}
+
+// QA escrows - requirements checklist + server-held preimage, keyed by on-ledger escrow
+db.run(`
+  CREATE TABLE IF NOT EXISTS qa_escrows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    offer_sequence INTEGER NOT NULL,
+    owner_address TEXT NOT NULL,
+    provider_address TEXT NOT NULL,
+    preimage TEXT, -- sealed with utils/escrow-secrets.js ("v<version>:<iv>:<ciphertext>")
+    condition TEXT,
+    all_verified INTEGER DEFAULT 0,
+    ai_verification_status TEXT DEFAULT 'pending', -- 'pending' | 'in_progress' | 'completed'
+    ai_summary TEXT,
+    escrow_finished INTEGER DEFAULT 0,
+    dispute_window_ends_at INTEGER, -- unix seconds; set when all requirements are first verified
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, offer_sequence),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+db.run(`
+  CREATE TABLE IF NOT EXISTS qa_escrow_requirements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qa_escrow_id INTEGER NOT NULL,
+    requirement_index INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    evidence_links TEXT, -- JSON array of URLs
+    UNIQUE (qa_escrow_id, requirement_index),
+    FOREIGN KEY (qa_escrow_id) REFERENCES qa_escrows(id) ON DELETE CASCADE
+  )
+`);
+
+// Latest AI verification result per requirement
+db.run(`
+  CREATE TABLE IF NOT EXISTS qa_verification_results (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qa_escrow_id INTEGER NOT NULL,
+    requirement_index INTEGER NOT NULL,
+    verified INTEGER DEFAULT 0,
+    confidence REAL,
+    reason TEXT,
+    verified_at DATETIME,
+    UNIQUE (qa_escrow_id, requirement_index),
+    FOREIGN KEY (qa_escrow_id) REFERENCES qa_escrows(id) ON DELETE CASCADE
+  )
+`);
+
+// Proof-of-work submissions from the service provider
+db.run(`
+  CREATE TABLE IF NOT EXISTS qa_proof_submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qa_escrow_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    proof_text TEXT,
+    proof_links TEXT, -- JSON array of URLs
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (qa_escrow_id) REFERENCES qa_escrows(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+// Ledger watcher cursor - last fully processed validated ledger per watched account
+db.run(`
+  CREATE TABLE IF NOT EXISTS ledger_sync_state (
+    account TEXT PRIMARY KEY,
+    last_ledger_index INTEGER NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// Scheduled on-ledger actions for registry escrows (one row per escrow + job type)
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    escrow_id INTEGER NOT NULL,
+    job_type TEXT NOT NULL, -- 'auto_refund' | 'auto_release' | 'qa_release' | 'extension'
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'done' | 'failed' | 'skipped'
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL, -- unix seconds
+    last_error TEXT,
+    tx_hash TEXT,
+    result TEXT, -- JSON, e.g. the XLUSD conversion after an auto release
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (escrow_id, job_type),
+    FOREIGN KEY (escrow_id) REFERENCES escrows(id) ON DELETE CASCADE
+  )
+`);
+
+db.run(`ALTER TABLE escrow_jobs ADD COLUMN result TEXT`, (err) => {
+  if (err && !err.message.includes("duplicate column")) {
+    console.warn("Could not add escrow_jobs.result column:", err.message);
+  }
+});
+
+// Audit trail - one row per scheduler attempt
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_job_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL,
+    escrow_id INTEGER NOT NULL,
+    job_type TEXT NOT NULL,
+    attempt INTEGER NOT NULL,
+    outcome TEXT NOT NULL, -- 'success' | 'failed' | 'skipped'
+    tx_result TEXT,
+    tx_hash TEXT,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES escrow_jobs(id) ON DELETE CASCADE
+  )
+`);
+
+db.run(`ALTER TABLE qa_escrows ADD COLUMN dispute_window_ends_at INTEGER`, (err) => {
+  if (err && !err.message.includes("duplicate column")) {
+    console.warn("Could not add dispute_window_ends_at column:", err.message);
+  }
+});
+
+// QA disputes - payer objection to a verified escrow, decided by an arbitrator
+db.run(`
+  CREATE TABLE IF NOT EXISTS qa_disputes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qa_escrow_id INTEGER NOT NULL,
+    opened_by_user_id INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open', -- 'open' | 'resolved'
+    resolution TEXT, -- 'release' | 'refund'
+    decision_reason TEXT,
+    arbitrator_user_id INTEGER,
+    resolution_tx_hash TEXT,
+    decided_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (qa_escrow_id) REFERENCES qa_escrows(id) ON DELETE CASCADE,
+    FOREIGN KEY (opened_by_user_id) REFERENCES users(id),
+    FOREIGN KEY (arbitrator_user_id) REFERENCES users(id)
+  )
+`);
+
+// Dispute timeline - evidence from either side and every arbitrator decision, with reasons
+db.run(`
+  CREATE TABLE IF NOT EXISTS qa_dispute_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    dispute_id INTEGER NOT NULL,
+    user_id INTEGER,
+    actor_role TEXT NOT NULL, -- 'payer' | 'provider' | 'arbitrator' | 'system'
+    action TEXT NOT NULL, -- 'opened' | 'evidence' | 'decided' | 'released' | 'refunded'
+    text TEXT,
+    links TEXT, -- JSON array of URLs
+    tx_hash TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (dispute_id) REFERENCES qa_disputes(id) ON DELETE CASCADE
+  )
+`);
+
+// Milestone contracts - one engagement split into several QA escrows (one per milestone)
+db.run(`
+  CREATE TABLE IF NOT EXISTS milestone_contracts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    owner_address TEXT NOT NULL,
+    provider_address TEXT NOT NULL,
+    title TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+db.run(`
+  CREATE TABLE IF NOT EXISTS contract_milestones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    contract_id INTEGER NOT NULL,
+    milestone_index INTEGER NOT NULL,
+    title TEXT,
+    amount_xlusd REAL,
+    amount_xrp REAL NOT NULL,
+    deadline_unix INTEGER NOT NULL,
+    qa_escrow_id INTEGER, -- set once the escrow exists on-ledger
+    offer_sequence INTEGER,
+    create_tx_hash TEXT,
+    preimage TEXT, -- sealed; stored before the escrow is submitted so a failed save cannot lose it
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'created' | 'failed'
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (contract_id, milestone_index),
+    FOREIGN KEY (contract_id) REFERENCES milestone_contracts(id) ON DELETE CASCADE,
+    FOREIGN KEY (qa_escrow_id) REFERENCES qa_escrows(id)
+  )
+`);
+
+db.run(`ALTER TABLE contract_milestones ADD COLUMN preimage TEXT`, (err) => {
+  if (err && !err.message.includes("duplicate column")) {
+    console.warn("Could not add contract_milestones.preimage column:", err.message);
+  }
+});
+
+// Freelancer escrows in server-held mode - the preimage stays encrypted on the server until the client approves
+db.run(`
+  CREATE TABLE IF NOT EXISTS freelancer_escrows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    owner_address TEXT NOT NULL,
+    freelancer_address TEXT NOT NULL,
+    offer_sequence INTEGER NOT NULL,
+    condition TEXT NOT NULL,
+    encrypted_preimage TEXT NOT NULL, -- sealed with utils/escrow-secrets.js
+    status TEXT NOT NULL DEFAULT 'locked', -- 'locked' | 'approved' | 'released'
+    approved_at DATETIME,
+    release_tx_hash TEXT,
+    fulfillment_revealed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, offer_sequence),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+// Terms documents bound to an escrow - their SHA-256 and reference are in the EscrowCreate Memos
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_terms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reference TEXT NOT NULL UNIQUE, -- platform reference written to the memo
+    user_id INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    filename TEXT,
+    content_type TEXT,
+    size_bytes INTEGER NOT NULL,
+    content BLOB NOT NULL,
+    owner_address TEXT NOT NULL,
+    destination_address TEXT NOT NULL,
+    offer_sequence INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, offer_sequence),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+// Audit trail for every decryption of a server-held escrow secret (see utils/escrow-secrets.js)
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_secret_access_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    secret_kind TEXT NOT NULL, -- 'qa_escrow' | 'freelancer_escrow'
+    secret_ref INTEGER, -- qa_escrows.id / freelancer_escrows.id
+    key_version INTEGER, -- null when decryption failed
+    purpose TEXT NOT NULL,
+    user_id INTEGER, -- null for background jobs
+    ok INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// Approval policies - conditional escrows released only after M of N approvers sign off
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_approval_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL, -- payer who created the escrow
+    workflow TEXT NOT NULL, -- 'freelancer_payment' | 'quality_assurance'
+    owner_address TEXT NOT NULL,
+    destination_address TEXT NOT NULL,
+    offer_sequence INTEGER NOT NULL,
+    threshold INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'approved' | 'released'
+    release_tx_hash TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, offer_sequence),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_approvers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    policy_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    label TEXT, -- email or address the payer used to name the approver
+    approved_at DATETIME,
+    note TEXT,
+    UNIQUE (policy_id, user_id),
+    FOREIGN KEY (policy_id) REFERENCES escrow_approval_policies(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+// Escrow invitations - payment offers to an email without an account, funded once the invitee signs up
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL, -- payer
+    email TEXT NOT NULL, -- invitee (lowercased)
+    token TEXT NOT NULL UNIQUE,
+    workflow TEXT NOT NULL, -- 'standard' | 'quality_assurance'
+    amount_xrp REAL NOT NULL, -- reserved from the payer's balance while pending/accepted
+    activation_xrp REAL NOT NULL DEFAULT 0, -- base reserve sent to activate the invitee's wallet; reserved too
+    payer_address TEXT, -- wallet the reservation is held against (the payer's, or the PAYER_SEED fallback)
+    amount_xlusd REAL,
+    xlusd_per_xrp REAL,
+    xlusd_rate_source TEXT,
+    finish_after INTEGER NOT NULL, -- QA: the deadline
+    cancel_after INTEGER,
+    requirements TEXT, -- JSON array (QA only)
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'accepted' | 'funding' | 'funded' | 'expired' | 'cancelled'
+    expires_at INTEGER NOT NULL,
+    invitee_user_id INTEGER,
+    destination_address TEXT, -- the invitee's provisioned wallet
+    owner_address TEXT,
+    offer_sequence INTEGER,
+    tx_hash TEXT, -- recorded when the EscrowCreate is signed, before it is submitted
+    last_ledger_sequence INTEGER, -- of that EscrowCreate; past it, an unvalidated tx can never apply
+    preimage TEXT, -- QA condition preimage (sealed), kept before submitting so a lost response cannot lose it
+    funding_attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT, -- last funding error
+    accepted_at DATETIME,
+    funded_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (invitee_user_id) REFERENCES users(id)
+  )
+`);
+
+for (const [column, type] of [
+  ["last_ledger_sequence", "INTEGER"],
+  ["preimage", "TEXT"],
+  ["funding_attempts", "INTEGER NOT NULL DEFAULT 0"],
+  ["activation_xrp", "REAL NOT NULL DEFAULT 0"],
+  ["payer_address", "TEXT"],
+]) {
+  db.run(`ALTER TABLE escrow_invitations ADD COLUMN ${column} ${type}`, (err) => {
+    if (err && !err.message.includes("duplicate column")) {
+      console.warn(`Could not add escrow_invitations.${column} column:`, err.message);
+    }
+  });
+}
+
+// Escrow proposals - QA escrow terms negotiated between payer and provider before anything is funded
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_proposals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    payer_user_id INTEGER NOT NULL,
+    provider_user_id INTEGER NOT NULL,
+    created_by_user_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open', -- 'open' | 'accepted' | 'funding' | 'funded' | 'rejected' | 'withdrawn'
+    current_version INTEGER NOT NULL DEFAULT 1,
+    awaiting_user_id INTEGER, -- who has to respond to the current version (null once closed)
+    agreed_version INTEGER,
+    response_note TEXT, -- rejection reason
+    qa_escrow_id INTEGER, -- set once funded
+    owner_address TEXT,
+    provider_address TEXT,
+    offer_sequence INTEGER,
+    tx_hash TEXT,
+    error TEXT, -- last funding error
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (payer_user_id) REFERENCES users(id),
+    FOREIGN KEY (provider_user_id) REFERENCES users(id),
+    FOREIGN KEY (qa_escrow_id) REFERENCES qa_escrows(id)
+  )
+`);
+
+// Every draft and counter-proposal is kept, so the agreed terms can always be shown
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_proposal_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    proposal_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    author_user_id INTEGER NOT NULL,
+    amount_xlusd REAL NOT NULL,
+    deadline_unix INTEGER NOT NULL,
+    requirements TEXT NOT NULL, -- JSON array
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (proposal_id, version),
+    FOREIGN KEY (proposal_id) REFERENCES escrow_proposals(id) ON DELETE CASCADE,
+    FOREIGN KEY (author_user_id) REFERENCES users(id)
+  )
+`);
+
+// Deadline extensions - both parties agree on a new deadline; the QA escrow is cancelled and recreated
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_extensions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qa_escrow_id INTEGER NOT NULL, -- carries over to the new offer sequence
+    escrow_id INTEGER NOT NULL, -- registry row of the escrow being replaced
+    owner_address TEXT NOT NULL,
+    old_offer_sequence INTEGER NOT NULL,
+    old_deadline_unix INTEGER,
+    new_deadline_unix INTEGER NOT NULL,
+    reason TEXT,
+    requested_by_user_id INTEGER NOT NULL,
+    payer_consented_at DATETIME,
+    provider_consented_at DATETIME,
+    status TEXT NOT NULL DEFAULT 'pending_consent', -- 'pending_consent' | 'scheduled' | 'completed' | 'declined' | 'superseded' | 'failed'
+    cancel_tx_hash TEXT,
+    new_offer_sequence INTEGER, -- recorded with the hash when the new EscrowCreate is signed, before it is submitted
+    create_tx_hash TEXT,
+    create_last_ledger_sequence INTEGER, -- of that EscrowCreate; past it, an unvalidated tx can never apply
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (qa_escrow_id) REFERENCES qa_escrows(id),
+    FOREIGN KEY (escrow_id) REFERENCES escrows(id),
+    FOREIGN KEY (requested_by_user_id) REFERENCES users(id)
+  )
+`);
+
+db.run(`ALTER TABLE escrow_extensions ADD COLUMN create_last_ledger_sequence INTEGER`, (err) => {
+  if (err && !err.message.includes("duplicate column")) {
+    console.warn("Could not add escrow_extensions.create_last_ledger_sequence column:", err.message);
+  }
+});
+
+// Split-recipient escrows - one payment shared by percentage, one escrow per recipient under a group id
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    owner_address TEXT NOT NULL,
+    title TEXT,
+    amount_xrp REAL NOT NULL, -- total across recipients
+    amount_xlusd REAL,
+    xlusd_per_xrp REAL,
+    xlusd_rate_source TEXT,
+    condition TEXT, -- shared by every member escrow (one fulfillment releases the group)
+    finish_after INTEGER NOT NULL,
+    cancel_after INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+db.run(`
+  CREATE TABLE IF NOT EXISTS escrow_group_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    group_id INTEGER NOT NULL,
+    member_index INTEGER NOT NULL,
+    destination_address TEXT NOT NULL,
+    email TEXT, -- set when the recipient was given as an account email
+    share_bps INTEGER NOT NULL, -- share of the total in basis points (10000 = 100%)
+    amount_drops TEXT NOT NULL,
+    amount_xlusd REAL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'creating' | 'created' | 'failed'
+    offer_sequence INTEGER,
+    create_tx_hash TEXT,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (group_id, member_index),
+    FOREIGN KEY (group_id) REFERENCES escrow_groups(id) ON DELETE CASCADE
+  )
+`);
+
+// Crowdfund campaigns - contributions are escrows to the project under one server-held condition;
+// released together if the target is met by the deadline, otherwise refunded after CancelAfter
+db.run(`
+  CREATE TABLE IF NOT EXISTS crowdfund_campaigns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    project_address TEXT NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    target_drops TEXT NOT NULL,
+    target_xlusd REAL,
+    xlusd_per_xrp REAL,
+    xlusd_rate_source TEXT,
+    deadline_unix INTEGER NOT NULL, -- FinishAfter of every contribution
+    cancel_after INTEGER NOT NULL, -- deadline + release window
+    condition TEXT NOT NULL,
+    preimage TEXT NOT NULL, -- sealed (see utils/escrow-secrets.js)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+db.run(`
+  CREATE TABLE IF NOT EXISTS crowdfund_contributions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    campaign_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    owner_address TEXT NOT NULL,
+    offer_sequence INTEGER NOT NULL,
+    amount_drops TEXT NOT NULL,
+    amount_xlusd REAL,
+    tx_hash TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, offer_sequence),
+    FOREIGN KEY (campaign_id) REFERENCES crowdfund_campaigns(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+db.run(`
+  CREATE TABLE IF NOT EXISTS bounties (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    reward_xlusd REAL NOT NULL, -- held in custody (bounty_custody_entries) while open
+    requirements TEXT NOT NULL, -- JSON array checked by AIChecker
+    expires_at INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open', -- open | awarded | expired | cancelled
+    winner_submission_id INTEGER,
+    winner_user_id INTEGER,
+    payout_transfer_id INTEGER,
+    awarded_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+db.run(`
+  CREATE TABLE IF NOT EXISTS bounty_submissions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bounty_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    proof_text TEXT,
+    proof_links TEXT, -- JSON array
+    status TEXT NOT NULL DEFAULT 'verifying', -- verifying | verified | rejected | error
+    results TEXT, -- JSON array of per-requirement AIChecker results
+    verified_count INTEGER NOT NULL DEFAULT 0,
+    total_count INTEGER NOT NULL DEFAULT 0,
+    avg_confidence REAL,
+    summary TEXT,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    verified_at DATETIME,
+    FOREIGN KEY (bounty_id) REFERENCES bounties(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+// Bounty custody ledger - every XLUSD movement of a reward into and out of platform custody.
+// Signed per user (hold < 0, release/payout > 0) and summed into the simulated XLUSD balance;
+// what custody holds for a bounty is minus the sum of its entries.
+db.run(`
+  CREATE TABLE IF NOT EXISTS bounty_custody_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bounty_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL, -- payer for hold/release, winner for payout
+    entry_type TEXT NOT NULL, -- 'hold' | 'release' | 'payout'
+    amount_xlusd REAL NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (bounty_id, entry_type),
+    FOREIGN KEY (bounty_id) REFERENCES bounties(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  )
+`);
+
+// Where the XLUSD/XRP rate recorded next to an amount came from (see utils/xlusd-rate.js)
+for (const table of ["payments", "escrows", "escrow_invitations", "escrow_groups", "crowdfund_campaigns"]) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN xlusd_rate_source TEXT`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.warn(`Could not add ${table}.xlusd_rate_source column:`, err.message);
+    }
+  });
+}
+
+for (const [column, type] of [
+  ["guaranteed_xlusd", "REAL"],
+  ["xlusd_guarantee_policy", "TEXT"],
+]) {
+  db.run(`ALTER TABLE escrows ADD COLUMN ${column} ${type}`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.warn(`Could not add escrows.${column} column:`, err.message);
+    }
+  });
+}
+
+// Live XLUSD/XRP rates rejected for straying too far from XLUSD_PER_XRP (see utils/xlusd-rate.js)
+db.run(`
+  CREATE TABLE IF NOT EXISTS xlusd_rate_rejections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    xlusd_per_xrp REAL NOT NULL, -- the live rate that was not used
+    source TEXT NOT NULL, -- 'book' | 'amm' | 'book+amm'
+    book_bid REAL,
+    book_ask REAL,
+    amm_xlusd_per_xrp REAL,
+    fallback_xlusd_per_xrp REAL NOT NULL,
+    deviation_percent REAL NOT NULL,
+    max_deviation_percent REAL NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// XRP -> XLUSD conversions after an escrow release, with the rate quoted when they ran
+db.run(`
+  CREATE TABLE IF NOT EXISTS xlusd_conversions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    wallet_address TEXT NOT NULL,
+    owner_address TEXT, -- the released escrow, when known
+    offer_sequence INTEGER,
+    escrow_amount_drops TEXT,
+    send_max_drops TEXT,
+    delivered_xlusd REAL,
+    xlusd_per_xrp REAL, -- quoted rate
+    xlusd_rate_source TEXT,
+    expected_xlusd REAL, -- ripple_path_find quote for SendMax
+    deliver_min_xlusd REAL, -- expected less the max slippage
+    expected_xlusd_per_xrp REAL,
+    actual_xlusd_per_xrp REAL,
+    status TEXT NOT NULL, -- 'completed' | 'deferred' | 'failed' | 'skipped'
+    attempts INTEGER NOT NULL DEFAULT 1,
+    next_attempt_at INTEGER, -- unix seconds (deferred only)
+    tx_hash TEXT,
+    last_ledger_sequence INTEGER, -- set while a submitted payment's outcome is unknown; looked up before any retry
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+for (const [column, type] of [
+  ["owner_address", "TEXT"],
+  ["offer_sequence", "INTEGER"],
+  ["expected_xlusd", "REAL"],
+  ["deliver_min_xlusd", "REAL"],
+  ["expected_xlusd_per_xrp", "REAL"],
+  ["actual_xlusd_per_xrp", "REAL"],
+  ["attempts", "INTEGER NOT NULL DEFAULT 1"],
+  ["next_attempt_at", "INTEGER"],
+  ["updated_at", "DATETIME"],
+  ["last_ledger_sequence", "INTEGER"],
+]) {
+  db.run(`ALTER TABLE xlusd_conversions ADD COLUMN ${column} ${type}`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.warn(`Could not add xlusd_conversions.${column} column:`, err.message);
+    }
+  });
+}
+
+// Settlement ledger for the XLUSD value guarantee: one row per guaranteed escrow, with the adjustment paid
+// by (or back to) the treasury after the release was converted
+db.run(`
+  CREATE TABLE IF NOT EXISTS xlusd_settlements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    escrow_id INTEGER,
+    owner_address TEXT NOT NULL,
+    offer_sequence INTEGER NOT NULL,
+    destination_address TEXT NOT NULL,
+    conversion_id INTEGER,
+    policy TEXT NOT NULL, -- 'topup' | 'topup_and_reclaim'
+    promised_xlusd REAL NOT NULL,
+    expected_xlusd REAL NOT NULL, -- promise for the share of the release that was converted
+    delivered_xlusd REAL, -- NULL: the release was never converted (failed, nothing to settle against)
+    adjustment_xlusd REAL, -- > 0 paid by the treasury, < 0 reclaimed by it, 0 nothing to do
+    treasury_address TEXT,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'completed' | 'failed'
+    attempts INTEGER NOT NULL DEFAULT 1,
+    next_attempt_at INTEGER, -- unix seconds the retry pass picks the row up (pending or failed); NULL: never
+    tx_hash TEXT,
+    last_ledger_sequence INTEGER, -- set once the adjustment is signed; an unconfirmed payment is looked up by hash
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, offer_sequence)
+  )
+`);
+
+for (const [column, type] of [
+  ["attempts", "INTEGER NOT NULL DEFAULT 1"],
+  ["next_attempt_at", "INTEGER"],
+  ["last_ledger_sequence", "INTEGER"],
+]) {
+  db.run(`ALTER TABLE xlusd_settlements ADD COLUMN ${column} ${type}`, (err) => {
+    if (err && !err.message.includes('duplicate column')) {
+      console.warn(`Could not add xlusd_settlements.${column} column:`, err.message);
+    }
+  });
+}
+
 export default db;
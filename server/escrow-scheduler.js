@@ -0,0 +1,748 @@
+// Escrow Scheduler Service
+// Persistent jobs that act on registry escrows once their time windows open:
+// - auto refund: submit EscrowCancel after CancelAfter so the XRP returns to the owner
+// - auto release: submit EscrowFinish at FinishAfter for time-based escrows paying a custodial wallet
+// - QA release: finish verified QA escrows with the held preimage once the payer's dispute window closes
+// - extension: cancel a QA escrow both parties agreed to extend and recreate it with the new deadline
+// - crowdfund: after a campaign's deadline, release every contribution if the target was met, else refund it
+
+import xrpl from "xrpl";
+import dbPromise from "./utils/db-promise.js";
+import { getClient as getSharedClient } from "./utils/xrpl-client.js";
+import { cancelEscrow, finishEscrow, createEscrow, createQAEscrow, lookupSubmittedTx } from "./xrpl.js";
+import { getQaEscrow, markQaEscrowFinished } from "./utils/qa-escrow-store.js";
+import { recordEscrow, getEscrowRecord } from "./utils/escrow-registry.js";
+import {
+  getScheduledExtensionForEscrow,
+  markExtensionOldCancelled,
+  markExtensionRecreateSubmitted,
+  clearExtensionRecreate,
+  closeEscrowExtension,
+  completeEscrowExtension,
+} from "./utils/extension-store.js";
+import { getTermsForEscrow, termsMemo } from "./utils/terms-store.js";
+import { getCrowdfundCampaignForEscrow } from "./utils/crowdfund-store.js";
+import { getLatestQaDispute, recordQaDisputeSettlement } from "./utils/qa-dispute-store.js";
+import { markApprovalReleasedForEscrow } from "./utils/approval-store.js";
+import { openEscrowSecret } from "./utils/escrow-secrets.js";
+import {
+  ESCROW_STATUS,
+  ESCROW_JOB_TYPES,
+  ESCROW_JOB_STATUS,
+  DISPUTE_STATUS,
+  DISPUTE_RESOLUTION,
+  APPROVAL_STATUS,
+  ESCROW_SECRET_KINDS,
+  ESCROW_WORKFLOWS,
+  EXTENSION_STATUS,
+} from "./utils/constants.js";
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.ESCROW_SCHEDULER_INTERVAL_MS || 60 * 1000);
+const JOB_BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 60; // 1m, 2m, 4m, 8m, 16m
+const RETRY_MAX_SECONDS = 60 * 60;
+
+let schedulerTimer = null;
+let tickInProgress = false;
+let enabledJobTypes = [];
+let resolveWallet = async () => null;
+let getClient = getSharedClient;
+let onEscrowReleased = null;
+
+function nowUnix() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/* ====================== JOB STATE ====================== */
+
+async function recordAttempt(job, { attempt, outcome, txResult = null, txHash = null, error = null }) {
+  await dbPromise.run(
+    `INSERT INTO escrow_job_attempts (job_id, escrow_id, job_type, attempt, outcome, tx_result, tx_hash, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [job.id, job.escrow_id, job.job_type, attempt, outcome, txResult, txHash, error]
+  );
+}
+
+async function completeJob(job, { status, attempt, txHash = null, error = null, result = null }) {
+  await dbPromise.run(
+    `UPDATE escrow_jobs
+     SET status = ?, attempts = ?, tx_hash = ?, last_error = ?, result = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, attempt, txHash, error, result ? JSON.stringify(result) : null, job.id]
+  );
+}
+
+async function retryJob(job, { attempt, error }) {
+  if (attempt >= MAX_ATTEMPTS) {
+    await completeJob(job, { status: ESCROW_JOB_STATUS.FAILED, attempt, error });
+    await JOBS[job.job_type].onGiveUp?.(job, error);
+    console.warn(`Escrow scheduler: giving up on ${job.job_type} for escrow ${job.escrow_id}: ${error}`);
+    return;
+  }
+  await dbPromise.run(
+    `UPDATE escrow_jobs
+     SET attempts = ?, next_attempt_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [attempt, nowUnix() + retryDelaySeconds(attempt), error, job.id]
+  );
+}
+
+/* ====================== AUTO REFUND ====================== */
+
+// 1 when an arbitrator decided a QA dispute on this escrow in the payer's favour
+const REFUND_ORDERED_SQL = `EXISTS (
+  SELECT 1 FROM qa_disputes d
+  JOIN qa_escrows q ON q.id = d.qa_escrow_id
+  WHERE q.owner_address = e.owner_address AND q.offer_sequence = e.offer_sequence AND d.resolution = '${DISPUTE_RESOLUTION.REFUND}'
+)`;
+
+/**
+ * Queue a refund job for every open platform escrow whose CancelAfter has passed
+ * (owners who opted out in settings are not queued, unless an arbitrator ordered the refund;
+ * escrows with a scheduled deadline extension are cancelled and recreated by the extension job instead)
+ */
+async function enqueueExpiredEscrows() {
+  await dbPromise.run(
+    `INSERT OR IGNORE INTO escrow_jobs (escrow_id, job_type, next_attempt_at)
+     SELECT e.id, ?, e.cancel_after
+     FROM escrows e
+     LEFT JOIN user_settings s ON s.user_id = e.user_id
+     WHERE e.status = ?
+       AND e.user_id IS NOT NULL
+       AND e.cancel_after IS NOT NULL
+       AND e.cancel_after <= ?
+       AND (COALESCE(s.auto_refund_expired, 1) = 1 OR ${REFUND_ORDERED_SQL})
+       AND NOT EXISTS (SELECT 1 FROM escrow_extensions x WHERE x.escrow_id = e.id AND x.status = ?)`,
+    [ESCROW_JOB_TYPES.AUTO_REFUND, ESCROW_STATUS.OPEN, nowUnix(), EXTENSION_STATUS.SCHEDULED]
+  );
+}
+
+async function runRefund(client, job) {
+  const refundOrdered = Number(job.refund_ordered) === 1;
+  if (Number(job.auto_refund_expired ?? 1) !== 1 && !refundOrdered) {
+    return { skip: "Owner opted out of automatic refunds" };
+  }
+
+  const ownerWallet = await resolveWallet(job.owner_address);
+  if (!ownerWallet) {
+    return { skip: "No signing key available for escrow owner" };
+  }
+
+  const out = await cancelEscrow({
+    client,
+    payerWallet: ownerWallet,
+    ownerAddress: job.owner_address,
+    offerSequence: job.offer_sequence,
+  });
+
+  if (out.txResult === "tesSUCCESS" && refundOrdered) {
+    const qaEscrow = await getQaEscrow(job.offer_sequence, job.owner_address);
+    const dispute = qaEscrow ? await getLatestQaDispute(qaEscrow.id) : null;
+    if (dispute?.resolution === DISPUTE_RESOLUTION.REFUND) {
+      await recordQaDisputeSettlement(dispute.id, { action: "refunded", txHash: out.hash });
+    }
+  }
+  return { txResult: out.txResult, txHash: out.hash };
+}
+
+/* ====================== AUTO RELEASE ====================== */
+
+/**
+ * Queue a release job for every open time-based escrow whose FinishAfter has passed,
+ * when the destination is a custodial wallet the server can sign for
+ */
+async function enqueueReleasableEscrows() {
+  const now = nowUnix();
+  await dbPromise.run(
+    `INSERT OR IGNORE INTO escrow_jobs (escrow_id, job_type, next_attempt_at)
+     SELECT e.id, ?, e.finish_after
+     FROM escrows e
+     JOIN user_wallets w ON w.wallet_address = e.destination_address
+     WHERE e.status = ?
+       AND e.condition IS NULL
+       AND e.finish_after IS NOT NULL
+       AND e.finish_after <= ?
+       AND (e.cancel_after IS NULL OR e.cancel_after > ?)`,
+    [ESCROW_JOB_TYPES.AUTO_RELEASE, ESCROW_STATUS.OPEN, now, now]
+  );
+}
+
+async function runRelease(client, job) {
+  const payeeWallet = await resolveWallet(job.destination_address);
+  if (!payeeWallet) {
+    return { skip: "No signing key available for escrow destination" };
+  }
+
+  const out = await finishEscrow({
+    client,
+    payeeWallet,
+    ownerAddress: job.owner_address,
+    offerSequence: job.offer_sequence,
+    fulfillment: null,
+  });
+  if (out.txResult !== "tesSUCCESS") {
+    return { txResult: out.txResult, txHash: out.hash };
+  }
+
+  // The escrow is already released at this point; a failed conversion is reported, not retried as a job
+  // (conversions deferred for lack of liquidity are retried from xlusd_conversions)
+  let conversion = null;
+  if (onEscrowReleased) {
+    try {
+      conversion = await onEscrowReleased({
+        client,
+        wallet: payeeWallet,
+        escrowAmountDrops: out.escrowAmountDrops || job.amount_drops,
+        ownerAddress: job.owner_address,
+        offerSequence: job.offer_sequence,
+      });
+    } catch (err) {
+      conversion = { ok: false, skipped: false, error: err.message || String(err) };
+    }
+  }
+
+  return {
+    txResult: out.txResult,
+    txHash: out.hash,
+    result: { escrowAmountDrops: out.escrowAmountDrops || job.amount_drops, conversion },
+  };
+}
+
+/* ====================== QA RELEASE ====================== */
+
+/**
+ * Queue a release job for verified QA escrows whose dispute window has closed without a dispute
+ * (escrows still waiting on M-of-N approvals are left for the approval endpoint)
+ */
+async function enqueueUndisputedQaEscrows() {
+  await dbPromise.run(
+    `INSERT OR IGNORE INTO escrow_jobs (escrow_id, job_type, next_attempt_at)
+     SELECT e.id, ?, q.dispute_window_ends_at
+     FROM qa_escrows q
+     JOIN escrows e ON e.owner_address = q.owner_address AND e.offer_sequence = q.offer_sequence
+     WHERE e.status = ?
+       AND q.all_verified = 1
+       AND q.escrow_finished = 0
+       AND q.dispute_window_ends_at IS NOT NULL
+       AND q.dispute_window_ends_at <= ?
+       AND NOT EXISTS (SELECT 1 FROM qa_disputes d WHERE d.qa_escrow_id = q.id)
+       AND NOT EXISTS (
+         SELECT 1 FROM escrow_approval_policies p
+         WHERE p.owner_address = q.owner_address AND p.offer_sequence = q.offer_sequence AND p.status = ?
+       )`,
+    [ESCROW_JOB_TYPES.QA_RELEASE, ESCROW_STATUS.OPEN, nowUnix(), APPROVAL_STATUS.PENDING]
+  );
+}
+
+async function runQaRelease(client, job) {
+  const qaEscrow = await getQaEscrow(job.offer_sequence, job.owner_address);
+  if (!qaEscrow) return { skip: "QA escrow not found" };
+  if (qaEscrow.escrowFinished) return { skip: "QA escrow already finished" };
+
+  // Disputed escrows are released (or refunded) through the arbitrator's decision instead
+  const dispute = await getLatestQaDispute(qaEscrow.id);
+  if (dispute) {
+    return { skip: `Dispute ${dispute.status === DISPUTE_STATUS.OPEN ? "open" : "decided"}; handled by the arbitrator` };
+  }
+
+  const payeeWallet = await resolveWallet(qaEscrow.providerAddress);
+  if (!payeeWallet) {
+    return { skip: "No signing key available for provider; the provider can claim" };
+  }
+
+  const out = await finishEscrow({
+    client,
+    payeeWallet,
+    ownerAddress: qaEscrow.ownerAddress,
+    offerSequence: qaEscrow.offerSequence,
+    fulfillment: await openEscrowSecret(qaEscrow.sealedPreimage, {
+      kind: ESCROW_SECRET_KINDS.QA_ESCROW,
+      refId: qaEscrow.id,
+      purpose: "scheduler_release",
+    }),
+  });
+  if (out.txResult !== "tesSUCCESS") {
+    return { txResult: out.txResult, txHash: out.hash };
+  }
+  await markQaEscrowFinished(qaEscrow.id);
+  await markApprovalReleasedForEscrow(qaEscrow.ownerAddress, qaEscrow.offerSequence, out.hash);
+
+  let conversion = null;
+  if (onEscrowReleased) {
+    try {
+      conversion = await onEscrowReleased({
+        client,
+        wallet: payeeWallet,
+        escrowAmountDrops: out.escrowAmountDrops || job.amount_drops,
+        ownerAddress: job.owner_address,
+        offerSequence: job.offer_sequence,
+      });
+    } catch (err) {
+      conversion = { ok: false, skipped: false, error: err.message || String(err) };
+    }
+  }
+
+  return {
+    txResult: out.txResult,
+    txHash: out.hash,
+    result: { escrowAmountDrops: out.escrowAmountDrops || job.amount_drops, conversion },
+  };
+}
+
+/* ====================== EXTENSION ====================== */
+
+/**
+ * Queue the cancel-and-recreate job for agreed extensions once the old escrow's CancelAfter has passed
+ * (a failed or skipped job from an earlier extension of the same escrow is reset)
+ */
+async function enqueueScheduledExtensions() {
+  await dbPromise.run(
+    `INSERT INTO escrow_jobs (escrow_id, job_type, next_attempt_at)
+     SELECT e.id, ?, e.cancel_after
+     FROM escrow_extensions x
+     JOIN escrows e ON e.id = x.escrow_id
+     WHERE x.status = ?
+       AND e.cancel_after IS NOT NULL
+       AND e.cancel_after <= ?
+     ON CONFLICT (escrow_id, job_type) DO UPDATE SET
+       status = ?, attempts = 0, next_attempt_at = excluded.next_attempt_at, last_error = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE escrow_jobs.status IN (?, ?)`,
+    [
+      ESCROW_JOB_TYPES.EXTENSION,
+      EXTENSION_STATUS.SCHEDULED,
+      nowUnix(),
+      ESCROW_JOB_STATUS.PENDING,
+      ESCROW_JOB_STATUS.FAILED,
+      ESCROW_JOB_STATUS.SKIPPED,
+    ]
+  );
+}
+
+async function runExtension(client, job) {
+  const extension = await getScheduledExtensionForEscrow(job.escrow_id);
+  if (!extension) return { skip: "No scheduled extension" };
+  const fail = async (reason, status = EXTENSION_STATUS.FAILED) => {
+    await closeEscrowExtension(extension.id, { status, error: reason });
+    return { skip: reason };
+  };
+
+  const qaEscrow = await getQaEscrow(extension.oldOfferSequence, extension.ownerAddress);
+  if (!qaEscrow) return fail("QA escrow not found");
+  // Released before the extension could run; recreating would pay twice
+  if (job.escrow_status === ESCROW_STATUS.FINISHED || qaEscrow.escrowFinished) {
+    return fail("Escrow was released before the extension took effect", EXTENSION_STATUS.SUPERSEDED);
+  }
+
+  const ownerWallet = await resolveWallet(extension.ownerAddress);
+  if (!ownerWallet) return fail("No signing key available for escrow owner");
+
+  // Step 1: cancel the old escrow, unless an earlier attempt (or an auto refund) already did
+  let cancelTxHash = extension.cancelTxHash;
+  if (job.escrow_status === ESCROW_STATUS.OPEN && !cancelTxHash) {
+    let out;
+    try {
+      out = await cancelEscrow({
+        client,
+        payerWallet: ownerWallet,
+        ownerAddress: extension.ownerAddress,
+        offerSequence: extension.oldOfferSequence,
+      });
+    } catch (err) {
+      // Gone from the ledger without a recorded cancel: it may have been finished, so do not recreate
+      if (String(err.message || "").includes("not found")) return fail(err.message);
+      throw err;
+    }
+    if (out.txResult !== "tesSUCCESS") return { txResult: out.txResult, txHash: out.hash };
+    await markExtensionOldCancelled(extension.id, out.hash);
+    cancelTxHash = out.hash;
+  }
+
+  // Step 2: recreate with the same amount, held condition and terms memo, so the stored preimage still
+  // fulfils it. An EscrowCreate recorded by an earlier attempt is settled by its hash, never signed twice.
+  const record = await getEscrowRecord(extension.ownerAddress, extension.oldOfferSequence);
+  let created = null;
+  if (extension.createTxHash) {
+    const submitted = await lookupSubmittedTx({
+      client,
+      hash: extension.createTxHash,
+      lastLedgerSequence: extension.createLastLedgerSequence,
+    });
+    if (submitted.state === "pending") {
+      throw new Error(`Replacement EscrowCreate ${extension.createTxHash} is not validated yet`);
+    }
+    if (submitted.state === "success") {
+      created = { txResult: "tesSUCCESS", txHash: extension.createTxHash, offerSequence: extension.newOfferSequence };
+    } else {
+      await clearExtensionRecreate(
+        extension.id,
+        `Replacement EscrowCreate ${extension.createTxHash} ${submitted.txResult || "expired"}`
+      );
+    }
+  }
+
+  if (!created) {
+    const amountXrp = Number(xrpl.dropsToXrp(String(record.amount_drops)));
+    const terms = await getTermsForEscrow(extension.ownerAddress, extension.oldOfferSequence);
+    const memos = terms ? [termsMemo(terms)] : null;
+    const onSigned = ({ hash, offerSequence, lastLedgerSequence }) =>
+      markExtensionRecreateSubmitted(extension.id, { offerSequence, txHash: hash, lastLedgerSequence });
+    const out = qaEscrow.sealedPreimage
+      ? await createQAEscrow({
+          client,
+          clientWallet: ownerWallet,
+          providerAddress: qaEscrow.providerAddress,
+          amountXrp,
+          deadlineUnix: extension.newDeadlineUnix,
+          preimage: await openEscrowSecret(qaEscrow.sealedPreimage, {
+            kind: ESCROW_SECRET_KINDS.QA_ESCROW,
+            refId: qaEscrow.id,
+            purpose: "extension_recreate",
+          }),
+          memos,
+          onSigned,
+        })
+      : await createEscrow({
+          client,
+          payerWallet: ownerWallet,
+          payeeAddress: qaEscrow.providerAddress,
+          amountXrp,
+          finishAfterUnix: extension.newDeadlineUnix,
+          cancelAfterUnix: extension.newDeadlineUnix + 1,
+          condition: null,
+          memos,
+          onSigned,
+        });
+    created = {
+      txResult: out.result?.result?.meta?.TransactionResult,
+      txHash: out.result?.result?.hash,
+      offerSequence: out.offerSequence,
+    };
+    if (created.txResult !== "tesSUCCESS") return { txResult: created.txResult, txHash: created.txHash };
+  }
+  const { txResult, txHash } = created;
+
+  // Same amount and condition as the escrow it replaces; FinishAfter/CancelAfter as createQAEscrow sets them
+  await recordEscrow({
+    userId: record.user_id,
+    ownerAddress: extension.ownerAddress,
+    destinationAddress: qaEscrow.providerAddress,
+    offerSequence: created.offerSequence,
+    amountDrops: record.amount_drops,
+    amountXlusd: record.amount_xlusd,
+    xlusdPerXrp: record.xlusd_per_xrp,
+    xlusdRateSource: record.xlusd_rate_source,
+    guaranteedXlusd: record.guaranteed_xlusd,
+    xlusdGuaranteePolicy: record.xlusd_guarantee_policy,
+    condition: qaEscrow.sealedPreimage ? record.condition : null,
+    finishAfterUnix: extension.newDeadlineUnix,
+    cancelAfterUnix: extension.newDeadlineUnix + 1,
+    workflow: ESCROW_WORKFLOWS.QUALITY_ASSURANCE,
+    txHash,
+  });
+  await completeEscrowExtension(extension, { newOfferSequence: created.offerSequence, txHash });
+
+  return {
+    txResult,
+    txHash,
+    result: { cancelTxHash, newOfferSequence: created.offerSequence },
+  };
+}
+
+async function giveUpExtension(job, error) {
+  const extension = await getScheduledExtensionForEscrow(job.escrow_id);
+  if (extension) await closeEscrowExtension(extension.id, { status: EXTENSION_STATUS.FAILED, error });
+}
+
+/* ====================== CROWDFUND ====================== */
+
+/**
+ * Queue settlement for every open contribution once its campaign's deadline has passed:
+ * at the deadline if the target was met (release), otherwise at CancelAfter (refund)
+ */
+async function enqueueCrowdfundSettlements() {
+  await dbPromise.run(
+    `INSERT OR IGNORE INTO escrow_jobs (escrow_id, job_type, next_attempt_at)
+     SELECT e.id, ?,
+            CASE WHEN t.raised >= CAST(cc.target_drops AS INTEGER) THEN cc.deadline_unix ELSE cc.cancel_after END
+     FROM crowdfund_contributions c
+     JOIN crowdfund_campaigns cc ON cc.id = c.campaign_id
+     JOIN escrows e ON e.owner_address = c.owner_address AND e.offer_sequence = c.offer_sequence
+     JOIN (
+       SELECT campaign_id, SUM(CAST(amount_drops AS INTEGER)) AS raised
+       FROM crowdfund_contributions
+       GROUP BY campaign_id
+     ) t ON t.campaign_id = cc.id
+     WHERE e.status = ?
+       AND cc.deadline_unix <= ?`,
+    [ESCROW_JOB_TYPES.CROWDFUND_SETTLE, ESCROW_STATUS.OPEN, nowUnix()]
+  );
+}
+
+async function runCrowdfundSettle(client, job) {
+  const campaign = await getCrowdfundCampaignForEscrow(job.owner_address, job.offer_sequence);
+  if (!campaign) return { skip: "Crowdfund campaign not found" };
+
+  // Target met and still inside the release window (a conditional escrow can only be finished
+  // before its FinishAfter): finish with the campaign preimage
+  if (campaign.progress.targetReached && nowUnix() < Number(job.finish_after)) {
+    const projectWallet = await resolveWallet(campaign.projectAddress);
+    // Thrown rather than skipped so the job gives up into a refund instead of stranding the XRP
+    if (!projectWallet) throw new Error("No signing key available for the project address");
+
+    const out = await finishEscrow({
+      client,
+      payeeWallet: projectWallet,
+      ownerAddress: job.owner_address,
+      offerSequence: job.offer_sequence,
+      fulfillment: await openEscrowSecret(campaign.sealedPreimage, {
+        kind: ESCROW_SECRET_KINDS.CROWDFUND_CAMPAIGN,
+        refId: campaign.id,
+        purpose: "crowdfund_release",
+      }),
+    });
+    if (out.txResult !== "tesSUCCESS") {
+      return { txResult: out.txResult, txHash: out.hash };
+    }
+
+    let conversion = null;
+    if (onEscrowReleased) {
+      try {
+        conversion = await onEscrowReleased({
+          client,
+          wallet: projectWallet,
+          escrowAmountDrops: out.escrowAmountDrops || job.amount_drops,
+          ownerAddress: job.owner_address,
+          offerSequence: job.offer_sequence,
+        });
+      } catch (err) {
+        conversion = { ok: false, skipped: false, error: err.message || String(err) };
+      }
+    }
+    return {
+      txResult: out.txResult,
+      txHash: out.hash,
+      result: { action: "released", campaignId: campaign.id, conversion },
+    };
+  }
+
+  // Target missed (or the release window closed): refund the contributor
+  if (nowUnix() < campaign.cancelAfterUnix) {
+    return { defer: { until: campaign.cancelAfterUnix, reason: "Release window closed; refunding after CancelAfter" } };
+  }
+  const ownerWallet = await resolveWallet(job.owner_address);
+  if (!ownerWallet) return { skip: "No signing key available for the contributor" };
+
+  const out = await cancelEscrow({
+    client,
+    payerWallet: ownerWallet,
+    ownerAddress: job.owner_address,
+    offerSequence: job.offer_sequence,
+  });
+  return {
+    txResult: out.txResult,
+    txHash: out.hash,
+    result: { action: "refunded", campaignId: campaign.id },
+  };
+}
+
+/**
+ * A release that kept failing falls back to the refund: requeue the job for CancelAfter, when the
+ * release window has closed and the settlement cancels the contribution instead
+ */
+async function giveUpCrowdfundSettle(job, error) {
+  const cancelAfter = Number(job.cancel_after);
+  if (!cancelAfter || nowUnix() >= cancelAfter) return;
+  await dbPromise.run(
+    `UPDATE escrow_jobs
+     SET status = ?, attempts = 0, next_attempt_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [ESCROW_JOB_STATUS.PENDING, cancelAfter, `Release failed (${error}); refunding after CancelAfter`, job.id]
+  );
+}
+
+/* ====================== LOOP ====================== */
+
+const JOBS = {
+  [ESCROW_JOB_TYPES.AUTO_REFUND]: { enqueue: enqueueExpiredEscrows, run: runRefund, label: "Auto-refunded" },
+  [ESCROW_JOB_TYPES.AUTO_RELEASE]: { enqueue: enqueueReleasableEscrows, run: runRelease, label: "Auto-released" },
+  [ESCROW_JOB_TYPES.QA_RELEASE]: { enqueue: enqueueUndisputedQaEscrows, run: runQaRelease, label: "Released QA" },
+  // Runs on cancelled escrows too: a retry after the cancel went through only has to recreate
+  [ESCROW_JOB_TYPES.EXTENSION]: {
+    enqueue: enqueueScheduledExtensions,
+    run: runExtension,
+    label: "Extended",
+    onGiveUp: giveUpExtension,
+    runsAfterClose: true,
+  },
+  [ESCROW_JOB_TYPES.CROWDFUND_SETTLE]: {
+    enqueue: enqueueCrowdfundSettlements,
+    run: runCrowdfundSettle,
+    label: "Settled crowdfund",
+    onGiveUp: giveUpCrowdfundSettle,
+  },
+};
+
+async function runJob(client, job) {
+  const attempt = Number(job.attempts || 0) + 1;
+  const skip = async (reason) => {
+    await recordAttempt(job, { attempt, outcome: "skipped", error: reason });
+    await completeJob(job, { status: ESCROW_JOB_STATUS.SKIPPED, attempt, error: reason });
+  };
+
+  const { label, run, runsAfterClose } = JOBS[job.job_type];
+  if (job.escrow_status !== ESCROW_STATUS.OPEN && !runsAfterClose) {
+    return skip(`Escrow already ${job.escrow_status}`);
+  }
+
+  try {
+    const out = await run(client, job);
+    if (out.skip) return skip(out.skip);
+    // Not actionable yet: wait without using up an attempt
+    if (out.defer) {
+      await dbPromise.run(
+        `UPDATE escrow_jobs SET next_attempt_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [out.defer.until, out.defer.reason, job.id]
+      );
+      return;
+    }
+
+    if (out.txResult === "tesSUCCESS") {
+      await recordAttempt(job, { attempt, outcome: "success", txResult: out.txResult, txHash: out.txHash });
+      await completeJob(job, { status: ESCROW_JOB_STATUS.DONE, attempt, txHash: out.txHash, result: out.result });
+      console.log(`⏰ ${label} escrow ${job.owner_address}#${job.offer_sequence} (${out.txHash})`);
+      return;
+    }
+
+    const error = `Transaction failed: ${out.txResult}`;
+    await recordAttempt(job, { attempt, outcome: "failed", txResult: out.txResult, txHash: out.txHash, error });
+    await retryJob(job, { attempt, error });
+  } catch (err) {
+    const error = err.message || String(err);
+    // Finished or cancelled elsewhere; the ledger watcher updates the registry status
+    if (error.includes("not found")) {
+      return skip(error);
+    }
+    await recordAttempt(job, { attempt, outcome: "failed", error });
+    await retryJob(job, { attempt, error });
+  }
+}
+
+async function tick() {
+  if (tickInProgress) return;
+  tickInProgress = true;
+  try {
+    for (const type of enabledJobTypes) {
+      await JOBS[type].enqueue();
+    }
+
+    const placeholders = enabledJobTypes.map(() => "?").join(", ");
+    const jobs = await dbPromise.all(
+      `SELECT j.*, e.owner_address, e.destination_address, e.offer_sequence, e.amount_drops,
+              e.finish_after, e.cancel_after, e.status AS escrow_status, s.auto_refund_expired, ${REFUND_ORDERED_SQL} AS refund_ordered
+       FROM escrow_jobs j
+       JOIN escrows e ON e.id = j.escrow_id
+       LEFT JOIN user_settings s ON s.user_id = e.user_id
+       WHERE j.job_type IN (${placeholders}) AND j.status = ? AND j.next_attempt_at <= ?
+       ORDER BY j.next_attempt_at ASC
+       LIMIT ?`,
+      [...enabledJobTypes, ESCROW_JOB_STATUS.PENDING, nowUnix(), JOB_BATCH_SIZE]
+    );
+    if (jobs.length === 0) return;
+
+    const client = await getClient();
+    for (const job of jobs) {
+      await runJob(client, job);
+    }
+  } catch (err) {
+    console.warn("Escrow scheduler: tick skipped:", err.message);
+  } finally {
+    tickInProgress = false;
+  }
+}
+
+/**
+ * Start the escrow scheduler
+ * @param {Object} options
+ * @param {Function} options.resolveWallet - async (address) => xrpl.Wallet | null for accounts the server can sign for
+ * @param {boolean} [options.autoRefund=true] - cancel escrows once CancelAfter has passed
+ * @param {boolean} [options.autoRelease=true] - finish time-based escrows for custodial payees and undisputed QA escrows
+ * @param {boolean} [options.extensions=true] - cancel and recreate QA escrows with an agreed deadline extension
+ * @param {boolean} [options.crowdfunds=true] - release or refund crowdfund contributions after the campaign deadline
+ * @param {Function} [options.onEscrowReleased] - async ({client, wallet, escrowAmountDrops, ownerAddress, offerSequence})
+ *   => conversion result
+ * @param {Function} [options.getClient] - async () => XRPL client (defaults to the shared connection)
+ */
+export function startEscrowScheduler(options = {}) {
+  if (schedulerTimer) return;
+  if (typeof options.resolveWallet === "function") {
+    resolveWallet = options.resolveWallet;
+  }
+  onEscrowReleased = typeof options.onEscrowReleased === "function" ? options.onEscrowReleased : null;
+  getClient = typeof options.getClient === "function" ? options.getClient : getSharedClient;
+  enabledJobTypes = [
+    ...(options.autoRefund !== false ? [ESCROW_JOB_TYPES.AUTO_REFUND] : []),
+    ...(options.autoRelease !== false ? [ESCROW_JOB_TYPES.AUTO_RELEASE, ESCROW_JOB_TYPES.QA_RELEASE] : []),
+    ...(options.extensions !== false ? [ESCROW_JOB_TYPES.EXTENSION] : []),
+    ...(options.crowdfunds !== false ? [ESCROW_JOB_TYPES.CROWDFUND_SETTLE] : []),
+  ];
+  if (enabledJobTypes.length === 0) return;
+
+  schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref?.();
+  console.log(
+    `⏰ Escrow scheduler started (${enabledJobTypes.join(", ")}; every ${Math.round(SCHEDULER_INTERVAL_MS / 1000)}s)`
+  );
+}
+
+/**
+ * Run a tick now instead of waiting for the interval (e.g. an extension whose CancelAfter already passed)
+ */
+export async function runEscrowSchedulerNow() {
+  if (!schedulerTimer) return;
+  await tick();
+}
+
+export function stopEscrowScheduler() {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+/**
+ * Scheduler audit trail for escrows the user owns or receives
+ */
+export async function listEscrowJobAttemptsForUser({ userId, address = null, limit = 100 }) {
+  return await dbPromise.all(
+    `SELECT a.id, a.job_type, a.attempt, a.outcome, a.tx_result, a.tx_hash, a.error, a.created_at,
+            e.owner_address, e.offer_sequence, j.status AS job_status
+     FROM escrow_job_attempts a
+     JOIN escrow_jobs j ON j.id = a.job_id
+     JOIN escrows e ON e.id = a.escrow_id
+     WHERE e.user_id = ? OR e.owner_address = ? OR e.destination_address = ?
+     ORDER BY a.id DESC
+     LIMIT ?`,
+    [userId, address || "", address || "", limit]
+  );
+}
+
+/**
+ * Escrows the scheduler released to the given payee address (for history)
+ */
+export async function listAutoReleasedEscrows({ address, limit = 50 }) {
+  if (!address) return [];
+  return await dbPromise.all(
+    `SELECT j.id, j.tx_hash, j.result, j.updated_at,
+            e.owner_address, e.offer_sequence, e.amount_drops, e.amount_xlusd
+     FROM escrow_jobs j
+     JOIN escrows e ON e.id = j.escrow_id
+     WHERE j.job_type IN (?, ?) AND j.status = ? AND e.destination_address = ?
+     ORDER BY j.updated_at DESC
+     LIMIT ?`,
+    [ESCROW_JOB_TYPES.AUTO_RELEASE, ESCROW_JOB_TYPES.QA_RELEASE, ESCROW_JOB_STATUS.DONE, address, limit]
+  );
+}
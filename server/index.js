@@ -8,6 +8,155 @@ import crypto from "crypto";
 
 import db from "./db.js";
 import dbPromise from "./utils/db-promise.js";
+import {
+  saveQaEscrow,
+  getQaEscrow,
+  addQaProofSubmission,
+  setQaVerificationStatus,
+  saveQaVerificationResults,
+  startQaDisputeWindow,
+  markQaEscrowFinished,
+} from "./utils/qa-escrow-store.js";
+import {
+  openQaDispute,
+  addQaDisputeEvent,
+  getLatestQaDispute,
+  getQaDispute,
+  listQaDisputes,
+  resolveQaDispute,
+  recordQaDisputeSettlement,
+} from "./utils/qa-dispute-store.js";
+import { recordEscrow, getEscrowRecord, listEscrowRecordsForUser } from "./utils/escrow-registry.js";
+import {
+  resolveApproverAccounts,
+  createApprovalPolicy,
+  getApprovalPolicy,
+  getApprovalPolicyForEscrow,
+  listApprovalPoliciesForUser,
+  recordApproval,
+  markApprovalReleasedForEscrow,
+} from "./utils/approval-store.js";
+import {
+  saveFreelancerEscrow,
+  getFreelancerEscrow,
+  getFreelancerEscrowForEscrow,
+  markFreelancerEscrowApproved,
+  markFreelancerEscrowReleased,
+  markFulfillmentRevealed,
+} from "./utils/freelancer-escrow-store.js";
+import { getMasterEncryptionKey, openEscrowSecret, sealStoredEscrowSecrets } from "./utils/escrow-secrets.js";
+import {
+  hashTermsDocument,
+  buildTermsMemo,
+  parseTermsMemo,
+  saveTermsDocument,
+  getTermsByReference,
+  getTermsForEscrow,
+} from "./utils/terms-store.js";
+import {
+  getReservedInvitationXrp,
+  createEscrowInvitation,
+  getEscrowInvitation,
+  getPendingInvitationByToken,
+  listEscrowInvitationsForUser,
+  acceptEscrowInvitations,
+  beginInvitationFunding,
+  markInvitationSubmitted,
+  getInvitationSealedPreimage,
+  markInvitationFunded,
+  markInvitationFundingFailed,
+  listInterruptedInvitationFunding,
+  listInvitationsDueFunding,
+  cancelEscrowInvitation,
+} from "./utils/invitation-store.js";
+import {
+  createEscrowProposal,
+  getEscrowProposal,
+  listEscrowProposalsForUser,
+  counterEscrowProposal,
+  acceptEscrowProposal,
+  rejectEscrowProposal,
+  withdrawEscrowProposal,
+  beginProposalFunding,
+  markProposalFunded,
+  linkProposalQaEscrow,
+  markProposalFundingFailed,
+} from "./utils/proposal-store.js";
+import {
+  createEscrowExtension,
+  getEscrowExtension,
+  getActiveExtensionForQaEscrow,
+  listExtensionsForQaEscrow,
+  listCompletedExtensionsForUser,
+  consentToEscrowExtension,
+  declineEscrowExtension,
+} from "./utils/extension-store.js";
+import {
+  createEscrowGroup,
+  claimGroupMember,
+  markGroupMemberCreated,
+  markGroupMemberFailed,
+  abandonUncreatedGroupMembers,
+  getEscrowGroup,
+  listEscrowGroupIdsForUser,
+} from "./utils/escrow-group-store.js";
+import {
+  createCrowdfundCampaign,
+  getCrowdfundCampaign,
+  contributionEscrowWindow,
+  listCrowdfundCampaignIdsForUser,
+  recordCrowdfundContribution,
+  listCrowdfundContributions,
+} from "./utils/crowdfund-store.js";
+import {
+  getReservedBountyXlusd,
+  getBountyCustodyNetXlusd,
+  backfillBountyCustody,
+  expireStaleBounties,
+  createBounty,
+  getBounty,
+  listBountiesForUser,
+  cancelBounty,
+  countBountySubmissionsByUser,
+  addBountySubmission,
+  saveBountySubmissionResults,
+  markBountySubmissionError,
+  awardBounty,
+  linkBountyPayout,
+  listBountySubmissions,
+} from "./utils/bounty-store.js";
+import {
+  getXlusdRate,
+  getXlusdRateConfig,
+  getXlusdGuaranteeConfig,
+  getLastXlusdRateRejection,
+} from "./utils/xlusd-rate.js";
+import {
+  recordXlusdConversion,
+  updateXlusdConversion,
+  markXlusdConversionSubmitted,
+  listDueXlusdConversions,
+  listXlusdConversions,
+} from "./utils/conversion-store.js";
+import {
+  getXlusdSettlement,
+  openXlusdSettlement,
+  completeXlusdSettlement,
+  recordUnconvertedXlusdSettlement,
+  markXlusdSettlementSubmitted,
+  listDueXlusdSettlements,
+  claimXlusdSettlementRetry,
+  listXlusdSettlements,
+} from "./utils/settlement-store.js";
+import {
+  createMilestoneContract,
+  markMilestoneCreated,
+  markMilestoneFailed,
+  prepareMilestoneEscrow,
+  getContractMilestone,
+  getMilestoneContract,
+  listMilestoneContractIdsForUser,
+} from "./utils/milestone-contract-store.js";
 import {
   getClient,
   createEscrow,
@@ -15,11 +164,26 @@ import {
   cancelEscrow,
   generateConditionPair,
   createCondition,
+  createFulfillment,
   validatePreimage,
+  xrpToDrops,
   createFreelancerEscrow,
   createQAEscrow,
+  getAccountEscrows,
+  getEscrowCreateInfo,
+  getEscrowActionWindow,
+  getEscrowFundingQuote,
+  getTransactionMemos,
+  lookupSubmittedTx,
 } from "./xrpl.js";
 import AIChecker from "./ai-checker.js";
+import { startLedgerWatcher } from "./ledger-watcher.js";
+import {
+  startEscrowScheduler,
+  runEscrowSchedulerNow,
+  listEscrowJobAttemptsForUser,
+  listAutoReleasedEscrows,
+} from "./escrow-scheduler.js";
 import {
   isValidXRPLAddress,
   isValidXRPLSeed,
@@ -39,6 +203,23 @@ import {
   WITHDRAWAL_METHODS,
   PAYMENT_STATUS,
   WITHDRAWAL_STATUS,
+  ESCROW_STATUS,
+  ESCROW_WORKFLOWS,
+  MILESTONE_STATUS,
+  DISPUTE_STATUS,
+  DISPUTE_RESOLUTION,
+  APPROVAL_STATUS,
+  FREELANCER_ESCROW_STATUS,
+  ESCROW_SECRET_KINDS,
+  TERMS_MEMO,
+  INVITATION_STATUS,
+  PROPOSAL_STATUS,
+  EXTENSION_STATUS,
+  GROUP_MEMBER_STATUS,
+  BOUNTY_STATUS,
+  XLUSD_CONVERSION_STATUS,
+  XLUSD_GUARANTEE_POLICIES,
+  XLUSD_SETTLEMENT_STATUS,
   CORS_ALLOWED_ORIGINS,
   CORS_DEV_PATTERNS,
 } from "./utils/constants.js";
@@ -173,7 +354,91 @@ function parseDeliveredXlusd(delivered) {
   return null;
 }
 
-async function convertEscrowXrpToXlusd({ client, wallet, issuer, escrowAmountDrops }) {
+// IOU amounts carry at most 15 significant digits
+function toXlusdValue(amount) {
+  return String(Number(amount.toPrecision(15)));
+}
+
+// Most XLUSD SendMax XRP can buy right now (order books and AMM), via a "deliver as much as possible" path find
+async function quoteXrpToXlusd({ client, wallet, issuer, sendMaxDrops }) {
+  const resp = await client.request({
+    command: "ripple_path_find",
+    source_account: wallet.classicAddress,
+    destination_account: wallet.classicAddress,
+    destination_amount: { currency: XLUSD_CURRENCY, issuer, value: "-1" },
+    send_max: sendMaxDrops.toString(),
+  });
+
+  let best = null;
+  for (const alt of resp.result?.alternatives || []) {
+    const xlusd = Number(alt.destination_amount?.value);
+    if (Number.isFinite(xlusd) && xlusd > 0 && (!best || xlusd > best.expectedXlusd)) {
+      best = { expectedXlusd: xlusd, paths: alt.paths_computed || [] };
+    }
+  }
+  return best;
+}
+
+// XRP the wallet actually spent on the conversion (its balance change, less the fee)
+function spentXrpFromMeta(result, address) {
+  const meta = result.result?.meta;
+  const fee = result.result?.tx_json?.Fee ?? result.result?.Fee;
+  if (!meta || typeof meta !== "object" || fee === undefined) return null;
+  const xrpChange = xrpl
+    .getBalanceChanges(meta)
+    .find((c) => c.account === address)
+    ?.balances.find((b) => b.currency === "XRP");
+  if (!xrpChange) return null;
+  return -Number(xrpChange.value) - Number(xrpl.dropsToXrp(String(fee)));
+}
+
+// Payment results that mean the book could not fill the quote within DeliverMin; worth retrying later
+const XLUSD_LIQUIDITY_TX_RESULTS = ["tecPATH_PARTIAL", "tecPATH_DRY"];
+
+// Outcome of a validated conversion payment (from submitAndWait, or a later lookup by hash)
+function completedXlusdConversion(result, { address, bounds, fallbackSpentXrp }) {
+  const meta = result.result?.meta;
+  const delivered = meta?.delivered_amount || meta?.DeliveredAmount || null;
+  const deliveredXlusd = parseDeliveredXlusd(delivered);
+  const spentXrp = spentXrpFromMeta(result, address) ?? fallbackSpentXrp;
+  const actualXlusdPerXrp = deliveredXlusd !== null && spentXrp > 0 ? deliveredXlusd / spentXrp : null;
+
+  return {
+    ok: true,
+    txHash: result.result?.hash,
+    txResult: meta?.TransactionResult,
+    spentXrp,
+    ...bounds,
+    deliveredXlusd,
+    actualXlusdPerXrp,
+    // Positive when the fill was worse than the quote
+    slippagePercent:
+      actualXlusdPerXrp !== null && bounds.expectedXlusdPerXrp
+        ? Number(((1 - actualXlusdPerXrp / bounds.expectedXlusdPerXrp) * 100).toFixed(4))
+        : null,
+  };
+}
+
+/**
+ * Convert released XRP to XLUSD with a self-payment bounded by a quote:
+ * - quote the XLUSD SendMax buys with ripple_path_find
+ * - defer (retry later) when there is no path, or the quote is more than the max slippage below a live mid rate
+ * - submit with DeliverMin = quote less the max slippage, so a worse fill fails instead of going through
+ * - a submit that throws may still apply: it is returned `unconfirmed` with its hash, to be looked up, never resent
+ * @param {boolean} [params.requireFullAmount=false] - a retry converts the amount first set aside for it or
+ *   nothing, rather than whatever XRP the wallet holds by then
+ * @param {Function} [params.onSigned] - async ({ txHash, lastLedgerSequence }) => {}, awaited before submitting
+ */
+async function submitXlusdConversion({
+  client,
+  wallet,
+  issuer,
+  escrowAmountDrops,
+  referenceRate,
+  maxSlippagePercent,
+  requireFullAmount = false,
+  onSigned = null,
+}) {
   if (!escrowAmountDrops) {
     return { ok: false, skipped: true, reason: "Unknown escrow amount" };
   }
@@ -196,59 +461,556 @@ async function convertEscrowXrpToXlusd({ client, wallet, issuer, escrowAmountDro
   if (maxSpendDrops <= 0n) {
     return { ok: false, skipped: true, reason: "Insufficient XRP to convert (reserve buffer)" };
   }
+  if (requireFullAmount && maxSpendDrops < escrowDrops) {
+    return { ok: false, skipped: true, reason: "The released XRP is no longer in the wallet; not converting other funds" };
+  }
 
   await ensureXlusdTrustline({ client, wallet, issuer });
 
-  // Convert by making a self-payment that requests XLUSD and spends up to SendMax XRP.
-  // This uses rippled pathfinding + orderbook offers. Not guaranteed to fill (depends on liquidity).
+  const maxSpendXrp = Number(xrpl.dropsToXrp(maxSpendDrops.toString()));
+  const sendMaxDrops = maxSpendDrops.toString();
+  const quote = await quoteXrpToXlusd({ client, wallet, issuer, sendMaxDrops: maxSpendDrops });
+  if (!quote) {
+    return { ok: false, skipped: false, deferred: true, sendMaxDrops, reason: "No XRP -> XLUSD liquidity" };
+  }
+
+  const slippage = maxSlippagePercent / 100;
+  const expectedXlusdPerXrp = quote.expectedXlusd / maxSpendXrp;
+  const deliverMinXlusd = Math.floor(quote.expectedXlusd * (1 - slippage) * 1e6) / 1e6;
+  const bounds = {
+    sendMaxDrops,
+    expectedXlusd: quote.expectedXlusd,
+    deliverMinXlusd,
+    expectedXlusdPerXrp,
+    maxSlippagePercent,
+  };
+
+  // A thin book quotes far below the mid for the full amount; wait for depth rather than sell into it
+  const liveReference = ["book", "amm", "book+amm"].includes(referenceRate?.source);
+  if (liveReference && expectedXlusdPerXrp < referenceRate.xlusdPerXrp * (1 - slippage)) {
+    const belowPercent = (1 - expectedXlusdPerXrp / referenceRate.xlusdPerXrp) * 100;
+    return {
+      ok: false,
+      skipped: false,
+      deferred: true,
+      ...bounds,
+      reason: `Quote ${expectedXlusdPerXrp.toFixed(6)} XLUSD/XRP is ${belowPercent.toFixed(2)}% below the mid rate`,
+    };
+  }
+  if (deliverMinXlusd <= 0) {
+    return { ok: false, skipped: true, ...bounds, reason: "Amount too small to convert" };
+  }
+
   const tx = {
     TransactionType: "Payment",
     Account: wallet.classicAddress,
     Destination: wallet.classicAddress,
-    Amount: {
-      currency: XLUSD_CURRENCY,
-      issuer,
-      value: "1000000000", // very large; actual delivered is limited by SendMax + liquidity
-    },
-    SendMax: maxSpendDrops.toString(), // XRP drops
-    Flags: xrpl.PaymentFlags.tfPartialPayment,
+    Amount: { currency: XLUSD_CURRENCY, issuer, value: toXlusdValue(quote.expectedXlusd) },
+    DeliverMin: { currency: XLUSD_CURRENCY, issuer, value: toXlusdValue(deliverMinXlusd) },
+    SendMax: sendMaxDrops, // XRP drops
+    Flags: xrpl.PaymentFlags.tfPartialPayment, // required for DeliverMin
   };
+  if (quote.paths.length > 0) tx.Paths = quote.paths;
 
   const prepared = await client.autofill(tx);
   const signed = wallet.sign(prepared);
-  const result = await client.submitAndWait(signed.tx_blob);
+  const submitted = { txHash: signed.hash, lastLedgerSequence: prepared.LastLedgerSequence };
+  if (onSigned) await onSigned(submitted);
+
+  let result;
+  try {
+    result = await client.submitAndWait(signed.tx_blob);
+  } catch (err) {
+    return {
+      ok: false,
+      skipped: false,
+      deferred: true,
+      unconfirmed: true,
+      ...submitted,
+      ...bounds,
+      error: `Submit result unknown: ${err.message || String(err)}`,
+    };
+  }
   const txResult = result.result?.meta?.TransactionResult;
 
   if (txResult !== "tesSUCCESS") {
     return {
       ok: false,
       skipped: false,
+      deferred: XLUSD_LIQUIDITY_TX_RESULTS.includes(txResult),
       txResult,
       txHash: result.result?.hash,
+      ...bounds,
       error: result.result?.engine_result_message || `Conversion failed: ${txResult}`,
     };
   }
 
-  const meta = result.result?.meta;
-  const delivered = meta?.delivered_amount || meta?.DeliveredAmount || null;
-  const deliveredXlusd = parseDeliveredXlusd(delivered);
+  return completedXlusdConversion(result, {
+    address: wallet.classicAddress,
+    bounds,
+    fallbackSpentXrp: maxSpendXrp,
+  });
+}
+
+// Deferred conversions are retried with backoff (2m, 4m, 8m, 16m: about half an hour in all) and then given
+// up, so a late retry never sells XRP the user has had time to spend or receive since the release
+const XLUSD_CONVERSION_MAX_ATTEMPTS = 5;
+const XLUSD_CONVERSION_RETRY_BASE_SECONDS = 2 * 60;
+const XLUSD_CONVERSION_RETRY_MAX_SECONDS = 30 * 60;
+const XLUSD_CONVERSION_RETRY_INTERVAL_MS = 60 * 1000;
+let conversionRetryInProgress = false;
+
+// Row fields for a conversion attempt; a deferral on the last attempt is recorded as failed, except a
+// payment whose outcome is unknown: it stays deferred until a lookup by hash settles it
+function conversionAttemptFields(conversion, { rate, attempts }) {
+  let status = conversion.ok
+    ? XLUSD_CONVERSION_STATUS.COMPLETED
+    : conversion.skipped
+      ? XLUSD_CONVERSION_STATUS.SKIPPED
+      : conversion.deferred
+        ? XLUSD_CONVERSION_STATUS.DEFERRED
+        : XLUSD_CONVERSION_STATUS.FAILED;
+  let error = conversion.error || conversion.reason || null;
+  if (status === XLUSD_CONVERSION_STATUS.DEFERRED && !conversion.unconfirmed && attempts >= XLUSD_CONVERSION_MAX_ATTEMPTS) {
+    status = XLUSD_CONVERSION_STATUS.FAILED;
+    error = `${error} (gave up after ${attempts} attempts)`;
+  }
+  const delay = conversion.unconfirmed
+    ? XLUSD_CONVERSION_RETRY_BASE_SECONDS
+    : Math.min(XLUSD_CONVERSION_RETRY_BASE_SECONDS * 2 ** (attempts - 1), XLUSD_CONVERSION_RETRY_MAX_SECONDS);
 
   return {
-    ok: true,
-    txHash: result.result?.hash,
-    txResult,
-    spentXrp: Number(xrpl.dropsToXrp(maxSpendDrops.toString())),
-    deliveredXlusd,
+    sendMaxDrops: conversion.sendMaxDrops || null,
+    deliveredXlusd: conversion.deliveredXlusd ?? null,
+    rate,
+    expectedXlusd: conversion.expectedXlusd ?? null,
+    deliverMinXlusd: conversion.deliverMinXlusd ?? null,
+    expectedXlusdPerXrp: conversion.expectedXlusdPerXrp ?? null,
+    actualXlusdPerXrp: conversion.actualXlusdPerXrp ?? null,
+    status,
+    nextAttemptAt: Math.floor(Date.now() / 1000) + delay,
+    txHash: conversion.txHash || null,
+    lastLedgerSequence: conversion.unconfirmed ? conversion.lastLedgerSequence : null,
+    error,
+  };
+}
+
+function getXlusdTreasuryWallet() {
+  const seed = normalizeSeed(process.env.XLUSD_TREASURY_SEED);
+  return seed ? xrpl.Wallet.fromSeed(seed) : null;
+}
+
+// Failed adjustments are retried with backoff (2m, 4m, 8m, 16m); a settlement still pending after
+// XLUSD_SETTLEMENT_PENDING_SECONDS (process stopped mid-payment) is taken over by the retry pass
+const XLUSD_SETTLEMENT_MAX_ATTEMPTS = 5;
+const XLUSD_SETTLEMENT_RETRY_BASE_SECONDS = 2 * 60;
+const XLUSD_SETTLEMENT_PENDING_SECONDS = 10 * 60;
+const XLUSD_SETTLEMENT_RETRY_INTERVAL_MS = 60 * 1000;
+let settlementRetryInProgress = false;
+
+// When the retry pass next looks at a settlement after an attempt (null: done, or out of attempts)
+function settlementNextAttemptAt(outcome, attempts) {
+  const now = Math.floor(Date.now() / 1000);
+  if (outcome.status === XLUSD_SETTLEMENT_STATUS.PENDING) return now + XLUSD_SETTLEMENT_RETRY_BASE_SECONDS;
+  if (outcome.status === XLUSD_SETTLEMENT_STATUS.FAILED && attempts < XLUSD_SETTLEMENT_MAX_ATTEMPTS) {
+    return now + XLUSD_SETTLEMENT_RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+  }
+  return null;
+}
+
+/**
+ * Pay a settlement's adjustment: a top-up from the treasury to the payee, or a reclaim from the payee's
+ * wallet back to the treasury. The signed payment is recorded before it is submitted; one whose submit
+ * result is unknown leaves the settlement pending, to be looked up by hash rather than paid again.
+ * @param {Object|null} params.wallet - the payee's signing wallet (only needed for a reclaim)
+ * @returns {Promise<Object>} outcome for completeXlusdSettlement
+ */
+async function payXlusdSettlement({ client, issuer, settlement, wallet }) {
+  const adjustmentXlusd = settlement.adjustmentXlusd;
+  if (adjustmentXlusd === 0) return { status: XLUSD_SETTLEMENT_STATUS.COMPLETED };
+
+  const treasury = getXlusdTreasuryWallet();
+  if (!treasury) {
+    return { status: XLUSD_SETTLEMENT_STATUS.FAILED, error: "XLUSD_TREASURY_SEED is not configured" };
+  }
+  const topUp = adjustmentXlusd > 0;
+  const payer = topUp ? treasury : wallet;
+  if (!payer) {
+    return { status: XLUSD_SETTLEMENT_STATUS.FAILED, error: "No signing key available for the payee's wallet" };
+  }
+
+  const escrowRef = `${settlement.ownerAddress}#${settlement.offerSequence}`;
+  const memo = `XLUSD guarantee ${topUp ? "top-up" : "reclaim"} for escrow ${escrowRef}`;
+  const prepared = await client.autofill({
+    TransactionType: "Payment",
+    Account: payer.classicAddress,
+    Destination: topUp ? settlement.destinationAddress : treasury.classicAddress,
+    Amount: { currency: XLUSD_CURRENCY, issuer, value: toDecimalString(Math.abs(adjustmentXlusd), 6) },
+    Memos: [{ Memo: { MemoData: Buffer.from(memo, "utf8").toString("hex").toUpperCase() } }],
+  });
+  const signed = payer.sign(prepared);
+  await markXlusdSettlementSubmitted(settlement.id, {
+    txHash: signed.hash,
+    lastLedgerSequence: prepared.LastLedgerSequence,
+  });
+
+  let result;
+  try {
+    result = await client.submitAndWait(signed.tx_blob);
+  } catch (err) {
+    return {
+      status: XLUSD_SETTLEMENT_STATUS.PENDING,
+      txHash: signed.hash,
+      error: `Submit result unknown: ${err.message || String(err)}`,
+    };
+  }
+  const txResult = result.result?.meta?.TransactionResult;
+  return txResult === "tesSUCCESS"
+    ? { status: XLUSD_SETTLEMENT_STATUS.COMPLETED, txHash: result.result?.hash }
+    : {
+        status: XLUSD_SETTLEMENT_STATUS.FAILED,
+        txHash: result.result?.hash || null,
+        error: result.result?.engine_result_message || `Settlement failed: ${txResult}`,
+      };
+}
+
+// Pay the adjustment and store the outcome, scheduling a retry when it failed or is unconfirmed
+async function runXlusdSettlementPayment({ client, issuer, settlement, wallet }) {
+  let outcome;
+  try {
+    outcome = await payXlusdSettlement({ client, issuer, settlement, wallet });
+  } catch (err) {
+    outcome = { status: XLUSD_SETTLEMENT_STATUS.FAILED, error: err.message || String(err) };
+  }
+  await completeXlusdSettlement(settlement.id, {
+    ...outcome,
+    nextAttemptAt: settlementNextAttemptAt(outcome, settlement.attempts),
+  });
+  if (outcome.status === XLUSD_SETTLEMENT_STATUS.FAILED) {
+    console.warn(`XLUSD guarantee settlement ${settlement.id} failed: ${outcome.error}`);
+  }
+  return outcome;
+}
+
+/**
+ * XLUSD value guarantee: once a guaranteed escrow's release has been converted, settle the difference from
+ * the promised XLUSD with the treasury wallet - a top-up for a shortfall (capped at
+ * XLUSD_GUARANTEE_MAX_TOPUP_PERCENT) and, under 'topup_and_reclaim', a reclaim of a surplus (capped at
+ * XLUSD_GUARANTEE_MAX_RECLAIM_PERCENT). Differences within XLUSD_GUARANTEE_TOLERANCE_PERCENT are recorded
+ * without a payment.
+ * @returns {Promise<Object|null>} the settlement, or null if the escrow carries no guarantee
+ */
+async function settleXlusdGuarantee({ client, wallet, issuer, escrow, conversion, conversionId }) {
+  const record = await getEscrowRecord(escrow.ownerAddress, escrow.offerSequence);
+  if (!record?.guaranteed_xlusd || !conversion.ok || conversion.deliveredXlusd === null) return null;
+
+  // Only the converted share of the release is owed (the reserve buffer can hold part of it back)
+  const share = Math.min(1, Number(conversion.sendMaxDrops) / Number(record.amount_drops));
+  const promisedXlusd = Number(record.guaranteed_xlusd);
+  const expectedXlusd = Number((promisedXlusd * share).toFixed(6));
+  const difference = expectedXlusd - conversion.deliveredXlusd; // > 0: shortfall, < 0: surplus
+
+  let adjustmentXlusd = 0;
+  if (Math.abs(difference) > (expectedXlusd * XLUSD_GUARANTEE_TOLERANCE_PERCENT) / 100) {
+    if (difference > 0) {
+      adjustmentXlusd = Math.min(difference, (expectedXlusd * XLUSD_GUARANTEE_MAX_TOPUP_PERCENT) / 100);
+    } else if (record.xlusd_guarantee_policy === XLUSD_GUARANTEE_POLICIES.TOPUP_AND_RECLAIM) {
+      adjustmentXlusd = Math.max(difference, -(expectedXlusd * XLUSD_GUARANTEE_MAX_RECLAIM_PERCENT) / 100);
+    }
+  }
+  adjustmentXlusd = Number(adjustmentXlusd.toFixed(6));
+
+  const settlement = await openXlusdSettlement({
+    escrowId: record.id,
+    ownerAddress: record.owner_address,
+    offerSequence: record.offer_sequence,
+    destinationAddress: wallet.classicAddress,
+    conversionId,
+    policy: record.xlusd_guarantee_policy,
+    promisedXlusd,
+    expectedXlusd,
+    deliveredXlusd: conversion.deliveredXlusd,
+    adjustmentXlusd,
+    treasuryAddress: getXlusdTreasuryWallet()?.classicAddress || null,
+    nextAttemptAt: Math.floor(Date.now() / 1000) + XLUSD_SETTLEMENT_PENDING_SECONDS,
+  });
+  // Already settled (or being settled) by an earlier conversion of this release
+  if (!settlement) return await getXlusdSettlement(record.owner_address, record.offer_sequence);
+
+  await runXlusdSettlementPayment({ client, issuer, settlement, wallet });
+  return await getXlusdSettlement(record.owner_address, record.offer_sequence);
+}
+
+// Settle the guarantee of a converted release; a settlement error never fails the release itself
+async function settleXlusdGuaranteeSafely(params) {
+  try {
+    return await settleXlusdGuarantee(params);
+  } catch (err) {
+    console.error("XLUSD guarantee settlement error:", err);
+    return null;
+  }
+}
+
+/**
+ * A guaranteed escrow whose release will not be converted (AUTO_CONVERT_TO_XLUSD=false, or the conversion
+ * failed or gave up) is recorded as a failed settlement, so the unmet promise is visible in the ledger.
+ * Never throws.
+ * @returns {Promise<Object|null>} the settlement, or null if the escrow carries no guarantee
+ */
+async function recordUnconvertedXlusdGuarantee({ escrow, destinationAddress, conversionId = null, reason }) {
+  try {
+    const record = await getEscrowRecord(escrow.ownerAddress, escrow.offerSequence);
+    if (!record?.guaranteed_xlusd) return null;
+    const settlement = await recordUnconvertedXlusdSettlement({
+      escrowId: record.id,
+      ownerAddress: record.owner_address,
+      offerSequence: record.offer_sequence,
+      destinationAddress,
+      conversionId,
+      policy: record.xlusd_guarantee_policy,
+      promisedXlusd: Number(record.guaranteed_xlusd),
+      error: `Release not converted to XLUSD: ${reason}`,
+    });
+    console.warn(`XLUSD guarantee for escrow ${record.owner_address}#${record.offer_sequence} unsettled: ${reason}`);
+    return settlement;
+  } catch (err) {
+    console.error("Failed to record unconverted XLUSD guarantee:", err);
+    return null;
+  }
+}
+
+// Retry failed guarantee adjustments and take over ones left pending; an unconfirmed payment is looked up
+// by hash first and only paid again once it has expired
+async function retryXlusdSettlements() {
+  if (settlementRetryInProgress) return;
+  settlementRetryInProgress = true;
+  try {
+    const due = await listDueXlusdSettlements();
+    if (due.length === 0) return;
+
+    const client = await getClient();
+    const issuer = process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER;
+    for (const settlement of due) {
+      try {
+        if (settlement.txHash && settlement.lastLedgerSequence) {
+          const submitted = await lookupSubmittedTx({
+            client,
+            hash: settlement.txHash,
+            lastLedgerSequence: settlement.lastLedgerSequence,
+          });
+          if (submitted.state === "pending") continue;
+          if (submitted.state === "success") {
+            await completeXlusdSettlement(settlement.id, {
+              status: XLUSD_SETTLEMENT_STATUS.COMPLETED,
+              txHash: settlement.txHash,
+            });
+            continue;
+          }
+        }
+        if (settlement.attempts >= XLUSD_SETTLEMENT_MAX_ATTEMPTS) {
+          // Last attempt was left unconfirmed and has now expired
+          await completeXlusdSettlement(settlement.id, {
+            status: XLUSD_SETTLEMENT_STATUS.FAILED,
+            error: `Adjustment not paid after ${settlement.attempts} attempts`,
+          });
+          continue;
+        }
+
+        const claimed = await claimXlusdSettlementRetry(settlement, {
+          nextAttemptAt: Math.floor(Date.now() / 1000) + XLUSD_SETTLEMENT_PENDING_SECONDS,
+        });
+        if (!claimed) continue;
+        const wallet = settlement.adjustmentXlusd < 0 ? await resolveSigningWallet(settlement.destinationAddress) : null;
+        const outcome = await runXlusdSettlementPayment({
+          client,
+          issuer,
+          settlement: { ...settlement, attempts: settlement.attempts + 1 },
+          wallet,
+        });
+        if (outcome.status === XLUSD_SETTLEMENT_STATUS.COMPLETED) {
+          console.log(`🛡️ Settled XLUSD guarantee ${settlement.id} on retry`);
+        }
+      } catch (err) {
+        console.warn(`XLUSD guarantee settlement ${settlement.id}: retry skipped:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.warn("XLUSD guarantee settlements: retry skipped:", err.message);
+  } finally {
+    settlementRetryInProgress = false;
+  }
+}
+
+// Convert released XRP to XLUSD and record the attempt with the rate quoted at the time. With the
+// released escrow ({ ownerAddress, offerSequence }), its XLUSD value guarantee is settled afterwards.
+async function convertEscrowXrpToXlusd({ client, wallet, issuer, escrowAmountDrops, escrow = null }) {
+  const rate = await getXlusdRate();
+  const { maxSlippagePercent } = getXlusdRateConfig();
+  const record = (conversion) => {
+    const fields = conversionAttemptFields(conversion, { rate, attempts: 1 });
+    return recordXlusdConversion({
+      walletAddress: wallet.classicAddress,
+      ownerAddress: escrow?.ownerAddress ?? null,
+      offerSequence: escrow?.offerSequence ?? null,
+      escrowAmountDrops,
+      ...fields,
+    })
+      .then((conversionId) => ({ conversionId, fields }))
+      .catch((err) => {
+        console.error("Failed to record XLUSD conversion:", err);
+        return { conversionId: null, fields };
+      });
+  };
+
+  let conversion;
+  try {
+    conversion = await submitXlusdConversion({
+      client,
+      wallet,
+      issuer,
+      escrowAmountDrops,
+      referenceRate: rate,
+      maxSlippagePercent,
+    });
+  } catch (err) {
+    const { conversionId } = await record({ ok: false, skipped: false, error: err.message || String(err) });
+    if (escrow) {
+      await recordUnconvertedXlusdGuarantee({
+        escrow,
+        destinationAddress: wallet.classicAddress,
+        conversionId,
+        reason: err.message || String(err),
+      });
+    }
+    throw err;
+  }
+  const { conversionId, fields } = await record(conversion);
+  let guarantee = null;
+  if (escrow && conversion.ok) {
+    guarantee = await settleXlusdGuaranteeSafely({ client, wallet, issuer, escrow, conversion, conversionId });
+  } else if (escrow && fields.status !== XLUSD_CONVERSION_STATUS.DEFERRED) {
+    guarantee = await recordUnconvertedXlusdGuarantee({
+      escrow,
+      destinationAddress: wallet.classicAddress,
+      conversionId,
+      reason: fields.error,
+    });
+  }
+  return {
+    ...conversion,
+    conversionId,
+    xlusdPerXrp: rate.xlusdPerXrp,
+    rateSource: rate.source,
+    ...(conversion.deferred ? { retryAt: new Date(fields.nextAttemptAt * 1000).toISOString() } : {}),
+    ...(guarantee ? { guarantee } : {}),
   };
 }
 
+// Retry conversions that were deferred for lack of liquidity (started with the server when auto-convert is on)
+async function retryDeferredXlusdConversions() {
+  if (conversionRetryInProgress) return;
+  conversionRetryInProgress = true;
+  try {
+    const due = await listDueXlusdConversions();
+    if (due.length === 0) return;
+
+    const client = await getClient();
+    const issuer = process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER;
+    const rate = await getXlusdRate();
+    const { maxSlippagePercent } = getXlusdRateConfig();
+    for (const row of due) {
+      const attempts = row.attempts + 1;
+      const wallet = await resolveSigningWallet(row.walletAddress);
+      let conversion = null;
+
+      // A payment already submitted for this conversion is settled by its hash before anything is resent
+      if (row.txHash && row.lastLedgerSequence) {
+        const submitted = await lookupSubmittedTx({
+          client,
+          hash: row.txHash,
+          lastLedgerSequence: row.lastLedgerSequence,
+        });
+        if (submitted.state === "pending") continue;
+        if (submitted.state === "success") {
+          conversion = completedXlusdConversion(
+            { result: submitted.result },
+            {
+              address: row.walletAddress,
+              bounds: {
+                sendMaxDrops: row.sendMaxDrops,
+                expectedXlusd: row.expectedXlusd,
+                deliverMinXlusd: row.deliverMinXlusd,
+                expectedXlusdPerXrp: row.expectedXlusdPerXrp,
+                maxSlippagePercent,
+              },
+              fallbackSpentXrp: Number(xrpl.dropsToXrp(String(row.sendMaxDrops))),
+            }
+          );
+        }
+      }
+
+      if (conversion) {
+        // settled by the lookup above
+      } else if (!wallet) {
+        conversion = { ok: false, skipped: true, reason: "No signing key available for the wallet" };
+      } else {
+        try {
+          conversion = await submitXlusdConversion({
+            client,
+            wallet,
+            issuer,
+            // Only the XRP set aside by the first attempt, so other funds are never converted
+            escrowAmountDrops: row.sendMaxDrops || row.escrowAmountDrops,
+            referenceRate: rate,
+            maxSlippagePercent,
+            requireFullAmount: !!row.sendMaxDrops,
+            onSigned: (submitted) => markXlusdConversionSubmitted(row.id, submitted),
+          });
+        } catch (err) {
+          // Failed before anything was signed (ledger unreachable or similar): keep the conversion queued
+          conversion = { ok: false, skipped: false, deferred: true, error: err.message || String(err) };
+        }
+      }
+
+      const fields = conversionAttemptFields(conversion, { rate, attempts });
+      await updateXlusdConversion(row.id, { attempts, ...fields });
+      if (!conversion.ok && fields.status !== XLUSD_CONVERSION_STATUS.DEFERRED && row.ownerAddress) {
+        await recordUnconvertedXlusdGuarantee({
+          escrow: { ownerAddress: row.ownerAddress, offerSequence: row.offerSequence },
+          destinationAddress: row.walletAddress,
+          conversionId: row.id,
+          reason: fields.error,
+        });
+      }
+      if (conversion.ok) {
+        console.log(`💱 Converted deferred XRP to ${conversion.deliveredXlusd} XLUSD for ${row.walletAddress}`);
+        if (row.ownerAddress && wallet) {
+          await settleXlusdGuaranteeSafely({
+            client,
+            wallet,
+            issuer,
+            escrow: { ownerAddress: row.ownerAddress, offerSequence: row.offerSequence },
+            conversion,
+            conversionId: row.id,
+          });
+        }
+      }
+    }
+  } catch (err) {
+    console.warn("Deferred XLUSD conversions: retry skipped:", err.message);
+  } finally {
+    conversionRetryInProgress = false;
+  }
+}
+
 async function getSimulatedXlusdBalance(userId) {
   // Simulated XLUSD balance is tracked in DB:
   // purchases (payments completed)
   // - withdrawals (completed/processing)
   // - outgoing simulated transfers
   // + incoming simulated transfers
-  const [purchaseRow, withdrawalRow, outRow, inRow] = await Promise.all([
+  // +/- bounty custody (rewards held for open bounties, released back or won; see bounty_custody_entries)
+  const [purchaseRow, withdrawalRow, outRow, inRow, bountyCustody] = await Promise.all([
     dbPromise.get(
       `SELECT COALESCE(SUM(amount_xlusd), 0) as total_purchases
        FROM payments
@@ -273,13 +1035,25 @@ async function getSimulatedXlusdBalance(userId) {
        WHERE to_user_id = ? AND currency = ? AND status = ? AND tx_hash LIKE 'sim_xlusd_%'`,
       [userId, XLUSD_CURRENCY, PAYMENT_STATUS.COMPLETED]
     ),
+    getBountyCustodyNetXlusd(userId),
   ]);
 
   const purchases = Number(purchaseRow?.total_purchases || 0);
   const withdrawals = Number(withdrawalRow?.total_withdrawals || 0);
   const outTransfers = Number(outRow?.total_out || 0);
   const inTransfers = Number(inRow?.total_in || 0);
-  return Math.max(0, purchases - withdrawals - outTransfers + inTransfers);
+  return Math.max(0, purchases - withdrawals - outTransfers + inTransfers + bountyCustody);
+}
+
+// Check the simulated XLUSD balance and record a debit against it in one transaction, so two debits
+// cannot both spend the same XLUSD. `debit` only runs when the balance covers the amount.
+// Returns { ok: false, balance } or { ok: true, result } (what `debit` returned).
+async function withSimulatedXlusdDebit(userId, amountXlusd, debit) {
+  return await dbPromise.transaction(async () => {
+    const balance = await getSimulatedXlusdBalance(userId);
+    if (balance < amountXlusd) return { ok: false, balance };
+    return { ok: true, result: await debit() };
+  });
 }
 
 dotenv.config();
@@ -295,12 +1069,59 @@ function isValidUrl(url) {
   }
 }
 
-// XLUSD <-> XRP conversion (fixed rate for now)
-// Interpretation: 2.12 XLUSD per 1 XRP  =>  xrp = xlusd / 2.12
-const XLUSD_PER_XRP = Number(process.env.XLUSD_PER_XRP || "2.12");
-if (!Number.isFinite(XLUSD_PER_XRP) || XLUSD_PER_XRP <= 0) {
-  throw new Error("Invalid XLUSD_PER_XRP. Must be a positive number.");
+// XLUSD <-> XRP conversion: live rate from utils/xlusd-rate.js (order book / AMM, override, fallback)
+// Interpretation: N XLUSD per 1 XRP  =>  xrp = xlusd / N
+getXlusdRateConfig(); // fail fast on an invalid XLUSD_PER_XRP / XLUSD_RATE_* / XLUSD_MAX_SLIPPAGE_PERCENT setting
+
+// XLUSD value guarantee (opt in per escrow with guaranteeXlusd): 'off' | 'topup' | 'topup_and_reclaim'.
+// The treasury (XLUSD_TREASURY_SEED) settles the difference after the release is converted.
+const {
+  policy: XLUSD_GUARANTEE_POLICY,
+  tolerancePercent: XLUSD_GUARANTEE_TOLERANCE_PERCENT,
+  maxTopupPercent: XLUSD_GUARANTEE_MAX_TOPUP_PERCENT,
+  maxReclaimPercent: XLUSD_GUARANTEE_MAX_RECLAIM_PERCENT,
+} = getXlusdGuaranteeConfig();
+if (XLUSD_GUARANTEE_POLICY !== XLUSD_GUARANTEE_POLICIES.OFF && !getXlusdTreasuryWallet()) {
+  throw new Error(`XLUSD_GUARANTEE_POLICY=${XLUSD_GUARANTEE_POLICY} needs XLUSD_TREASURY_SEED to settle guarantees`);
+}
+
+// Promise recorded on an escrow created with guaranteeXlusd, or { error }
+function parseXlusdGuarantee({ guaranteeXlusd, amountXlusd }) {
+  if (guaranteeXlusd !== true && guaranteeXlusd !== "true") {
+    return { guaranteedXlusd: null, xlusdGuaranteePolicy: null };
+  }
+  if (XLUSD_GUARANTEE_POLICY === XLUSD_GUARANTEE_POLICIES.OFF) {
+    return { error: "XLUSD value guarantees are not enabled on this server" };
+  }
+  if (amountXlusd === undefined || amountXlusd === null) {
+    return { error: "A value guarantee needs the amount in amountXlusd" };
+  }
+  return { guaranteedXlusd: Number(amountXlusd), xlusdGuaranteePolicy: XLUSD_GUARANTEE_POLICY };
+}
+
+// QA disputes: how long the payer can object after AI verification before the escrow is released.
+// The window is cut short so release still happens before the escrow deadline (FinishAfter).
+const QA_DISPUTE_WINDOW_SECONDS = Number(process.env.QA_DISPUTE_WINDOW_SECONDS ?? 24 * 60 * 60);
+if (!Number.isFinite(QA_DISPUTE_WINDOW_SECONDS) || QA_DISPUTE_WINDOW_SECONDS < 0) {
+  throw new Error("Invalid QA_DISPUTE_WINDOW_SECONDS. Must be a non-negative number.");
+}
+const QA_RELEASE_MARGIN_SECONDS = 5 * 60;
+const ARBITRATOR_EMAILS = String(process.env.ARBITRATOR_EMAILS || "")
+  .split(",")
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+// Escrow invitations: how long an invitee has to sign up before the payer's reserved amount is released
+const ESCROW_INVITATION_TTL_SECONDS = Number(process.env.ESCROW_INVITATION_TTL_SECONDS ?? 7 * 24 * 60 * 60);
+if (!Number.isFinite(ESCROW_INVITATION_TTL_SECONDS) || ESCROW_INVITATION_TTL_SECONDS <= 0) {
+  throw new Error("Invalid ESCROW_INVITATION_TTL_SECONDS. Must be a positive number.");
 }
+// Accepted invitations are funded at signup, then retried in the background with a growing delay
+const ESCROW_INVITATION_MAX_FUNDING_ATTEMPTS = 5;
+const ESCROW_INVITATION_FUNDING_BACKOFF_SECONDS = 5 * 60;
+// A funding still 'in flight' after this long was interrupted; it is settled by looking up its tx
+const ESCROW_INVITATION_FUNDING_TIMEOUT_SECONDS = 5 * 60;
+const ESCROW_INVITATION_SWEEP_INTERVAL_MS = 60 * 1000;
 
 /* ======================
    LOGS
@@ -314,7 +1135,7 @@ console.log("✅ SESSION_SECRET loaded:", !!process.env.SESSION_SECRET);
 ====================== */
 
 // parse JSON
-app.use(express.json());
+app.use(express.json({ limit: "1mb" })); // room for a base64 terms document
 
 // CORS for Live Server, development, and live demos (ngrok, localtunnel, etc.)
 app.use(
@@ -380,12 +1201,8 @@ function requireAuth(req, res, next) {
 // WALLET ENCRYPTION UTILITIES
 // ======================
 
-function getEncryptionKey() {
-  // Use SESSION_SECRET as encryption key (in production, use a separate WALLET_ENCRYPTION_KEY)
-  const key = process.env.WALLET_ENCRYPTION_KEY || process.env.SESSION_SECRET || "DEV_ONLY_CHANGE_ME";
-  // Ensure key is 32 bytes for AES-256
-  return crypto.createHash("sha256").update(key).digest();
-}
+// Same master key that seals server-held escrow preimages (see utils/escrow-secrets.js)
+const getEncryptionKey = getMasterEncryptionKey;
 
 function encryptSeed(seed) {
   const algorithm = "aes-256-cbc";
@@ -466,6 +1283,75 @@ async function ensureUserWalletProvisioned(userId) {
   );
 }
 
+// Whether an address exists on-ledger (an escrow or payment to an unfunded account fails with tecNO_DST)
+async function isLedgerAccountActivated(address) {
+  const client = await getClient();
+  try {
+    await client.request({ command: "account_info", account: address, ledger_index: "validated" });
+    return true;
+  } catch (err) {
+    if ((err?.data?.error || err?.error) === "actNotFound") return false;
+    throw err;
+  }
+}
+
+// Escrow recipients may be a registered user's email instead of an XRPL address. The email maps
+// to that user's custodial wallet, so the escrow destination is the wallet they act with later.
+// Read-only: a wallet is never provisioned here (the funding quote relies on that).
+async function findEscrowRecipient(raw) {
+  const value = String(raw || "").trim();
+  if (!value.includes("@")) return { address: value, email: null };
+
+  const email = value.toLowerCase();
+  const userRow = await dbPromise.get(`SELECT id FROM users WHERE email = ? LIMIT 1`, [email]);
+  if (!userRow?.id) return { error: "Recipient email not found" };
+
+  const walletRow = await dbPromise.get(`SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`, [
+    userRow.id,
+  ]);
+  if (!walletRow?.wallet_address) return { error: "Recipient has no wallet linked to their account" };
+  return { address: walletRow.wallet_address, email };
+}
+
+// As findEscrowRecipient, but an email recipient whose wallet is not activated on-ledger is rejected
+async function resolveEscrowRecipient(raw) {
+  const recipient = await findEscrowRecipient(raw);
+  if (recipient.error || !recipient.email) return recipient;
+  if (!(await isLedgerAccountActivated(recipient.address))) {
+    return {
+      error: "Recipient's wallet is not activated on the ledger yet (it needs the XRP account reserve)",
+      address: recipient.address,
+    };
+  }
+  return recipient;
+}
+
+// Record a freshly created escrow in the registry. The escrow already exists on-ledger at
+// this point, so a DB failure is logged rather than failing the request.
+async function registerCreatedEscrow(params) {
+  try {
+    return await recordEscrow(params);
+  } catch (err) {
+    console.error("Failed to record escrow in registry:", err);
+    return null;
+  }
+}
+
+// Wallet that can sign for an address: the server payer wallet or a custodial user wallet.
+// Used by background jobs, which have no session to pick a wallet from.
+async function resolveSigningWallet(address) {
+  if (process.env.PAYER_SEED) {
+    const payerWallet = xrpl.Wallet.fromSeed(process.env.PAYER_SEED);
+    if (payerWallet.classicAddress === address) return payerWallet;
+  }
+  const row = await dbPromise.get(
+    `SELECT encrypted_seed FROM user_wallets WHERE wallet_address = ? LIMIT 1`,
+    [address]
+  );
+  if (!row?.encrypted_seed) return null;
+  return xrpl.Wallet.fromSeed(decryptSeed(row.encrypted_seed));
+}
+
 /* ======================
    HEALTH
 ====================== */
@@ -481,7 +1367,7 @@ app.get("/health", (req, res) => {
 // SIGNUP
 app.post("/api/signup", async (req, res) => {
   try {
-    const { email, password, rememberMe } = req.body || {};
+    const { email, password, rememberMe, inviteToken } = req.body || {};
 
     if (!email || !password) {
       return res.status(400).json({ error: "Email and password required" });
@@ -511,12 +1397,28 @@ app.post("/api/signup", async (req, res) => {
       // Provision a per-user wallet so each email is linked to one XRPL address
       const walletRow = await ensureUserWalletProvisioned(result.lastID);
 
+      // Escrow invitations sent to this email (or behind the invite link) now have a destination
+      const invitations = walletRow?.wallet_address
+        ? await acceptInvitationsOnSignup({
+            userId: result.lastID,
+            email: cleanEmail,
+            token: typeof inviteToken === "string" ? inviteToken.trim() : null,
+            destinationAddress: walletRow.wallet_address,
+          })
+        : [];
+
       return res.json({
         ok: true,
         user: { email: cleanEmail },
         wallet: walletRow
           ? { address: walletRow.wallet_address, isVerified: !!walletRow.is_verified }
           : null,
+        invitations: invitations.map((i) => ({
+          id: i.id,
+          workflow: i.workflow,
+          amountXlusd: i.amountXlusd,
+          amountXrp: i.amountXrp,
+        })),
       });
     } catch (dbErr) {
       if (dbErr.message.includes("UNIQUE")) {
@@ -751,7 +1653,6 @@ app.post("/api/wallet/verify", requireAuth, async (req, res) => {
           } catch (apiErr) {
             // If account doesn't exist, it might not be funded yet
             if (apiErr.data?.error === "actNotFound") {
-              if (client) await client.disconnect();
               return res.status(400).json({ 
                 ok: false,
                 error: "Wallet address not found on XRPL. Make sure the wallet has been funded with XRP (even a small amount) to activate it on the ledger.",
@@ -963,7 +1864,7 @@ app.get("/api/wallet/status", requireAuth, async (req, res) => {
             },
           });
         } finally {
-          if (client) await client.disconnect();
+          // connection pool keeps client alive (shared with the ledger watcher)
         }
       }
     );
@@ -1123,6 +2024,17 @@ app.post("/api/xrpl/transfer", requireAuth, async (req, res) => {
       throw apiErr;
     }
 
+    if (cur === "XRP") {
+      const reserve = await getInvitationReserveError({
+        userId,
+        walletAddress: senderWallet.classicAddress,
+        amountXrp: amtNum,
+      });
+      if (reserve) {
+        return res.status(400).json({ ok: false, ...reserve });
+      }
+    }
+
     // XLUSD requires recipient trustline. If the recipient is an internal verified user,
     // we can create it for them (since we have their encrypted seed).
     if (cur === XLUSD_CURRENCY) {
@@ -1318,15 +2230,29 @@ app.post("/api/logout", (req, res) => {
 app.post("/escrow/create", requireAuth, async (req, res) => {
   let client;
   try {
-    const { payeeAddress, amountXrp, amountXlusd, finishAfterUnix, cancelAfterUnix, condition } =
-      req.body || {};
+    const {
+      payeeAddress,
+      payeeEmail,
+      amountXrp,
+      amountXlusd,
+      finishAfterUnix,
+      cancelAfterUnix,
+      condition,
+      guaranteeXlusd,
+    } = req.body || {};
     const userId = req.session.user.id;
 
     // Basic validation - detailed validation happens in createEscrow
-    if (!payeeAddress || typeof payeeAddress !== "string") {
+    const payeeInput = payeeAddress || payeeEmail;
+    if (!payeeInput || typeof payeeInput !== "string") {
       return res.status(400).json({ error: "Missing or invalid payeeAddress" });
     }
 
+    const payee = await resolveEscrowRecipient(payeeInput);
+    if (payee.error) {
+      return res.status(400).json({ ok: false, error: payee.error });
+    }
+
     if (amountXrp === undefined && amountXlusd === undefined) {
       return res.status(400).json({ error: "Missing amountXlusd" });
     }
@@ -1335,9 +2261,20 @@ app.post("/escrow/create", requireAuth, async (req, res) => {
       return res.status(400).json({ error: "Missing finishAfterUnix" });
     }
 
+    const terms = prepareTerms(req.body || {});
+    if (terms?.error) {
+      return res.status(400).json({ ok: false, error: terms.error });
+    }
+
+    const guarantee = parseXlusdGuarantee({ guaranteeXlusd, amountXlusd });
+    if (guarantee.error) {
+      return res.status(400).json({ ok: false, error: guarantee.error });
+    }
+
+    const rate = await getXlusdRate();
     const amountToLockXrp =
       amountXlusd !== undefined
-        ? Number(amountXlusd) / XLUSD_PER_XRP
+        ? Number(amountXlusd) / rate.xlusdPerXrp
         : Number(amountXrp);
 
     if (!Number.isFinite(amountToLockXrp) || amountToLockXrp <= 0) {
@@ -1366,15 +2303,26 @@ app.post("/escrow/create", requireAuth, async (req, res) => {
 
     client = await getClient();
 
-    const { result, offerSequence } = await createEscrow({
-      client,
-      payerWallet,
-      payeeAddress: payeeAddress.trim(),
+    const reserve = await getInvitationReserveError({
+      userId,
+      walletAddress: payerWallet.classicAddress,
+      amountXrp: amountToLockXrp,
+    });
+    if (reserve) {
+      return res.status(400).json({ ok: false, ...reserve });
+    }
+
+    const created = await createEscrow({
+      client,
+      payerWallet,
+      payeeAddress: payee.address,
       amountXrp: amountToLockXrp,
       finishAfterUnix,
       cancelAfterUnix,
       condition: condition || null, // Optional conditional escrow
+      memos: terms ? [terms.memo] : null,
     });
+    const { result, offerSequence } = created;
 
     const txResult = result.result?.meta?.TransactionResult;
 
@@ -1389,6 +2337,31 @@ app.post("/escrow/create", requireAuth, async (req, res) => {
       });
     }
 
+    await registerCreatedEscrow({
+      userId,
+      ownerAddress: payerWallet.classicAddress,
+      destinationAddress: payee.address,
+      offerSequence,
+      amountDrops: created.amountDrops,
+      amountXlusd: amountXlusd !== undefined ? Number(amountXlusd) : null,
+      xlusdPerXrp: amountXlusd !== undefined ? rate.xlusdPerXrp : null,
+      xlusdRateSource: amountXlusd !== undefined ? rate.source : null,
+      guaranteedXlusd: guarantee.guaranteedXlusd,
+      xlusdGuaranteePolicy: guarantee.xlusdGuaranteePolicy,
+      condition: created.condition,
+      finishAfterUnix: created.finishAfterUnix,
+      cancelAfterUnix: created.cancelAfterUnix,
+      workflow: ESCROW_WORKFLOWS.STANDARD,
+      txHash: result.result?.hash,
+    });
+    await storeEscrowTerms(terms, {
+      userId,
+      ownerAddress: payerWallet.classicAddress,
+      destinationAddress: payee.address,
+      offerSequence,
+      txHash: result.result?.hash,
+    });
+
     return res.json({
       ok: true,
       txHash: result.result?.hash,
@@ -1396,10 +2369,15 @@ app.post("/escrow/create", requireAuth, async (req, res) => {
       txResult,
       amountXlusd: amountXlusd !== undefined ? Number(amountXlusd) : null,
       amountXrpLocked: Number(amountToLockXrp),
-      xlusdPerXrp: XLUSD_PER_XRP,
-      payeeAddress: payeeAddress.trim(),
+      xlusdPerXrp: rate.xlusdPerXrp,
+      rateSource: rate.source,
+      guaranteedXlusd: guarantee.guaranteedXlusd,
+      guaranteePolicy: guarantee.xlusdGuaranteePolicy,
+      payeeAddress: payee.address,
+      payeeEmail: payee.email,
       hasCondition: !!condition,
       condition: condition || null,
+      terms: terms ? { reference: terms.reference, sha256: terms.sha256 } : null,
     });
   } catch (err) {
     // Handle validation errors with 400, server errors with 500
@@ -1416,7 +2394,120 @@ app.post("/escrow/create", requireAuth, async (req, res) => {
       ok: false,
     });
   } finally {
-    if (client) await client.disconnect();
+    // connection pool keeps client alive (shared with the ledger watcher)
+  }
+});
+
+// QUOTE ESCROW - what funding would cost before anything is submitted. Takes the body of
+// /escrow/create or /escrow/qa/create; nothing is signed or stored.
+app.post("/escrow/quote", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const { payeeAddress, payeeEmail, providerAddress, providerEmail, amountXrp, amountXlusd } = req.body || {};
+    const userId = req.session.user.id;
+
+    const recipientInput = payeeAddress || payeeEmail || providerAddress || providerEmail;
+    if (!recipientInput || typeof recipientInput !== "string") {
+      return res.status(400).json({ ok: false, error: "Missing or invalid payeeAddress" });
+    }
+    // An unactivated destination is reported in the quote's reasons rather than rejected
+    const recipient = await findEscrowRecipient(recipientInput);
+    if (recipient.error) {
+      return res.status(400).json({ ok: false, error: recipient.error });
+    }
+
+    if (amountXrp === undefined && amountXlusd === undefined) {
+      return res.status(400).json({ ok: false, error: "Missing amountXlusd" });
+    }
+    const xlusdAmount = amountXlusd !== undefined ? Number(amountXlusd) : null;
+    const rate = await getXlusdRate();
+    const amountToLockXrp = xlusdAmount !== null ? xlusdAmount / rate.xlusdPerXrp : Number(amountXrp);
+    if (!Number.isFinite(amountToLockXrp) || amountToLockXrp <= 0) {
+      return res.status(400).json({ ok: false, error: "Invalid amountXlusd" });
+    }
+    const amountDrops = xrpToDrops(amountToLockXrp);
+    if (BigInt(amountDrops) <= 0n) {
+      return res.status(400).json({ ok: false, error: "Amount is smaller than 1 drop" });
+    }
+
+    // Same wallet the create routes would sign with
+    let payerAddress;
+    try {
+      const userWallet = await new Promise((resolve, reject) => {
+        getUserWalletAny(userId, (err, wallet) => {
+          if (err) reject(err);
+          else resolve(wallet);
+        });
+      });
+      payerAddress = userWallet.classicAddress;
+    } catch (err) {
+      if (!process.env.PAYER_SEED) {
+        return res.status(400).json({
+          ok: false,
+          error: "No wallet connected. Please connect your XRP wallet first, or server PAYER_SEED must be configured.",
+        });
+      }
+      payerAddress = xrpl.Wallet.fromSeed(process.env.PAYER_SEED).classicAddress;
+    }
+    if (payerAddress === recipient.address) {
+      return res.status(400).json({ ok: false, error: "Cannot create escrow to the same address" });
+    }
+
+    client = await getClient();
+    const quote = await getEscrowFundingQuote({
+      client,
+      payerAddress,
+      destinationAddress: recipient.address,
+      amountDrops,
+    });
+    const toXrp = (drops) => Number(xrpl.dropsToXrp(drops));
+
+    // XRP held for the payer's pending invitations is not spendable either (the create routes enforce it)
+    const invitationReservedDrops = BigInt(
+      xrpToDrops(await getReservedInvitationXrp(userId, { walletAddress: payerAddress }))
+    );
+    const availableDrops = BigInt(quote.spendableDrops) - invitationReservedDrops;
+    const afterDrops = availableDrops - BigInt(quote.requiredDrops);
+    const reasons = [...quote.reasons];
+    // Only when the ledger alone would allow it; otherwise the ledger reason already explains it
+    if (quote.payerActivated && BigInt(quote.shortfallDrops) === 0n && afterDrops < 0n) {
+      reasons.push("Insufficient XRP after the amount reserved by your pending invitations");
+    }
+
+    return res.json({
+      ok: true,
+      canFund: reasons.length === 0,
+      reasons,
+      payerAddress,
+      payerActivated: quote.payerActivated,
+      destinationAddress: recipient.address,
+      destinationEmail: recipient.email,
+      destinationActivated: quote.destinationActivated,
+      conversion: {
+        amountXlusd: xlusdAmount,
+        xlusdPerXrp: xlusdAmount !== null ? rate.xlusdPerXrp : null,
+        rateSource: xlusdAmount !== null ? rate.source : null,
+        amountXrp: toXrp(amountDrops),
+      },
+      amountDrops: quote.amountDrops,
+      feeDrops: quote.feeDrops,
+      feeXrp: toXrp(quote.feeDrops),
+      reserveBaseXrp: toXrp(quote.reserveBaseDrops),
+      ownerReserveIncrementXrp: toXrp(quote.reserveIncrementDrops),
+      ownerCount: quote.ownerCount,
+      balanceXrp: toXrp(quote.balanceDrops),
+      reservedXrp: toXrp(quote.reservedDrops),
+      spendableXrp: toXrp(quote.spendableDrops),
+      invitationReservedXrp: toXrp(invitationReservedDrops.toString()),
+      availableXrp: toXrp((availableDrops > 0n ? availableDrops : 0n).toString()),
+      requiredXrp: toXrp(quote.requiredDrops),
+      spendableAfterXrp: toXrp((afterDrops > 0n ? afterDrops : 0n).toString()),
+      shortfallXrp: toXrp((afterDrops < 0n ? -afterDrops : 0n).toString()),
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
   }
 });
 
@@ -1470,6 +2561,15 @@ app.post("/escrow/finish", requireAuth, async (req, res) => {
 
     const isSuccess = out.txResult === "tesSUCCESS";
 
+    // A server-held freelancer escrow finished with its revealed fulfillment
+    if (isSuccess) {
+      const held = await getFreelancerEscrowForEscrow(ownerAddress.trim(), offerSequence);
+      if (held) {
+        await markFreelancerEscrowReleased(held.id, out.hash);
+        await markApprovalReleasedForEscrow(held.ownerAddress, held.offerSequence, out.hash);
+      }
+    }
+
     // Optional: auto-convert received XRP into XLUSD so balances don't fluctuate.
     // Escrow itself remains XRP on-ledger (EscrowCreate only supports XRP).
     let conversion = null;
@@ -1489,6 +2589,7 @@ app.post("/escrow/finish", requireAuth, async (req, res) => {
             wallet: payeeWallet,
             issuer,
             escrowAmountDrops: out.escrowAmountDrops,
+            escrow: { ownerAddress: ownerAddress.trim(), offerSequence },
           });
         } catch (convErr) {
           conversion = {
@@ -1499,6 +2600,13 @@ app.post("/escrow/finish", requireAuth, async (req, res) => {
         }
       }
     }
+    if (isSuccess && (!autoConvert || usingFallbackWallet)) {
+      await recordUnconvertedXlusdGuarantee({
+        escrow: { ownerAddress: ownerAddress.trim(), offerSequence },
+        destinationAddress: payeeWallet.classicAddress,
+        reason: autoConvert ? conversion.reason : "AUTO_CONVERT_TO_XLUSD is off",
+      });
+    }
 
     return res.status(isSuccess ? 200 : 400).json({
       ok: isSuccess,
@@ -1525,7 +2633,7 @@ app.post("/escrow/finish", requireAuth, async (req, res) => {
       ok: false,
     });
   } finally {
-    if (client) await client.disconnect();
+    // connection pool keeps client alive (shared with the ledger watcher)
   }
 });
 
@@ -1534,6 +2642,7 @@ app.post("/escrow/cancel", requireAuth, async (req, res) => {
   let client;
   try {
     const { ownerAddress, offerSequence } = req.body || {};
+    const userId = req.session.user.id;
     
     if (!ownerAddress || typeof ownerAddress !== "string" || ownerAddress.trim() === "") {
       return res.status(400).json({ error: "Missing or invalid ownerAddress" });
@@ -1543,17 +2652,70 @@ app.post("/escrow/cancel", requireAuth, async (req, res) => {
       return res.status(400).json({ error: "Missing offerSequence" });
     }
 
-    if (!process.env.PAYER_SEED) {
-      return res.status(500).json({ error: "Missing PAYER_SEED" });
+    const owner = ownerAddress.trim();
+    const record = await getEscrowRecord(owner, offerSequence);
+
+    // Resolve the signer the same way /escrow/create picks the funding wallet
+    let userWallet = null;
+    try {
+      userWallet = await new Promise((resolve, reject) => {
+        getUserWalletAny(userId, (err, wallet) => {
+          if (err) reject(err);
+          else resolve(wallet);
+        });
+      });
+    } catch (err) {
+      userWallet = null;
+    }
+
+    const serverWallet = process.env.PAYER_SEED ? xrpl.Wallet.fromSeed(process.env.PAYER_SEED) : null;
+    const isPayerOfRecord = !!record?.user_id && Number(record.user_id) === Number(userId);
+
+    let payerWallet;
+    if (userWallet && userWallet.classicAddress === owner) {
+      payerWallet = userWallet;
+    } else if (isPayerOfRecord && serverWallet && serverWallet.classicAddress === owner) {
+      // Escrow was funded by the server wallet on this user's behalf
+      payerWallet = serverWallet;
+    } else if (isPayerOfRecord) {
+      return res.status(403).json({
+        ok: false,
+        error: "This escrow is owned by an address the server cannot sign for. Cancel it from the owner wallet.",
+      });
+    } else {
+      return res.status(403).json({ ok: false, error: "Not authorized to cancel this escrow" });
+    }
+
+    if (record?.status === ESCROW_STATUS.FINISHED || record?.status === ESCROW_STATUS.CANCELLED) {
+      return res.status(400).json({ ok: false, error: `Escrow already ${record.status}` });
+    }
+
+    if (record && !record.cancel_after) {
+      return res.status(400).json({
+        ok: false,
+        error: "Escrow has no CancelAfter set; it can only be finished by the destination.",
+      });
+    }
+
+    const nowUnix = Math.floor(Date.now() / 1000);
+    if (record?.cancel_after && nowUnix < Number(record.cancel_after)) {
+      const remainingSeconds = Number(record.cancel_after) - nowUnix;
+      return res.status(400).json({
+        ok: false,
+        error:
+          `Too early to cancel escrow. It can be cancelled after ${new Date(record.cancel_after * 1000).toISOString()} ` +
+          `(${Math.ceil(remainingSeconds / 60)} minute(s) remaining).`,
+        cancelAfterUnix: Number(record.cancel_after),
+        remainingSeconds,
+      });
     }
 
-    const payerWallet = xrpl.Wallet.fromSeed(process.env.PAYER_SEED);
     client = await getClient();
 
     const out = await cancelEscrow({
       client,
       payerWallet,
-      ownerAddress: ownerAddress.trim(),
+      ownerAddress: owner,
       offerSequence,
     });
 
@@ -1582,7 +2744,7 @@ app.post("/escrow/cancel", requireAuth, async (req, res) => {
       ok: false,
     });
   } finally {
-    if (client) await client.disconnect();
+    // connection pool keeps client alive (shared with the ledger watcher)
   }
 });
 
@@ -1639,7 +2801,7 @@ app.post("/escrow/generate-condition", requireAuth, (req, res) => {
 app.post("/escrow/freelancer/create", requireAuth, async (req, res) => {
   let client;
   try {
-    const { freelancerAddress, amountXrp, deadlineUnix, preimage } = req.body || {};
+    const { freelancerAddress, amountXrp, deadlineUnix, preimage, approvers, threshold, releaseMode } = req.body || {};
     const userId = req.session.user.id;
 
     // Basic validation
@@ -1673,6 +2835,27 @@ app.post("/escrow/freelancer/create", requireAuth, async (req, res) => {
       });
     }
 
+    // Optional M-of-N sign-off: the server keeps the preimage and releases once enough approvers agree
+    const approval = await parseApprovalRequest({ approvers, threshold, destinationAddress: freelancerAddress.trim() });
+    if (approval.error) {
+      return res.status(400).json({ ok: false, error: approval.error, unknownApprovers: approval.unknown });
+    }
+
+    // 'client' (default): the preimage is returned and the client passes it on to release.
+    // 'server': the preimage stays encrypted on the server until the client approves (implied by approvers).
+    const mode = approval.policy ? "server" : String(releaseMode || "client").toLowerCase();
+    if (!["client", "server"].includes(mode)) {
+      return res.status(400).json({ ok: false, error: "Invalid releaseMode. Use 'client' or 'server'" });
+    }
+    if (mode === "server" && preimage) {
+      return res.status(400).json({ ok: false, error: "preimage cannot be supplied when the server holds it" });
+    }
+
+    const terms = prepareTerms(req.body || {});
+    if (terms?.error) {
+      return res.status(400).json({ ok: false, error: terms.error });
+    }
+
     // Get user's verified wallet from database
     const userWalletData = await dbPromise.get(
       "SELECT wallet_address, encrypted_seed, is_verified FROM user_wallets WHERE user_id = ? AND is_verified = 1",
@@ -1696,6 +2879,15 @@ app.post("/escrow/freelancer/create", requireAuth, async (req, res) => {
 
     client = await getClient();
 
+    const reserve = await getInvitationReserveError({
+      userId,
+      walletAddress: clientWallet.classicAddress,
+      amountXrp: amountXrp,
+    });
+    if (reserve) {
+      return res.status(400).json({ ok: false, ...reserve });
+    }
+
     const escrowResult = await createFreelancerEscrow({
       client,
       clientWallet,
@@ -1703,6 +2895,7 @@ app.post("/escrow/freelancer/create", requireAuth, async (req, res) => {
       amountXrp,
       deadlineUnix: deadline,
       preimage: preimage || null,
+      memos: terms ? [terms.memo] : null,
     });
 
     // createFreelancerEscrow returns { result, offerSequence, preimage, condition, deadlineUnix }
@@ -1722,6 +2915,52 @@ app.post("/escrow/freelancer/create", requireAuth, async (req, res) => {
       });
     }
 
+    await registerCreatedEscrow({
+      userId,
+      ownerAddress: clientWallet.classicAddress,
+      destinationAddress: freelancerAddress.trim(),
+      offerSequence,
+      amountDrops: escrowResult.amountDrops,
+      condition,
+      finishAfterUnix: escrowResult.finishAfterUnix,
+      cancelAfterUnix: escrowResult.cancelAfterUnix,
+      workflow: ESCROW_WORKFLOWS.FREELANCER,
+      txHash: result?.result?.hash,
+    });
+    await storeEscrowTerms(terms, {
+      userId,
+      ownerAddress: clientWallet.classicAddress,
+      destinationAddress: freelancerAddress.trim(),
+      offerSequence,
+      txHash: result?.result?.hash,
+    });
+
+    let heldEscrowId = null;
+    if (mode === "server") {
+      heldEscrowId = await saveFreelancerEscrow({
+        userId,
+        ownerAddress: clientWallet.classicAddress,
+        freelancerAddress: freelancerAddress.trim(),
+        offerSequence,
+        condition,
+        preimage: resultPreimage, // Sealed and held on the server, never returned
+      });
+    }
+
+    let approvals = null;
+    if (approval.policy) {
+      const policyId = await createApprovalPolicy({
+        userId,
+        workflow: ESCROW_WORKFLOWS.FREELANCER,
+        ownerAddress: clientWallet.classicAddress,
+        destinationAddress: freelancerAddress.trim(),
+        offerSequence,
+        threshold: approval.policy.threshold,
+        approvers: approval.policy.approvers,
+      });
+      approvals = toApprovalView(await getApprovalPolicy(policyId));
+    }
+
     return res.json({
       ok: true,
       txHash: result?.result?.hash,
@@ -1729,12 +2968,20 @@ app.post("/escrow/freelancer/create", requireAuth, async (req, res) => {
       txResult,
       amountXrp: Number(amountXrp),
       freelancerAddress: freelancerAddress.trim(),
-      preimage: resultPreimage, // Client saves this to release payment when satisfied
+      id: heldEscrowId, // Server-held mode: use with /escrow/freelancer/:id/approve
+      releaseMode: mode,
+      preimage: mode === "server" ? undefined : resultPreimage, // Client saves this to release payment when satisfied
       condition, // Can be shared with freelancer for transparency
       deadlineUnix: resultDeadline,
       workflow: "freelancer_payment",
+      approvals,
+      terms: terms ? { reference: terms.reference, sha256: terms.sha256 } : null,
       instructions: {
-        client: "Save the preimage securely. Provide it to release payment when work is satisfactory.",
+        client: approvals
+          ? `Payment is released automatically once ${approvals.threshold} of ${approvals.approvers.length} approvers sign off.`
+          : mode === "server"
+            ? "Approve the escrow when work is satisfactory; the server releases payment to the freelancer."
+            : "Save the preimage securely. Provide it to release payment when work is satisfactory.",
         freelancer: "Payment is locked. Deliver work. Client will release payment or auto-refund after deadline.",
       },
     });
@@ -1749,73 +2996,229 @@ app.post("/escrow/freelancer/create", requireAuth, async (req, res) => {
       ok: false,
     });
   } finally {
-    if (client) await client.disconnect();
+    // connection pool keeps client alive (shared with the ledger watcher)
+  }
+});
+
+// Finish a server-held freelancer escrow for the freelancer; when the server can't sign for them,
+// the freelancer fetches the fulfillment instead (see /escrow/freelancer/:id/fulfillment)
+async function releaseHeldFreelancerEscrow(held, { purpose, userId = null }) {
+  const payeeWallet = await resolveSigningWallet(held.freelancerAddress);
+  if (!payeeWallet) {
+    return { ok: false, pending: true, reason: "The freelancer can now fetch the fulfillment and finish the escrow" };
+  }
+
+  const client = await getClient();
+  const finishOut = await finishEscrow({
+    client,
+    payeeWallet,
+    ownerAddress: held.ownerAddress,
+    offerSequence: held.offerSequence,
+    fulfillment: await openEscrowSecret(held.sealedPreimage, {
+      kind: ESCROW_SECRET_KINDS.FREELANCER_ESCROW,
+      refId: held.id,
+      purpose,
+      userId,
+    }),
+  });
+  const ok = finishOut.txResult === "tesSUCCESS";
+  let conversion = null;
+  if (ok) {
+    await markFreelancerEscrowReleased(held.id, finishOut.hash);
+    if ((process.env.AUTO_CONVERT_TO_XLUSD || "true") === "true") {
+      conversion = await convertEscrowXrpToXlusd({
+        client,
+        wallet: payeeWallet,
+        issuer: process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER,
+        escrowAmountDrops: finishOut.escrowAmountDrops,
+        escrow: { ownerAddress: held.ownerAddress, offerSequence: held.offerSequence },
+      });
+    } else {
+      await recordUnconvertedXlusdGuarantee({
+        escrow: { ownerAddress: held.ownerAddress, offerSequence: held.offerSequence },
+        destinationAddress: payeeWallet.classicAddress,
+        reason: "AUTO_CONVERT_TO_XLUSD is off",
+      });
+    }
+  }
+  return { ok, txHash: finishOut.hash, txResult: finishOut.txResult, conversion };
+}
+
+// CLIENT: approve a server-held freelancer escrow (the server releases it or unlocks the fulfillment)
+app.post("/escrow/freelancer/:id/approve", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const held = await getFreelancerEscrow(req.params.id);
+    if (!held) {
+      return res.status(404).json({ ok: false, error: "Freelancer escrow not found" });
+    }
+    if (Number(held.userId) !== Number(userId)) {
+      return res.status(403).json({ ok: false, error: "Only the client who created this escrow can approve it" });
+    }
+
+    const policy = await getApprovalPolicyForEscrow(held.ownerAddress, held.offerSequence);
+    if (policy) {
+      return res.status(409).json({
+        ok: false,
+        error: "This escrow is released by its approvers; use /escrow/approvals/:id/approve",
+        approvalPolicyId: policy.id,
+      });
+    }
+    if (held.status === FREELANCER_ESCROW_STATUS.RELEASED) {
+      return res.json({ ok: true, alreadyReleased: true, id: held.id, txHash: held.releaseTxHash });
+    }
+
+    const record = await getEscrowRecord(held.ownerAddress, held.offerSequence);
+    if (record && record.status !== ESCROW_STATUS.OPEN) {
+      return res.status(400).json({ ok: false, error: `Escrow is already ${record.status}` });
+    }
+
+    await markFreelancerEscrowApproved(held.id);
+
+    let release;
+    try {
+      release = await releaseHeldFreelancerEscrow(held, { purpose: "client_approval", userId });
+    } catch (releaseErr) {
+      release = { ok: false, error: releaseErr.message || String(releaseErr) };
+    }
+
+    const updated = await getFreelancerEscrow(held.id);
+    return res.json({
+      ok: true,
+      id: held.id,
+      status: updated.status,
+      release,
+      fulfillmentAvailable: updated.status === FREELANCER_ESCROW_STATUS.APPROVED,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
   }
 });
 
-// QA ESCROW - Store requirements in memory (in production, use database)
-const qaEscrowRequirements = {}; // {sequence: {requirements: [], preimage: string, condition: string}}
+// FREELANCER: fetch the fulfillment of an approved escrow to finish it from their own wallet
+app.get("/escrow/freelancer/:id/fulfillment", requireAuth, async (req, res) => {
+  try {
+    const held = await getFreelancerEscrow(req.params.id);
+    if (!held) {
+      return res.status(404).json({ ok: false, error: "Freelancer escrow not found" });
+    }
 
-// Cleanup old QA escrow requirements (older than 30 days)
-setInterval(() => {
-  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
-  let cleaned = 0;
-  for (const [sequence, data] of Object.entries(qaEscrowRequirements)) {
-    if (data.createdAt && data.createdAt < thirtyDaysAgo) {
-      delete qaEscrowRequirements[sequence];
-      cleaned++;
+    const wallet = await dbPromise.get(`SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`, [
+      req.session.user.id,
+    ]);
+    if (!wallet?.wallet_address || wallet.wallet_address !== held.freelancerAddress) {
+      return res.status(403).json({ ok: false, error: "Only the escrow's freelancer can fetch the fulfillment" });
     }
+    if (held.status === FREELANCER_ESCROW_STATUS.LOCKED) {
+      return res.status(403).json({ ok: false, error: "The client has not approved this escrow yet" });
+    }
+
+    const preimage = await openEscrowSecret(held.sealedPreimage, {
+      kind: ESCROW_SECRET_KINDS.FREELANCER_ESCROW,
+      refId: held.id,
+      purpose: "fulfillment_reveal",
+      userId: req.session.user.id,
+    });
+    await markFulfillmentRevealed(held.id);
+    return res.json({
+      ok: true,
+      id: held.id,
+      ownerAddress: held.ownerAddress,
+      offerSequence: held.offerSequence,
+      condition: held.condition,
+      fulfillment: createFulfillment(preimage),
+      status: held.status,
+      hint: "Submit this fulfillment with POST /escrow/finish to receive the payment.",
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
   }
-  if (cleaned > 0) {
-    console.log(`Cleaned up ${cleaned} old QA escrow requirements`);
+});
+
+// QA ESCROW - requirements, server-held preimage, verification state and proofs are
+// persisted in SQLite (see utils/qa-escrow-store.js) so they survive restarts.
+
+// Allow rich requirements:
+// - string: treated as { text: string, evidenceLinks: [] }
+// - object: { text: string, evidenceLinks?: string[] }
+function normalizeRequirements(requirements) {
+  const validRequirements = [];
+  if (!Array.isArray(requirements)) return validRequirements;
+  for (const req of requirements) {
+    if (!req) continue;
+    if (typeof req === "string") {
+      const text = req.trim();
+      if (text.length > 0) validRequirements.push({ text, evidenceLinks: [] });
+      continue;
+    }
+    if (typeof req === "object") {
+      const text = String(req.text || "").trim();
+      const evidenceLinks = Array.isArray(req.evidenceLinks)
+        ? req.evidenceLinks.map((u) => String(u || "").trim()).filter((u) => u.length > 0)
+        : [];
+      if (text.length > 0 || evidenceLinks.length > 0) {
+        validRequirements.push({ text, evidenceLinks });
+      }
+    }
   }
-}, 24 * 60 * 60 * 1000); // Run daily
+  return validRequirements;
+}
 
 // CREATE QA ESCROW (with requirements checklist)
 app.post("/escrow/qa/create", requireAuth, async (req, res) => {
   let client;
   try {
-    const { providerAddress, amountXrp, amountXlusd, deadlineUnix, requirements } = req.body || {};
+    const {
+      providerAddress,
+      providerEmail,
+      amountXrp,
+      amountXlusd,
+      deadlineUnix,
+      requirements,
+      approvers,
+      threshold,
+      guaranteeXlusd,
+    } = req.body || {};
     const userId = req.session.user.id;
 
     // Basic validation
-    if (!providerAddress || typeof providerAddress !== "string") {
+    const providerInput = providerAddress || providerEmail;
+    if (!providerInput || typeof providerInput !== "string") {
       return res.status(400).json({ error: "Missing or invalid providerAddress" });
     }
 
+    // An email resolves to the provider's platform wallet, which is what proof submission checks against
+    const provider = await resolveEscrowRecipient(providerInput);
+    if (provider.error) {
+      return res.status(400).json({ ok: false, error: provider.error });
+    }
+
+    const approval = await parseApprovalRequest({ approvers, threshold, destinationAddress: provider.address });
+    if (approval.error) {
+      return res.status(400).json({ ok: false, error: approval.error, unknownApprovers: approval.unknown });
+    }
+
+    const terms = prepareTerms(req.body || {});
+    if (terms?.error) {
+      return res.status(400).json({ ok: false, error: terms.error });
+    }
+
     // Accept XLUSD amounts (app-level) and convert to XRP for on-ledger escrow locking.
     // NOTE: XRPL EscrowCreate only supports XRP; this is a UX abstraction.
     if (amountXlusd === undefined && amountXrp === undefined) {
       return res.status(400).json({ error: "Missing amountXlusd" });
     }
+    const guarantee = parseXlusdGuarantee({ guaranteeXlusd, amountXlusd });
+    if (guarantee.error) {
+      return res.status(400).json({ ok: false, error: guarantee.error });
+    }
 
     if (!deadlineUnix) {
       return res.status(400).json({ error: "Missing deadlineUnix" });
     }
 
-    // Requirements are optional - allow rich requirements:
-    // - string: treated as { text: string, evidenceLinks: [] }
-    // - object: { text: string, evidenceLinks?: string[] }
-    const validRequirements = [];
-    if (requirements && Array.isArray(requirements)) {
-      for (const req of requirements) {
-        if (!req) continue;
-        if (typeof req === "string") {
-          const text = req.trim();
-          if (text.length > 0) validRequirements.push({ text, evidenceLinks: [] });
-          continue;
-        }
-        if (typeof req === "object") {
-          const text = String(req.text || "").trim();
-          const evidenceLinks = Array.isArray(req.evidenceLinks)
-            ? req.evidenceLinks.map((u) => String(u || "").trim()).filter((u) => u.length > 0)
-            : [];
-          if (text.length > 0 || evidenceLinks.length > 0) {
-            validRequirements.push({ text, evidenceLinks });
-          }
-        }
-      }
-    }
+    // Requirements are optional
+    const validRequirements = normalizeRequirements(requirements);
 
     const deadline = Number(deadlineUnix);
     const nowUnix = Math.floor(Date.now() / 1000);
@@ -1825,11 +3228,12 @@ app.post("/escrow/qa/create", requireAuth, async (req, res) => {
       });
     }
 
-    // Determine XRP amount to lock on-ledger (2.12 XLUSD per 1 XRP => xrp = xlusd / 2.12)
+    // Determine XRP amount to lock on-ledger at the current rate (N XLUSD per 1 XRP => xrp = xlusd / N)
     const xlusdAmount = amountXlusd !== undefined ? Number(amountXlusd) : null;
     const xrpAmountFromClient = amountXrp !== undefined ? Number(amountXrp) : null;
 
-    const amountToLockXrp = xlusdAmount !== null ? xlusdAmount / XLUSD_PER_XRP : xrpAmountFromClient;
+    const rate = await getXlusdRate();
+    const amountToLockXrp = xlusdAmount !== null ? xlusdAmount / rate.xlusdPerXrp : xrpAmountFromClient;
 
     if (!Number.isFinite(amountToLockXrp) || amountToLockXrp <= 0) {
       return res.status(400).json({ error: "Invalid amountXlusd" });
@@ -1857,34 +3261,46 @@ app.post("/escrow/qa/create", requireAuth, async (req, res) => {
 
     client = await getClient();
 
-    // If requirements exist, use conditional escrow. Otherwise, create simple escrow (no condition)
+    const reserve = await getInvitationReserveError({
+      userId,
+      walletAddress: clientWallet.classicAddress,
+      amountXrp: amountToLockXrp,
+    });
+    if (reserve) {
+      return res.status(400).json({ ok: false, ...reserve });
+    }
+
+    // If requirements or approvers exist, use conditional escrow. Otherwise, create simple escrow (no condition)
+    const isConditional = validRequirements.length > 0 || !!approval.policy;
     let preimage = null;
     let condition = null;
-    if (validRequirements.length > 0) {
+    if (isConditional) {
       // Generate condition/preimage pair for requirements-based escrow
       const pair = generateConditionPair();
       preimage = pair.preimage;
       condition = pair.condition;
     }
 
-    // Create QA escrow (with or without condition based on requirements)
-    const result = validRequirements.length > 0
+    // Create QA escrow (with or without condition based on requirements/approvers)
+    const result = isConditional
       ? await createQAEscrow({
           client,
           clientWallet,
-          providerAddress: providerAddress.trim(),
+          providerAddress: provider.address,
           amountXrp: amountToLockXrp,
           deadlineUnix: deadline,
           preimage,
+          memos: terms ? [terms.memo] : null,
         })
       : await createEscrow({
           client,
           payerWallet: clientWallet,
-          payeeAddress: providerAddress.trim(),
+          payeeAddress: provider.address,
           amountXrp: amountToLockXrp,
           finishAfterUnix: deadline, // Can finish anytime before deadline
           cancelAfterUnix: deadline + 1, // Can refund after deadline
           condition: null, // No condition - service provider can claim directly
+          memos: terms ? [terms.memo] : null,
         });
 
     // createEscrow/createQAEscrow return { result: submitAndWaitResult, offerSequence, ... }
@@ -1904,19 +3320,54 @@ app.post("/escrow/qa/create", requireAuth, async (req, res) => {
     }
 
     // Store requirements with sequence (preimage stored on server, never shared with client)
-    qaEscrowRequirements[result.offerSequence] = {
-      requirements: validRequirements,
+    await saveQaEscrow({
+      userId, // Store user ID for security
+      offerSequence: result.offerSequence,
+      ownerAddress: clientWallet.classicAddress,
+      providerAddress: provider.address,
       preimage, // Stored on server for automatic fulfillment when verified
       condition,
-      userId, // Store user ID for security
+      requirements: validRequirements,
+    });
+
+    await registerCreatedEscrow({
+      userId,
       ownerAddress: clientWallet.classicAddress,
-      providerAddress: providerAddress.trim(),
-      verifiedRequirements: {}, // Track which requirements are verified: {index: true}
-      allVerified: false, // Flag when all requirements are verified
-      proofSubmissions: [], // [{ userId, proofText, proofLinks, createdAt }]
-      escrowFinished: false,
-      createdAt: new Date().toISOString(),
-    };
+      destinationAddress: provider.address,
+      offerSequence: result.offerSequence,
+      amountDrops: result.amountDrops,
+      amountXlusd: xlusdAmount,
+      xlusdPerXrp: xlusdAmount !== null ? rate.xlusdPerXrp : null,
+      xlusdRateSource: xlusdAmount !== null ? rate.source : null,
+      guaranteedXlusd: guarantee.guaranteedXlusd,
+      xlusdGuaranteePolicy: guarantee.xlusdGuaranteePolicy,
+      condition,
+      finishAfterUnix: result.finishAfterUnix,
+      cancelAfterUnix: result.cancelAfterUnix,
+      workflow: ESCROW_WORKFLOWS.QUALITY_ASSURANCE,
+      txHash: submitRes?.result?.hash,
+    });
+    await storeEscrowTerms(terms, {
+      userId,
+      ownerAddress: clientWallet.classicAddress,
+      destinationAddress: provider.address,
+      offerSequence: result.offerSequence,
+      txHash: submitRes?.result?.hash,
+    });
+
+    let approvals = null;
+    if (approval.policy) {
+      const policyId = await createApprovalPolicy({
+        userId,
+        workflow: ESCROW_WORKFLOWS.QUALITY_ASSURANCE,
+        ownerAddress: clientWallet.classicAddress,
+        destinationAddress: provider.address,
+        offerSequence: result.offerSequence,
+        threshold: approval.policy.threshold,
+        approvers: approval.policy.approvers,
+      });
+      approvals = toApprovalView(await getApprovalPolicy(policyId));
+    }
 
     return res.json({
       ok: true,
@@ -1925,14 +3376,20 @@ app.post("/escrow/qa/create", requireAuth, async (req, res) => {
       txResult,
       amountXlusd: xlusdAmount !== null ? Number(xlusdAmount) : null,
       amountXrpLocked: Number(amountToLockXrp),
-      xlusdPerXrp: XLUSD_PER_XRP,
+      xlusdPerXrp: rate.xlusdPerXrp,
+      rateSource: rate.source,
+      guaranteedXlusd: guarantee.guaranteedXlusd,
+      guaranteePolicy: guarantee.xlusdGuaranteePolicy,
       ownerAddress: clientWallet.classicAddress,
-      providerAddress: providerAddress.trim(),
+      providerAddress: provider.address,
+      providerEmail: provider.email,
       // Preimage NOT returned to client - stored on server only
       condition, // Only if requirements exist
       deadlineUnix: deadline,
       requirements: validRequirements,
       hasRequirements: validRequirements.length > 0,
+      approvals,
+      terms: terms ? { reference: terms.reference, sha256: terms.sha256 } : null,
       workflow: "quality_assurance",
       instructions: {
         client: validRequirements.length > 0 
@@ -1954,63 +3411,154 @@ app.post("/escrow/qa/create", requireAuth, async (req, res) => {
       ok: false,
     });
   } finally {
-    if (client) await client.disconnect();
+    // connection pool keeps client alive (shared with the ledger watcher)
   }
 });
 
 // GET QA ESCROW REQUIREMENTS
-app.get("/escrow/qa/requirements/:sequence", requireAuth, (req, res) => {
-  const sequence = Number(req.params.sequence);
-  const userId = req.session.user.id;
-
-  if (!Number.isFinite(sequence) || sequence <= 0) {
-    return res.status(400).json({ error: "Invalid sequence number" });
-  }
-
-  const escrowData = qaEscrowRequirements[sequence];
-  
-  if (!escrowData) {
-    return res.status(404).json({ error: "Requirements not found for this escrow sequence" });
-  }
-
-  // Security: Only return if user created it (in production, add more checks)
-  if (escrowData.userId !== userId) {
-    return res.status(403).json({ error: "Not authorized to view this escrow's requirements" });
-  }
-
-  return res.json({
-    ok: true,
-    sequence,
-    requirements: escrowData.requirements, // [{ text, evidenceLinks }]
-    verifiedRequirements: escrowData.verifiedRequirements || {},
-    allVerified: escrowData.allVerified || false,
-    aiVerificationStatus: escrowData.aiVerificationStatus || "pending",
-    aiSummary: escrowData.aiSummary || null,
-    proofCount: escrowData.proofSubmissions?.length || 0,
-    escrowFinished: !!escrowData.escrowFinished,
-    // Never return preimage - it's stored on server only
-  });
-});
-
-// SERVICE PROVIDER: submit proof-of-work -> AI verifies -> if all verified, platform finishes escrow and credits provider (auto-convert to XLUSD)
-app.post("/escrow/qa/proof/submit", requireAuth, async (req, res) => {
-  let client;
+app.get("/escrow/qa/requirements/:sequence", requireAuth, async (req, res) => {
   try {
-    const { sequence, proofText, proofLinks } = req.body || {};
+    const sequence = Number(req.params.sequence);
     const userId = req.session.user.id;
 
-    const seq = Number(sequence);
-    if (!Number.isFinite(seq) || seq <= 0) {
-      return res.status(400).json({ ok: false, error: "Invalid sequence" });
+    if (!Number.isFinite(sequence) || sequence <= 0) {
+      return res.status(400).json({ error: "Invalid sequence number" });
+    }
+
+    const ownerAddress = String(req.query.ownerAddress || "").trim();
+    if (!ownerAddress || !isValidXRPLAddress(ownerAddress)) {
+      return res.status(400).json({ error: "ownerAddress query parameter is required" });
     }
 
-    const escrowData = qaEscrowRequirements[seq];
+    const escrowData = await getQaEscrow(sequence, ownerAddress);
+
     if (!escrowData) {
-      return res.status(404).json({ ok: false, error: "Escrow requirements not found for this sequence" });
+      return res.status(404).json({ error: "Requirements not found for this escrow sequence" });
     }
 
-    // Load provider wallet linked to this email account (custodial per-user wallet)
-    const walletRow = await dbPromise.get(
+    // Security: Only return if user created it (in production, add more checks)
+    if (escrowData.userId !== userId) {
+      return res.status(403).json({ error: "Not authorized to view this escrow's requirements" });
+    }
+
+    return res.json({
+      ok: true,
+      sequence,
+      requirements: escrowData.requirements, // [{ text, evidenceLinks }]
+      verifiedRequirements: escrowData.verifiedRequirements || {},
+      allVerified: escrowData.allVerified || false,
+      aiVerificationStatus: escrowData.aiVerificationStatus || "pending",
+      aiSummary: escrowData.aiSummary || null,
+      proofCount: escrowData.proofSubmissions?.length || 0,
+      escrowFinished: !!escrowData.escrowFinished,
+      disputeWindowEndsAt: escrowData.disputeWindowEndsAt,
+      dispute: await getLatestQaDispute(escrowData.id),
+      approvals: toApprovalView(await getApprovalPolicyForEscrow(escrowData.ownerAddress, escrowData.offerSequence)),
+      // Never return preimage - it's stored on server only
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message || String(err) });
+  }
+});
+
+// Decrypt a QA escrow's held preimage right before EscrowFinish (logged in escrow_secret_access_log)
+function openQaPreimage(escrowData, purpose, userId = null) {
+  return openEscrowSecret(escrowData.sealedPreimage, {
+    kind: ESCROW_SECRET_KINDS.QA_ESCROW,
+    refId: escrowData.id,
+    purpose,
+    userId,
+  });
+}
+
+// Why a verified QA escrow can't be released yet (open dispute, refund decision, missing approvals,
+// dispute window), or null
+async function getQaReleaseBlock(escrowData) {
+  const dispute = await getLatestQaDispute(escrowData.id);
+  if (dispute?.status === DISPUTE_STATUS.OPEN) {
+    return { status: 409, error: "Release is frozen while a dispute is open.", disputeId: dispute.id };
+  }
+  if (dispute?.resolution === DISPUTE_RESOLUTION.REFUND) {
+    return { status: 409, error: "The arbitrator decided to refund this escrow to the payer.", disputeId: dispute.id };
+  }
+  if (dispute?.resolution === DISPUTE_RESOLUTION.RELEASE) return null;
+
+  const policy = await getApprovalPolicyForEscrow(escrowData.ownerAddress, escrowData.offerSequence);
+  if (policy?.status === APPROVAL_STATUS.PENDING) {
+    return {
+      status: 400,
+      error: `Waiting for approvals (${policy.approvalCount} of ${policy.threshold} required).`,
+      approvals: toApprovalView(policy),
+    };
+  }
+
+  const nowUnix = Math.floor(Date.now() / 1000);
+  if (escrowData.disputeWindowEndsAt && nowUnix < Number(escrowData.disputeWindowEndsAt)) {
+    return {
+      status: 400,
+      error: `The payer can dispute until ${new Date(escrowData.disputeWindowEndsAt * 1000).toISOString()}; release happens after that.`,
+      disputeWindowEndsAt: Number(escrowData.disputeWindowEndsAt),
+    };
+  }
+  return null;
+}
+
+async function isArbitrator(sessionUser) {
+  if (!sessionUser?.id) return false;
+  if (ARBITRATOR_EMAILS.includes(String(sessionUser.email || "").toLowerCase())) return true;
+  const row = await dbPromise.get(`SELECT role FROM users WHERE id = ? LIMIT 1`, [sessionUser.id]);
+  return row?.role === "arbitrator";
+}
+
+// Proof/claim requests target a QA escrow by { ownerAddress, sequence } or a contract milestone by
+// { contractId, milestoneIndex }
+async function resolveQaEscrowTarget({ sequence, ownerAddress, contractId, milestoneIndex }) {
+  if (contractId !== undefined && contractId !== null && contractId !== "") {
+    const idx = Number(milestoneIndex);
+    if (!Number.isInteger(idx) || idx < 0) {
+      return { status: 400, error: "Invalid milestoneIndex" };
+    }
+    const milestone = await getContractMilestone(contractId, idx);
+    if (!milestone) {
+      return { status: 404, error: "Milestone not found for this contract" };
+    }
+    if (milestone.status !== MILESTONE_STATUS.CREATED || !milestone.offer_sequence) {
+      return { status: 400, error: "The escrow for this milestone was not created" };
+    }
+    return { seq: Number(milestone.offer_sequence), ownerAddress: milestone.owner_address, milestone };
+  }
+
+  const seq = Number(sequence);
+  if (!Number.isFinite(seq) || seq <= 0) {
+    return { status: 400, error: "Invalid sequence" };
+  }
+  const owner = typeof ownerAddress === "string" ? ownerAddress.trim() : "";
+  if (!owner || !isValidXRPLAddress(owner)) {
+    return { status: 400, error: "ownerAddress is required with sequence" };
+  }
+  return { seq, ownerAddress: owner, milestone: null };
+}
+
+// SERVICE PROVIDER: submit proof-of-work -> AI verifies -> if all verified, platform finishes escrow and credits provider (auto-convert to XLUSD)
+app.post("/escrow/qa/proof/submit", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const { proofText, proofLinks } = req.body || {};
+    const userId = req.session.user.id;
+
+    const target = await resolveQaEscrowTarget(req.body || {});
+    if (target.error) {
+      return res.status(target.status).json({ ok: false, error: target.error });
+    }
+    const { seq, milestone } = target;
+
+    const escrowData = await getQaEscrow(seq, target.ownerAddress);
+    if (!escrowData) {
+      return res.status(404).json({ ok: false, error: "Escrow requirements not found for this sequence" });
+    }
+
+    // Load provider wallet linked to this email account (custodial per-user wallet)
+    const walletRow = await dbPromise.get(
       "SELECT wallet_address, encrypted_seed, is_verified FROM user_wallets WHERE user_id = ?",
       [userId]
     );
@@ -2043,16 +3591,14 @@ app.post("/escrow/qa/proof/submit", requireAuth, async (req, res) => {
       });
     }
 
-    escrowData.proofSubmissions = escrowData.proofSubmissions || [];
-    escrowData.proofSubmissions.push({
+    await addQaProofSubmission(escrowData.id, {
       userId,
       proofText: cleanText,
       proofLinks: validLinks,
-      createdAt: new Date().toISOString(),
     });
 
     // Run AI verification (proof-aware)
-    escrowData.aiVerificationStatus = "in_progress";
+    await setQaVerificationStatus(escrowData.id, "in_progress");
     client = await getClient();
 
     // Ensure provider account exists on-ledger (must be funded/activated to submit transactions)
@@ -2082,6 +3628,11 @@ app.post("/escrow/qa/proof/submit", requireAuth, async (req, res) => {
       proofLinks: validLinks,
     });
 
+    await saveQaVerificationResults(escrowData.id, {
+      results: aiOut.results || [],
+      summary: aiOut.summary,
+      allVerified: !!aiOut.allVerified,
+    });
     escrowData.aiVerificationStatus = "completed";
     escrowData.aiSummary = aiOut.summary;
     escrowData.allVerified = !!aiOut.allVerified;
@@ -2090,16 +3641,32 @@ app.post("/escrow/qa/proof/submit", requireAuth, async (req, res) => {
       escrowData.verifiedRequirements[idx] = r;
     });
 
-    // If all verified, platform finishes escrow + converts to XLUSD
+    // If all verified, the payer gets a dispute window first; release happens here only when
+    // there is no window (or it was cut to nothing by the deadline) and nothing blocks it
     let finish = null;
     let conversion = null;
+    let releaseBlock = null;
     if (escrowData.allVerified && !escrowData.escrowFinished) {
+      const nowUnix = Math.floor(Date.now() / 1000);
+      const record = await getEscrowRecord(escrowData.ownerAddress, seq);
+      const deadline = record?.finish_after ? Number(record.finish_after) : null;
+      const windowEnd = Math.min(
+        nowUnix + QA_DISPUTE_WINDOW_SECONDS,
+        deadline ? deadline - QA_RELEASE_MARGIN_SECONDS : Infinity
+      );
+      if (windowEnd > nowUnix) {
+        escrowData.disputeWindowEndsAt = await startQaDisputeWindow(escrowData.id, windowEnd);
+      }
+      releaseBlock = await getQaReleaseBlock(escrowData);
+    }
+
+    if (escrowData.allVerified && !escrowData.escrowFinished && !releaseBlock) {
       const finishOut = await finishEscrow({
         client,
         payeeWallet: providerWallet,
         ownerAddress: escrowData.ownerAddress,
         offerSequence: seq,
-        fulfillment: escrowData.preimage, // server-held preimage unlocks conditional escrow
+        fulfillment: await openQaPreimage(escrowData, "qa_proof_release", userId), // server-held preimage unlocks conditional escrow
       });
 
       finish = {
@@ -2111,12 +3678,15 @@ app.post("/escrow/qa/proof/submit", requireAuth, async (req, res) => {
 
       if (finish.ok) {
         escrowData.escrowFinished = true;
+        await markQaEscrowFinished(escrowData.id);
+        await markApprovalReleasedForEscrow(escrowData.ownerAddress, seq, finishOut.hash);
         const issuer = process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER;
         conversion = await convertEscrowXrpToXlusd({
           client,
           wallet: providerWallet,
           issuer,
           escrowAmountDrops: finishOut.escrowAmountDrops,
+          escrow: { ownerAddress: escrowData.ownerAddress, offerSequence: seq },
         });
       }
     }
@@ -2124,10 +3694,13 @@ app.post("/escrow/qa/proof/submit", requireAuth, async (req, res) => {
     return res.json({
       ok: true,
       sequence: seq,
+      ...(milestone ? { contractId: milestone.contract_id, milestoneIndex: milestone.milestone_index } : {}),
       ai: aiOut,
       allVerified: escrowData.allVerified,
       verifiedRequirements: escrowData.verifiedRequirements,
       escrowFinished: escrowData.escrowFinished,
+      disputeWindowEndsAt: escrowData.disputeWindowEndsAt,
+      releaseBlocked: releaseBlock ? releaseBlock.error : null,
       finish,
       conversion,
     });
@@ -2142,14 +3715,15 @@ app.post("/escrow/qa/proof/submit", requireAuth, async (req, res) => {
 app.post("/escrow/qa/claim", requireAuth, async (req, res) => {
   let client;
   try {
-    const { sequence } = req.body || {};
     const userId = req.session.user.id;
-    const seq = Number(sequence);
-    if (!Number.isFinite(seq) || seq <= 0) {
-      return res.status(400).json({ ok: false, error: "Invalid sequence" });
+
+    const target = await resolveQaEscrowTarget(req.body || {});
+    if (target.error) {
+      return res.status(target.status).json({ ok: false, error: target.error });
     }
+    const { seq, milestone } = target;
 
-    const escrowData = qaEscrowRequirements[seq];
+    const escrowData = await getQaEscrow(seq, target.ownerAddress);
     if (!escrowData) {
       return res.status(404).json({ ok: false, error: "Escrow requirements not found for this sequence" });
     }
@@ -2190,6 +3764,11 @@ app.post("/escrow/qa/claim", requireAuth, async (req, res) => {
       return res.json({ ok: true, alreadyFinished: true, sequence: seq });
     }
 
+    const releaseBlock = await getQaReleaseBlock(escrowData);
+    if (releaseBlock) {
+      return res.status(releaseBlock.status).json({ ok: false, ...releaseBlock });
+    }
+
     client = await getClient();
 
     // Ensure provider account exists on-ledger (must be funded/activated to submit transactions)
@@ -2217,39 +3796,2982 @@ app.post("/escrow/qa/claim", requireAuth, async (req, res) => {
       payeeWallet: providerWallet,
       ownerAddress: escrowData.ownerAddress,
       offerSequence: seq,
-      fulfillment: escrowData.preimage,
+      fulfillment: await openQaPreimage(escrowData, "qa_claim", userId),
     });
 
     const finishOk = finishOut.txResult === "tesSUCCESS";
     let conversion = null;
     if (finishOk) {
       escrowData.escrowFinished = true;
+      await markQaEscrowFinished(escrowData.id);
+      await markApprovalReleasedForEscrow(escrowData.ownerAddress, seq, finishOut.hash);
+      const decided = await getLatestQaDispute(escrowData.id);
+      if (decided?.resolution === DISPUTE_RESOLUTION.RELEASE) {
+        await recordQaDisputeSettlement(decided.id, { action: "released", txHash: finishOut.hash });
+      }
       const issuer = process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER;
       conversion = await convertEscrowXrpToXlusd({
         client,
         wallet: providerWallet,
         issuer,
         escrowAmountDrops: finishOut.escrowAmountDrops,
+        escrow: { ownerAddress: escrowData.ownerAddress, offerSequence: seq },
+      });
+    }
+
+    return res.status(finishOk ? 200 : 400).json({
+      ok: finishOk,
+      sequence: seq,
+      ...(milestone ? { contractId: milestone.contract_id, milestoneIndex: milestone.milestone_index } : {}),
+      txHash: finishOut.hash,
+      txResult: finishOut.txResult,
+      validated: finishOut.validated,
+      conversion,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+// Note: Release happens when freelancer uses /escrow/finish with the preimage
+// This endpoint just validates and formats the release instruction
+
+/* ======================
+   QA DISPUTES
+====================== */
+
+// Payer / provider / arbitrator view of a QA escrow for dispute purposes
+async function getQaParticipantRole(sessionUser, escrowData) {
+  if (Number(escrowData.userId) === Number(sessionUser.id)) return "payer";
+  const wallet = await dbPromise.get(
+    `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+    [sessionUser.id]
+  );
+  if (wallet?.wallet_address && wallet.wallet_address === escrowData.providerAddress) return "provider";
+  if (await isArbitrator(sessionUser)) return "arbitrator";
+  return null;
+}
+
+function parseEvidenceLinks(links) {
+  return Array.isArray(links)
+    ? links.map((u) => String(u || "").trim()).filter((u) => u.length > 0 && isValidUrl(u))
+    : [];
+}
+
+// PAYER: open a dispute (freezes claim and automatic release until an arbitrator decides)
+app.post("/escrow/qa/dispute/open", requireAuth, async (req, res) => {
+  try {
+    const { reason, evidenceText, evidenceLinks } = req.body || {};
+    const userId = req.session.user.id;
+
+    const target = await resolveQaEscrowTarget(req.body || {});
+    if (target.error) {
+      return res.status(target.status).json({ ok: false, error: target.error });
+    }
+
+    const escrowData = await getQaEscrow(target.seq, target.ownerAddress);
+    if (!escrowData) {
+      return res.status(404).json({ ok: false, error: "Escrow requirements not found for this sequence" });
+    }
+    if (Number(escrowData.userId) !== Number(userId)) {
+      return res.status(403).json({ ok: false, error: "Only the payer can open a dispute on this escrow" });
+    }
+    if (escrowData.escrowFinished) {
+      return res.status(400).json({ ok: false, error: "Escrow was already released" });
+    }
+
+    const cleanReason = String(reason || "").trim();
+    if (cleanReason.length < 10) {
+      return res.status(400).json({ ok: false, error: "Please describe the problem (min 10 chars)" });
+    }
+
+    const existing = await getLatestQaDispute(escrowData.id);
+    if (existing?.status === DISPUTE_STATUS.OPEN) {
+      return res.status(409).json({ ok: false, error: "A dispute is already open for this escrow", disputeId: existing.id });
+    }
+    if (existing?.status === DISPUTE_STATUS.RESOLVED) {
+      return res.status(409).json({ ok: false, error: "This escrow's dispute was already decided", disputeId: existing.id });
+    }
+
+    const nowUnix = Math.floor(Date.now() / 1000);
+    if (escrowData.disputeWindowEndsAt && nowUnix >= Number(escrowData.disputeWindowEndsAt)) {
+      return res.status(400).json({
+        ok: false,
+        error: "The dispute window for this escrow has closed",
+        disputeWindowEndsAt: Number(escrowData.disputeWindowEndsAt),
+      });
+    }
+
+    const disputeId = await openQaDispute({
+      qaEscrowId: escrowData.id,
+      userId,
+      reason: cleanReason,
+      evidenceText: String(evidenceText || "").trim() || null,
+      evidenceLinks: parseEvidenceLinks(evidenceLinks),
+    });
+
+    return res.json({ ok: true, dispute: await getQaDispute(disputeId) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// PAYER / PROVIDER: add evidence to an open dispute
+app.post("/escrow/qa/dispute/:id/evidence", requireAuth, async (req, res) => {
+  try {
+    const { text, links } = req.body || {};
+    const dispute = await getQaDispute(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ ok: false, error: "Dispute not found" });
+    }
+    if (dispute.status !== DISPUTE_STATUS.OPEN) {
+      return res.status(400).json({ ok: false, error: "Dispute is already resolved" });
+    }
+
+    const escrowData = await getQaEscrow(dispute.offerSequence, dispute.ownerAddress);
+    const role = escrowData ? await getQaParticipantRole(req.session.user, escrowData) : null;
+    if (role !== "payer" && role !== "provider") {
+      return res.status(403).json({ ok: false, error: "Only the payer or provider can add evidence" });
+    }
+
+    const cleanText = String(text || "").trim();
+    const validLinks = parseEvidenceLinks(links);
+    if (cleanText.length < 10 && validLinks.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "Please add a description (min 10 chars) and/or at least one valid link.",
+      });
+    }
+
+    await addQaDisputeEvent({
+      disputeId: dispute.id,
+      userId: req.session.user.id,
+      actorRole: role,
+      action: "evidence",
+      text: cleanText || null,
+      links: validLinks,
+    });
+
+    return res.json({ ok: true, dispute: await getQaDispute(dispute.id) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// LIST DISPUTES (arbitrators see every dispute, others only their own)
+app.get("/escrow/qa/disputes", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+    if (status && !Object.values(DISPUTE_STATUS).includes(status)) {
+      return res.status(400).json({ ok: false, error: `Invalid status. Use one of: ${Object.values(DISPUTE_STATUS).join(", ")}` });
+    }
+
+    const arbitrator = await isArbitrator(req.session.user);
+    const wallet = await dbPromise.get(
+      `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+      [userId]
+    );
+    const disputes = await listQaDisputes({
+      status,
+      userId,
+      address: wallet?.wallet_address || null,
+      all: arbitrator,
+    });
+
+    return res.json({ ok: true, arbitrator, disputes, total: disputes.length });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// GET DISPUTE - both sides' evidence: the dispute timeline plus the provider's proofs and AI results
+app.get("/escrow/qa/dispute/:id", requireAuth, async (req, res) => {
+  try {
+    const dispute = await getQaDispute(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ ok: false, error: "Dispute not found" });
+    }
+
+    const escrowData = await getQaEscrow(dispute.offerSequence, dispute.ownerAddress);
+    const role = escrowData ? await getQaParticipantRole(req.session.user, escrowData) : null;
+    if (!role) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view this dispute" });
+    }
+
+    return res.json({
+      ok: true,
+      role,
+      dispute,
+      escrow: {
+        offerSequence: escrowData.offerSequence,
+        ownerAddress: escrowData.ownerAddress,
+        providerAddress: escrowData.providerAddress,
+        requirements: escrowData.requirements,
+        verifiedRequirements: escrowData.verifiedRequirements,
+        allVerified: escrowData.allVerified,
+        aiSummary: escrowData.aiSummary,
+        proofSubmissions: escrowData.proofSubmissions,
+        disputeWindowEndsAt: escrowData.disputeWindowEndsAt,
+        escrowFinished: escrowData.escrowFinished,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// ARBITRATOR: decide release (finish with the held preimage) or refund (cancel once CancelAfter passes)
+app.post("/escrow/qa/dispute/:id/decide", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const { decision, reason } = req.body || {};
+    const arbitratorId = req.session.user.id;
+
+    if (!(await isArbitrator(req.session.user))) {
+      return res.status(403).json({ ok: false, error: "Only an arbitrator can decide disputes" });
+    }
+    if (!Object.values(DISPUTE_RESOLUTION).includes(decision)) {
+      return res.status(400).json({ ok: false, error: `Invalid decision. Use one of: ${Object.values(DISPUTE_RESOLUTION).join(", ")}` });
+    }
+    const cleanReason = String(reason || "").trim();
+    if (cleanReason.length < 10) {
+      return res.status(400).json({ ok: false, error: "Please record the reason for the decision (min 10 chars)" });
+    }
+
+    const dispute = await getQaDispute(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ ok: false, error: "Dispute not found" });
+    }
+    if (dispute.status !== DISPUTE_STATUS.OPEN) {
+      return res.status(400).json({ ok: false, error: "Dispute is already resolved" });
+    }
+
+    const escrowData = await getQaEscrow(dispute.offerSequence, dispute.ownerAddress);
+    if (!escrowData) {
+      return res.status(404).json({ ok: false, error: "Escrow for this dispute not found" });
+    }
+    const role = await getQaParticipantRole(req.session.user, escrowData);
+    if (role === "payer" || role === "provider") {
+      return res.status(403).json({ ok: false, error: "Arbitrators cannot decide disputes they are a party to" });
+    }
+
+    // Record the decision first; the on-ledger action below is best-effort and can be retried
+    // (provider claim after a release decision, the refund scheduler after a refund decision)
+    await resolveQaDispute(dispute.id, { resolution: decision, reason: cleanReason, arbitratorUserId: arbitratorId });
+
+    let action = null;
+    let conversion = null;
+    try {
+      client = await getClient();
+      if (decision === DISPUTE_RESOLUTION.RELEASE) {
+        const providerWallet = await resolveSigningWallet(escrowData.providerAddress);
+        if (!providerWallet) {
+          action = { ok: false, pending: true, reason: "Provider wallet is not custodial; the provider can now claim the payment" };
+        } else {
+          const finishOut = await finishEscrow({
+            client,
+            payeeWallet: providerWallet,
+            ownerAddress: escrowData.ownerAddress,
+            offerSequence: escrowData.offerSequence,
+            fulfillment: await openQaPreimage(escrowData, "dispute_release", arbitratorId),
+          });
+          action = { ok: finishOut.txResult === "tesSUCCESS", txHash: finishOut.hash, txResult: finishOut.txResult };
+          if (action.ok) {
+            await markQaEscrowFinished(escrowData.id);
+            await markApprovalReleasedForEscrow(escrowData.ownerAddress, escrowData.offerSequence, finishOut.hash);
+            await recordQaDisputeSettlement(dispute.id, { action: "released", txHash: finishOut.hash });
+            if ((process.env.AUTO_CONVERT_TO_XLUSD || "true") === "true") {
+              conversion = await convertEscrowXrpToXlusd({
+                client,
+                wallet: providerWallet,
+                issuer: process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER,
+                escrowAmountDrops: finishOut.escrowAmountDrops,
+                escrow: { ownerAddress: escrowData.ownerAddress, offerSequence: escrowData.offerSequence },
+              });
+            } else {
+              await recordUnconvertedXlusdGuarantee({
+                escrow: { ownerAddress: escrowData.ownerAddress, offerSequence: escrowData.offerSequence },
+                destinationAddress: providerWallet.classicAddress,
+                reason: "AUTO_CONVERT_TO_XLUSD is off",
+              });
+            }
+          }
+        }
+      } else {
+        const record = await getEscrowRecord(escrowData.ownerAddress, escrowData.offerSequence);
+        const cancelAfter = record?.cancel_after ? Number(record.cancel_after) : null;
+        const nowUnix = Math.floor(Date.now() / 1000);
+        const ownerWallet = await resolveSigningWallet(escrowData.ownerAddress);
+        if (cancelAfter && nowUnix >= cancelAfter && ownerWallet) {
+          const cancelOut = await cancelEscrow({
+            client,
+            payerWallet: ownerWallet,
+            ownerAddress: escrowData.ownerAddress,
+            offerSequence: escrowData.offerSequence,
+          });
+          action = { ok: cancelOut.txResult === "tesSUCCESS", txHash: cancelOut.hash, txResult: cancelOut.txResult };
+          if (action.ok) {
+            await recordQaDisputeSettlement(dispute.id, { action: "refunded", txHash: cancelOut.hash });
+          }
+        } else {
+          action = {
+            ok: false,
+            pending: true,
+            cancelAfterUnix: cancelAfter,
+            reason: "Refund will be submitted once CancelAfter has passed",
+          };
+        }
+      }
+    } catch (actionErr) {
+      action = { ok: false, error: actionErr.message || String(actionErr) };
+    }
+
+    return res.json({ ok: true, dispute: await getQaDispute(dispute.id), action, conversion });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+/* ======================
+   QA DEADLINE EXTENSIONS (cancel-and-recreate)
+====================== */
+
+// Escrows cannot be amended on-ledger. Once payer and provider agree on a new deadline, the
+// escrow scheduler cancels the old escrow when CancelAfter allows and recreates it with the same
+// amount and condition; requirements, proofs, verification and disputes move to the new sequence.
+
+// Load the extension and the acting party's role (payer or provider only)
+async function loadExtensionForParty(extensionId, sessionUser) {
+  const extension = await getEscrowExtension(extensionId);
+  if (!extension) return { status: 404, error: "Extension not found" };
+  const escrowData = await getQaEscrow(extension.oldOfferSequence, extension.ownerAddress);
+  const role = escrowData ? await getQaParticipantRole(sessionUser, escrowData) : null;
+  if (role !== "payer" && role !== "provider") {
+    return { status: 403, error: "Only the payer or provider can act on this extension" };
+  }
+  return { extension, escrowData, role };
+}
+
+// PAYER / PROVIDER: propose a new deadline (counts as the requester's consent)
+app.post("/escrow/qa/extension/request", requireAuth, async (req, res) => {
+  try {
+    const { newDeadlineUnix, reason } = req.body || {};
+    const userId = req.session.user.id;
+
+    const target = await resolveQaEscrowTarget(req.body || {});
+    if (target.error) {
+      return res.status(target.status).json({ ok: false, error: target.error });
+    }
+
+    const escrowData = await getQaEscrow(target.seq, target.ownerAddress);
+    if (!escrowData) {
+      return res.status(404).json({ ok: false, error: "Escrow requirements not found for this sequence" });
+    }
+    const role = await getQaParticipantRole(req.session.user, escrowData);
+    if (role !== "payer" && role !== "provider") {
+      return res.status(403).json({ ok: false, error: "Only the payer or provider can request an extension" });
+    }
+    if (escrowData.escrowFinished) {
+      return res.status(400).json({ ok: false, error: "Escrow was already released" });
+    }
+
+    const record = await getEscrowRecord(escrowData.ownerAddress, escrowData.offerSequence);
+    if (!record) {
+      return res.status(404).json({ ok: false, error: "Escrow is not in the registry" });
+    }
+    if (record.status !== ESCROW_STATUS.OPEN) {
+      return res.status(400).json({ ok: false, error: `Escrow is already ${record.status}` });
+    }
+
+    const dispute = await getLatestQaDispute(escrowData.id);
+    if (dispute) {
+      return res.status(409).json({
+        ok: false,
+        error: "This escrow has a dispute; it cannot be extended",
+        disputeId: dispute.id,
+      });
+    }
+
+    const active = await getActiveExtensionForQaEscrow(escrowData.id);
+    if (active) {
+      return res.status(409).json({
+        ok: false,
+        error: "An extension is already in progress for this escrow",
+        extensionId: active.id,
+      });
+    }
+
+    const nowUnix = Math.floor(Date.now() / 1000);
+    const deadline = Number(newDeadlineUnix);
+    const oldDeadline = record.finish_after ? Number(record.finish_after) : null;
+    if (!isValidUnixTimestamp(deadline)) {
+      return res.status(400).json({ ok: false, error: "Invalid newDeadlineUnix" });
+    }
+    if (oldDeadline && deadline <= oldDeadline) {
+      return res.status(400).json({ ok: false, error: "The new deadline must be later than the current one", oldDeadlineUnix: oldDeadline });
+    }
+    if (deadline <= nowUnix + XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS) {
+      return res.status(400).json({
+        ok: false,
+        error: `The new deadline must be at least ${XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS} seconds in the future`,
+      });
+    }
+
+    const extensionId = await createEscrowExtension({
+      qaEscrowId: escrowData.id,
+      escrowId: record.id,
+      ownerAddress: escrowData.ownerAddress,
+      oldOfferSequence: escrowData.offerSequence,
+      oldDeadlineUnix: oldDeadline,
+      newDeadlineUnix: deadline,
+      reason: String(reason || "").trim() || null,
+      requestedByUserId: userId,
+      requesterRole: role,
+    });
+
+    return res.json({ ok: true, extension: await getEscrowExtension(extensionId) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// OTHER PARTY: agree to the new deadline; the escrow is recreated once the old CancelAfter has passed
+app.post("/escrow/qa/extension/:id/consent", requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadExtensionForParty(req.params.id, req.session.user);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ ok: false, error: loaded.error });
+    }
+    const { extension, escrowData, role } = loaded;
+    if (extension.status !== EXTENSION_STATUS.PENDING_CONSENT) {
+      return res.status(409).json({ ok: false, error: `Extension is already ${extension.status}` });
+    }
+    const alreadyConsented = role === "payer" ? extension.payerConsentedAt : extension.providerConsentedAt;
+    if (alreadyConsented) {
+      return res.status(400).json({ ok: false, error: "Waiting for the other party to consent" });
+    }
+    if (escrowData.escrowFinished) {
+      return res.status(400).json({ ok: false, error: "Escrow was already released" });
+    }
+
+    if (!(await consentToEscrowExtension(extension.id, role))) {
+      return res.status(409).json({ ok: false, error: "Extension is no longer waiting for consent" });
+    }
+    const updated = await getEscrowExtension(extension.id);
+
+    // Past CancelAfter already: don't wait for the next scheduler interval
+    const record = await getEscrowRecord(extension.ownerAddress, extension.oldOfferSequence);
+    const runsAt = record?.cancel_after ? Number(record.cancel_after) : null;
+    if (updated.status === EXTENSION_STATUS.SCHEDULED && runsAt && runsAt <= Math.floor(Date.now() / 1000)) {
+      runEscrowSchedulerNow().catch((err) => console.warn("Extension run failed:", err.message));
+    }
+
+    return res.json({ ok: true, extension: updated, runsAt });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// OTHER PARTY declines, or the requester withdraws, before both have agreed
+app.post("/escrow/qa/extension/:id/decline", requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadExtensionForParty(req.params.id, req.session.user);
+    if (loaded.error) {
+      return res.status(loaded.status).json({ ok: false, error: loaded.error });
+    }
+    if (!(await declineEscrowExtension(loaded.extension.id))) {
+      return res.status(409).json({ ok: false, error: `Extension is already ${loaded.extension.status}` });
+    }
+    return res.json({ ok: true, extension: await getEscrowExtension(loaded.extension.id) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// PAYER / PROVIDER: every extension of a QA escrow (?sequence= or ?contractId=&milestoneIndex=)
+app.get("/escrow/qa/extensions", requireAuth, async (req, res) => {
+  try {
+    const target = await resolveQaEscrowTarget(req.query || {});
+    if (target.error) {
+      return res.status(target.status).json({ ok: false, error: target.error });
+    }
+
+    const escrowData = await getQaEscrow(target.seq, target.ownerAddress);
+    if (!escrowData) {
+      return res.status(404).json({ ok: false, error: "Escrow requirements not found for this sequence" });
+    }
+    const role = await getQaParticipantRole(req.session.user, escrowData);
+    if (!role) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view this escrow" });
+    }
+
+    const extensions = await listExtensionsForQaEscrow(escrowData.id);
+    return res.json({
+      ok: true,
+      offerSequence: escrowData.offerSequence,
+      sequences: [
+        ...extensions.filter((x) => x.status === EXTENSION_STATUS.COMPLETED).map((x) => x.oldOfferSequence),
+        escrowData.offerSequence,
+      ],
+      extensions,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+/* ======================
+   ESCROW TERMS (hashed into EscrowCreate Memos)
+====================== */
+
+// Terms come as { termsText } or an uploaded { termsDocument: { filename, contentType, contentBase64 } }
+function readTermsInput({ termsText, termsDocument } = {}) {
+  if (termsText && termsDocument) {
+    return { error: "Provide either termsText or termsDocument, not both" };
+  }
+  if (typeof termsText === "string" && termsText.trim().length > 0) {
+    // Hashed exactly as sent so the same text verifies later
+    return { content: Buffer.from(termsText, "utf8"), filename: null, contentType: "text/plain; charset=utf-8" };
+  }
+  if (termsDocument) {
+    if (typeof termsDocument !== "object" || typeof termsDocument.contentBase64 !== "string") {
+      return { error: "termsDocument must be { filename, contentType, contentBase64 }" };
+    }
+    const content = Buffer.from(termsDocument.contentBase64, "base64");
+    if (content.length === 0) {
+      return { error: "termsDocument is empty" };
+    }
+    return {
+      content,
+      filename: String(termsDocument.filename || "").trim().slice(0, 255) || null,
+      contentType: String(termsDocument.contentType || "application/octet-stream").slice(0, 100),
+    };
+  }
+  return null;
+}
+
+// Validate the terms of a create request and build its memo; null when no terms were sent
+function prepareTerms(body) {
+  const input = readTermsInput(body);
+  if (!input || input.error) return input;
+  if (input.content.length > TERMS_MEMO.MAX_BYTES) {
+    return { error: `Terms document is too large (max ${Math.floor(TERMS_MEMO.MAX_BYTES / 1024)} KB)` };
+  }
+  return { ...input, ...buildTermsMemo(input.content) };
+}
+
+async function storeEscrowTerms(terms, { userId, ownerAddress, destinationAddress, offerSequence, txHash }) {
+  if (!terms) return;
+  await saveTermsDocument({
+    reference: terms.reference,
+    userId,
+    sha256: terms.sha256,
+    filename: terms.filename,
+    contentType: terms.contentType,
+    content: terms.content,
+    ownerAddress,
+    destinationAddress,
+    offerSequence,
+    txHash,
+  });
+}
+
+// VERIFY TERMS - does a presented document (and our stored copy) match the hash locked on-ledger?
+app.post("/escrow/terms/verify", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const { ownerAddress, offerSequence } = req.body || {};
+    let txHash = req.body?.txHash ? String(req.body.txHash).trim() : null;
+
+    if (!txHash && ownerAddress && offerSequence !== undefined) {
+      const stored = await getTermsForEscrow(String(ownerAddress).trim(), offerSequence);
+      const record = await getEscrowRecord(String(ownerAddress).trim(), offerSequence);
+      txHash = stored?.txHash || record?.create_tx_hash || null;
+    }
+    if (!txHash) {
+      return res.status(400).json({ ok: false, error: "Provide txHash, or ownerAddress and offerSequence of a known escrow" });
+    }
+
+    const presented = readTermsInput(req.body || {});
+    if (presented?.error) {
+      return res.status(400).json({ ok: false, error: presented.error });
+    }
+
+    client = await getClient();
+    const tx = await getTransactionMemos({ client, txHash });
+    if (tx.transactionType !== "EscrowCreate") {
+      return res.status(400).json({ ok: false, error: "Transaction is not an EscrowCreate" });
+    }
+    const onLedger = parseTermsMemo(tx.memos);
+    if (!onLedger) {
+      return res.status(404).json({ ok: false, error: "No terms memo on this EscrowCreate" });
+    }
+
+    // Re-hash the stored copy instead of trusting its sha256 column
+    const stored = onLedger.ref ? await getTermsByReference(onLedger.ref) : null;
+    const presentedSha256 = presented ? hashTermsDocument(presented.content) : null;
+
+    return res.json({
+      ok: true,
+      txHash,
+      validated: tx.validated,
+      ownerAddress: tx.account,
+      destinationAddress: tx.destination,
+      onLedger: { sha256: onLedger.sha256, reference: onLedger.ref },
+      presentedSha256,
+      matches: presentedSha256 ? presentedSha256 === onLedger.sha256 : null,
+      storedCopy: stored
+        ? {
+            matches: hashTermsDocument(stored.content) === onLedger.sha256,
+            filename: stored.filename,
+            contentType: stored.contentType,
+            sizeBytes: stored.sizeBytes,
+          }
+        : null,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+// DOWNLOAD TERMS - the stored document, for the escrow's payer and payee
+app.get("/escrow/terms/:reference", requireAuth, async (req, res) => {
+  try {
+    const terms = await getTermsByReference(String(req.params.reference));
+    if (!terms) {
+      return res.status(404).json({ ok: false, error: "Terms document not found" });
+    }
+
+    const userId = req.session.user.id;
+    const wallet = await dbPromise.get(`SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`, [userId]);
+    const isParty =
+      Number(terms.userId) === Number(userId) ||
+      (!!wallet?.wallet_address && [terms.ownerAddress, terms.destinationAddress].includes(wallet.wallet_address));
+    if (!isParty) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view these terms" });
+    }
+
+    res.setHeader("Content-Type", terms.contentType || "application/octet-stream");
+    res.setHeader("X-Terms-SHA256", terms.sha256);
+    if (terms.filename) {
+      res.setHeader("Content-Disposition", `attachment; filename="${terms.filename.replace(/["\\\r\n]/g, "_")}"`);
+    }
+    return res.send(terms.content);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+/* ======================
+   ESCROW APPROVALS (M-of-N)
+====================== */
+
+const MAX_APPROVERS = 10;
+
+// Validate { approvers, threshold } from a create request; { policy: null } when no approvers were given
+async function parseApprovalRequest({ approvers, threshold, destinationAddress }) {
+  if (approvers === undefined || approvers === null || (Array.isArray(approvers) && approvers.length === 0)) {
+    return { policy: null };
+  }
+  if (!Array.isArray(approvers)) {
+    return { error: "approvers must be an array of account emails or wallet addresses" };
+  }
+  if (approvers.length > MAX_APPROVERS) {
+    return { error: `At most ${MAX_APPROVERS} approvers are supported` };
+  }
+
+  const resolved = await resolveApproverAccounts(approvers);
+  if (resolved.unknown.length > 0) {
+    return { error: "Some approvers do not have an account", unknown: resolved.unknown };
+  }
+  const payee = await dbPromise.get(`SELECT user_id FROM user_wallets WHERE wallet_address = ? LIMIT 1`, [
+    destinationAddress,
+  ]);
+  if (payee && resolved.approvers.some((a) => a.userId === payee.user_id)) {
+    return { error: "The payee cannot be one of the approvers" };
+  }
+
+  const m = threshold === undefined || threshold === null ? resolved.approvers.length : Number(threshold);
+  if (!Number.isInteger(m) || m < 1 || m > resolved.approvers.length) {
+    return { error: `threshold must be a whole number between 1 and ${resolved.approvers.length} (distinct approvers)` };
+  }
+  return { policy: { approvers: resolved.approvers, threshold: m } };
+}
+
+// Public view of a policy: who has approved and how many approvals remain
+function toApprovalView(policy) {
+  if (!policy) return null;
+  return { ...policy, remaining: Math.max(0, policy.threshold - policy.approvalCount) };
+}
+
+// Submit EscrowFinish for a policy that reached its threshold (freelancer escrows use the held
+// preimage; QA escrows also honour verification, disputes and the dispute window).
+// Returns the outcome, never throws for "not yet".
+async function releaseApprovedEscrow(policy, actorUserId = null) {
+  if (policy.status !== APPROVAL_STATUS.APPROVED) return null;
+
+  if (policy.workflow === ESCROW_WORKFLOWS.FREELANCER) {
+    const held = await getFreelancerEscrowForEscrow(policy.ownerAddress, policy.offerSequence);
+    if (!held || held.status === FREELANCER_ESCROW_STATUS.RELEASED) {
+      return { ok: false, pending: false, reason: "Escrow was already released or is unknown" };
+    }
+    await markFreelancerEscrowApproved(held.id);
+    const out = await releaseHeldFreelancerEscrow(held, { purpose: "approval_release", userId: actorUserId });
+    if (out.ok) await markApprovalReleasedForEscrow(policy.ownerAddress, policy.offerSequence, out.txHash);
+    return out;
+  }
+
+  const qaEscrow = await getQaEscrow(policy.offerSequence, policy.ownerAddress);
+  if (!qaEscrow || qaEscrow.escrowFinished) {
+    return { ok: false, pending: false, reason: "Escrow was already released or is unknown" };
+  }
+  if (qaEscrow.requirements.length > 0 && !qaEscrow.allVerified) {
+    return { ok: false, pending: true, reason: "Waiting for all requirements to be verified" };
+  }
+  const releaseBlock = await getQaReleaseBlock(qaEscrow);
+  if (releaseBlock) {
+    return { ok: false, pending: true, reason: releaseBlock.error };
+  }
+
+  const payeeWallet = await resolveSigningWallet(policy.destinationAddress);
+  if (!payeeWallet) {
+    return {
+      ok: false,
+      pending: true,
+      reason: "Payee wallet is not held by the platform; the payee can now fetch the fulfillment and finish the escrow",
+    };
+  }
+
+  const client = await getClient();
+  const finishOut = await finishEscrow({
+    client,
+    payeeWallet,
+    ownerAddress: policy.ownerAddress,
+    offerSequence: policy.offerSequence,
+    fulfillment: await openQaPreimage(qaEscrow, "approval_release", actorUserId),
+  });
+  const ok = finishOut.txResult === "tesSUCCESS";
+  let conversion = null;
+  if (ok) {
+    await markApprovalReleasedForEscrow(policy.ownerAddress, policy.offerSequence, finishOut.hash);
+    await markQaEscrowFinished(qaEscrow.id);
+    if ((process.env.AUTO_CONVERT_TO_XLUSD || "true") === "true") {
+      conversion = await convertEscrowXrpToXlusd({
+        client,
+        wallet: payeeWallet,
+        issuer: process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER,
+        escrowAmountDrops: finishOut.escrowAmountDrops,
+        escrow: { ownerAddress: policy.ownerAddress, offerSequence: policy.offerSequence },
+      });
+    } else {
+      await recordUnconvertedXlusdGuarantee({
+        escrow: { ownerAddress: policy.ownerAddress, offerSequence: policy.offerSequence },
+        destinationAddress: payeeWallet.classicAddress,
+        reason: "AUTO_CONVERT_TO_XLUSD is off",
+      });
+    }
+  }
+  return { ok, txHash: finishOut.hash, txResult: finishOut.txResult, conversion };
+}
+
+async function canViewApprovalPolicy(userId, policy) {
+  if (Number(policy.userId) === Number(userId)) return true;
+  if (policy.approvers.some((a) => Number(a.userId) === Number(userId))) return true;
+  const wallet = await dbPromise.get(`SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`, [userId]);
+  return !!wallet?.wallet_address && wallet.wallet_address === policy.destinationAddress;
+}
+
+// LIST APPROVAL POLICIES - escrows the user created, approves, or is paid by
+app.get("/escrow/approvals", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const wallet = await dbPromise.get(`SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`, [userId]);
+    const policies = await listApprovalPoliciesForUser({ userId, address: wallet?.wallet_address || null });
+
+    return res.json({
+      ok: true,
+      approvals: policies.map((p) => ({
+        ...toApprovalView(p),
+        awaitingMyApproval:
+          p.status === APPROVAL_STATUS.PENDING &&
+          p.approvers.some((a) => Number(a.userId) === Number(userId) && !a.approved),
+      })),
+      total: policies.length,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// GET APPROVAL POLICY - who has approved and how many more are needed
+app.get("/escrow/approvals/:id", requireAuth, async (req, res) => {
+  try {
+    const policy = await getApprovalPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ ok: false, error: "Approval policy not found" });
+    }
+    if (!(await canViewApprovalPolicy(req.session.user.id, policy))) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view this escrow's approvals" });
+    }
+
+    const record = await getEscrowRecord(policy.ownerAddress, policy.offerSequence);
+    return res.json({ ok: true, approvals: toApprovalView(policy), escrowStatus: record?.status || null });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// APPROVER: sign off on a release; the escrow is finished once the threshold is met
+// (approving again after the threshold retries a release that could not be submitted)
+app.post("/escrow/approvals/:id/approve", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const note = req.body?.note ? String(req.body.note).trim().slice(0, 500) : null;
+
+    const policy = await getApprovalPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ ok: false, error: "Approval policy not found" });
+    }
+    const approver = policy.approvers.find((a) => Number(a.userId) === Number(userId));
+    if (!approver) {
+      return res.status(403).json({ ok: false, error: "You are not an approver for this escrow" });
+    }
+    if (policy.status === APPROVAL_STATUS.RELEASED) {
+      return res.json({ ok: true, alreadyReleased: true, approvals: toApprovalView(policy) });
+    }
+
+    const record = await getEscrowRecord(policy.ownerAddress, policy.offerSequence);
+    if (record && record.status !== ESCROW_STATUS.OPEN) {
+      return res.status(400).json({ ok: false, error: `Escrow is already ${record.status}` });
+    }
+
+    const added = await recordApproval(policy.id, userId, note);
+    const updated = await getApprovalPolicy(policy.id);
+
+    let release = null;
+    try {
+      release = await releaseApprovedEscrow(updated, userId);
+    } catch (releaseErr) {
+      release = { ok: false, error: releaseErr.message || String(releaseErr) };
+    }
+
+    return res.json({
+      ok: true,
+      alreadyApproved: !added,
+      approvals: toApprovalView(await getApprovalPolicy(policy.id)),
+      release,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// PAYEE: fetch the fulfillment of an approved escrow to finish it from a wallet the platform does not hold
+app.get("/escrow/approvals/:id/fulfillment", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const policy = await getApprovalPolicy(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ ok: false, error: "Approval policy not found" });
+    }
+
+    const wallet = await dbPromise.get(`SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`, [userId]);
+    if (!wallet?.wallet_address || wallet.wallet_address !== policy.destinationAddress) {
+      return res.status(403).json({ ok: false, error: "Only the escrow's payee can fetch the fulfillment" });
+    }
+    if (policy.status === APPROVAL_STATUS.PENDING) {
+      return res.status(403).json({
+        ok: false,
+        error: `Waiting for approvals (${policy.approvalCount} of ${policy.threshold} required).`,
+        approvals: toApprovalView(policy),
+      });
+    }
+
+    let preimage;
+    let condition;
+    if (policy.workflow === ESCROW_WORKFLOWS.FREELANCER) {
+      const held = await getFreelancerEscrowForEscrow(policy.ownerAddress, policy.offerSequence);
+      if (!held) {
+        return res.status(404).json({ ok: false, error: "Held preimage not found for this escrow" });
+      }
+      preimage = await openEscrowSecret(held.sealedPreimage, {
+        kind: ESCROW_SECRET_KINDS.FREELANCER_ESCROW,
+        refId: held.id,
+        purpose: "fulfillment_reveal",
+        userId,
+      });
+      condition = held.condition;
+      await markFulfillmentRevealed(held.id);
+    } else {
+      const qaEscrow = await getQaEscrow(policy.offerSequence, policy.ownerAddress);
+      if (!qaEscrow?.sealedPreimage) {
+        return res.status(404).json({ ok: false, error: "Held preimage not found for this escrow" });
+      }
+      if (qaEscrow.requirements.length > 0 && !qaEscrow.allVerified) {
+        return res.status(400).json({ ok: false, error: "Waiting for all requirements to be verified" });
+      }
+      const releaseBlock = await getQaReleaseBlock(qaEscrow);
+      if (releaseBlock) {
+        const { status, ...rest } = releaseBlock;
+        return res.status(status).json({ ok: false, ...rest });
+      }
+      preimage = await openQaPreimage(qaEscrow, "fulfillment_reveal", userId);
+      condition = qaEscrow.condition;
+    }
+
+    return res.json({
+      ok: true,
+      ownerAddress: policy.ownerAddress,
+      offerSequence: policy.offerSequence,
+      condition,
+      fulfillment: createFulfillment(preimage),
+      approvals: toApprovalView(policy),
+      hint: "Submit this fulfillment with POST /escrow/finish to receive the payment.",
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+/* ======================
+   ESCROW INVITATIONS
+====================== */
+
+// Invitations hold part of the payer's balance until they are funded. Anything else the payer spends
+// (escrows, transfers, groups, new invitations) must fit in the spendable balance left after them.
+// Returns { error } when it does not, or null (an unactivated payer is left to the ledger to reject).
+async function getInvitationReserveError({ userId, walletAddress, amountXrp }) {
+  const reservedXrp = await getReservedInvitationXrp(userId, { walletAddress });
+  const client = await getClient();
+  const quote = await getEscrowFundingQuote({
+    client,
+    payerAddress: walletAddress,
+    destinationAddress: null,
+    amountDrops: xrpToDrops(amountXrp),
+  });
+  if (!quote.payerActivated) return null;
+
+  const availableDrops = BigInt(quote.spendableDrops) - BigInt(xrpToDrops(reservedXrp));
+  if (BigInt(quote.amountDrops) <= availableDrops) return null;
+  const availableXrp = availableDrops > 0n ? Number(xrpl.dropsToXrp(availableDrops.toString())) : 0;
+  return {
+    error:
+      `Insufficient available balance. You have ${availableXrp.toFixed(6)} XRP available ` +
+      `(${reservedXrp.toFixed(6)} XRP reserved by pending invitations)`,
+    availableXrp,
+    reservedXrp,
+  };
+}
+
+// Base account reserve in drops: what activating a new account costs
+async function getReserveBaseDrops(client) {
+  const stateResp = await client.request({ command: "server_state" });
+  const reserveBaseDrops = stateResp.result?.state?.validated_ledger?.reserve_base;
+  if (!reserveBaseDrops) {
+    throw new Error("Server has no validated ledger yet; cannot read the account reserve");
+  }
+  return reserveBaseDrops;
+}
+
+// An invitee signs up with a new wallet that does not exist on-ledger yet, and an EscrowCreate to it
+// fails with tecNO_DST. The payer sends it the base account reserve first (reserved with the invitation).
+async function activateInviteeAccount({ client, payerWallet, address }) {
+  if (await isLedgerAccountActivated(address)) return null;
+
+  const reserveBaseDrops = await getReserveBaseDrops(client);
+  const prepared = await client.autofill({
+    TransactionType: "Payment",
+    Account: payerWallet.classicAddress,
+    Destination: address,
+    Amount: String(reserveBaseDrops),
+  });
+  const signed = payerWallet.sign(prepared);
+  const result = await client.submitAndWait(signed.tx_blob);
+  const txResult = result.result?.meta?.TransactionResult;
+  if (txResult !== "tesSUCCESS") {
+    throw new Error(`Could not activate the invitee's wallet: ${txResult}`);
+  }
+  return result.result?.hash || null;
+}
+
+// Record an invitation's escrow once its EscrowCreate is validated (right after submitting, or when an
+// interrupted funding is found on-ledger later)
+async function recordFundedInvitation(invitation, { ownerAddress, offerSequence, txHash, preimage = null }) {
+  await markInvitationFunded(invitation.id, { ownerAddress, offerSequence, txHash });
+
+  // On-ledger from here on: a failure below is logged, never retried as a new escrow
+  try {
+    const condition = preimage ? createCondition(preimage) : null;
+    if (invitation.workflow === ESCROW_WORKFLOWS.QUALITY_ASSURANCE) {
+      await saveQaEscrow({
+        userId: invitation.payerUserId,
+        offerSequence,
+        ownerAddress,
+        providerAddress: invitation.destinationAddress,
+        preimage,
+        condition,
+        requirements: invitation.requirements,
+      });
+    }
+    await registerCreatedEscrow({
+      userId: invitation.payerUserId,
+      ownerAddress,
+      destinationAddress: invitation.destinationAddress,
+      offerSequence,
+      amountDrops: xrpToDrops(invitation.amountXrp),
+      amountXlusd: invitation.amountXlusd,
+      xlusdPerXrp: invitation.xlusdPerXrp,
+      xlusdRateSource: invitation.xlusdRateSource,
+      condition,
+      finishAfterUnix: invitation.finishAfterUnix,
+      cancelAfterUnix: invitation.cancelAfterUnix,
+      workflow: invitation.workflow,
+      txHash,
+    });
+    console.log(`✉️ Funded escrow invitation ${invitation.id} for ${invitation.email} (${txHash})`);
+  } catch (err) {
+    console.error(`Escrow invitation ${invitation.id} funded but not fully recorded:`, err.message);
+  }
+}
+
+// Lock an accepted invitation on-ledger, paying the invitee's provisioned wallet
+async function fundEscrowInvitation(invitationId) {
+  if (!(await beginInvitationFunding(invitationId))) {
+    return await getEscrowInvitation(invitationId, { includeToken: true });
+  }
+  const invitation = await getEscrowInvitation(invitationId);
+
+  let submitted = false;
+  try {
+    let payerWallet;
+    try {
+      payerWallet = await new Promise((resolve, reject) => {
+        getUserWalletAny(invitation.payerUserId, (err, wallet) => {
+          if (err) reject(err);
+          else resolve(wallet);
+        });
+      });
+    } catch (err) {
+      if (!process.env.PAYER_SEED) {
+        throw new Error("Payer has no wallet connected and server PAYER_SEED is not configured");
+      }
+      payerWallet = xrpl.Wallet.fromSeed(process.env.PAYER_SEED);
+    }
+
+    const client = await getClient();
+    await activateInviteeAccount({ client, payerWallet, address: invitation.destinationAddress });
+
+    // QA escrows are always conditional: finished with the held preimage before the deadline
+    const isConditional = invitation.workflow === ESCROW_WORKFLOWS.QUALITY_ASSURANCE;
+    const preimage = isConditional ? generateConditionPair().preimage : null;
+    const onSigned = async ({ hash, offerSequence, lastLedgerSequence }) => {
+      await markInvitationSubmitted(invitation.id, {
+        ownerAddress: payerWallet.classicAddress,
+        offerSequence,
+        txHash: hash,
+        lastLedgerSequence,
+        preimage,
+      });
+      submitted = true;
+    };
+    const created = isConditional
+      ? await createQAEscrow({
+          client,
+          clientWallet: payerWallet,
+          providerAddress: invitation.destinationAddress,
+          amountXrp: invitation.amountXrp,
+          deadlineUnix: invitation.finishAfterUnix,
+          preimage,
+          onSigned,
+        })
+      : await createEscrow({
+          client,
+          payerWallet,
+          payeeAddress: invitation.destinationAddress,
+          amountXrp: invitation.amountXrp,
+          finishAfterUnix: invitation.finishAfterUnix,
+          cancelAfterUnix: invitation.cancelAfterUnix,
+          condition: null,
+          onSigned,
+        });
+
+    const submitRes = created.result;
+    const txResult = submitRes?.result?.meta?.TransactionResult;
+    const txHash = submitRes?.result?.hash;
+    if (txResult !== "tesSUCCESS") {
+      submitted = false; // validated with a failure: nothing on-ledger, safe to retry
+      throw new Error(submitRes?.result?.engine_result_message || `Transaction failed: ${txResult}`);
+    }
+
+    await recordFundedInvitation(invitation, {
+      ownerAddress: payerWallet.classicAddress,
+      offerSequence: created.offerSequence,
+      txHash,
+      preimage,
+    });
+  } catch (err) {
+    if (submitted) {
+      // The EscrowCreate may still be validated; the sweep settles it by hash instead of resubmitting
+      console.warn(`Escrow invitation ${invitation.id} funding result unknown, will look it up:`, err.message);
+    } else {
+      await markInvitationFundingFailed(invitation.id, err.message || String(err));
+    }
+  }
+  return await getEscrowInvitation(invitationId, { includeToken: true });
+}
+
+// Settle fundings that were interrupted (by the submitted tx hash), then retry accepted invitations
+// whose funding failed, up to ESCROW_INVITATION_MAX_FUNDING_ATTEMPTS
+let sweepingEscrowInvitations = false;
+async function sweepEscrowInvitations() {
+  if (sweepingEscrowInvitations) return;
+  sweepingEscrowInvitations = true;
+  try {
+    const interrupted = await listInterruptedInvitationFunding({
+      olderThanSeconds: ESCROW_INVITATION_FUNDING_TIMEOUT_SECONDS,
+    });
+    for (const invitation of interrupted) {
+      try {
+        if (!invitation.txHash) {
+          await markInvitationFundingFailed(invitation.id, "Funding was interrupted before the EscrowCreate was signed");
+          continue;
+        }
+        const client = await getClient();
+        const lookup = await lookupSubmittedTx({
+          client,
+          hash: invitation.txHash,
+          lastLedgerSequence: invitation.lastLedgerSequence,
+        });
+        if (lookup.state === "success") {
+          const sealed = await getInvitationSealedPreimage(invitation.id);
+          const preimage = sealed
+            ? await openEscrowSecret(sealed, {
+                kind: ESCROW_SECRET_KINDS.ESCROW_INVITATION,
+                refId: invitation.id,
+                purpose: "invitation_recovery",
+              })
+            : null;
+          await recordFundedInvitation(invitation, {
+            ownerAddress: invitation.ownerAddress,
+            offerSequence: invitation.offerSequence,
+            txHash: invitation.txHash,
+            preimage,
+          });
+        } else if (lookup.state !== "pending") {
+          await markInvitationFundingFailed(
+            invitation.id,
+            lookup.txResult ? `Transaction failed: ${lookup.txResult}` : "EscrowCreate expired without being validated"
+          );
+        }
+      } catch (err) {
+        console.warn(`Could not settle escrow invitation ${invitation.id}:`, err.message);
+      }
+    }
+
+    const due = await listInvitationsDueFunding({
+      maxAttempts: ESCROW_INVITATION_MAX_FUNDING_ATTEMPTS,
+      backoffSeconds: ESCROW_INVITATION_FUNDING_BACKOFF_SECONDS,
+    });
+    for (const invitation of due) await fundEscrowInvitation(invitation.id);
+  } catch (err) {
+    console.warn("Escrow invitation sweep failed:", err.message);
+  } finally {
+    sweepingEscrowInvitations = false;
+  }
+}
+
+// Accept the new user's invitations and fund them in the background (signup does not wait on the ledger)
+async function acceptInvitationsOnSignup({ userId, email, token, destinationAddress }) {
+  try {
+    const accepted = await acceptEscrowInvitations({ userId, email, token, destinationAddress });
+    if (accepted.length > 0) {
+      (async () => {
+        for (const invitation of accepted) await fundEscrowInvitation(invitation.id);
+      })().catch((err) => console.warn("Escrow invitation funding failed:", err.message));
+    }
+    return accepted;
+  } catch (err) {
+    console.warn("Could not accept escrow invitations:", err.message);
+    return [];
+  }
+}
+
+function invitePath(token) {
+  return `/index.html?invite=${encodeURIComponent(token)}`;
+}
+
+// CREATE INVITATION - reserve a payment for an email that has no account yet
+app.post("/escrow/invitations/create", requireAuth, async (req, res) => {
+  try {
+    const { email, workflow, amountXrp, amountXlusd, finishAfterUnix, cancelAfterUnix, deadlineUnix, requirements } =
+      req.body || {};
+    const userId = req.session.user.id;
+
+    if (!email || typeof email !== "string" || !isValidEmail(email.trim())) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid email" });
+    }
+    const inviteeEmail = email.trim().toLowerCase();
+    if (inviteeEmail === String(req.session.user.email || "").toLowerCase()) {
+      return res.status(400).json({ ok: false, error: "You cannot invite yourself" });
+    }
+
+    const existingUser = await dbPromise.get(`SELECT id FROM users WHERE email = ? LIMIT 1`, [inviteeEmail]);
+    if (existingUser) {
+      return res.status(409).json({
+        ok: false,
+        error: "This email already has an account. Create the escrow with their email as the recipient instead.",
+      });
+    }
+
+    const invitationWorkflow =
+      workflow || (deadlineUnix !== undefined ? ESCROW_WORKFLOWS.QUALITY_ASSURANCE : ESCROW_WORKFLOWS.STANDARD);
+    if (![ESCROW_WORKFLOWS.STANDARD, ESCROW_WORKFLOWS.QUALITY_ASSURANCE].includes(invitationWorkflow)) {
+      return res.status(400).json({ ok: false, error: "workflow must be 'standard' or 'quality_assurance'" });
+    }
+    const isQa = invitationWorkflow === ESCROW_WORKFLOWS.QUALITY_ASSURANCE;
+    // Without requirements there is no condition to release against, only a one-second finish window
+    const qaRequirements = isQa ? normalizeRequirements(requirements) : [];
+    if (isQa && qaRequirements.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "A quality_assurance invitation needs at least one requirement (use the standard workflow otherwise)",
+      });
+    }
+
+    if (amountXlusd === undefined && amountXrp === undefined) {
+      return res.status(400).json({ ok: false, error: "Missing amountXlusd" });
+    }
+    // The XRP amount is fixed at the rate of the day the invitation is sent
+    const xlusdAmount = amountXlusd !== undefined ? Number(amountXlusd) : null;
+    const rate = await getXlusdRate();
+    const amountToLockXrp = xlusdAmount !== null ? xlusdAmount / rate.xlusdPerXrp : Number(amountXrp);
+    if (!Number.isFinite(amountToLockXrp) || amountToLockXrp <= 0) {
+      return res.status(400).json({ ok: false, error: "Invalid amountXlusd" });
+    }
+
+    // QA invitations lock like /escrow/qa/create: FinishAfter = deadline, CancelAfter = deadline + 1
+    const nowUnix = Math.floor(Date.now() / 1000);
+    const finishAfter = Math.floor(Number(isQa ? deadlineUnix : finishAfterUnix));
+    if (!Number.isFinite(finishAfter) || finishAfter <= nowUnix) {
+      return res.status(400).json({
+        ok: false,
+        error: `${isQa ? "deadlineUnix" : "finishAfterUnix"} must be a future timestamp`,
+      });
+    }
+    let cancelAfter = isQa ? finishAfter + 1 : null;
+    if (!isQa && cancelAfterUnix !== undefined && cancelAfterUnix !== null) {
+      cancelAfter = Math.floor(Number(cancelAfterUnix));
+      if (!Number.isFinite(cancelAfter) || cancelAfter <= finishAfter) {
+        return res.status(400).json({ ok: false, error: "cancelAfterUnix must be after finishAfterUnix" });
+      }
+    }
+
+    // The invitee must sign up early enough for the escrow to still be created before FinishAfter
+    const expiresAt = Math.min(
+      nowUnix + ESCROW_INVITATION_TTL_SECONDS,
+      finishAfter - XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS
+    );
+    if (expiresAt <= nowUnix) {
+      return res.status(400).json({
+        ok: false,
+        error: "The escrow starts too soon to wait for the invitee to sign up",
+      });
+    }
+
+    // Reserve against the wallet that will fund it (as fundEscrowInvitation picks it), after what earlier
+    // invitations hold: the amount plus the base reserve that activates the invitee's new wallet
+    let payerAddress;
+    try {
+      const payerWallet = await new Promise((resolve, reject) => {
+        getUserWalletAny(userId, (err, wallet) => {
+          if (err) reject(err);
+          else resolve(wallet);
+        });
+      });
+      payerAddress = payerWallet.classicAddress;
+    } catch (err) {
+      if (!process.env.PAYER_SEED) {
+        return res.status(400).json({
+          ok: false,
+          error: "No wallet connected. Please connect your XRP wallet first, or server PAYER_SEED must be configured.",
+        });
+      }
+      payerAddress = xrpl.Wallet.fromSeed(process.env.PAYER_SEED).classicAddress;
+    }
+    const activationXrp = Number(xrpl.dropsToXrp(String(await getReserveBaseDrops(await getClient()))));
+    const reserve = await getInvitationReserveError({
+      userId,
+      walletAddress: payerAddress,
+      amountXrp: amountToLockXrp + activationXrp,
+    });
+    if (reserve) {
+      return res.status(400).json({ ok: false, ...reserve });
+    }
+    const reservedXrp = await getReservedInvitationXrp(userId, { walletAddress: payerAddress });
+
+    const { id, token } = await createEscrowInvitation({
+      userId,
+      email: inviteeEmail,
+      workflow: invitationWorkflow,
+      amountXrp: amountToLockXrp,
+      activationXrp,
+      payerAddress,
+      amountXlusd: xlusdAmount,
+      xlusdPerXrp: xlusdAmount !== null ? rate.xlusdPerXrp : null,
+      xlusdRateSource: xlusdAmount !== null ? rate.source : null,
+      finishAfterUnix: finishAfter,
+      cancelAfterUnix: cancelAfter,
+      requirements: qaRequirements,
+      expiresAt,
+    });
+    console.log(`✉️ Escrow invitation ${id} for ${inviteeEmail}`);
+
+    return res.json({
+      ok: true,
+      invitation: await getEscrowInvitation(id, { includeToken: true }),
+      invitePath: invitePath(token),
+      reservedXrp: reservedXrp + amountToLockXrp + activationXrp,
+    });
+  } catch (err) {
+    console.error("Escrow invitation create error:", err);
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// LIST INVITATIONS (sent and accepted) plus the balance still reserved by them
+app.get("/escrow/invitations", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const invitations = await listEscrowInvitationsForUser(userId);
+    return res.json({ ok: true, invitations, reservedXrp: await getReservedInvitationXrp(userId) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// INVITATION PREVIEW (public) - what the invite link offers, for the signup page
+app.get("/api/invitations/:token", async (req, res) => {
+  try {
+    const invitation = await getPendingInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ ok: false, error: "Invitation not found or no longer available" });
+    }
+    const payer = await dbPromise.get(`SELECT email FROM users WHERE id = ? LIMIT 1`, [invitation.payerUserId]);
+    return res.json({
+      ok: true,
+      invitation: {
+        email: invitation.email,
+        payerEmail: payer?.email || null,
+        workflow: invitation.workflow,
+        amountXlusd: invitation.amountXlusd,
+        amountXrp: invitation.amountXrp,
+        finishAfterUnix: invitation.finishAfterUnix,
+        requirements: invitation.requirements,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// RETRY FUNDING (payer) - for accepted invitations whose EscrowCreate failed
+app.post("/escrow/invitations/:id/fund", requireAuth, async (req, res) => {
+  try {
+    const invitation = await getEscrowInvitation(req.params.id);
+    if (!invitation || invitation.payerUserId !== req.session.user.id) {
+      return res.status(404).json({ ok: false, error: "Invitation not found" });
+    }
+    if (invitation.status !== INVITATION_STATUS.ACCEPTED) {
+      return res.status(400).json({ ok: false, error: `Invitation is ${invitation.status}, not waiting to be funded` });
+    }
+
+    const updated = await fundEscrowInvitation(invitation.id);
+    if (updated.status !== INVITATION_STATUS.FUNDED) {
+      return res.status(400).json({ ok: false, error: updated.error || "Funding failed", invitation: updated });
+    }
+    return res.json({ ok: true, invitation: updated });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// CANCEL INVITATION (payer) - releases the reserved amount
+app.post("/escrow/invitations/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const invitation = await getEscrowInvitation(req.params.id);
+    if (!invitation || invitation.payerUserId !== req.session.user.id) {
+      return res.status(404).json({ ok: false, error: "Invitation not found" });
+    }
+    if (!(await cancelEscrowInvitation(invitation.id))) {
+      return res.status(400).json({ ok: false, error: `Invitation is ${invitation.status} and can no longer be cancelled` });
+    }
+    return res.json({ ok: true, invitation: await getEscrowInvitation(invitation.id, { includeToken: true }) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+/* ======================
+   ESCROW PROPOSALS
+====================== */
+
+const MAX_PROPOSAL_NOTE_LENGTH = 2000;
+
+// Validate one version of proposed terms: XLUSD amount, deadline and at least one requirement
+function parseProposalTerms(body) {
+  const amountXlusd = Number(body.amountXlusd);
+  if (!Number.isFinite(amountXlusd) || amountXlusd <= 0) {
+    return { error: "Missing or invalid amountXlusd" };
+  }
+
+  const deadlineUnix = Math.floor(Number(body.deadlineUnix));
+  const nowUnix = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(deadlineUnix) || deadlineUnix <= nowUnix + XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS) {
+    return { error: "deadlineUnix must be a future timestamp" };
+  }
+
+  const requirements = normalizeRequirements(body.requirements);
+  if (requirements.length === 0) {
+    return { error: "At least one requirement is needed" };
+  }
+
+  const note = typeof body.note === "string" && body.note.trim() ? body.note.trim() : null;
+  if (note && note.length > MAX_PROPOSAL_NOTE_LENGTH) {
+    return { error: `note must be at most ${MAX_PROPOSAL_NOTE_LENGTH} characters` };
+  }
+
+  return { terms: { amountXlusd, deadlineUnix, requirements, note } };
+}
+
+// Lock the agreed version as a QA escrow from the payer's custodial wallet
+async function fundEscrowProposal(proposalId) {
+  if (!(await beginProposalFunding(proposalId))) return await getEscrowProposal(proposalId);
+  const proposal = await getEscrowProposal(proposalId);
+  const terms = proposal.versions.find((v) => v.version === proposal.agreedVersion);
+
+  let funded = false;
+  try {
+    const payerRow = await ensureUserWalletProvisioned(proposal.payerUserId);
+    const payerWallet = await resolveSigningWallet(payerRow.wallet_address);
+    if (!payerWallet) throw new Error("Payer wallet cannot be signed for by the server");
+    const providerRow = await ensureUserWalletProvisioned(proposal.providerUserId);
+    const providerAddress = providerRow.wallet_address;
+
+    if (terms.deadlineUnix <= Math.floor(Date.now() / 1000) + XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS) {
+      throw new Error("The agreed deadline has passed; start a new proposal");
+    }
+
+    const client = await getClient();
+    const rate = await getXlusdRate();
+    const created = await createQAEscrow({
+      client,
+      clientWallet: payerWallet,
+      providerAddress,
+      amountXrp: terms.amountXlusd / rate.xlusdPerXrp,
+      deadlineUnix: terms.deadlineUnix,
+    });
+    const submitRes = created.result;
+    const txResult = submitRes?.result?.meta?.TransactionResult;
+    const txHash = submitRes?.result?.hash;
+    if (txResult !== "tesSUCCESS") {
+      throw new Error(submitRes?.result?.engine_result_message || `Transaction failed: ${txResult}`);
+    }
+
+    // On-ledger from here on: never mark it retryable again
+    await markProposalFunded(proposal.id, {
+      ownerAddress: payerWallet.classicAddress,
+      providerAddress,
+      offerSequence: created.offerSequence,
+      txHash,
+    });
+    funded = true;
+
+    const qaEscrowId = await saveQaEscrow({
+      userId: proposal.payerUserId,
+      offerSequence: created.offerSequence,
+      ownerAddress: payerWallet.classicAddress,
+      providerAddress,
+      preimage: created.preimage,
+      condition: created.condition,
+      requirements: terms.requirements,
+    });
+    await linkProposalQaEscrow(proposal.id, qaEscrowId);
+
+    await registerCreatedEscrow({
+      userId: proposal.payerUserId,
+      ownerAddress: payerWallet.classicAddress,
+      destinationAddress: providerAddress,
+      offerSequence: created.offerSequence,
+      amountDrops: created.amountDrops,
+      amountXlusd: terms.amountXlusd,
+      xlusdPerXrp: rate.xlusdPerXrp,
+      xlusdRateSource: rate.source,
+      condition: created.condition,
+      finishAfterUnix: created.finishAfterUnix,
+      cancelAfterUnix: created.cancelAfterUnix,
+      workflow: ESCROW_WORKFLOWS.QUALITY_ASSURANCE,
+      txHash,
+    });
+  } catch (err) {
+    if (funded) {
+      console.error(`Escrow proposal ${proposal.id} funded but not fully recorded:`, err.message);
+    } else {
+      await markProposalFundingFailed(proposal.id, err.message || String(err));
+    }
+  }
+  return await getEscrowProposal(proposalId);
+}
+
+// Load a proposal the session user is a party to, or send 404
+async function loadProposalForParty(req, res) {
+  const proposal = await getEscrowProposal(req.params.id);
+  const userId = req.session.user.id;
+  if (!proposal || (proposal.payerUserId !== userId && proposal.providerUserId !== userId)) {
+    res.status(404).json({ ok: false, error: "Proposal not found" });
+    return null;
+  }
+  return proposal;
+}
+
+// Responses name the version acted on so a stale page cannot accept terms that were since countered
+function readProposalVersion(req, proposal) {
+  const version = req.body?.version !== undefined ? Number(req.body.version) : proposal.currentVersion;
+  return Number.isInteger(version) ? version : null;
+}
+
+// CREATE PROPOSAL - either party drafts terms for a QA escrow
+app.post("/escrow/proposals/create", requireAuth, async (req, res) => {
+  try {
+    const { counterparty, role } = req.body || {};
+    const userId = req.session.user.id;
+
+    if (role !== "payer" && role !== "provider") {
+      return res.status(400).json({ ok: false, error: "role must be 'payer' or 'provider'" });
+    }
+    if (!counterparty || typeof counterparty !== "string") {
+      return res.status(400).json({ ok: false, error: "Missing counterparty (email or wallet address)" });
+    }
+    const { approvers: resolved } = await resolveApproverAccounts([counterparty]);
+    if (resolved.length === 0) {
+      return res.status(400).json({ ok: false, error: "Counterparty not found" });
+    }
+    const counterpartyUserId = resolved[0].userId;
+    if (counterpartyUserId === userId) {
+      return res.status(400).json({ ok: false, error: "You cannot propose an escrow to yourself" });
+    }
+
+    const parsed = parseProposalTerms(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json({ ok: false, error: parsed.error });
+    }
+
+    const proposalId = await createEscrowProposal({
+      payerUserId: role === "payer" ? userId : counterpartyUserId,
+      providerUserId: role === "provider" ? userId : counterpartyUserId,
+      authorUserId: userId,
+      terms: parsed.terms,
+    });
+    return res.json({ ok: true, proposal: await getEscrowProposal(proposalId) });
+  } catch (err) {
+    console.error("Escrow proposal create error:", err);
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// LIST PROPOSALS (as payer or provider)
+app.get("/escrow/proposals", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const proposals = await listEscrowProposalsForUser(userId);
+    return res.json({
+      ok: true,
+      proposals: proposals.map((p) => ({ ...p, awaitingYou: p.awaitingUserId === userId })),
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// GET PROPOSAL - every version, and the agreed one once accepted
+app.get("/escrow/proposals/:id", requireAuth, async (req, res) => {
+  try {
+    const proposal = await loadProposalForParty(req, res);
+    if (!proposal) return;
+    return res.json({ ok: true, proposal, awaitingYou: proposal.awaitingUserId === req.session.user.id });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// COUNTER-PROPOSE - new version of the terms; the other party responds next
+app.post("/escrow/proposals/:id/counter", requireAuth, async (req, res) => {
+  try {
+    const proposal = await loadProposalForParty(req, res);
+    if (!proposal) return;
+    const userId = req.session.user.id;
+
+    const parsed = parseProposalTerms(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json({ ok: false, error: parsed.error });
+    }
+
+    const countered = await counterEscrowProposal(proposal.id, {
+      authorUserId: userId,
+      expectedVersion: readProposalVersion(req, proposal),
+      nextAwaitingUserId: userId === proposal.payerUserId ? proposal.providerUserId : proposal.payerUserId,
+      terms: parsed.terms,
+    });
+    if (!countered) {
+      return res.status(409).json({
+        ok: false,
+        error: "Proposal is not awaiting your response on that version",
+        proposal: await getEscrowProposal(proposal.id),
+      });
+    }
+    return res.json({ ok: true, proposal: await getEscrowProposal(proposal.id) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// ACCEPT - agree to the current version and fund the QA escrow from the payer's wallet
+app.post("/escrow/proposals/:id/accept", requireAuth, async (req, res) => {
+  try {
+    const proposal = await loadProposalForParty(req, res);
+    if (!proposal) return;
+
+    const accepted = await acceptEscrowProposal(proposal.id, {
+      userId: req.session.user.id,
+      version: readProposalVersion(req, proposal),
+    });
+    if (!accepted) {
+      return res.status(409).json({
+        ok: false,
+        error: "Proposal is not awaiting your response on that version",
+        proposal: await getEscrowProposal(proposal.id),
+      });
+    }
+
+    const updated = await fundEscrowProposal(proposal.id);
+    if (updated.status !== PROPOSAL_STATUS.FUNDED) {
+      return res.status(400).json({
+        ok: false,
+        error: `Proposal accepted, but the escrow could not be funded: ${updated.error || "unknown error"}`,
+        proposal: updated,
+      });
+    }
+    return res.json({ ok: true, proposal: updated });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// RETRY FUNDING - either party, for an accepted proposal whose EscrowCreate failed
+app.post("/escrow/proposals/:id/fund", requireAuth, async (req, res) => {
+  try {
+    const proposal = await loadProposalForParty(req, res);
+    if (!proposal) return;
+    if (proposal.status !== PROPOSAL_STATUS.ACCEPTED) {
+      return res.status(400).json({ ok: false, error: `Proposal is ${proposal.status}, not waiting to be funded` });
+    }
+
+    const updated = await fundEscrowProposal(proposal.id);
+    if (updated.status !== PROPOSAL_STATUS.FUNDED) {
+      return res.status(400).json({ ok: false, error: updated.error || "Funding failed", proposal: updated });
+    }
+    return res.json({ ok: true, proposal: updated });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// REJECT - the awaited party declines the current version
+app.post("/escrow/proposals/:id/reject", requireAuth, async (req, res) => {
+  try {
+    const proposal = await loadProposalForParty(req, res);
+    if (!proposal) return;
+    const reason = typeof req.body?.reason === "string" && req.body.reason.trim() ? req.body.reason.trim() : null;
+
+    const rejected = await rejectEscrowProposal(proposal.id, {
+      userId: req.session.user.id,
+      version: readProposalVersion(req, proposal),
+      reason,
+    });
+    if (!rejected) {
+      return res.status(409).json({ ok: false, error: "Proposal is not awaiting your response on that version" });
+    }
+    return res.json({ ok: true, proposal: await getEscrowProposal(proposal.id) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// WITHDRAW - the author of the current version pulls it before the other party responds
+app.post("/escrow/proposals/:id/withdraw", requireAuth, async (req, res) => {
+  try {
+    const proposal = await loadProposalForParty(req, res);
+    if (!proposal) return;
+
+    const withdrawn = await withdrawEscrowProposal(proposal.id, {
+      userId: req.session.user.id,
+      version: readProposalVersion(req, proposal),
+    });
+    if (!withdrawn) {
+      return res.status(409).json({ ok: false, error: "Only the author of the open version can withdraw it" });
+    }
+    return res.json({ ok: true, proposal: await getEscrowProposal(proposal.id) });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+/* ======================
+   MILESTONE CONTRACTS
+====================== */
+
+const MAX_CONTRACT_MILESTONES = 10;
+
+// CREATE MILESTONE CONTRACT - one QA escrow per milestone, under a parent contract id
+app.post("/escrow/contracts/create", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const { providerAddress, title, milestones } = req.body || {};
+    const userId = req.session.user.id;
+
+    if (!providerAddress || typeof providerAddress !== "string" || !isValidXRPLAddress(providerAddress.trim())) {
+      return res.status(400).json({ ok: false, error: "Missing or invalid providerAddress" });
+    }
+    if (!Array.isArray(milestones) || milestones.length === 0) {
+      return res.status(400).json({ ok: false, error: "At least one milestone is required" });
+    }
+    if (milestones.length > MAX_CONTRACT_MILESTONES) {
+      return res.status(400).json({ ok: false, error: `A contract can have at most ${MAX_CONTRACT_MILESTONES} milestones` });
+    }
+
+    // Validate every milestone before anything is locked on-ledger (all at one rate)
+    const nowUnix = Math.floor(Date.now() / 1000);
+    const minDeadlineUnix = nowUnix + 60; // same processing buffer as /escrow/qa/create
+    const rate = await getXlusdRate();
+    const plan = [];
+    for (const [idx, m] of milestones.entries()) {
+      const label = `Milestone ${idx + 1}`;
+      if (!m || typeof m !== "object") {
+        return res.status(400).json({ ok: false, error: `${label}: invalid milestone` });
+      }
+
+      const amountXlusd = m.amountXlusd !== undefined ? Number(m.amountXlusd) : null;
+      const amountXrp = amountXlusd !== null ? amountXlusd / rate.xlusdPerXrp : Number(m.amountXrp);
+      if (!Number.isFinite(amountXrp) || amountXrp <= 0) {
+        return res.status(400).json({ ok: false, error: `${label}: invalid amountXlusd` });
+      }
+
+      const deadline = Number(m.deadlineUnix);
+      if (!Number.isFinite(deadline) || deadline <= minDeadlineUnix) {
+        return res.status(400).json({
+          ok: false,
+          error: `${label}: deadlineUnix must be at least 1 minute in the future`,
+        });
+      }
+
+      const requirements = normalizeRequirements(m.requirements);
+      if (requirements.length === 0) {
+        return res.status(400).json({ ok: false, error: `${label}: at least one requirement is needed` });
+      }
+
+      plan.push({
+        title: typeof m.title === "string" && m.title.trim() ? m.title.trim() : label,
+        amountXlusd,
+        amountXrp,
+        deadlineUnix: Math.floor(deadline),
+        requirements,
+      });
+    }
+
+    // Try to use user's wallet first (including unverified), fallback to server wallet
+    let clientWallet;
+    try {
+      const userWallet = await new Promise((resolve, reject) => {
+        getUserWalletAny(userId, (err, wallet) => {
+          if (err) reject(err);
+          else resolve(wallet);
+        });
+      });
+      clientWallet = userWallet;
+    } catch (err) {
+      if (!process.env.PAYER_SEED) {
+        return res.status(400).json({
+          ok: false,
+          error: "No wallet connected. Please connect your XRP wallet first, or server PAYER_SEED must be configured.",
+        });
+      }
+      clientWallet = xrpl.Wallet.fromSeed(process.env.PAYER_SEED);
+    }
+
+    client = await getClient();
+
+    const provider = providerAddress.trim();
+    const contractId = await createMilestoneContract({
+      userId,
+      ownerAddress: clientWallet.classicAddress,
+      providerAddress: provider,
+      title: typeof title === "string" && title.trim() ? title.trim() : null,
+      milestones: plan,
+    });
+
+    // Escrows are created one by one; if one fails we stop and report how far we got
+    let failure = null;
+    for (const [idx, m] of plan.entries()) {
+      let onLedger = null;
+      try {
+        // The preimage is stored before submitting, so a failed save below still leaves it recoverable
+        const { preimage } = generateConditionPair();
+        await prepareMilestoneEscrow(contractId, idx, { preimage });
+
+        const result = await createQAEscrow({
+          client,
+          clientWallet,
+          providerAddress: provider,
+          amountXrp: m.amountXrp,
+          deadlineUnix: m.deadlineUnix,
+          preimage,
+        });
+        const submitRes = result.result;
+        const txResult = submitRes?.result?.meta?.TransactionResult;
+        const txHash = submitRes?.result?.hash;
+        if (txResult !== "tesSUCCESS") {
+          throw new Error(submitRes?.result?.engine_result_message || `Transaction failed: ${txResult}`);
+        }
+        onLedger = { offerSequence: result.offerSequence, txHash };
+
+        const qaEscrowId = await saveQaEscrow({
+          userId,
+          offerSequence: result.offerSequence,
+          ownerAddress: clientWallet.classicAddress,
+          providerAddress: provider,
+          preimage: result.preimage,
+          condition: result.condition,
+          requirements: m.requirements,
+        });
+        await markMilestoneCreated(contractId, idx, { qaEscrowId, offerSequence: result.offerSequence, txHash });
+
+        await registerCreatedEscrow({
+          userId,
+          ownerAddress: clientWallet.classicAddress,
+          destinationAddress: provider,
+          offerSequence: result.offerSequence,
+          amountDrops: result.amountDrops,
+          amountXlusd: m.amountXlusd,
+          xlusdPerXrp: m.amountXlusd !== null ? rate.xlusdPerXrp : null,
+          xlusdRateSource: m.amountXlusd !== null ? rate.source : null,
+          condition: result.condition,
+          finishAfterUnix: result.finishAfterUnix,
+          cancelAfterUnix: result.cancelAfterUnix,
+          workflow: ESCROW_WORKFLOWS.QUALITY_ASSURANCE,
+          txHash,
+        });
+      } catch (err) {
+        failure = { milestoneIndex: idx, error: err.message || String(err), ...onLedger };
+        await markMilestoneFailed(contractId, idx, failure.error, onLedger || {});
+        break;
+      }
+    }
+
+    const contract = await getMilestoneContract(contractId);
+    if (failure) {
+      return res.status(400).json({
+        ok: false,
+        error: `Milestone ${failure.milestoneIndex + 1} could not be created: ${failure.error}`,
+        // Set when the escrow is on-ledger but was not saved; its preimage is kept on the milestone row
+        offerSequence: failure.offerSequence ?? null,
+        txHash: failure.txHash ?? null,
+        contractId,
+        contract,
+      });
+    }
+
+    return res.json({ ok: true, contractId, contract });
+  } catch (err) {
+    console.error("Milestone contract create error:", err);
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+// LIST MILESTONE CONTRACTS (as client or provider)
+app.get("/escrow/contracts", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const wallet = await dbPromise.get(
+      `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+      [userId]
+    );
+    const ids = await listMilestoneContractIdsForUser({ userId, address: wallet?.wallet_address || null });
+
+    const contracts = [];
+    for (const id of ids) {
+      const contract = await getMilestoneContract(id);
+      if (contract) contracts.push(contract);
+    }
+
+    return res.json({ ok: true, contracts, total: contracts.length });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// GET MILESTONE CONTRACT with contract-level progress
+app.get("/escrow/contracts/:id", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ ok: false, error: "Invalid contract id" });
+    }
+
+    const contract = await getMilestoneContract(id);
+    if (!contract) {
+      return res.status(404).json({ ok: false, error: "Contract not found" });
+    }
+
+    const wallet = await dbPromise.get(
+      `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+      [userId]
+    );
+    const isClient = Number(contract.userId) === Number(userId);
+    const isProvider = !!wallet?.wallet_address && wallet.wallet_address === contract.providerAddress;
+    if (!isClient && !isProvider) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view this contract" });
+    }
+
+    return res.json({ ok: true, role: isClient ? "client" : "provider", contract });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+/* ======================
+   ESCROW GROUPS (split recipients)
+====================== */
+
+// One payment shared by percentage: one escrow per recipient, all with the same FinishAfter,
+// CancelAfter and (optional) condition. Release and refund act on every open member at once;
+// members that fail are reported and the same call can be repeated to finish the rest.
+const MAX_GROUP_RECIPIENTS = 10;
+
+// Create every member escrow that does not exist yet; stops at the first failure (usually balance)
+async function createGroupMemberEscrows({ client, payerWallet, group }) {
+  for (const member of group.members) {
+    if (!(await claimGroupMember(group.id, member.index))) continue;
+    try {
+      const created = await createEscrow({
+        client,
+        payerWallet,
+        payeeAddress: member.destinationAddress,
+        amountXrp: member.amountXrp,
+        finishAfterUnix: group.finishAfterUnix,
+        cancelAfterUnix: group.cancelAfterUnix,
+        condition: group.condition,
+      });
+      const txResult = created.result?.result?.meta?.TransactionResult;
+      const txHash = created.result?.result?.hash;
+      if (txResult !== "tesSUCCESS") {
+        throw new Error(created.result?.result?.engine_result_message || `Transaction failed: ${txResult}`);
+      }
+
+      await markGroupMemberCreated(group.id, member.index, { offerSequence: created.offerSequence, txHash });
+      await registerCreatedEscrow({
+        userId: group.userId,
+        ownerAddress: group.ownerAddress,
+        destinationAddress: member.destinationAddress,
+        offerSequence: created.offerSequence,
+        amountDrops: created.amountDrops,
+        amountXlusd: member.amountXlusd,
+        xlusdPerXrp: group.xlusdPerXrp,
+        xlusdRateSource: group.xlusdRateSource,
+        condition: created.condition,
+        finishAfterUnix: created.finishAfterUnix,
+        cancelAfterUnix: created.cancelAfterUnix,
+        workflow: ESCROW_WORKFLOWS.STANDARD,
+        txHash,
+      });
+    } catch (err) {
+      const error = err.message || String(err);
+      await markGroupMemberFailed(group.id, member.index, error);
+      return { memberIndex: member.index, error };
+    }
+  }
+  return null;
+}
+
+// Each member escrow needs its amount, a fee and one owner reserve. Checked for all of them up front so a
+// short balance fails before anything is locked instead of leaving the group part-way created.
+async function getGroupFundingError({ client, userId, payerAddress, members }) {
+  const amountDrops = members.reduce((sum, m) => sum + BigInt(m.amountDrops), 0n);
+  const quote = await getEscrowFundingQuote({
+    client,
+    payerAddress,
+    destinationAddress: null,
+    amountDrops: amountDrops.toString(),
+  });
+  if (!quote.payerActivated) return { error: quote.reasons[0] };
+
+  const reservedXrp = await getReservedInvitationXrp(userId, { walletAddress: payerAddress });
+  const perEscrowDrops = BigInt(quote.feeDrops) + BigInt(quote.reserveIncrementDrops);
+  const requiredDrops = amountDrops + BigInt(members.length) * perEscrowDrops;
+  const availableDrops = BigInt(quote.spendableDrops) - BigInt(xrpToDrops(reservedXrp));
+  if (requiredDrops <= availableDrops) return null;
+
+  const requiredXrp = Number(xrpl.dropsToXrp(requiredDrops.toString()));
+  const availableXrp = availableDrops > 0n ? Number(xrpl.dropsToXrp(availableDrops.toString())) : 0;
+  return {
+    error:
+      `Insufficient available balance. ${members.length} escrow(s) need ${requiredXrp.toFixed(6)} XRP ` +
+      `(amounts, fees and one owner reserve each); you have ${availableXrp.toFixed(6)} XRP available ` +
+      `(${reservedXrp.toFixed(6)} XRP reserved by pending invitations)`,
+    requiredXrp,
+    availableXrp,
+    reservedXrp,
+  };
+}
+
+function groupFailureResponse(res, failure, group) {
+  return res.status(400).json({
+    ok: false,
+    error: `Escrow for recipient ${failure.memberIndex + 1} could not be created: ${failure.error}`,
+    partial: group.members.some((m) => m.offerSequence),
+    groupId: group.id,
+    group,
+  });
+}
+
+// Release/refund summary: ok only if no open member is left behind
+function groupActionResponse(res, group, results) {
+  const failed = results.filter((r) => !r.ok);
+  return res.status(failed.length === 0 ? 200 : 400).json({
+    ok: failed.length === 0,
+    error:
+      failed.length === 0
+        ? undefined
+        : `${failed.length} of ${results.length} escrow(s) did not go through; repeat the request to retry them`,
+    partial: failed.length > 0 && failed.length < results.length,
+    results,
+    group,
+  });
+}
+
+async function loadGroupForPayer(req, res) {
+  const group = await getEscrowGroup(req.params.id);
+  if (!group) {
+    res.status(404).json({ ok: false, error: "Escrow group not found" });
+    return null;
+  }
+  if (Number(group.userId) !== Number(req.session.user.id)) {
+    res.status(403).json({ ok: false, error: "Only the payer can act on this escrow group" });
+    return null;
+  }
+  return group;
+}
+
+// CREATE ESCROW GROUP - { recipients: [{ address | email, sharePercent }], amountXlusd, finishAfterUnix, cancelAfterUnix, condition }
+app.post("/escrow/groups/create", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const { recipients, amountXrp, amountXlusd, finishAfterUnix, cancelAfterUnix, condition, title } = req.body || {};
+    const userId = req.session.user.id;
+
+    if (!Array.isArray(recipients) || recipients.length < 2) {
+      return res.status(400).json({ ok: false, error: "At least two recipients are required" });
+    }
+    if (recipients.length > MAX_GROUP_RECIPIENTS) {
+      return res.status(400).json({ ok: false, error: `A group can have at most ${MAX_GROUP_RECIPIENTS} recipients` });
+    }
+
+    const rate = await getXlusdRate();
+    const totalXrp = amountXlusd !== undefined ? Number(amountXlusd) / rate.xlusdPerXrp : Number(amountXrp);
+    if (!Number.isFinite(totalXrp) || totalXrp <= 0) {
+      return res.status(400).json({ ok: false, error: "Invalid amountXlusd" });
+    }
+
+    // Timing and condition are shared, so check them before anything is locked on-ledger
+    const nowUnix = Math.floor(Date.now() / 1000);
+    const finishAfter = Number(finishAfterUnix);
+    if (!isValidUnixTimestamp(finishAfter) || finishAfter <= nowUnix + XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS) {
+      return res.status(400).json({
+        ok: false,
+        error: `finishAfterUnix must be at least ${XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS} seconds in the future`,
+      });
+    }
+    let cancelAfter = null;
+    if (cancelAfterUnix !== undefined && cancelAfterUnix !== null && cancelAfterUnix !== "") {
+      cancelAfter = Number(cancelAfterUnix);
+      if (!isValidUnixTimestamp(cancelAfter) || cancelAfter <= finishAfter) {
+        return res.status(400).json({ ok: false, error: "cancelAfterUnix must be greater than finishAfterUnix" });
+      }
+    }
+    const sharedCondition = condition ? String(condition).replace(/\s+/g, "").toUpperCase() : null;
+    if (sharedCondition && !/^[0-9A-F]{64,}$/.test(sharedCondition)) {
+      return res.status(400).json({ ok: false, error: "Condition must be a PREIMAGE-SHA-256 condition in hex" });
+    }
+
+    // Try to use user's wallet first (including unverified), fallback to server wallet
+    let payerWallet;
+    try {
+      payerWallet = await new Promise((resolve, reject) => {
+        getUserWalletAny(userId, (err, wallet) => {
+          if (err) reject(err);
+          else resolve(wallet);
+        });
+      });
+    } catch (err) {
+      if (!process.env.PAYER_SEED) {
+        return res.status(400).json({
+          ok: false,
+          error: "No wallet connected. Please connect your XRP wallet first, or server PAYER_SEED must be configured.",
+        });
+      }
+      payerWallet = xrpl.Wallet.fromSeed(process.env.PAYER_SEED);
+    }
+
+    // Shares are percentages with at most two decimals that add up to 100
+    const members = [];
+    for (const [idx, r] of recipients.entries()) {
+      const label = `Recipient ${idx + 1}`;
+      const recipient = await resolveEscrowRecipient(r?.address || r?.email);
+      if (recipient.error) {
+        return res.status(400).json({ ok: false, error: `${label}: ${recipient.error}` });
+      }
+      if (!isValidXRPLAddress(recipient.address)) {
+        return res.status(400).json({ ok: false, error: `${label}: missing or invalid address` });
+      }
+      if (recipient.address === payerWallet.classicAddress) {
+        return res.status(400).json({ ok: false, error: `${label}: cannot be the paying wallet` });
+      }
+      if (members.some((m) => m.destinationAddress === recipient.address)) {
+        return res.status(400).json({ ok: false, error: `${label}: the same recipient is listed twice` });
+      }
+
+      const share = Number(r?.sharePercent);
+      const shareBps = Math.round(share * 100);
+      if (!Number.isFinite(share) || share <= 0 || Math.abs(share * 100 - shareBps) > 1e-6) {
+        return res.status(400).json({ ok: false, error: `${label}: sharePercent must be a positive percentage (max 2 decimals)` });
+      }
+      members.push({ destinationAddress: recipient.address, email: recipient.email, shareBps });
+    }
+    if (members.reduce((sum, m) => sum + m.shareBps, 0) !== 10000) {
+      return res.status(400).json({ ok: false, error: "Recipient shares must add up to 100%" });
+    }
+
+    // Split in drops; rounding leftovers go to the last recipient so the total is exact
+    const totalDrops = BigInt(xrpToDrops(totalXrp));
+    let allocated = 0n;
+    for (const [idx, m] of members.entries()) {
+      const drops = idx === members.length - 1 ? totalDrops - allocated : (totalDrops * BigInt(m.shareBps)) / 10000n;
+      if (drops <= 0n) {
+        return res.status(400).json({ ok: false, error: `Recipient ${idx + 1}: share is too small for this amount` });
+      }
+      allocated += drops;
+      m.amountDrops = drops.toString();
+      m.amountXlusd = amountXlusd !== undefined ? Number(((Number(amountXlusd) * m.shareBps) / 10000).toFixed(6)) : null;
+    }
+
+    client = await getClient();
+
+    const funding = await getGroupFundingError({
+      client,
+      userId,
+      payerAddress: payerWallet.classicAddress,
+      members,
+    });
+    if (funding) {
+      return res.status(400).json({ ok: false, ...funding });
+    }
+
+    const groupId = await createEscrowGroup({
+      userId,
+      ownerAddress: payerWallet.classicAddress,
+      title: typeof title === "string" && title.trim() ? title.trim() : null,
+      amountXrp: Number(xrpl.dropsToXrp(totalDrops.toString())),
+      amountXlusd: amountXlusd !== undefined ? Number(amountXlusd) : null,
+      xlusdPerXrp: amountXlusd !== undefined ? rate.xlusdPerXrp : null,
+      xlusdRateSource: amountXlusd !== undefined ? rate.source : null,
+      condition: sharedCondition,
+      finishAfterUnix: Math.floor(finishAfter),
+      cancelAfterUnix: cancelAfter !== null ? Math.floor(cancelAfter) : null,
+      members,
+    });
+
+    const failure = await createGroupMemberEscrows({ client, payerWallet, group: await getEscrowGroup(groupId) });
+    const group = await getEscrowGroup(groupId);
+    if (failure) return groupFailureResponse(res, failure, group);
+
+    return res.json({ ok: true, groupId, group });
+  } catch (err) {
+    console.error("Escrow group create error:", err);
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+// PAYER: create the member escrows that failed or were never reached
+app.post("/escrow/groups/:id/retry", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const group = await loadGroupForPayer(req, res);
+    if (!group) return;
+    if (group.status !== "incomplete") {
+      return res.status(400).json({ ok: false, error: "Every escrow in this group was already created" });
+    }
+
+    const payerWallet = await resolveSigningWallet(group.ownerAddress);
+    if (!payerWallet) {
+      return res.status(400).json({ ok: false, error: "The server cannot sign for this group's paying wallet" });
+    }
+
+    client = await getClient();
+    const funding = await getGroupFundingError({
+      client,
+      userId: group.userId,
+      payerAddress: group.ownerAddress,
+      members: group.members.filter((m) => [GROUP_MEMBER_STATUS.PENDING, GROUP_MEMBER_STATUS.FAILED].includes(m.state)),
+    });
+    if (funding) {
+      return res.status(400).json({ ok: false, ...funding });
+    }
+
+    const failure = await createGroupMemberEscrows({ client, payerWallet, group });
+    const updated = await getEscrowGroup(group.id);
+    if (failure) return groupFailureResponse(res, failure, updated);
+
+    return res.json({ ok: true, groupId: group.id, group: updated });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+// PAYER: release every open member escrow to its recipient ({ fulfillment } for a conditional group).
+// On an incomplete group, { abandonUncreated: true } gives up on the escrows that were never created.
+app.post("/escrow/groups/:id/release", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const { fulfillment, abandonUncreated } = req.body || {};
+    let group = await loadGroupForPayer(req, res);
+    if (!group) return;
+
+    const open = group.members.filter((m) => m.state === "open");
+    if (open.length === 0) {
+      return res.status(400).json({ ok: false, error: `Nothing to release (group is ${group.status})` });
+    }
+    if (group.status === "incomplete") {
+      if (abandonUncreated !== true || group.members.some((m) => m.state === GROUP_MEMBER_STATUS.CREATING)) {
+        return res.status(400).json({
+          ok: false,
+          error:
+            "Some escrows in this group were not created; retry them first, or pass abandonUncreated: true " +
+            "to release only the escrows that exist",
+        });
+      }
+      await abandonUncreatedGroupMembers(group.id);
+      group = await getEscrowGroup(group.id);
+    }
+
+    // Checked once for the group, with finishEscrow's rule, so a bad request can't release only some
+    // recipients: a conditional group is finished (with its fulfillment) before FinishAfter, a time-based
+    // group only after it
+    const nowUnix = Math.floor(Date.now() / 1000);
+    const finishAfter = Number(group.finishAfterUnix);
+    if (group.condition && finishAfter && nowUnix >= finishAfter) {
+      return res.status(400).json({
+        ok: false,
+        error:
+          `The group's deadline passed at ${new Date(finishAfter * 1000).toISOString()}; its conditional ` +
+          "escrows can no longer be finished and can be refunded once CancelAfter passes",
+        finishAfterUnix: group.finishAfterUnix,
+      });
+    }
+    if (!group.condition && nowUnix < finishAfter) {
+      return res.status(400).json({
+        ok: false,
+        error: `Too early to release. The group can be released after ${new Date(finishAfter * 1000).toISOString()}`,
+        finishAfterUnix: group.finishAfterUnix,
+      });
+    }
+    if (group.condition) {
+      const cleanFulfillment = String(fulfillment || "").replace(/\s+/g, "");
+      if (!cleanFulfillment) {
+        return res.status(400).json({ ok: false, error: "This group requires the fulfillment (preimage) for its condition" });
+      }
+      if (cleanFulfillment.length === 64 && !validatePreimage(cleanFulfillment, group.condition)) {
+        return res.status(400).json({ ok: false, error: "Preimage does not match the group's condition" });
+      }
+    }
+
+    client = await getClient();
+    const autoConvert = (process.env.AUTO_CONVERT_TO_XLUSD || "true") === "true";
+    const results = [];
+    for (const member of open) {
+      const result = { index: member.index, destinationAddress: member.destinationAddress, offerSequence: member.offerSequence };
+      try {
+        const payeeWallet = await resolveSigningWallet(member.destinationAddress);
+        if (!payeeWallet) {
+          results.push({
+            ...result,
+            ok: false,
+            pending: true,
+            reason: "Recipient wallet is not held by the platform; the recipient must finish this escrow",
+          });
+          continue;
+        }
+        const out = await finishEscrow({
+          client,
+          payeeWallet,
+          ownerAddress: group.ownerAddress,
+          offerSequence: member.offerSequence,
+          fulfillment: group.condition ? fulfillment : null,
+        });
+        const ok = out.txResult === "tesSUCCESS";
+        let conversion = null;
+        if (ok && autoConvert) {
+          // Released on-ledger from here on: a conversion error is reported with it, not as a failed release
+          try {
+            conversion = await convertEscrowXrpToXlusd({
+              client,
+              wallet: payeeWallet,
+              issuer: process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER,
+              escrowAmountDrops: out.escrowAmountDrops,
+              escrow: { ownerAddress: group.ownerAddress, offerSequence: member.offerSequence },
+            });
+          } catch (convErr) {
+            conversion = { ok: false, skipped: false, error: convErr.message || String(convErr) };
+          }
+        } else if (ok) {
+          await recordUnconvertedXlusdGuarantee({
+            escrow: { ownerAddress: group.ownerAddress, offerSequence: member.offerSequence },
+            destinationAddress: payeeWallet.classicAddress,
+            reason: "AUTO_CONVERT_TO_XLUSD is off",
+          });
+        }
+        results.push({ ...result, ok, txHash: out.hash, txResult: out.txResult, conversion });
+      } catch (err) {
+        results.push({ ...result, ok: false, error: err.message || String(err) });
+      }
+    }
+
+    return groupActionResponse(res, await getEscrowGroup(group.id), results);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+// PAYER: refund every open member escrow once the group's CancelAfter has passed
+app.post("/escrow/groups/:id/cancel", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const group = await loadGroupForPayer(req, res);
+    if (!group) return;
+
+    const open = group.members.filter((m) => m.state === "open");
+    if (open.length === 0) {
+      return res.status(400).json({ ok: false, error: `Nothing to refund (group is ${group.status})` });
+    }
+    if (!group.cancelAfterUnix) {
+      return res.status(400).json({
+        ok: false,
+        error: "Group has no CancelAfter set; its escrows can only be finished by the recipients.",
+      });
+    }
+    const nowUnix = Math.floor(Date.now() / 1000);
+    if (nowUnix < Number(group.cancelAfterUnix)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Too early to refund. The group can be refunded after ${new Date(group.cancelAfterUnix * 1000).toISOString()}`,
+        cancelAfterUnix: group.cancelAfterUnix,
+      });
+    }
+
+    const payerWallet = await resolveSigningWallet(group.ownerAddress);
+    if (!payerWallet) {
+      return res.status(403).json({
+        ok: false,
+        error: "This group is owned by an address the server cannot sign for. Cancel its escrows from the owner wallet.",
+      });
+    }
+
+    // Refunding the group gives up on recipients whose escrow was never created
+    if (group.status === "incomplete") await abandonUncreatedGroupMembers(group.id);
+
+    client = await getClient();
+    const results = [];
+    for (const member of open) {
+      const result = { index: member.index, destinationAddress: member.destinationAddress, offerSequence: member.offerSequence };
+      try {
+        const out = await cancelEscrow({
+          client,
+          payerWallet,
+          ownerAddress: group.ownerAddress,
+          offerSequence: member.offerSequence,
+        });
+        results.push({ ...result, ok: out.txResult === "tesSUCCESS", txHash: out.hash, txResult: out.txResult });
+      } catch (err) {
+        results.push({ ...result, ok: false, error: err.message || String(err) });
+      }
+    }
+
+    return groupActionResponse(res, await getEscrowGroup(group.id), results);
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+// LIST ESCROW GROUPS (as payer or recipient)
+app.get("/escrow/groups", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const wallet = await dbPromise.get(
+      `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+      [userId]
+    );
+    const ids = await listEscrowGroupIdsForUser({ userId, address: wallet?.wallet_address || null });
+
+    const groups = [];
+    for (const id of ids) {
+      const group = await getEscrowGroup(id);
+      if (group) groups.push(group);
+    }
+
+    return res.json({ ok: true, groups, total: groups.length });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// GET ESCROW GROUP with per-recipient state
+app.get("/escrow/groups/:id", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const group = await getEscrowGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({ ok: false, error: "Escrow group not found" });
+    }
+
+    const wallet = await dbPromise.get(
+      `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+      [userId]
+    );
+    const isPayer = Number(group.userId) === Number(userId);
+    const isRecipient =
+      !!wallet?.wallet_address && group.members.some((m) => m.destinationAddress === wallet.wallet_address);
+    if (!isPayer && !isRecipient) {
+      return res.status(403).json({ ok: false, error: "Not authorized to view this escrow group" });
+    }
+
+    return res.json({ ok: true, role: isPayer ? "payer" : "recipient", group });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+/* ======================
+   CROWDFUND CAMPAIGNS (all-or-nothing)
+====================== */
+
+// Every contribution is an escrow to the project address under the campaign's condition. A
+// conditional escrow can only be finished before its FinishAfter, so contributions get FinishAfter
+// at the end of the release window (just before CancelAfter), not at the deadline. The escrow
+// scheduler settles them after the deadline: all released with the server-held preimage if the
+// target was met, otherwise (or if the release window closed) all cancelled after CancelAfter.
+const CROWDFUND_RELEASE_WINDOW_SECONDS = 24 * 60 * 60; // deadline -> CancelAfter
+
+// PROJECT OWNER: start a campaign ({ title, description, targetXlusd, deadlineUnix, projectAddress })
+app.post("/crowdfund/campaigns/create", requireAuth, async (req, res) => {
+  try {
+    const { title, description, targetXlusd, targetXrp, deadlineUnix, projectAddress } = req.body || {};
+    const userId = req.session.user.id;
+
+    const cleanTitle = String(title || "").trim();
+    if (cleanTitle.length < 3) {
+      return res.status(400).json({ ok: false, error: "Please give the campaign a title (min 3 chars)" });
+    }
+
+    const rate = await getXlusdRate();
+    const targetXrpValue = targetXlusd !== undefined ? Number(targetXlusd) / rate.xlusdPerXrp : Number(targetXrp);
+    if (!Number.isFinite(targetXrpValue) || targetXrpValue <= 0) {
+      return res.status(400).json({ ok: false, error: "Invalid targetXlusd" });
+    }
+
+    const deadline = Number(deadlineUnix);
+    const nowUnix = Math.floor(Date.now() / 1000);
+    if (!isValidUnixTimestamp(deadline) || deadline <= nowUnix + XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS) {
+      return res.status(400).json({
+        ok: false,
+        error: `deadlineUnix must be at least ${XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS} seconds in the future`,
+      });
+    }
+
+    // The server finishes every contribution for the project, so it must be able to sign for it
+    let project;
+    if (projectAddress) {
+      project = String(projectAddress).trim();
+      if (!isValidXRPLAddress(project) || !(await resolveSigningWallet(project))) {
+        return res.status(400).json({
+          ok: false,
+          error: "projectAddress must be a wallet held by the platform (leave it out to use your own wallet)",
+        });
+      }
+    } else {
+      const walletRow = await ensureUserWalletProvisioned(userId);
+      if (!walletRow?.wallet_address) {
+        return res.status(400).json({ ok: false, error: "No wallet linked to your account" });
+      }
+      project = walletRow.wallet_address;
+    }
+
+    const { preimage, condition } = generateConditionPair();
+    const campaignId = await createCrowdfundCampaign({
+      userId,
+      projectAddress: project,
+      title: cleanTitle,
+      description: String(description || "").trim() || null,
+      targetDrops: xrpToDrops(targetXrpValue),
+      targetXlusd: targetXlusd !== undefined ? Number(targetXlusd) : null,
+      xlusdPerXrp: targetXlusd !== undefined ? rate.xlusdPerXrp : null,
+      xlusdRateSource: targetXlusd !== undefined ? rate.source : null,
+      deadlineUnix: Math.floor(deadline),
+      cancelAfterUnix: Math.floor(deadline) + CROWDFUND_RELEASE_WINDOW_SECONDS,
+      condition,
+      preimage,
+    });
+
+    return res.json({
+      ok: true,
+      campaignId,
+      campaign: await getCrowdfundCampaign(campaignId),
+      campaignPath: `/campaign.html?id=${campaignId}`,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// CONTRIBUTOR: lock a contribution in escrow to the project ({ amountXlusd })
+app.post("/crowdfund/campaigns/:id/contribute", requireAuth, async (req, res) => {
+  let client;
+  try {
+    const { amountXlusd, amountXrp } = req.body || {};
+    const userId = req.session.user.id;
+
+    const campaign = await getCrowdfundCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: "Campaign not found" });
+    }
+    if (campaign.status !== "active") {
+      return res.status(400).json({ ok: false, error: "This campaign is no longer accepting contributions" });
+    }
+
+    const rate = await getXlusdRate();
+    const contributionXrp = amountXlusd !== undefined ? Number(amountXlusd) / rate.xlusdPerXrp : Number(amountXrp);
+    if (!Number.isFinite(contributionXrp) || contributionXrp <= 0) {
+      return res.status(400).json({ ok: false, error: "Invalid amountXlusd" });
+    }
+
+    // Contributions come from the contributor's own wallet (refunds go back to it)
+    let payerWallet;
+    try {
+      payerWallet = await new Promise((resolve, reject) => {
+        getUserWalletAny(userId, (err, wallet) => {
+          if (err) reject(err);
+          else resolve(wallet);
+        });
+      });
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: "No wallet connected. Please connect your XRP wallet first." });
+    }
+    if (payerWallet.classicAddress === campaign.projectAddress) {
+      return res.status(400).json({ ok: false, error: "The project wallet cannot contribute to its own campaign" });
+    }
+
+    client = await getClient();
+
+    const reserve = await getInvitationReserveError({
+      userId,
+      walletAddress: payerWallet.classicAddress,
+      amountXrp: contributionXrp,
+    });
+    if (reserve) {
+      return res.status(400).json({ ok: false, ...reserve });
+    }
+
+    const created = await createEscrow({
+      client,
+      payerWallet,
+      payeeAddress: campaign.projectAddress,
+      amountXrp: contributionXrp,
+      ...contributionEscrowWindow(campaign),
+      condition: campaign.condition,
+    });
+    const { result, offerSequence } = created;
+    const txResult = result.result?.meta?.TransactionResult;
+    const txHash = result.result?.hash;
+    if (txResult !== "tesSUCCESS") {
+      return res.status(400).json({
+        ok: false,
+        txResult,
+        txHash,
+        error: result.result?.engine_result_message || `Transaction failed: ${txResult}`,
+      });
+    }
+
+    const contributionXlusd = amountXlusd !== undefined ? Number(amountXlusd) : null;
+    await recordCrowdfundContribution({
+      campaignId: campaign.id,
+      userId,
+      ownerAddress: payerWallet.classicAddress,
+      offerSequence,
+      amountDrops: created.amountDrops,
+      amountXlusd: contributionXlusd,
+      txHash,
+    });
+    await registerCreatedEscrow({
+      userId,
+      ownerAddress: payerWallet.classicAddress,
+      destinationAddress: campaign.projectAddress,
+      offerSequence,
+      amountDrops: created.amountDrops,
+      amountXlusd: contributionXlusd,
+      xlusdPerXrp: contributionXlusd !== null ? rate.xlusdPerXrp : null,
+      xlusdRateSource: contributionXlusd !== null ? rate.source : null,
+      condition: created.condition,
+      finishAfterUnix: created.finishAfterUnix,
+      cancelAfterUnix: created.cancelAfterUnix,
+      workflow: ESCROW_WORKFLOWS.CROWDFUND,
+      txHash,
+    });
+
+    return res.json({
+      ok: true,
+      txHash,
+      offerSequence,
+      amountXrpLocked: contributionXrp,
+      amountXlusd: contributionXlusd,
+      campaign: await getCrowdfundCampaign(campaign.id),
+    });
+  } catch (err) {
+    const statusCode = err.message?.includes("Invalid") || err.message?.includes("must be") ? 400 : 500;
+    return res.status(statusCode).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    // connection pool keeps client alive
+  }
+});
+
+// PUBLIC: campaign progress (for the campaign page; no contributor details)
+app.get("/api/crowdfund/:id/progress", async (req, res) => {
+  try {
+    const campaign = await getCrowdfundCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: "Campaign not found" });
+    }
+    const { condition, userId, ...publicView } = campaign;
+    return res.json({ ok: true, campaign: publicView });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// LIST CAMPAIGNS the user created or contributed to
+app.get("/crowdfund/campaigns", requireAuth, async (req, res) => {
+  try {
+    const ids = await listCrowdfundCampaignIdsForUser(req.session.user.id);
+    const campaigns = [];
+    for (const id of ids) {
+      const campaign = await getCrowdfundCampaign(id);
+      if (campaign) campaigns.push(campaign);
+    }
+    return res.json({ ok: true, campaigns, total: campaigns.length });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// GET CAMPAIGN with contributions (all of them for the creator, your own otherwise)
+app.get("/crowdfund/campaigns/:id", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const campaign = await getCrowdfundCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ ok: false, error: "Campaign not found" });
+    }
+    const isCreator = Number(campaign.userId) === Number(userId);
+    const contributions = await listCrowdfundContributions(campaign.id, { userId: isCreator ? null : userId });
+    return res.json({ ok: true, role: isCreator ? "creator" : "contributor", campaign, contributions });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+/* ======================
+   OPEN BOUNTIES (platform custody)
+====================== */
+
+// An XRPL escrow needs its Destination up front, so bounties are not escrows: the reward moves from the
+// payer's simulated XLUSD balance into custody (bounty_custody_entries) when the bounty is posted, is
+// paid out of custody to the first submission AIChecker verifies in full, and goes back to the payer at
+// expiry or cancellation.
+const MAX_BOUNTY_SUBMISSIONS_PER_USER = 3;
+// Bounties past their deadline are expired (and their reward released) in the background; reads already
+// treat them as expired
+const BOUNTY_EXPIRY_INTERVAL_MS = 60 * 1000;
+
+async function expireBounties() {
+  try {
+    const expired = await expireStaleBounties();
+    if (expired > 0) console.log(`🏆 Expired ${expired} bount${expired === 1 ? "y" : "ies"}`);
+  } catch (err) {
+    console.warn("Bounty expiry skipped:", err.message);
+  }
+}
+
+// Pay the reward out of custody; null if another submission won first or the bounty closed.
+// The transfer row is the winner's record of the payout: the custody entry already moved the balance,
+// so its hash is not a sim_xlusd_ one (those are counted by getSimulatedXlusdBalance).
+async function payBountyReward(bounty, { submissionId, winnerUserId }) {
+  if (!(await awardBounty(bounty.id, { submissionId, winnerUserId }))) return null;
+
+  const winnerWallet = await ensureUserWalletProvisioned(winnerUserId);
+  const winner = await dbPromise.get(`SELECT email FROM users WHERE id = ? LIMIT 1`, [winnerUserId]);
+  const txHash = `bounty_xlusd_${bounty.id}_${Date.now()}`;
+  const insert = await dbPromise.run(
+    `INSERT INTO transfers (from_user_id, to_user_id, to_address, currency, amount, issuer, memo, status, tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      bounty.payerUserId,
+      winnerUserId,
+      winnerWallet?.wallet_address || `email:${winner?.email}`,
+      XLUSD_CURRENCY,
+      bounty.rewardXlusd,
+      null,
+      `Bounty #${bounty.id}: ${bounty.title}`,
+      PAYMENT_STATUS.COMPLETED,
+      txHash,
+    ]
+  );
+  await linkBountyPayout(bounty.id, insert.lastID);
+
+  return { transferId: insert.lastID, txHash, amountXlusd: bounty.rewardXlusd };
+}
+
+// PAYER: post a bounty ({ title, description, rewardXlusd, requirements, expiresAtUnix })
+app.post("/bounties/create", requireAuth, async (req, res) => {
+  try {
+    const { title, description, rewardXlusd, requirements, expiresAtUnix } = req.body || {};
+    const userId = req.session.user.id;
+
+    const cleanTitle = String(title || "").trim();
+    if (cleanTitle.length < 3) {
+      return res.status(400).json({ ok: false, error: "Please give the bounty a title (min 3 chars)" });
+    }
+
+    const reward = Number(rewardXlusd);
+    if (!Number.isFinite(reward) || reward <= 0) {
+      return res.status(400).json({ ok: false, error: "Invalid rewardXlusd" });
+    }
+
+    const validRequirements = normalizeRequirements(requirements);
+    if (validRequirements.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "At least one requirement is needed so submissions can be verified",
+      });
+    }
+
+    const expiresAt = Number(expiresAtUnix);
+    if (!isValidUnixTimestamp(expiresAt) || expiresAt <= Math.floor(Date.now() / 1000)) {
+      return res.status(400).json({ ok: false, error: "expiresAtUnix must be a future timestamp" });
+    }
+
+    // The custody hold is the debit; the balance is already net of rewards held for the payer's other
+    // open bounties
+    const outcome = await withSimulatedXlusdDebit(userId, reward, () =>
+      createBounty({
+        userId,
+        title: cleanTitle,
+        description: String(description || "").trim() || null,
+        rewardXlusd: reward,
+        requirements: validRequirements,
+        expiresAt: Math.floor(expiresAt),
+      })
+    );
+    if (!outcome.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: `Insufficient balance. You have ${outcome.balance.toFixed(2)} XLUSD available`,
+      });
+    }
+    const bountyId = outcome.result;
+
+    return res.json({
+      ok: true,
+      bountyId,
+      bounty: await getBounty(bountyId),
+      reservedXlusd: await getReservedBountyXlusd(userId),
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// ANY USER (except the payer): submit proof ({ proofText, proofLinks }); paid at once if it is the
+// first submission to verify
+app.post("/bounties/:id/submit", requireAuth, async (req, res) => {
+  try {
+    const { proofText, proofLinks } = req.body || {};
+    const userId = req.session.user.id;
+
+    const bounty = await getBounty(req.params.id);
+    if (!bounty) {
+      return res.status(404).json({ ok: false, error: "Bounty not found" });
+    }
+    if (bounty.status !== BOUNTY_STATUS.OPEN) {
+      return res.status(409).json({ ok: false, error: `This bounty is ${bounty.status}`, status: bounty.status });
+    }
+    if (Number(bounty.payerUserId) === Number(userId)) {
+      return res.status(403).json({ ok: false, error: "You cannot submit to your own bounty" });
+    }
+    if ((await countBountySubmissionsByUser(bounty.id, userId)) >= MAX_BOUNTY_SUBMISSIONS_PER_USER) {
+      return res.status(429).json({
+        ok: false,
+        error: `You have already made ${MAX_BOUNTY_SUBMISSIONS_PER_USER} submissions to this bounty`,
+      });
+    }
+
+    const cleanText = String(proofText || "").trim();
+    const links = Array.isArray(proofLinks) ? proofLinks.map((u) => String(u || "").trim()).filter((u) => u.length > 0) : [];
+    const validLinks = links.filter(isValidUrl);
+
+    if (cleanText.length < 10 && validLinks.length === 0) {
+      return res.status(400).json({
+        ok: false,
+        error: "Please submit proof: add a description (min 10 chars) and/or at least one valid link (photo/PDF).",
+      });
+    }
+
+    const submissionId = await addBountySubmission({
+      bountyId: bounty.id,
+      userId,
+      proofText: cleanText,
+      proofLinks: validLinks,
+    });
+
+    let aiOut;
+    try {
+      aiOut = await AIChecker.verifyAllRequirements(bounty.requirements, {
+        bountyId: bounty.id,
+        submissionId,
+        proofText: cleanText,
+        proofLinks: validLinks,
+      });
+    } catch (err) {
+      await markBountySubmissionError(submissionId, err.message || String(err));
+      throw err;
+    }
+    await saveBountySubmissionResults(submissionId, aiOut);
+
+    const payout = aiOut.allVerified ? await payBountyReward(bounty, { submissionId, winnerUserId: userId }) : null;
+
+    return res.json({
+      ok: true,
+      submissionId,
+      ai: aiOut,
+      allVerified: !!aiOut.allVerified,
+      awarded: !!payout,
+      payout,
+      ...(aiOut.allVerified && !payout ? { note: "Verified, but the bounty was awarded or closed first" } : {}),
+      bounty: await getBounty(bounty.id),
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// PAYER: withdraw a bounty nobody has submitted to yet (the reward is released)
+app.post("/bounties/:id/cancel", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const bounty = await getBounty(req.params.id);
+    if (!bounty) {
+      return res.status(404).json({ ok: false, error: "Bounty not found" });
+    }
+    if (Number(bounty.payerUserId) !== Number(userId)) {
+      return res.status(403).json({ ok: false, error: "Only the payer can cancel this bounty" });
+    }
+    if (!(await cancelBounty(bounty.id, userId))) {
+      return res.status(409).json({
+        ok: false,
+        error:
+          bounty.status === BOUNTY_STATUS.OPEN
+            ? "This bounty already has submissions; it stays open until it is awarded or expires"
+            : `This bounty is ${bounty.status}`,
       });
     }
+    return res.json({
+      ok: true,
+      bounty: await getBounty(bounty.id),
+      reservedXlusd: await getReservedBountyXlusd(userId),
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
 
-    return res.status(finishOk ? 200 : 400).json({
-      ok: finishOk,
-      sequence: seq,
-      txHash: finishOut.hash,
-      txResult: finishOut.txResult,
-      validated: finishOut.validated,
-      conversion,
+// LIST BOUNTIES - every open one, plus those the user posted or submitted to
+app.get("/bounties", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const bounties = await listBountiesForUser(userId);
+    return res.json({
+      ok: true,
+      bounties,
+      total: bounties.length,
+      reservedXlusd: await getReservedBountyXlusd(userId),
     });
   } catch (err) {
     return res.status(500).json({ ok: false, error: err.message || String(err) });
-  } finally {
-    // connection pool keeps client alive
   }
 });
 
-// Note: Release happens when freelancer uses /escrow/finish with the preimage
-// This endpoint just validates and formats the release instruction
+// GET BOUNTY with its ranked submissions
+app.get("/bounties/:id", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user.id;
+    const bounty = await getBounty(req.params.id);
+    if (!bounty) {
+      return res.status(404).json({ ok: false, error: "Bounty not found" });
+    }
+    const submissions = await listBountySubmissions(bounty, { viewerUserId: userId });
+    return res.json({
+      ok: true,
+      role: Number(bounty.payerUserId) === Number(userId) ? "payer" : "hunter",
+      bounty,
+      submissions,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
 
 /* ======================
    XLUSD BALANCE & BUY
@@ -2330,6 +6852,49 @@ app.get("/api/xlusd/balance", requireAuth, async (req, res) => {
   // Note: Client connection is reused via connection pool, no need to disconnect
 });
 
+// GET XLUSD/XRP RATE (public; ?refresh=true looks it up now instead of using the cache).
+// `rejected` is the latest live rate left unused for straying from XLUSD_PER_XRP.
+app.get("/api/xlusd/rate", async (req, res) => {
+  try {
+    const rate = await getXlusdRate({ refresh: req.query.refresh === "true" });
+    return res.json({ ok: true, ...rate, rejected: getLastXlusdRateRejection() });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// LIST XRP -> XLUSD CONVERSIONS into the user's wallet (with the rate each one was quoted at)
+app.get("/api/xlusd/conversions", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user?.id;
+    const wallet = await dbPromise.get(`SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`, [userId]);
+    if (!wallet?.wallet_address) {
+      return res.json({ ok: true, conversions: [] });
+    }
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const conversions = await listXlusdConversions({ walletAddress: wallet.wallet_address, limit });
+    return res.json({ ok: true, conversions });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// LIST XLUSD VALUE-GUARANTEE SETTLEMENTS for escrows the user's wallet paid into or was paid from
+app.get("/api/xlusd/settlements", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user?.id;
+    const wallet = await dbPromise.get(`SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`, [userId]);
+    if (!wallet?.wallet_address) {
+      return res.json({ ok: true, policy: XLUSD_GUARANTEE_POLICY, settlements: [] });
+    }
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const settlements = await listXlusdSettlements({ address: wallet.wallet_address, limit });
+    return res.json({ ok: true, policy: XLUSD_GUARANTEE_POLICY, settlements });
+  } catch (err) {
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
 // PURCHASE XLUSD (Process payment via credit card or PayNow)
 app.post("/api/xlusd/purchase", requireAuth, async (req, res) => {
   let client;
@@ -2427,11 +6992,13 @@ app.post("/api/xlusd/purchase", requireAuth, async (req, res) => {
       paymentStatus = PAYMENT_STATUS.COMPLETED;
     }
 
-    // Record payment in database
+    // Record payment in database, with the XLUSD/XRP rate at purchase time
+    const rate = await getXlusdRate();
     const paymentResult = await dbPromise.run(
-      `INSERT INTO payments (user_id, amount_xlusd, amount_usd, payment_method, status, payment_id)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [userId, amountXlusd, amountUsd, paymentMethod, PAYMENT_STATUS.PENDING, paymentId]
+      `INSERT INTO payments
+         (user_id, amount_xlusd, amount_usd, payment_method, status, payment_id, xlusd_per_xrp, xlusd_rate_source)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, amountXlusd, amountUsd, paymentMethod, PAYMENT_STATUS.PENDING, paymentId, rate.xlusdPerXrp, rate.source]
     );
     paymentRecordId = paymentResult.lastID;
 
@@ -2766,39 +7333,37 @@ app.post("/api/xlusd/withdraw", requireAuth, async (req, res) => {
 
     // Fake bank mode: withdrawals are off-ledger and use simulated XLUSD balance from DB.
     const amtXlusd = Number(amountXlusd);
-    const currentBalance = await getSimulatedXlusdBalance(userId);
-
-    if (currentBalance < amtXlusd) {
-      return res.status(400).json({
-        error: `Insufficient balance. You have ${currentBalance.toFixed(2)} XLUSD`,
-      });
-    }
-
     const amountUsd = Number(amountXlusd) * XLUSD_PRICE_USD;
-
-    // Record withdrawal in database
-    const insert = await dbPromise.run(
-      `INSERT INTO withdrawals (user_id, amount_xlusd, amount_usd, withdrawal_method, account_details, status) 
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [userId, amtXlusd, amountUsd, withdrawalMethod, JSON.stringify(accountDetails || {}), WITHDRAWAL_STATUS.COMPLETED]
-    );
-
     const withdrawalId = `wd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    // Fake bank: payout USD to user
-    await recordBankTransaction({
-      userId,
-      direction: "out",
-      amountUsd,
-      reference: withdrawalId,
-      metadata: {
-        type: "xlusd_withdrawal",
-        withdrawalMethod,
-        withdrawalRowId: insert.lastID,
-        accountDetails: accountDetails || {},
-        amountXlusd: amtXlusd,
-      },
+    // Record the withdrawal and its USD payout together, against the balance checked in the same transaction
+    const outcome = await withSimulatedXlusdDebit(userId, amtXlusd, async () => {
+      const insert = await dbPromise.run(
+        `INSERT INTO withdrawals (user_id, amount_xlusd, amount_usd, withdrawal_method, account_details, status) 
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, amtXlusd, amountUsd, withdrawalMethod, JSON.stringify(accountDetails || {}), WITHDRAWAL_STATUS.COMPLETED]
+      );
+
+      // Fake bank: payout USD to user
+      await recordBankTransaction({
+        userId,
+        direction: "out",
+        amountUsd,
+        reference: withdrawalId,
+        metadata: {
+          type: "xlusd_withdrawal",
+          withdrawalMethod,
+          withdrawalRowId: insert.lastID,
+          accountDetails: accountDetails || {},
+          amountXlusd: amtXlusd,
+        },
+      });
     });
+    if (!outcome.ok) {
+      return res.status(400).json({
+        error: `Insufficient balance. You have ${outcome.balance.toFixed(2)} XLUSD`,
+      });
+    }
 
     return res.json({
       ok: true,
@@ -2841,14 +7406,6 @@ app.post("/api/xlusd/transfer", requireAuth, async (req, res) => {
       return res.status(400).json({ ok: false, error: "Recipient cannot be yourself" });
     }
 
-    const balance = await getSimulatedXlusdBalance(userId);
-    if (balance < amt) {
-      return res.status(400).json({
-        ok: false,
-        error: `Insufficient balance. You have ${balance.toFixed(2)} XLUSD`,
-      });
-    }
-
     // Ensure recipient has a linked XRPL address for display/consistency (not required for simulated transfer)
     await ensureUserWalletProvisioned(recipient.id);
     const recipientWallet = await dbPromise.get(
@@ -2858,26 +7415,34 @@ app.post("/api/xlusd/transfer", requireAuth, async (req, res) => {
     const toAddress = recipientWallet?.wallet_address || `email:${rawEmail}`;
 
     const txHash = `sim_xlusd_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
-    const insert = await dbPromise.run(
-      `INSERT INTO transfers (from_user_id, to_user_id, to_address, currency, amount, issuer, memo, status, tx_hash)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        userId,
-        recipient.id,
-        toAddress,
-        XLUSD_CURRENCY,
-        amt,
-        null,
-        typeof memo === "string" && memo.trim() ? memo.trim() : null,
-        PAYMENT_STATUS.COMPLETED,
-        txHash,
-      ]
+    const outcome = await withSimulatedXlusdDebit(userId, amt, () =>
+      dbPromise.run(
+        `INSERT INTO transfers (from_user_id, to_user_id, to_address, currency, amount, issuer, memo, status, tx_hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          recipient.id,
+          toAddress,
+          XLUSD_CURRENCY,
+          amt,
+          null,
+          typeof memo === "string" && memo.trim() ? memo.trim() : null,
+          PAYMENT_STATUS.COMPLETED,
+          txHash,
+        ]
+      )
     );
+    if (!outcome.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: `Insufficient balance. You have ${outcome.balance.toFixed(2)} XLUSD`,
+      });
+    }
 
     return res.json({
       ok: true,
       simulated: true,
-      transferId: insert.lastID,
+      transferId: outcome.result.lastID,
       txHash,
       amountXlusd: amt,
       toEmail: rawEmail,
@@ -3034,14 +7599,28 @@ app.post("/api/xlusd/buy", requireAuth, async (req, res) => {
    HISTORY & STATS
 ====================== */
 
+// SQLite CURRENT_TIMESTAMP is UTC without a zone ("YYYY-MM-DD HH:MM:SS"); Date would read it as local time
+function sqliteTimeToUnix(value) {
+  if (!value) return null;
+  const raw = String(value);
+  const iso = /[zZ]|[+-]\d{2}:?\d{2}$/.test(raw) ? raw : `${raw.replace(" ", "T")}Z`;
+  const ms = Date.parse(iso);
+  return Number.isFinite(ms) ? ms / 1000 : null;
+}
+
 // GET TRANSACTION HISTORY
 app.get("/api/history", requireAuth, async (req, res) => {
   try {
     const userId = req.session.user?.id;
     const limit = parseInt(req.query.limit) || 50;
     
+    const wallet = await dbPromise.get(
+      `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+      [userId]
+    );
+
     // Get payments and withdrawals from database in parallel
-    const [paymentRows, withdrawalRows, transferRows] = await Promise.all([
+    const [paymentRows, withdrawalRows, transferRows, releaseRows, extensionRows] = await Promise.all([
       dbPromise.all(
         `SELECT 
           id, 
@@ -3092,6 +7671,8 @@ app.get("/api/history", requireAuth, async (req, res) => {
          LIMIT ?`,
         [userId, userId, limit]
       ),
+      listAutoReleasedEscrows({ address: wallet?.wallet_address, limit }),
+      listCompletedExtensionsForUser({ userId, address: wallet?.wallet_address, limit }),
     ]);
     
     // Combine and sort by date
@@ -3105,7 +7686,7 @@ app.get("/api/history", requireAuth, async (req, res) => {
         status: row.status || PAYMENT_STATUS.PENDING,
         txHash: row.tx_hash,
         paymentId: row.payment_id,
-        timestamp: new Date(row.created_at).getTime() / 1000,
+        timestamp: sqliteTimeToUnix(row.created_at),
         date: row.created_at,
       })),
       ...withdrawalRows.map(row => ({
@@ -3116,7 +7697,7 @@ app.get("/api/history", requireAuth, async (req, res) => {
         method: row.method,
         status: row.status || WITHDRAWAL_STATUS.PENDING,
         txHash: row.tx_hash,
-        timestamp: new Date(row.created_at).getTime() / 1000,
+        timestamp: sqliteTimeToUnix(row.created_at),
         date: row.created_at,
       })),
       ...transferRows.map(row => {
@@ -3129,17 +7710,53 @@ app.get("/api/history", requireAuth, async (req, res) => {
           toAddress: row.to_address,
           status: row.status || PAYMENT_STATUS.PENDING,
           txHash: row.tx_hash,
-          timestamp: new Date(row.created_at).getTime() / 1000,
+          timestamp: sqliteTimeToUnix(row.created_at),
           date: row.created_at,
         };
       }),
+      ...releaseRows.map(row => {
+        let result = {};
+        try {
+          result = JSON.parse(row.result || "{}") || {};
+        } catch {}
+        return {
+          id: row.id,
+          type: "auto_release",
+          amount: Number(xrpl.dropsToXrp(String(row.amount_drops))),
+          currency: "XRP",
+          amountXlusd: row.amount_xlusd,
+          ownerAddress: row.owner_address,
+          offerSequence: row.offer_sequence,
+          status: PAYMENT_STATUS.COMPLETED,
+          autoReleased: true,
+          txHash: row.tx_hash,
+          conversion: result.conversion || null,
+          timestamp: sqliteTimeToUnix(row.updated_at),
+          date: row.updated_at,
+        };
+      }),
+      ...extensionRows.map(x => ({
+        id: x.id,
+        type: 'escrow_extended',
+        ownerAddress: x.ownerAddress,
+        offerSequence: x.newOfferSequence,
+        previousOfferSequence: x.oldOfferSequence,
+        oldDeadlineUnix: x.oldDeadlineUnix,
+        newDeadlineUnix: x.newDeadlineUnix,
+        reason: x.reason,
+        status: x.status,
+        cancelTxHash: x.cancelTxHash,
+        txHash: x.createTxHash,
+        timestamp: sqliteTimeToUnix(x.updatedAt),
+        date: x.updatedAt,
+      })),
     ];
     
     // Sort by timestamp descending
     all.sort((a, b) => b.timestamp - a.timestamp);
     
     console.log(
-      `History for user ${userId}: ${paymentRows.length} payments, ${withdrawalRows.length} withdrawals, ${transferRows.length} transfers`
+      `History for user ${userId}: ${paymentRows.length} payments, ${withdrawalRows.length} withdrawals, ${transferRows.length} transfers, ${releaseRows.length} auto-releases, ${extensionRows.length} extensions`
     );
     
     const history = all.slice(0, limit);
@@ -3155,18 +7772,385 @@ app.get("/api/history", requireAuth, async (req, res) => {
   }
 });
 
+// Max EscrowCreate lookups per request for escrows found on-ledger but not in the registry
+const EXTERNAL_ESCROW_LOOKUP_LIMIT = 25;
+
+const ESCROW_LIST_STATUSES = ["open", "finishable", "cancellable", ESCROW_STATUS.FINISHED, ESCROW_STATUS.CANCELLED];
+
+// Build the API view of one escrow, with status + action flags computed from the XRPL time rules
+function toEscrowView(e, { userId, address, nowUnix }) {
+  const role =
+    (address && e.ownerAddress === address) || (e.userId && Number(e.userId) === Number(userId))
+      ? "payer"
+      : "payee";
+  const hasCondition = !!e.condition;
+  const terminal = e.recordedStatus === ESCROW_STATUS.FINISHED || e.recordedStatus === ESCROW_STATUS.CANCELLED;
+  const { finishable, cancellable } = getEscrowActionWindow({
+    finishAfterUnix: e.finishAfterUnix,
+    cancelAfterUnix: e.cancelAfterUnix,
+    hasCondition,
+    nowUnix,
+  });
+  const actionable = !terminal && e.onLedger !== false && !!e.offerSequence;
+
+  let status = e.recordedStatus || ESCROW_STATUS.OPEN;
+  if (!terminal) {
+    status = cancellable ? "cancellable" : finishable ? "finishable" : "open";
+  }
+
+  return {
+    id: e.id ?? null,
+    source: e.source,
+    role,
+    ownerAddress: e.ownerAddress,
+    destinationAddress: e.destinationAddress,
+    offerSequence: e.offerSequence ?? null,
+    amountDrops: e.amountDrops,
+    amountXrp: Number(xrpl.dropsToXrp(String(e.amountDrops || "0"))),
+    amountXlusd: e.amountXlusd ?? null,
+    xlusdPerXrp: e.xlusdPerXrp ?? null,
+    guaranteedXlusd: e.guaranteedXlusd ?? null,
+    hasCondition,
+    condition: e.condition || null,
+    finishAfterUnix: e.finishAfterUnix ?? null,
+    cancelAfterUnix: e.cancelAfterUnix ?? null,
+    workflow: e.workflow,
+    status,
+    onLedger: e.onLedger,
+    createTxHash: e.createTxHash || null,
+    finishTxHash: e.finishTxHash || null,
+    cancelTxHash: e.cancelTxHash || null,
+    createdAtUnix: e.createdAtUnix ?? null,
+    finishedAtUnix: e.finishedAtUnix ?? null,
+    cancelledAtUnix: e.cancelledAtUnix ?? null,
+    // Deadline extensions: cancelled escrow -> its replacement (and back)
+    extendedFromSequence: e.extendedFromSequence ?? null,
+    extendedToSequence: e.extendedToSequence ?? null,
+    requiresFulfillment: hasCondition,
+    canFinishNow: actionable && role === "payee" && finishable,
+    canCancelNow: actionable && role === "payer" && cancellable,
+  };
+}
+
+// The user's escrows: platform registry rows merged with live account_objects for the
+// user's linked XRPL address, so escrows created outside the app show up too.
+async function loadUserEscrows(userId) {
+  const walletRow = await dbPromise.get(
+    `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+    [userId]
+  );
+  const address = walletRow?.wallet_address || null;
+  const records = await listEscrowRecordsForUser({ userId, address });
+
+  let client = null;
+  let ledgerEscrows = null; // null => ledger unavailable, registry-only view
+  let ledgerError = null;
+  if (address) {
+    try {
+      client = await getClient();
+      ledgerEscrows = await getAccountEscrows({ client, address });
+    } catch (err) {
+      const code = err?.data?.error || err?.error;
+      if (code === "actNotFound") {
+        ledgerEscrows = [];
+      } else {
+        ledgerError = err.message || String(err);
+      }
+    }
+  }
+
+  const ledgerByCreateTx = new Map();
+  for (const entry of ledgerEscrows || []) {
+    if (entry.previousTxnId) ledgerByCreateTx.set(entry.previousTxnId, entry);
+  }
+
+  const nowUnix = Math.floor(Date.now() / 1000);
+  const matched = new Set();
+  const escrows = records.map((r) => {
+    const entry = r.create_tx_hash ? ledgerByCreateTx.get(r.create_tx_hash) : null;
+    if (entry) matched.add(entry.previousTxnId);
+
+    // We can only say an escrow is gone if the ledger view covers its owner/destination
+    const coveredByLedger =
+      ledgerEscrows !== null && (r.owner_address === address || r.destination_address === address);
+
+    return toEscrowView(
+      {
+        id: r.id,
+        source: "platform",
+        userId: r.user_id,
+        ownerAddress: r.owner_address,
+        destinationAddress: r.destination_address,
+        offerSequence: r.offer_sequence,
+        amountDrops: r.amount_drops,
+        amountXlusd: r.amount_xlusd,
+        xlusdPerXrp: r.xlusd_per_xrp,
+        guaranteedXlusd: r.guaranteed_xlusd,
+        condition: r.condition,
+        finishAfterUnix: r.finish_after,
+        cancelAfterUnix: r.cancel_after,
+        workflow: r.workflow,
+        recordedStatus: r.status,
+        onLedger: entry ? true : coveredByLedger ? false : null,
+        createTxHash: r.create_tx_hash,
+        finishTxHash: r.finish_tx_hash,
+        cancelTxHash: r.cancel_tx_hash,
+        createdAtUnix: sqliteTimeToUnix(r.created_at),
+        finishedAtUnix: sqliteTimeToUnix(r.finished_at),
+        cancelledAtUnix: sqliteTimeToUnix(r.cancelled_at),
+        extendedFromSequence: r.replaces_offer_sequence,
+        extendedToSequence: r.replaced_by_offer_sequence,
+      },
+      { userId, address, nowUnix }
+    );
+  });
+
+  // Escrows on-ledger that the platform never recorded (created outside the app)
+  const external = (ledgerEscrows || []).filter((e) => !e.previousTxnId || !matched.has(e.previousTxnId));
+  for (const [idx, entry] of external.entries()) {
+    let createInfo = null;
+    if (client && idx < EXTERNAL_ESCROW_LOOKUP_LIMIT) {
+      try {
+        createInfo = await getEscrowCreateInfo({ client, txHash: entry.previousTxnId });
+      } catch (err) {
+        console.warn(`Could not resolve EscrowCreate ${entry.previousTxnId}:`, err.message);
+      }
+    }
+    escrows.push(
+      toEscrowView(
+        {
+          source: "ledger",
+          ownerAddress: entry.ownerAddress,
+          destinationAddress: entry.destinationAddress,
+          offerSequence: createInfo?.offerSequence ?? null,
+          amountDrops: entry.amountDrops,
+          condition: entry.condition,
+          finishAfterUnix: entry.finishAfterUnix,
+          cancelAfterUnix: entry.cancelAfterUnix,
+          workflow: ESCROW_WORKFLOWS.EXTERNAL,
+          recordedStatus: ESCROW_STATUS.OPEN,
+          onLedger: true,
+          createTxHash: entry.previousTxnId,
+          createdAtUnix: createInfo?.createdAtUnix ?? null,
+        },
+        { userId, address, nowUnix }
+      )
+    );
+  }
+
+  escrows.sort((a, b) => (b.createdAtUnix || 0) - (a.createdAtUnix || 0));
+
+  return { address, escrows, ledgerSynced: ledgerEscrows !== null, ledgerError };
+}
+
+// Accepts unix seconds or any Date-parsable string; returns unix seconds or null
+function parseDateFilter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const raw = String(value).trim();
+  if (/^\d+$/.test(raw)) return Number(raw);
+  const ms = Date.parse(raw);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : NaN;
+}
+
+// LIST ESCROWS (as payer and as payee), reconciled against the ledger
+app.get("/api/escrows", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user?.id;
+    const role = req.query.role ? String(req.query.role).toLowerCase() : null;
+    const statuses = req.query.status
+      ? String(req.query.status).toLowerCase().split(",").map((v) => v.trim()).filter(Boolean)
+      : [];
+    const workflow = req.query.workflow ? String(req.query.workflow).toLowerCase() : null;
+    const from = parseDateFilter(req.query.from);
+    const to = parseDateFilter(req.query.to);
+
+    if (role && role !== "payer" && role !== "payee") {
+      return res.status(400).json({ ok: false, error: "Invalid role. Use payer or payee." });
+    }
+    const badStatus = statuses.find((v) => !ESCROW_LIST_STATUSES.includes(v));
+    if (badStatus) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid status '${badStatus}'. Use one of: ${ESCROW_LIST_STATUSES.join(", ")}`,
+      });
+    }
+    if (workflow && !Object.values(ESCROW_WORKFLOWS).includes(workflow)) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid workflow. Use one of: ${Object.values(ESCROW_WORKFLOWS).join(", ")}`,
+      });
+    }
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ ok: false, error: "Invalid from/to. Use unix seconds or an ISO date." });
+    }
+
+    const { address, escrows, ledgerSynced, ledgerError } = await loadUserEscrows(userId);
+
+    const filtered = escrows.filter((e) => {
+      if (role && e.role !== role) return false;
+      if (statuses.length && !statuses.includes(e.status)) return false;
+      if (workflow && e.workflow !== workflow) return false;
+      if (from !== null && !(e.createdAtUnix >= from)) return false;
+      if (to !== null && !(e.createdAtUnix <= to)) return false;
+      return true;
+    });
+
+    return res.json({
+      ok: true,
+      address,
+      ledgerSynced,
+      ledgerError: ledgerError || undefined,
+      escrows: filtered,
+      total: filtered.length,
+    });
+  } catch (err) {
+    console.error("Escrow list error:", err);
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// AUDIT TRAIL of scheduler actions (auto refunds / auto releases) on the user's escrows
+app.get("/api/escrows/jobs", requireAuth, async (req, res) => {
+  try {
+    const userId = req.session.user?.id;
+    const wallet = await dbPromise.get(
+      `SELECT wallet_address FROM user_wallets WHERE user_id = ? LIMIT 1`,
+      [userId]
+    );
+    const attempts = await listEscrowJobAttemptsForUser({
+      userId,
+      address: wallet?.wallet_address || null,
+    });
+
+    return res.json({
+      ok: true,
+      attempts: attempts.map((a) => ({
+        id: a.id,
+        jobType: a.job_type,
+        jobStatus: a.job_status,
+        ownerAddress: a.owner_address,
+        offerSequence: a.offer_sequence,
+        attempt: a.attempt,
+        outcome: a.outcome,
+        txResult: a.tx_result,
+        txHash: a.tx_hash,
+        error: a.error,
+        createdAt: a.created_at,
+      })),
+    });
+  } catch (err) {
+    console.error("Escrow job audit error:", err);
+    return res.status(500).json({ ok: false, error: err.message || String(err) });
+  }
+});
+
+// XLUSD value of an escrow: the amount quoted at creation, else XRP at the current rate
+function escrowXlusdValue(e, xlusdPerXrp) {
+  if (e.amountXlusd !== null && e.amountXlusd !== undefined) return Number(e.amountXlusd);
+  return Number(e.amountXrp || 0) * xlusdPerXrp;
+}
+
+function summarizeEscrows(escrows, xlusdPerXrp) {
+  const summary = {
+    totalEscrows: escrows.length,
+    completed: 0,
+    pending: 0,
+    cancelled: 0,
+    valueLockedXrp: 0,
+    valueLockedXlusd: 0,
+  };
+  for (const e of escrows) {
+    if (e.status === ESCROW_STATUS.FINISHED) {
+      summary.completed += 1;
+    } else if (e.status === ESCROW_STATUS.CANCELLED) {
+      summary.cancelled += 1;
+    } else {
+      summary.pending += 1;
+      // Only escrows still on-ledger (or not known to be gone) hold value
+      if (e.onLedger !== false) {
+        summary.valueLockedXrp += Number(e.amountXrp || 0);
+        summary.valueLockedXlusd += escrowXlusdValue(e, xlusdPerXrp);
+      }
+    }
+  }
+  summary.valueLockedXrp = Number(summary.valueLockedXrp.toFixed(6));
+  summary.valueLockedXlusd = Number(summary.valueLockedXlusd.toFixed(2));
+  return summary;
+}
+
+// Daily created/completed/cancelled counts and created volume (XLUSD) for the last N days (UTC)
+function buildEscrowTrend(escrows, xlusdPerXrp, days = 30) {
+  const dayKey = (unix) => new Date(unix * 1000).toISOString().slice(0, 10);
+  const todayStart = Math.floor(Date.now() / 86400000) * 86400;
+  const buckets = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const key = dayKey(todayStart - i * 86400);
+    buckets.set(key, { date: key, created: 0, completed: 0, cancelled: 0, volumeXlusd: 0 });
+  }
+
+  for (const e of escrows) {
+    const created = e.createdAtUnix ? buckets.get(dayKey(e.createdAtUnix)) : null;
+    if (created) {
+      created.created += 1;
+      created.volumeXlusd += escrowXlusdValue(e, xlusdPerXrp);
+    }
+    const finished = e.finishedAtUnix ? buckets.get(dayKey(e.finishedAtUnix)) : null;
+    if (finished) finished.completed += 1;
+    const cancelled = e.cancelledAtUnix ? buckets.get(dayKey(e.cancelledAtUnix)) : null;
+    if (cancelled) cancelled.cancelled += 1;
+  }
+
+  return Array.from(buckets.values()).map((b) => ({ ...b, volumeXlusd: Number(b.volumeXlusd.toFixed(2)) }));
+}
+
 // GET STATISTICS
 app.get("/api/stats", requireAuth, async (req, res) => {
   try {
-    // In a real app, calculate from database
-    // For now, return mock stats
+    const userId = req.session.user?.id;
+    const { address, escrows, ledgerSynced } = await loadUserEscrows(userId);
+
+    const rate = await getXlusdRate();
+    const overall = summarizeEscrows(escrows, rate.xlusdPerXrp);
+    const asPayer = summarizeEscrows(escrows.filter((e) => e.role === "payer"), rate.xlusdPerXrp);
+    const asProvider = summarizeEscrows(escrows.filter((e) => e.role === "payee"), rate.xlusdPerXrp);
+
+    // XLUSD balance = simulated (DB) + on-ledger trustline balance of the linked wallet
+    const simulatedBalance = await getSimulatedXlusdBalance(userId);
+    let xrplBalance = 0;
+    if (address && ledgerSynced) {
+      try {
+        const client = await getClient();
+        const issuer = process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER;
+        const lines = await client.request({
+          command: "account_lines",
+          account: address,
+          ledger_index: "validated",
+        });
+        const line = lines.result.lines?.find((l) => l.currency === XLUSD_CURRENCY && l.account === issuer);
+        xrplBalance = line ? Number(line.balance) || 0 : 0;
+      } catch (xrplErr) {
+        console.warn("Stats: failed to read XLUSD trustline, using simulated balance only:", xrplErr.message);
+      }
+    }
+
     return res.json({
       ok: true,
-      totalEscrows: 0,
-      totalValue: 0,
-      completed: 0,
-      pending: 0,
-      xlusdBalance: 0,
+      totalEscrows: overall.totalEscrows,
+      totalValue: overall.valueLockedXlusd,
+      totalValueXrp: overall.valueLockedXrp,
+      totalValueXlusd: overall.valueLockedXlusd,
+      completed: overall.completed,
+      pending: overall.pending,
+      cancelled: overall.cancelled,
+      xlusdBalance: Number((simulatedBalance + xrplBalance).toFixed(6)),
+      byRole: {
+        payer: asPayer,
+        provider: asProvider,
+      },
+      trend: buildEscrowTrend(escrows, rate.xlusdPerXrp, 30),
+      xlusdPerXrp: rate.xlusdPerXrp,
+      xlusdRateSource: rate.source,
+      ledgerSynced,
     });
   } catch (err) {
     return res.status(500).json({ error: err.message || String(err) });
@@ -3252,7 +8236,8 @@ app.get("/api/settings", requireAuth, async (req, res) => {
     const settings = await dbPromise.get(
       `SELECT email_notifications, transaction_alerts, network, default_xrpl_address,
               COALESCE(default_xrpl_verified, 0) as default_xrpl_verified,
-              default_xrpl_verified_at
+              default_xrpl_verified_at,
+              COALESCE(auto_refund_expired, 1) as auto_refund_expired
        FROM user_settings
        WHERE user_id = ?
        LIMIT 1`,
@@ -3281,6 +8266,7 @@ app.get("/api/settings", requireAuth, async (req, res) => {
           defaultXrplAddress: wallet?.wallet_address || "",
           defaultXrplVerified: false,
           defaultXrplVerifiedAt: null,
+          autoRefundExpired: true,
         },
       });
     }
@@ -3294,6 +8280,7 @@ app.get("/api/settings", requireAuth, async (req, res) => {
         defaultXrplAddress: settings.default_xrpl_address || "",
         defaultXrplVerified: Number(settings.default_xrpl_verified) === 1,
         defaultXrplVerifiedAt: settings.default_xrpl_verified_at || null,
+        autoRefundExpired: Number(settings.auto_refund_expired) !== 0,
       },
     });
   } catch (err) {
@@ -3406,7 +8393,7 @@ app.post("/api/settings/verify-address", requireAuth, async (req, res) => {
 app.post("/api/settings", requireAuth, async (req, res) => {
   try {
     const userId = req.session.user?.id;
-    const { emailNotifications, transactionAlerts, network, defaultXrplAddress } = req.body || {};
+    const { emailNotifications, transactionAlerts, network, defaultXrplAddress, autoRefundExpired } = req.body || {};
 
     const net = (network === "mainnet" || network === "testnet") ? network : "testnet";
     const addr = String(defaultXrplAddress || "").trim();
@@ -3414,10 +8401,13 @@ app.post("/api/settings", requireAuth, async (req, res) => {
       return res.status(400).json({ error: "Invalid XRPL address" });
     }
 
+    // Omitted by older clients: keep the stored opt-out instead of resetting it
+    const refundFlag = typeof autoRefundExpired === "boolean" ? (autoRefundExpired ? 1 : 0) : null;
+
     // Upsert
     await dbPromise.run(
-      `INSERT INTO user_settings (user_id, email_notifications, transaction_alerts, network, default_xrpl_address)
-       VALUES (?, ?, ?, ?, ?)
+      `INSERT INTO user_settings (user_id, email_notifications, transaction_alerts, network, default_xrpl_address, auto_refund_expired)
+       VALUES (?, ?, ?, ?, ?, COALESCE(?, 1))
        ON CONFLICT(user_id) DO UPDATE SET
          email_notifications = excluded.email_notifications,
          transaction_alerts = excluded.transaction_alerts,
@@ -3425,6 +8415,7 @@ app.post("/api/settings", requireAuth, async (req, res) => {
          default_xrpl_address = excluded.default_xrpl_address,
          default_xrpl_verified = CASE WHEN excluded.default_xrpl_address IS NULL OR excluded.default_xrpl_address = '' THEN 0 ELSE default_xrpl_verified END,
          default_xrpl_verified_at = CASE WHEN excluded.default_xrpl_address IS NULL OR excluded.default_xrpl_address = '' THEN NULL ELSE default_xrpl_verified_at END,
+         auto_refund_expired = CASE WHEN ? IS NULL THEN auto_refund_expired ELSE excluded.auto_refund_expired END,
          updated_at = CURRENT_TIMESTAMP`,
       [
         userId,
@@ -3432,6 +8423,8 @@ app.post("/api/settings", requireAuth, async (req, res) => {
         transactionAlerts === false ? 0 : 1,
         net,
         addr || null,
+        refundFlag,
+        refundFlag,
       ]
     );
 
@@ -3442,6 +8435,7 @@ app.post("/api/settings", requireAuth, async (req, res) => {
         transactionAlerts: transactionAlerts !== false,
         network: net,
         defaultXrplAddress: addr,
+        ...(refundFlag !== null ? { autoRefundExpired: refundFlag === 1 } : {}),
       },
     });
   } catch (err) {
@@ -3543,9 +8537,70 @@ app.get("/api/test/wallet", async (req, res) => {
 ====================== */
 
 const PORT = Number(process.env.PORT || 3001);
-const server = app.listen(PORT, () => {
+const server = app.listen(PORT, async () => {
   console.log(`🚀 Backend running at http://localhost:${PORT}`);
   console.log(`📊 Test wallet: http://localhost:${PORT}/api/test/wallet`);
+
+  // Background sync of escrows/transfers/balances with the ledger (set LEDGER_WATCHER=false to disable)
+  if ((process.env.LEDGER_WATCHER || "true") === "true") {
+    startLedgerWatcher();
+  }
+
+  // Seal any plaintext or older-key preimages before the scheduler can read them
+  try {
+    const resealed = await sealStoredEscrowSecrets();
+    if (resealed > 0) console.log(`🔐 Sealed ${resealed} stored escrow secret(s) under the current key version`);
+  } catch (err) {
+    console.warn("Could not seal stored escrow secrets:", err.message);
+  }
+
+  // Bounties posted before the custody ledger get their hold (and unpaid award) entries
+  try {
+    const backfilled = await backfillBountyCustody();
+    if (backfilled > 0) console.log(`🏆 Recorded ${backfilled} bounty custody entr${backfilled === 1 ? "y" : "ies"}`);
+  } catch (err) {
+    console.warn("Could not backfill bounty custody:", err.message);
+  }
+
+  // Retry XRP -> XLUSD conversions deferred for lack of liquidity within XLUSD_MAX_SLIPPAGE_PERCENT
+  if ((process.env.AUTO_CONVERT_TO_XLUSD || "true") === "true") {
+    setInterval(retryDeferredXlusdConversions, XLUSD_CONVERSION_RETRY_INTERVAL_MS).unref?.();
+  }
+
+  // Retry failed XLUSD guarantee adjustments and settle interrupted ones
+  setInterval(retryXlusdSettlements, XLUSD_SETTLEMENT_RETRY_INTERVAL_MS).unref?.();
+
+  // Settle interrupted invitation fundings and retry failed ones
+  setInterval(sweepEscrowInvitations, ESCROW_INVITATION_SWEEP_INTERVAL_MS).unref?.();
+
+  // Expire bounties past their deadline, releasing their rewards back to the payers
+  await expireBounties();
+  setInterval(expireBounties, BOUNTY_EXPIRY_INTERVAL_MS).unref?.();
+
+  // Refund expired escrows / release matured time-based escrows (AUTO_REFUND / AUTO_RELEASE=false to disable);
+  // agreed deadline extensions and crowdfund settlements always run
+  startEscrowScheduler({
+    resolveWallet: resolveSigningWallet,
+    autoRefund: (process.env.AUTO_REFUND || "true") === "true",
+    autoRelease: (process.env.AUTO_RELEASE || "true") === "true",
+    onEscrowReleased: async ({ client, wallet, escrowAmountDrops, ownerAddress, offerSequence }) => {
+      if ((process.env.AUTO_CONVERT_TO_XLUSD || "true") !== "true") {
+        await recordUnconvertedXlusdGuarantee({
+          escrow: { ownerAddress, offerSequence },
+          destinationAddress: wallet.classicAddress,
+          reason: "AUTO_CONVERT_TO_XLUSD is off",
+        });
+        return null;
+      }
+      return await convertEscrowXrpToXlusd({
+        client,
+        wallet,
+        issuer: process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER,
+        escrowAmountDrops,
+        escrow: { ownerAddress, offerSequence },
+      });
+    },
+  });
 });
 
 server.on("error", (err) => {
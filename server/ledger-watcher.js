@@ -0,0 +1,402 @@
+// Ledger Watcher Service
+// Keeps escrow, transfer and balance state in sync with what actually happens on XRPL,
+// including EscrowFinish/EscrowCancel/Payment transactions submitted outside the app.
+
+import xrpl from "xrpl";
+import dbPromise from "./utils/db-promise.js";
+import { getClient } from "./utils/xrpl-client.js";
+import { rippleTimeToUnix } from "./xrpl.js";
+import { recordEscrow, updateEscrowStatus } from "./utils/escrow-registry.js";
+import { getQaEscrow, markQaEscrowFinished } from "./utils/qa-escrow-store.js";
+import {
+  DEFAULT_XLUSD_ISSUER,
+  XLUSD_CURRENCY,
+  PAYMENT_STATUS,
+  ESCROW_STATUS,
+  ESCROW_WORKFLOWS,
+} from "./utils/constants.js";
+
+const SYNC_INTERVAL_MS = Number(process.env.LEDGER_WATCHER_INTERVAL_MS || 60 * 1000);
+const BACKFILL_PAGE_LIMIT = 200;
+const BACKFILL_MAX_PAGES = 10; // per account per tick; the cursor lets the next tick pick up the rest
+
+// address -> user_id for every custodial wallet we watch
+let watchedAccounts = new Map();
+// addresses currently subscribed on the attached client
+let subscribedAccounts = new Set();
+let attachedClient = null;
+let syncTimer = null;
+let syncInProgress = false;
+
+/* ====================== CURSOR ====================== */
+
+async function getCursor(account) {
+  const row = await dbPromise.get(
+    `SELECT last_ledger_index FROM ledger_sync_state WHERE account = ? LIMIT 1`,
+    [account]
+  );
+  return row ? Number(row.last_ledger_index) : null;
+}
+
+async function setCursor(account, ledgerIndex) {
+  if (!Number.isInteger(ledgerIndex) || ledgerIndex <= 0) return;
+  // Never move the cursor backwards (live and backfill updates can interleave)
+  await dbPromise.run(
+    `INSERT INTO ledger_sync_state (account, last_ledger_index)
+     VALUES (?, ?)
+     ON CONFLICT(account) DO UPDATE SET
+       last_ledger_index = MAX(last_ledger_index, excluded.last_ledger_index),
+       updated_at = CURRENT_TIMESTAMP`,
+    [account, ledgerIndex]
+  );
+}
+
+/* ====================== TRANSACTION HANDLERS ====================== */
+
+/**
+ * Normalize the API v1/v2 transaction shapes (stream messages and account_tx entries)
+ */
+function normalizeTx(entry) {
+  const tx = entry.tx_json || entry.transaction || entry.tx || {};
+  return {
+    tx,
+    meta: entry.meta || entry.metaData || {},
+    hash: entry.hash || tx.hash || null,
+    validated: entry.validated !== false,
+  };
+}
+
+function decodeMemo(tx) {
+  const data = tx.Memos?.[0]?.Memo?.MemoData;
+  if (!data) return null;
+  try {
+    return Buffer.from(data, "hex").toString("utf8") || null;
+  } catch {
+    return null;
+  }
+}
+
+async function handleEscrowCreate({ tx, hash }) {
+  // Only XRP escrows are tracked in the registry
+  if (typeof tx.Amount !== "string") return;
+  const offerSequence = Number(tx.Sequence) || Number(tx.TicketSequence) || null;
+  if (!offerSequence) return;
+
+  await recordEscrow({
+    userId: watchedAccounts.get(tx.Account) ?? null,
+    ownerAddress: tx.Account,
+    destinationAddress: tx.Destination,
+    offerSequence,
+    amountDrops: tx.Amount,
+    condition: tx.Condition || null,
+    finishAfterUnix: tx.FinishAfter ? rippleTimeToUnix(tx.FinishAfter) : null,
+    cancelAfterUnix: tx.CancelAfter ? rippleTimeToUnix(tx.CancelAfter) : null,
+    workflow: ESCROW_WORKFLOWS.EXTERNAL,
+    txHash: hash,
+  });
+}
+
+async function handleEscrowFinish({ tx, hash }) {
+  await updateEscrowStatus({
+    ownerAddress: tx.Owner,
+    offerSequence: tx.OfferSequence,
+    status: ESCROW_STATUS.FINISHED,
+    txHash: hash,
+  });
+
+  const qaEscrow = await getQaEscrow(tx.OfferSequence, tx.Owner);
+  if (qaEscrow && !qaEscrow.escrowFinished) {
+    await markQaEscrowFinished(qaEscrow.id);
+  }
+}
+
+async function handleEscrowCancel({ tx, hash }) {
+  await updateEscrowStatus({
+    ownerAddress: tx.Owner,
+    offerSequence: tx.OfferSequence,
+    status: ESCROW_STATUS.CANCELLED,
+    txHash: hash,
+  });
+}
+
+async function handlePayment({ tx, meta, hash }) {
+  if (!hash || tx.Account === tx.Destination) return;
+  const fromUserId = watchedAccounts.get(tx.Account);
+  // transfers.from_user_id is required, so inbound payments from outside only refresh balances
+  if (!fromUserId) return;
+
+  const existing = await dbPromise.get(`SELECT id FROM transfers WHERE tx_hash = ? LIMIT 1`, [hash]);
+  if (existing) return;
+
+  const delivered = meta.delivered_amount ?? meta.DeliveredAmount ?? tx.DeliverMax ?? tx.Amount;
+  let currency;
+  let amount;
+  let issuer = null;
+  if (typeof delivered === "string") {
+    currency = "XRP";
+    amount = Number(xrpl.dropsToXrp(delivered));
+  } else if (delivered?.currency === XLUSD_CURRENCY) {
+    currency = XLUSD_CURRENCY;
+    amount = Number(delivered.value);
+    issuer = delivered.issuer;
+  } else {
+    return;
+  }
+  if (!Number.isFinite(amount) || amount <= 0) return;
+
+  // A transfer submitted by the app may still be waiting on submitAndWait - complete that row instead
+  const pending = await dbPromise.get(
+    `SELECT id FROM transfers
+     WHERE from_user_id = ? AND to_address = ? AND currency = ? AND ABS(amount - ?) < 0.000001
+       AND status = ? AND tx_hash IS NULL
+     ORDER BY id ASC
+     LIMIT 1`,
+    [fromUserId, tx.Destination, currency, amount, PAYMENT_STATUS.PENDING]
+  );
+  if (pending) {
+    await dbPromise.run(`UPDATE transfers SET status = ?, tx_hash = ? WHERE id = ?`, [
+      PAYMENT_STATUS.COMPLETED,
+      hash,
+      pending.id,
+    ]);
+    return;
+  }
+
+  await dbPromise.run(
+    `INSERT INTO transfers (from_user_id, to_user_id, to_address, currency, amount, issuer, memo, status, tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      fromUserId,
+      watchedAccounts.get(tx.Destination) ?? null,
+      tx.Destination,
+      currency,
+      amount,
+      issuer,
+      decodeMemo(tx),
+      PAYMENT_STATUS.COMPLETED,
+      hash,
+    ]
+  );
+}
+
+const TX_HANDLERS = {
+  EscrowCreate: handleEscrowCreate,
+  EscrowFinish: handleEscrowFinish,
+  EscrowCancel: handleEscrowCancel,
+  Payment: handlePayment,
+};
+
+/**
+ * Apply one validated transaction to local state.
+ * Handlers are idempotent, so the same tx seen via backfill and the stream is harmless.
+ * @returns {Set<string>} watched accounts whose balances may have changed
+ */
+async function processTransaction(entry) {
+  const parsed = normalizeTx(entry);
+  const { tx, meta } = parsed;
+  const touched = new Set(
+    [tx.Account, tx.Destination, tx.Owner].filter((a) => a && watchedAccounts.has(a))
+  );
+
+  if (!parsed.validated || meta.TransactionResult !== "tesSUCCESS") return touched;
+
+  const handler = TX_HANDLERS[tx.TransactionType];
+  if (handler) {
+    try {
+      await handler(parsed);
+    } catch (err) {
+      console.warn(`Ledger watcher: failed to apply ${tx.TransactionType} ${parsed.hash}:`, err.message);
+    }
+  }
+  return touched;
+}
+
+/* ====================== BALANCES ====================== */
+
+async function refreshBalance(client, address) {
+  const issuer = process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER;
+  try {
+    const info = await client.request({
+      command: "account_info",
+      account: address,
+      ledger_index: "validated",
+    });
+    const balanceXrp = Number(xrpl.dropsToXrp(info.result.account_data.Balance));
+
+    let balanceXlusd = 0;
+    const lines = await client.request({
+      command: "account_lines",
+      account: address,
+      peer: issuer,
+      ledger_index: "validated",
+    });
+    const line = lines.result.lines?.find((l) => l.currency === XLUSD_CURRENCY);
+    if (line) balanceXlusd = Number(line.balance) || 0;
+
+    await dbPromise.run(
+      `UPDATE user_wallets
+       SET ledger_balance_xrp = ?, ledger_balance_xlusd = ?, ledger_synced_at = CURRENT_TIMESTAMP
+       WHERE wallet_address = ?`,
+      [balanceXrp, balanceXlusd, address]
+    );
+  } catch (err) {
+    // Unfunded accounts have no balance to sync yet
+    if (err?.data?.error !== "actNotFound") {
+      console.warn(`Ledger watcher: balance refresh failed for ${address}:`, err.message);
+    }
+  }
+}
+
+/* ====================== BACKFILL ====================== */
+
+/**
+ * Replay account_tx from the stored cursor so transactions missed while the
+ * server was down are applied before relying on the live stream.
+ */
+async function backfillAccount(client, address) {
+  const cursor = await getCursor(address);
+  let marker;
+  let pages = 0;
+  let lastLedger = null;
+  let ledgerMax = null;
+  const touched = new Set();
+
+  try {
+    do {
+      const resp = await client.request({
+        command: "account_tx",
+        account: address,
+        ledger_index_min: cursor !== null ? cursor + 1 : -1,
+        ledger_index_max: -1,
+        forward: true,
+        limit: BACKFILL_PAGE_LIMIT,
+        ...(marker ? { marker } : {}),
+      });
+      ledgerMax = Number(resp.result?.ledger_index_max) || ledgerMax;
+
+      for (const entry of resp.result?.transactions || []) {
+        const accounts = await processTransaction(entry);
+        accounts.forEach((a) => touched.add(a));
+        lastLedger = Number(entry.ledger_index ?? entry.tx_json?.ledger_index ?? entry.tx?.ledger_index) || lastLedger;
+      }
+
+      marker = resp.result?.marker;
+      pages += 1;
+    } while (marker && pages < BACKFILL_MAX_PAGES);
+  } catch (err) {
+    if (err?.data?.error === "actNotFound") return touched;
+    throw err;
+  }
+
+  if (marker) {
+    // Stopped early: the last ledger may be only partially processed, so resume from it next time
+    if (lastLedger) await setCursor(address, lastLedger - 1);
+  } else if (ledgerMax) {
+    await setCursor(address, ledgerMax);
+  }
+
+  touched.add(address);
+  return touched;
+}
+
+/* ====================== SUBSCRIPTION ====================== */
+
+async function onTransaction(message) {
+  try {
+    const touched = await processTransaction(message);
+    const client = attachedClient;
+    if (client?.isConnected()) {
+      for (const address of touched) await refreshBalance(client, address);
+    }
+
+    // Move cursors conservatively: a later ledger for the same account may still be streaming
+    const ledgerIndex = Number(message.ledger_index);
+    if (message.validated && ledgerIndex) {
+      for (const address of touched) await setCursor(address, ledgerIndex - 1);
+    }
+  } catch (err) {
+    console.warn("Ledger watcher: failed to process stream transaction:", err.message);
+  }
+}
+
+function attachClient(client) {
+  if (attachedClient === client) return;
+  if (attachedClient) attachedClient.off("transaction", onTransaction);
+  attachedClient = client;
+  subscribedAccounts = new Set();
+  client.on("transaction", onTransaction);
+}
+
+async function loadWatchedAccounts() {
+  const rows = await dbPromise.all(`SELECT user_id, wallet_address FROM user_wallets`);
+  const accounts = new Map();
+  for (const row of rows) {
+    if (row.wallet_address) accounts.set(row.wallet_address, row.user_id);
+  }
+  watchedAccounts = accounts;
+}
+
+async function syncOnce() {
+  if (syncInProgress) return;
+  syncInProgress = true;
+  try {
+    await loadWatchedAccounts();
+    if (watchedAccounts.size === 0) return;
+
+    const client = await getClient();
+    attachClient(client);
+
+    const newAccounts = [...watchedAccounts.keys()].filter((a) => !subscribedAccounts.has(a));
+    if (newAccounts.length > 0) {
+      // Subscribe before backfilling so nothing lands in the gap between the two
+      await client.request({ command: "subscribe", accounts: newAccounts });
+      newAccounts.forEach((a) => subscribedAccounts.add(a));
+    }
+
+    // Every tick re-runs backfill from the cursor; it is a no-op when the stream kept up
+    for (const address of watchedAccounts.keys()) {
+      try {
+        const touched = await backfillAccount(client, address);
+        for (const a of touched) await refreshBalance(client, a);
+      } catch (err) {
+        console.warn(`Ledger watcher: backfill failed for ${address}:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.warn("Ledger watcher: sync skipped:", err.message);
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Start the background ledger watcher (safe to call once at boot)
+ */
+export function startLedgerWatcher() {
+  if (syncTimer) return;
+  syncOnce();
+  syncTimer = setInterval(syncOnce, SYNC_INTERVAL_MS);
+  syncTimer.unref?.();
+  console.log(`🔭 Ledger watcher started (every ${Math.round(SYNC_INTERVAL_MS / 1000)}s)`);
+}
+
+/**
+ * Stop the watcher and unsubscribe from the shared client
+ */
+export async function stopLedgerWatcher() {
+  if (syncTimer) clearInterval(syncTimer);
+  syncTimer = null;
+
+  const client = attachedClient;
+  attachedClient = null;
+  if (!client) return;
+  client.off("transaction", onTransaction);
+  if (client.isConnected() && subscribedAccounts.size > 0) {
+    try {
+      await client.request({ command: "unsubscribe", accounts: [...subscribedAccounts] });
+    } catch (err) {
+      console.warn("Ledger watcher: unsubscribe failed:", err.message);
+    }
+  }
+  subscribedAccounts = new Set();
+}
@@ -0,0 +1,198 @@
+// Crowdfund settlement through the escrow scheduler, against an in-memory ledger
+// Run with: npm test (uses a throwaway database via DB_PATH)
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import xrpl from "xrpl";
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "crowdfund-settle-"));
+process.env.DB_PATH = path.join(tmpDir, "data.db");
+
+// Imported after DB_PATH is set, so the tables are created in the throwaway database
+const { default: db, transactionDb } = await import("../db.js");
+const { default: dbPromise } = await import("../utils/db-promise.js");
+const { generateConditionPair, toRippleTime } = await import("../xrpl.js");
+const { recordEscrow } = await import("../utils/escrow-registry.js");
+const { createCrowdfundCampaign, getCrowdfundCampaign, recordCrowdfundContribution, contributionEscrowWindow } =
+  await import("../utils/crowdfund-store.js");
+const { startEscrowScheduler, runEscrowSchedulerNow, stopEscrowScheduler } = await import("../escrow-scheduler.js");
+const { ESCROW_STATUS, ESCROW_JOB_STATUS, ESCROW_WORKFLOWS } = await import("../utils/constants.js");
+
+const DAY = 24 * 60 * 60;
+const projectWallet = xrpl.Wallet.generate();
+const now = () => Math.floor(Date.now() / 1000);
+
+// Escrow ledger objects keyed by owner and sequence; EscrowFinish/EscrowCancel remove them
+const ledger = new Map();
+const submitted = [];
+const fakeClient = {
+  async request({ command, escrow }) {
+    if (command !== "ledger_entry") throw new Error(`Unexpected request: ${command}`);
+    const node = ledger.get(`${escrow.owner}:${escrow.seq}`);
+    if (!node) throw Object.assign(new Error("entryNotFound"), { data: { error: "entryNotFound" } });
+    return { result: { node } };
+  },
+  async autofill(tx) {
+    return { ...tx, Fee: "12", Sequence: 1, LastLedgerSequence: 1000 };
+  },
+  async submitAndWait(txBlob) {
+    const tx = xrpl.decode(txBlob);
+    submitted.push(tx);
+    ledger.delete(`${tx.Owner}:${tx.OfferSequence}`);
+    return {
+      result: { hash: xrpl.hashes.hashSignedTx(txBlob), validated: true, meta: { TransactionResult: "tesSUCCESS" } },
+    };
+  },
+};
+
+async function waitForSchema() {
+  // db.js creates its tables without waiting; poll until the last ones used here exist
+  for (let i = 0; i < 100; i += 1) {
+    const row = await dbPromise.get(
+      `SELECT COUNT(*) AS n FROM sqlite_master
+       WHERE type = 'table' AND name IN ('crowdfund_campaigns', 'crowdfund_contributions', 'escrow_jobs', 'escrow_job_attempts')`
+    );
+    if (row.n === 4) return;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("Database schema was not created");
+}
+
+let nextUserId = 1;
+let nextOfferSequence = 1;
+
+async function createUser() {
+  const email = `user${nextUserId++}@example.com`;
+  const insert = await dbPromise.run(`INSERT INTO users (email, password_hash) VALUES (?, ?)`, [email, "x"]);
+  return insert.lastID;
+}
+
+// A campaign whose deadline has just passed, with one open contribution escrow per amount
+async function seedCampaign({ projectAddress, targetXrp, contributionsXrp }) {
+  const ownerId = await createUser();
+  const deadlineUnix = now() - 60;
+  const { preimage, condition } = generateConditionPair();
+  const campaignId = await createCrowdfundCampaign({
+    userId: ownerId,
+    projectAddress,
+    title: "Community garden",
+    targetDrops: xrpl.xrpToDrops(targetXrp),
+    deadlineUnix,
+    cancelAfterUnix: deadlineUnix + DAY,
+    condition,
+    preimage,
+  });
+  const campaign = await getCrowdfundCampaign(campaignId);
+  const { finishAfterUnix, cancelAfterUnix } = contributionEscrowWindow(campaign);
+
+  for (const amountXrp of contributionsXrp) {
+    const userId = await createUser();
+    const ownerAddress = xrpl.Wallet.generate().classicAddress;
+    const offerSequence = nextOfferSequence++;
+    const amountDrops = xrpl.xrpToDrops(amountXrp);
+    await recordCrowdfundContribution({ campaignId, userId, ownerAddress, offerSequence, amountDrops, txHash: null });
+    await recordEscrow({
+      userId,
+      ownerAddress,
+      destinationAddress: projectAddress,
+      offerSequence,
+      amountDrops,
+      condition,
+      finishAfterUnix,
+      cancelAfterUnix,
+      workflow: ESCROW_WORKFLOWS.CROWDFUND,
+    });
+    ledger.set(`${ownerAddress}:${offerSequence}`, {
+      Account: ownerAddress,
+      Destination: projectAddress,
+      Amount: amountDrops,
+      Condition: condition,
+      FinishAfter: toRippleTime(finishAfterUnix),
+      CancelAfter: toRippleTime(cancelAfterUnix),
+    });
+  }
+  return campaign;
+}
+
+async function listSettleJobs(campaignId) {
+  return dbPromise.all(
+    `SELECT j.*, e.status AS escrow_status, e.finish_tx_hash
+     FROM escrow_jobs j
+     JOIN escrows e ON e.id = j.escrow_id
+     JOIN crowdfund_contributions c ON c.owner_address = e.owner_address AND c.offer_sequence = e.offer_sequence
+     WHERE c.campaign_id = ?`,
+    [campaignId]
+  );
+}
+
+before(async () => {
+  await waitForSchema();
+  startEscrowScheduler({
+    resolveWallet: async (address) => (address === projectWallet.classicAddress ? projectWallet : null),
+    autoRefund: false,
+    autoRelease: false,
+    extensions: false,
+    getClient: async () => fakeClient,
+  });
+});
+
+after(async () => {
+  stopEscrowScheduler();
+  await new Promise((resolve) => db.close(resolve));
+  await new Promise((resolve) => transactionDb.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("a funded campaign releases every contribution to the project after the deadline", async () => {
+  const campaign = await seedCampaign({
+    projectAddress: projectWallet.classicAddress,
+    targetXrp: 50,
+    contributionsXrp: [30, 25],
+  });
+  assert.equal((await getCrowdfundCampaign(campaign.id)).status, "funded");
+
+  await runEscrowSchedulerNow();
+
+  const jobs = await listSettleJobs(campaign.id);
+  assert.equal(jobs.length, 2);
+  for (const job of jobs) {
+    assert.equal(job.status, ESCROW_JOB_STATUS.DONE, job.last_error || "");
+    assert.equal(job.escrow_status, ESCROW_STATUS.FINISHED);
+    assert.equal(job.finish_tx_hash, job.tx_hash);
+    assert.equal(JSON.parse(job.result).action, "released");
+  }
+
+  const finishes = submitted.filter((tx) => tx.Account === projectWallet.classicAddress);
+  assert.equal(finishes.length, 2);
+  for (const tx of finishes) {
+    assert.equal(tx.TransactionType, "EscrowFinish");
+    assert.ok(tx.Fulfillment, "EscrowFinish carries the campaign fulfillment");
+  }
+
+  const settled = await getCrowdfundCampaign(campaign.id);
+  assert.equal(settled.status, "released");
+  assert.equal(settled.progress.released, 2);
+});
+
+test("a release that keeps failing is requeued as a refund at CancelAfter", async () => {
+  // The platform holds no key for this project address, so every release attempt fails
+  const campaign = await seedCampaign({
+    projectAddress: xrpl.Wallet.generate().classicAddress,
+    targetXrp: 10,
+    contributionsXrp: [10],
+  });
+
+  for (let i = 0; i < 6; i += 1) {
+    await dbPromise.run(`UPDATE escrow_jobs SET next_attempt_at = 0 WHERE status = ?`, [ESCROW_JOB_STATUS.PENDING]);
+    await runEscrowSchedulerNow();
+  }
+
+  const [job] = await listSettleJobs(campaign.id);
+  assert.equal(job.status, ESCROW_JOB_STATUS.PENDING);
+  assert.equal(job.attempts, 0);
+  assert.equal(job.next_attempt_at, campaign.cancelAfterUnix);
+  assert.match(job.last_error, /refunding after CancelAfter/);
+  assert.equal(job.escrow_status, ESCROW_STATUS.OPEN);
+});
@@ -0,0 +1,152 @@
+// M-of-N approval policies - conditional escrows released once enough approvers sign off
+import dbPromise from "./db-promise.js";
+import { APPROVAL_STATUS } from "./constants.js";
+
+/**
+ * Resolve approver accounts (platform emails or wallet addresses) to user ids
+ * @returns {Promise<{ approvers: Array<{ userId: number, label: string }>, unknown: string[] }>}
+ */
+export async function resolveApproverAccounts(accounts) {
+  const approvers = [];
+  const unknown = [];
+  for (const raw of accounts) {
+    const label = String(raw || "").trim();
+    if (!label) continue;
+    const row = label.includes("@")
+      ? await dbPromise.get(`SELECT id AS user_id FROM users WHERE LOWER(email) = LOWER(?) LIMIT 1`, [label])
+      : await dbPromise.get(`SELECT user_id FROM user_wallets WHERE wallet_address = ? LIMIT 1`, [label]);
+    if (!row) {
+      unknown.push(label);
+    } else if (!approvers.some((a) => a.userId === row.user_id)) {
+      approvers.push({ userId: row.user_id, label });
+    }
+  }
+  return { approvers, unknown };
+}
+
+/**
+ * Persist the policy and its approver list for a newly created escrow
+ * @returns {Promise<number>} policy id
+ */
+export async function createApprovalPolicy({
+  userId,
+  workflow,
+  ownerAddress,
+  destinationAddress,
+  offerSequence,
+  threshold,
+  approvers,
+}) {
+  const insert = await dbPromise.run(
+    `INSERT INTO escrow_approval_policies
+       (user_id, workflow, owner_address, destination_address, offer_sequence, threshold)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, workflow, ownerAddress, destinationAddress, Number(offerSequence), threshold]
+  );
+  const policyId = insert.lastID;
+
+  for (const approver of approvers) {
+    await dbPromise.run(`INSERT INTO escrow_approvers (policy_id, user_id, label) VALUES (?, ?, ?)`, [
+      policyId,
+      approver.userId,
+      approver.label,
+    ]);
+  }
+  return policyId;
+}
+
+async function loadPolicy(row) {
+  if (!row) return null;
+  const approverRows = await dbPromise.all(
+    `SELECT user_id, label, approved_at, note FROM escrow_approvers WHERE policy_id = ? ORDER BY id ASC`,
+    [row.id]
+  );
+  const approvers = approverRows.map((a) => ({
+    userId: a.user_id,
+    label: a.label,
+    approved: !!a.approved_at,
+    approvedAt: a.approved_at || null,
+    note: a.note || null,
+  }));
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    workflow: row.workflow,
+    ownerAddress: row.owner_address,
+    destinationAddress: row.destination_address,
+    offerSequence: row.offer_sequence,
+    threshold: row.threshold,
+    status: row.status,
+    releaseTxHash: row.release_tx_hash || null,
+    createdAt: row.created_at,
+    approvers,
+    approvalCount: approvers.filter((a) => a.approved).length,
+    approvedBy: approvers.filter((a) => a.approved).map((a) => a.label),
+  };
+}
+
+/**
+ * Load a policy with its approvers, or null if unknown
+ */
+export async function getApprovalPolicy(policyId) {
+  return loadPolicy(await dbPromise.get(`SELECT * FROM escrow_approval_policies WHERE id = ? LIMIT 1`, [Number(policyId)]));
+}
+
+export async function getApprovalPolicyForEscrow(ownerAddress, offerSequence) {
+  return loadPolicy(
+    await dbPromise.get(
+      `SELECT * FROM escrow_approval_policies WHERE owner_address = ? AND offer_sequence = ? LIMIT 1`,
+      [ownerAddress, Number(offerSequence)]
+    )
+  );
+}
+
+/**
+ * Policies the user created, approves, or is paid by
+ */
+export async function listApprovalPoliciesForUser({ userId, address = null }) {
+  const rows = await dbPromise.all(
+    `SELECT * FROM escrow_approval_policies p
+     WHERE p.user_id = ?
+        OR p.destination_address = ?
+        OR EXISTS (SELECT 1 FROM escrow_approvers a WHERE a.policy_id = p.id AND a.user_id = ?)
+     ORDER BY p.id DESC`,
+    [userId, address || "", userId]
+  );
+  const policies = [];
+  for (const row of rows) policies.push(await loadPolicy(row));
+  return policies;
+}
+
+/**
+ * Record one approver's sign-off; flips the policy to 'approved' once the threshold is met
+ * @returns {Promise<boolean>} false if this approver had already approved
+ */
+export async function recordApproval(policyId, userId, note = null) {
+  const update = await dbPromise.run(
+    `UPDATE escrow_approvers SET approved_at = CURRENT_TIMESTAMP, note = ?
+     WHERE policy_id = ? AND user_id = ? AND approved_at IS NULL`,
+    [note, policyId, userId]
+  );
+  await dbPromise.run(
+    `UPDATE escrow_approval_policies
+     SET status = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ?
+       AND (SELECT COUNT(*) FROM escrow_approvers WHERE policy_id = ? AND approved_at IS NOT NULL) >= threshold`,
+    [APPROVAL_STATUS.APPROVED, policyId, APPROVAL_STATUS.PENDING, policyId]
+  );
+  return update.changes > 0;
+}
+
+/**
+ * Mark the policy (if any) on an escrow released by another path (provider claim, scheduler, arbitrator)
+ */
+export async function markApprovalReleasedForEscrow(ownerAddress, offerSequence, txHash) {
+  await dbPromise.run(
+    `UPDATE escrow_approval_policies
+     SET status = ?, release_tx_hash = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE owner_address = ? AND offer_sequence = ? AND status != ?`,
+    [APPROVAL_STATUS.RELEASED, txHash, ownerAddress, Number(offerSequence), APPROVAL_STATUS.RELEASED]
+  );
+}
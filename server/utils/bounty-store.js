@@ -0,0 +1,330 @@
+// Open bounties - a reward held from the payer's XLUSD that any user can claim with verified proof
+import dbPromise from "./db-promise.js";
+import { nowUnix, parseJsonArray } from "./store-helpers.js";
+import { BOUNTY_STATUS, BOUNTY_SUBMISSION_STATUS, BOUNTY_CUSTODY_ENTRY } from "./constants.js";
+
+const BOUNTY_SELECT = `
+  SELECT b.*, payer.email AS payer_email, winner.email AS winner_email,
+         (SELECT COUNT(*) FROM bounty_submissions s WHERE s.bounty_id = b.id) AS submission_count
+  FROM bounties b
+  JOIN users payer ON payer.id = b.user_id
+  LEFT JOIN users winner ON winner.id = b.winner_user_id`;
+
+// Past its deadline an open bounty can no longer be awarded; it reads as expired until the background
+// expiry (expireStaleBounties) records it
+function bountyStatus(row) {
+  return row.status === BOUNTY_STATUS.OPEN && row.expires_at <= nowUnix() ? BOUNTY_STATUS.EXPIRED : row.status;
+}
+
+function toBountyView(row) {
+  const status = bountyStatus(row);
+  return {
+    id: row.id,
+    payerUserId: row.user_id,
+    payerEmail: row.payer_email,
+    title: row.title,
+    description: row.description || null,
+    rewardXlusd: row.reward_xlusd,
+    requirements: parseJsonArray(row.requirements),
+    expiresAt: row.expires_at,
+    secondsRemaining: status === BOUNTY_STATUS.OPEN ? Math.max(0, row.expires_at - nowUnix()) : 0,
+    status,
+    submissionCount: row.submission_count || 0,
+    winnerSubmissionId: row.winner_submission_id || null,
+    winnerUserId: row.winner_user_id || null,
+    winnerEmail: row.winner_email || null,
+    payoutTransferId: row.payout_transfer_id || null,
+    awardedAt: row.awarded_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Expire open bounties whose deadline has passed, releasing their reservation back to the payer.
+ * Runs in the background; reads treat these bounties as expired (and released) until it does.
+ * @returns {Promise<number>} bounties expired
+ */
+export async function expireStaleBounties() {
+  return await dbPromise.transaction(async () => {
+    const now = nowUnix();
+    // Past its deadline a bounty can no longer be awarded; the release entry is unique per bounty
+    await dbPromise.run(
+      `INSERT OR IGNORE INTO bounty_custody_entries (bounty_id, user_id, entry_type, amount_xlusd)
+       SELECT id, user_id, ?, reward_xlusd FROM bounties WHERE status = ? AND expires_at <= ?`,
+      [BOUNTY_CUSTODY_ENTRY.RELEASE, BOUNTY_STATUS.OPEN, now]
+    );
+    const update = await dbPromise.run(
+      `UPDATE bounties SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE status = ? AND expires_at <= ?`,
+      [BOUNTY_STATUS.EXPIRED, BOUNTY_STATUS.OPEN, now]
+    );
+    return update.changes;
+  });
+}
+
+// Rewards of the payer's bounties past their deadline that expireStaleBounties has not released yet
+async function getUnreleasedExpiredBountyXlusd(userId) {
+  const row = await dbPromise.get(
+    `SELECT COALESCE(SUM(reward_xlusd), 0) AS total
+     FROM bounties b
+     WHERE b.user_id = ? AND b.status = ? AND b.expires_at <= ?
+       AND NOT EXISTS (SELECT 1 FROM bounty_custody_entries e WHERE e.bounty_id = b.id AND e.entry_type = ?)`,
+    [userId, BOUNTY_STATUS.OPEN, nowUnix(), BOUNTY_CUSTODY_ENTRY.RELEASE]
+  );
+  return Number(row?.total || 0);
+}
+
+/**
+ * XLUSD custody still holds for the payer's bounties (open, or awarded before the custody ledger existed
+ * and not yet paid out)
+ */
+export async function getReservedBountyXlusd(userId) {
+  const row = await dbPromise.get(
+    `SELECT COALESCE(-SUM(e.amount_xlusd), 0) AS reserved
+     FROM bounty_custody_entries e
+     JOIN bounties b ON b.id = e.bounty_id
+     WHERE b.user_id = ?`,
+    [userId]
+  );
+  return Number(row?.reserved || 0) - (await getUnreleasedExpiredBountyXlusd(userId));
+}
+
+/**
+ * The user's net movement through bounty custody: minus rewards held, plus rewards released back
+ * (including those past their deadline and not yet expired) and rewards won. Part of the simulated
+ * XLUSD balance.
+ */
+export async function getBountyCustodyNetXlusd(userId) {
+  const row = await dbPromise.get(
+    `SELECT COALESCE(SUM(amount_xlusd), 0) AS net FROM bounty_custody_entries WHERE user_id = ?`,
+    [userId]
+  );
+  return Number(row?.net || 0) + (await getUnreleasedExpiredBountyXlusd(userId));
+}
+
+async function addCustodyEntry(bountyId, { userId, entryType, amountXlusd }) {
+  await dbPromise.run(
+    `INSERT INTO bounty_custody_entries (bounty_id, user_id, entry_type, amount_xlusd) VALUES (?, ?, ?, ?)`,
+    [bountyId, userId, entryType, amountXlusd]
+  );
+}
+
+/**
+ * Custody entries for bounties posted before the custody ledger: a hold for every open or unpaid awarded
+ * bounty, and the payout of an unpaid award. Bounties paid by transfer are already in the balance.
+ * @returns {Promise<number>} entries added
+ */
+export async function backfillBountyCustody() {
+  const holds = await dbPromise.run(
+    `INSERT OR IGNORE INTO bounty_custody_entries (bounty_id, user_id, entry_type, amount_xlusd)
+     SELECT id, user_id, ?, -reward_xlusd FROM bounties
+     WHERE (status = ? OR (status = ? AND payout_transfer_id IS NULL))
+       AND NOT EXISTS (SELECT 1 FROM bounty_custody_entries e WHERE e.bounty_id = bounties.id)`,
+    [BOUNTY_CUSTODY_ENTRY.HOLD, BOUNTY_STATUS.OPEN, BOUNTY_STATUS.AWARDED]
+  );
+  const payouts = await dbPromise.run(
+    `INSERT OR IGNORE INTO bounty_custody_entries (bounty_id, user_id, entry_type, amount_xlusd)
+     SELECT id, winner_user_id, ?, reward_xlusd FROM bounties
+     WHERE status = ? AND payout_transfer_id IS NULL AND winner_user_id IS NOT NULL`,
+    [BOUNTY_CUSTODY_ENTRY.PAYOUT, BOUNTY_STATUS.AWARDED]
+  );
+  return holds.changes + payouts.changes;
+}
+
+/**
+ * Post a bounty and move its reward from the payer into custody. Call it inside the transaction that
+ * checked the payer's balance, so two bounties cannot both spend the same XLUSD.
+ * @returns {Promise<number>} bounty id
+ */
+export async function createBounty({ userId, title, description = null, rewardXlusd, requirements, expiresAt }) {
+  const insert = await dbPromise.run(
+    `INSERT INTO bounties (user_id, title, description, reward_xlusd, requirements, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, title, description, rewardXlusd, JSON.stringify(requirements || []), expiresAt]
+  );
+  await addCustodyEntry(insert.lastID, { userId, entryType: BOUNTY_CUSTODY_ENTRY.HOLD, amountXlusd: -rewardXlusd });
+  return insert.lastID;
+}
+
+/**
+ * Load a bounty, or null if unknown
+ */
+export async function getBounty(bountyId) {
+  const row = await dbPromise.get(`${BOUNTY_SELECT} WHERE b.id = ? LIMIT 1`, [Number(bountyId)]);
+  return row ? toBountyView(row) : null;
+}
+
+/**
+ * Every open bounty, plus the closed ones the user posted or submitted to
+ */
+export async function listBountiesForUser(userId) {
+  const now = nowUnix();
+  const rows = await dbPromise.all(
+    `${BOUNTY_SELECT}
+     WHERE (b.status = ? AND b.expires_at > ?) OR b.user_id = ?
+        OR EXISTS (SELECT 1 FROM bounty_submissions s WHERE s.bounty_id = b.id AND s.user_id = ?)
+     ORDER BY CASE WHEN b.status = ? AND b.expires_at > ? THEN 0 ELSE 1 END, b.id DESC`,
+    [BOUNTY_STATUS.OPEN, now, userId, userId, BOUNTY_STATUS.OPEN, now]
+  );
+  return rows.map(toBountyView);
+}
+
+/**
+ * Withdraw an open, unexpired bounty nobody has submitted to yet
+ * @returns {Promise<boolean>} false if it is closed, past its deadline or already has submissions
+ */
+export async function cancelBounty(bountyId, userId) {
+  return await dbPromise.transaction(async () => {
+    const bounty = await dbPromise.get(`SELECT reward_xlusd FROM bounties WHERE id = ? LIMIT 1`, [bountyId]);
+    const update = await dbPromise.run(
+      `UPDATE bounties SET status = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND status = ? AND expires_at > ?
+         AND NOT EXISTS (SELECT 1 FROM bounty_submissions s WHERE s.bounty_id = bounties.id)`,
+      [BOUNTY_STATUS.CANCELLED, bountyId, userId, BOUNTY_STATUS.OPEN, nowUnix()]
+    );
+    if (update.changes === 0) return false;
+    await addCustodyEntry(bountyId, {
+      userId,
+      entryType: BOUNTY_CUSTODY_ENTRY.RELEASE,
+      amountXlusd: bounty.reward_xlusd,
+    });
+    return true;
+  });
+}
+
+export async function countBountySubmissionsByUser(bountyId, userId) {
+  const row = await dbPromise.get(
+    `SELECT COUNT(*) AS total FROM bounty_submissions WHERE bounty_id = ? AND user_id = ?`,
+    [bountyId, userId]
+  );
+  return Number(row?.total || 0);
+}
+
+/**
+ * Record a submission before it is verified
+ * @returns {Promise<number>} submission id
+ */
+export async function addBountySubmission({ bountyId, userId, proofText, proofLinks }) {
+  const insert = await dbPromise.run(
+    `INSERT INTO bounty_submissions (bounty_id, user_id, proof_text, proof_links, status)
+     VALUES (?, ?, ?, ?, ?)`,
+    [bountyId, userId, proofText, JSON.stringify(proofLinks || []), BOUNTY_SUBMISSION_STATUS.VERIFYING]
+  );
+  return insert.lastID;
+}
+
+/**
+ * Store the outcome of AIChecker.verifyAllRequirements for a submission
+ */
+export async function saveBountySubmissionResults(submissionId, aiOut) {
+  await dbPromise.run(
+    `UPDATE bounty_submissions
+     SET status = ?, results = ?, verified_count = ?, total_count = ?, avg_confidence = ?, summary = ?,
+         verified_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      aiOut.allVerified ? BOUNTY_SUBMISSION_STATUS.VERIFIED : BOUNTY_SUBMISSION_STATUS.REJECTED,
+      JSON.stringify(aiOut.results || []),
+      aiOut.verifiedCount ?? 0,
+      aiOut.totalCount ?? 0,
+      aiOut.avgConfidence ?? null,
+      aiOut.summary || null,
+      submissionId,
+    ]
+  );
+}
+
+export async function markBountySubmissionError(submissionId, error) {
+  await dbPromise.run(`UPDATE bounty_submissions SET status = ?, error = ? WHERE id = ?`, [
+    BOUNTY_SUBMISSION_STATUS.ERROR,
+    error,
+    submissionId,
+  ]);
+}
+
+/**
+ * Award an open, unexpired bounty to a verified submission and pay the reward out of custody
+ * @returns {Promise<boolean>} false if another submission won first or the bounty closed
+ */
+export async function awardBounty(bountyId, { submissionId, winnerUserId }) {
+  return await dbPromise.transaction(async () => {
+    const bounty = await dbPromise.get(`SELECT reward_xlusd FROM bounties WHERE id = ? LIMIT 1`, [bountyId]);
+    const update = await dbPromise.run(
+      `UPDATE bounties
+       SET status = ?, winner_submission_id = ?, winner_user_id = ?, awarded_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = ? AND expires_at > ?
+         AND NOT EXISTS (SELECT 1 FROM bounty_custody_entries e WHERE e.bounty_id = bounties.id AND e.entry_type = ?)`,
+      [
+        BOUNTY_STATUS.AWARDED,
+        submissionId,
+        winnerUserId,
+        bountyId,
+        BOUNTY_STATUS.OPEN,
+        nowUnix(),
+        BOUNTY_CUSTODY_ENTRY.RELEASE,
+      ]
+    );
+    if (update.changes === 0) return false;
+    await addCustodyEntry(bountyId, {
+      userId: winnerUserId,
+      entryType: BOUNTY_CUSTODY_ENTRY.PAYOUT,
+      amountXlusd: bounty.reward_xlusd,
+    });
+    return true;
+  });
+}
+
+export async function linkBountyPayout(bountyId, transferId) {
+  await dbPromise.run(`UPDATE bounties SET payout_transfer_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [
+    transferId,
+    bountyId,
+  ]);
+}
+
+/**
+ * Submissions ranked for display: the winner first, then by requirements verified, confidence and
+ * submission order. Proofs are only included for the payer and for the submitter's own entries.
+ */
+export async function listBountySubmissions(bounty, { viewerUserId }) {
+  const rows = await dbPromise.all(
+    `SELECT s.*, u.email
+     FROM bounty_submissions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.bounty_id = ?`,
+    [bounty.id]
+  );
+
+  const scored = (row) =>
+    [BOUNTY_SUBMISSION_STATUS.VERIFIED, BOUNTY_SUBMISSION_STATUS.REJECTED].includes(row.status);
+  rows.sort((a, b) => {
+    if (a.id === bounty.winnerSubmissionId) return -1;
+    if (b.id === bounty.winnerSubmissionId) return 1;
+    if (scored(a) !== scored(b)) return scored(a) ? -1 : 1;
+    return (
+      b.verified_count - a.verified_count || (b.avg_confidence ?? 0) - (a.avg_confidence ?? 0) || a.id - b.id
+    );
+  });
+
+  const isPayer = Number(viewerUserId) === Number(bounty.payerUserId);
+  return rows.map((row, idx) => {
+    const showProof = isPayer || Number(row.user_id) === Number(viewerUserId);
+    return {
+      id: row.id,
+      rank: scored(row) ? idx + 1 : null,
+      userId: row.user_id,
+      email: row.email,
+      status: row.status,
+      winner: row.id === bounty.winnerSubmissionId,
+      verifiedCount: row.verified_count,
+      totalCount: row.total_count,
+      avgConfidence: row.avg_confidence ?? null,
+      summary: row.summary || null,
+      results: parseJsonArray(row.results),
+      ...(showProof ? { proofText: row.proof_text || "", proofLinks: parseJsonArray(row.proof_links) } : {}),
+      error: row.error || null,
+      createdAt: row.created_at,
+      verifiedAt: row.verified_at || null,
+    };
+  });
+}
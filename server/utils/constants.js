@@ -36,6 +36,152 @@ export const WITHDRAWAL_STATUS = {
   FAILED: "failed",
 };
 
+export const ESCROW_STATUS = {
+  OPEN: "open",
+  FINISHED: "finished",
+  CANCELLED: "cancelled",
+};
+
+export const ESCROW_WORKFLOWS = {
+  STANDARD: "standard",
+  FREELANCER: "freelancer_payment",
+  QUALITY_ASSURANCE: "quality_assurance",
+  CROWDFUND: "crowdfund", // contribution to a crowdfund campaign (shared condition held by the server)
+  EXTERNAL: "external", // Found on-ledger, not created through the platform
+};
+
+export const MILESTONE_STATUS = {
+  PENDING: "pending", // not yet created on-ledger
+  CREATED: "created",
+  FAILED: "failed",
+};
+
+export const DISPUTE_STATUS = {
+  OPEN: "open",
+  RESOLVED: "resolved",
+};
+
+export const DISPUTE_RESOLUTION = {
+  RELEASE: "release", // server finishes the escrow with the held preimage
+  REFUND: "refund", // escrow is cancelled back to the payer once CancelAfter passes
+};
+
+export const FREELANCER_ESCROW_STATUS = {
+  LOCKED: "locked", // waiting for the client's approval
+  APPROVED: "approved", // client approved; fulfillment available to the freelancer
+  RELEASED: "released",
+};
+
+// EscrowCreate memo carrying { sha256, ref } of the attached terms document
+export const TERMS_MEMO = {
+  TYPE: "depositsafe/terms",
+  FORMAT: "application/json",
+  MAX_BYTES: 512 * 1024,
+};
+
+export const ESCROW_SECRET_KINDS = {
+  QA_ESCROW: "qa_escrow", // qa_escrows.preimage
+  FREELANCER_ESCROW: "freelancer_escrow", // freelancer_escrows.encrypted_preimage
+  CROWDFUND_CAMPAIGN: "crowdfund_campaign", // crowdfund_campaigns.preimage
+  ESCROW_INVITATION: "escrow_invitation", // escrow_invitations.preimage (until the QA escrow row is saved)
+};
+
+export const APPROVAL_STATUS = {
+  PENDING: "pending", // waiting for threshold approvals
+  APPROVED: "approved", // threshold reached, release not yet on-ledger
+  RELEASED: "released",
+};
+
+export const INVITATION_STATUS = {
+  PENDING: "pending", // waiting for the invitee to sign up; amount reserved
+  ACCEPTED: "accepted", // invitee signed up; escrow not yet funded (or funding failed)
+  FUNDING: "funding", // EscrowCreate in flight
+  FUNDED: "funded",
+  EXPIRED: "expired", // not claimed in time; reservation released
+  CANCELLED: "cancelled", // withdrawn by the payer; reservation released
+};
+
+export const PROPOSAL_STATUS = {
+  OPEN: "open", // waiting for the other party to accept, reject or counter
+  ACCEPTED: "accepted", // agreed; escrow not yet funded (or funding failed)
+  FUNDING: "funding", // createQAEscrow in flight
+  FUNDED: "funded",
+  REJECTED: "rejected",
+  WITHDRAWN: "withdrawn", // pulled by the author of the latest version
+};
+
+export const ESCROW_JOB_TYPES = {
+  AUTO_REFUND: "auto_refund", // EscrowCancel once CancelAfter has passed
+  AUTO_RELEASE: "auto_release", // EscrowFinish at FinishAfter for custodial payees
+  QA_RELEASE: "qa_release", // EscrowFinish with the held preimage once the QA dispute window closes
+  EXTENSION: "extension", // EscrowCancel + EscrowCreate with the agreed new deadline
+  CROWDFUND_SETTLE: "crowdfund_settle", // EscrowFinish with the campaign preimage if the target was met, else EscrowCancel
+};
+
+export const EXTENSION_STATUS = {
+  PENDING_CONSENT: "pending_consent", // waiting for the other party to agree
+  SCHEDULED: "scheduled", // both agreed; runs once the old escrow's CancelAfter has passed
+  COMPLETED: "completed",
+  DECLINED: "declined",
+  SUPERSEDED: "superseded", // the old escrow was released first
+  FAILED: "failed",
+};
+
+export const GROUP_MEMBER_STATUS = {
+  PENDING: "pending", // not yet created on-ledger
+  CREATING: "creating", // EscrowCreate in flight
+  CREATED: "created",
+  FAILED: "failed", // creation failed; can be retried
+  ABANDONED: "abandoned", // never created; the payer released or refunded the rest of the group without it
+};
+
+export const BOUNTY_STATUS = {
+  OPEN: "open", // accepting submissions; reward reserved from the payer's XLUSD
+  AWARDED: "awarded", // paid to the first verified submission
+  EXPIRED: "expired", // nobody qualified in time; reservation released back to the payer
+  CANCELLED: "cancelled", // withdrawn by the payer before any submission; reservation released
+};
+
+// Movements of a bounty reward through platform custody (one of each per bounty at most)
+export const BOUNTY_CUSTODY_ENTRY = {
+  HOLD: "hold", // taken from the payer when the bounty is posted
+  RELEASE: "release", // returned to the payer on expiry or cancellation
+  PAYOUT: "payout", // paid to the winner
+};
+
+export const BOUNTY_SUBMISSION_STATUS = {
+  VERIFYING: "verifying", // AIChecker run in progress
+  VERIFIED: "verified", // every requirement verified
+  REJECTED: "rejected", // at least one requirement not verified
+  ERROR: "error", // verification could not run
+};
+
+export const XLUSD_CONVERSION_STATUS = {
+  COMPLETED: "completed",
+  DEFERRED: "deferred", // not enough liquidity within the slippage limit; retried later
+  FAILED: "failed", // rejected, or still no liquidity after the last retry
+  SKIPPED: "skipped", // nothing to convert (unknown amount, reserve buffer)
+};
+
+export const XLUSD_GUARANTEE_POLICIES = {
+  OFF: "off", // escrows cannot be created with a value guarantee
+  TOPUP: "topup", // the treasury pays any shortfall; the payee keeps any surplus
+  TOPUP_AND_RECLAIM: "topup_and_reclaim", // the treasury also takes back any surplus
+};
+
+export const XLUSD_SETTLEMENT_STATUS = {
+  PENDING: "pending", // adjustment payment in flight (or its result unknown until looked up by hash)
+  COMPLETED: "completed", // adjusted (or nothing to adjust)
+  FAILED: "failed", // adjustment could not be paid (see error) and is retried, or the release was never converted
+};
+
+export const ESCROW_JOB_STATUS = {
+  PENDING: "pending",
+  DONE: "done",
+  FAILED: "failed", // gave up after the maximum number of attempts
+  SKIPPED: "skipped", // nothing to do (already resolved, opted out, no signing key)
+};
+
 export const CORS_ALLOWED_ORIGINS = [
   "http://127.0.0.1:5500",
   "http://127.0.0.1:5501",
@@ -0,0 +1,142 @@
+// XLUSD conversions - every XRP -> XLUSD conversion attempt after an escrow release, with the quoted rate
+// and slippage bounds; conversions deferred for lack of liquidity are retried on the same row
+import dbPromise from "./db-promise.js";
+import { nowUnix } from "./store-helpers.js";
+import { XLUSD_CONVERSION_STATUS } from "./constants.js";
+
+// Columns shared by the first attempt and every retry
+function attemptValues({
+  sendMaxDrops = null,
+  deliveredXlusd = null,
+  rate = null,
+  expectedXlusd = null,
+  deliverMinXlusd = null,
+  expectedXlusdPerXrp = null,
+  actualXlusdPerXrp = null,
+  status,
+  nextAttemptAt = null,
+  txHash = null,
+  lastLedgerSequence = null,
+  error = null,
+}) {
+  return [
+    sendMaxDrops !== null ? String(sendMaxDrops) : null,
+    deliveredXlusd,
+    rate?.xlusdPerXrp ?? null,
+    rate?.source ?? null,
+    expectedXlusd,
+    deliverMinXlusd,
+    expectedXlusdPerXrp,
+    actualXlusdPerXrp,
+    status,
+    status === XLUSD_CONVERSION_STATUS.DEFERRED ? nextAttemptAt : null,
+    txHash,
+    status === XLUSD_CONVERSION_STATUS.DEFERRED ? lastLedgerSequence : null,
+    error,
+  ];
+}
+
+/**
+ * Record a conversion attempt ('completed' | 'deferred' | 'failed' | 'skipped')
+ * @returns {Promise<number>} conversion id
+ */
+export async function recordXlusdConversion({
+  walletAddress,
+  ownerAddress = null,
+  offerSequence = null,
+  escrowAmountDrops = null,
+  ...attempt
+}) {
+  const insert = await dbPromise.run(
+    `INSERT INTO xlusd_conversions
+       (wallet_address, owner_address, offer_sequence, escrow_amount_drops, send_max_drops, delivered_xlusd,
+        xlusd_per_xrp, xlusd_rate_source, expected_xlusd, deliver_min_xlusd, expected_xlusd_per_xrp,
+        actual_xlusd_per_xrp, status, next_attempt_at, tx_hash, last_ledger_sequence, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      walletAddress,
+      ownerAddress,
+      offerSequence !== null ? Number(offerSequence) : null,
+      escrowAmountDrops !== null ? String(escrowAmountDrops) : null,
+      ...attemptValues(attempt),
+    ]
+  );
+  return insert.lastID;
+}
+
+/**
+ * Store the outcome of a retry of a deferred conversion
+ */
+export async function updateXlusdConversion(conversionId, { attempts, ...attempt }) {
+  await dbPromise.run(
+    `UPDATE xlusd_conversions
+     SET send_max_drops = ?, delivered_xlusd = ?, xlusd_per_xrp = ?, xlusd_rate_source = ?, expected_xlusd = ?,
+         deliver_min_xlusd = ?, expected_xlusd_per_xrp = ?, actual_xlusd_per_xrp = ?, status = ?,
+         next_attempt_at = ?, tx_hash = ?, last_ledger_sequence = ?, error = ?, attempts = ?,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...attemptValues(attempt), attempts, conversionId]
+  );
+}
+
+/**
+ * Record a retry's signed payment before it is submitted; until its outcome is stored the next retry
+ * looks it up by hash instead of converting again
+ */
+export async function markXlusdConversionSubmitted(conversionId, { txHash, lastLedgerSequence }) {
+  await dbPromise.run(
+    `UPDATE xlusd_conversions SET tx_hash = ?, last_ledger_sequence = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [txHash, lastLedgerSequence ?? null, conversionId]
+  );
+}
+
+/**
+ * Deferred conversions whose retry is due, oldest first
+ */
+export async function listDueXlusdConversions({ limit = 20 } = {}) {
+  const rows = await dbPromise.all(
+    `SELECT * FROM xlusd_conversions
+     WHERE status = ? AND next_attempt_at <= ?
+     ORDER BY next_attempt_at ASC
+     LIMIT ?`,
+    [XLUSD_CONVERSION_STATUS.DEFERRED, nowUnix(), limit]
+  );
+  return rows.map(toConversionView);
+}
+
+function toConversionView(row) {
+  return {
+    id: row.id,
+    walletAddress: row.wallet_address,
+    ownerAddress: row.owner_address || null,
+    offerSequence: row.offer_sequence ?? null,
+    escrowAmountDrops: row.escrow_amount_drops,
+    sendMaxDrops: row.send_max_drops,
+    deliveredXlusd: row.delivered_xlusd ?? null,
+    xlusdPerXrp: row.xlusd_per_xrp ?? null,
+    rateSource: row.xlusd_rate_source || null,
+    expectedXlusd: row.expected_xlusd ?? null,
+    deliverMinXlusd: row.deliver_min_xlusd ?? null,
+    expectedXlusdPerXrp: row.expected_xlusd_per_xrp ?? null,
+    actualXlusdPerXrp: row.actual_xlusd_per_xrp ?? null,
+    status: row.status,
+    attempts: row.attempts ?? 1,
+    nextAttemptAt: row.next_attempt_at ?? null,
+    txHash: row.tx_hash || null,
+    lastLedgerSequence: row.last_ledger_sequence ?? null,
+    error: row.error || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at,
+  };
+}
+
+/**
+ * Conversions into the given wallet, newest first
+ */
+export async function listXlusdConversions({ walletAddress, limit = 50 }) {
+  const rows = await dbPromise.all(
+    `SELECT * FROM xlusd_conversions WHERE wallet_address = ? ORDER BY id DESC LIMIT ?`,
+    [walletAddress, limit]
+  );
+  return rows.map(toConversionView);
+}
@@ -0,0 +1,196 @@
+// Crowdfund campaigns - all-or-nothing funding from many contributors, one escrow per contribution
+import xrpl from "xrpl";
+import dbPromise from "./db-promise.js";
+import { nowUnix } from "./store-helpers.js";
+import { sealEscrowSecret } from "./escrow-secrets.js";
+import { ESCROW_STATUS } from "./constants.js";
+
+function dropsToXrp(drops) {
+  return Number(xrpl.dropsToXrp(String(drops || "0")));
+}
+
+// Where the campaign stands: open for contributions, then decided by the total at the deadline
+function campaignStatus(row, { raisedDrops, contributions, released, refunded }) {
+  if (nowUnix() < row.deadline_unix) return "active";
+  if (contributions > 0 && raisedDrops >= BigInt(row.target_drops)) {
+    if (released === contributions) return "released";
+    // Funded, but the release window closed before the contributions could be finished
+    return refunded === contributions ? "refunded" : "funded";
+  }
+  return contributions > 0 && refunded === contributions ? "refunded" : "failed";
+}
+
+async function loadCampaign(row) {
+  if (!row) return null;
+  const totals = await dbPromise.all(
+    `SELECT c.amount_drops, e.status AS escrow_status
+     FROM crowdfund_contributions c
+     LEFT JOIN escrows e ON e.owner_address = c.owner_address AND e.offer_sequence = c.offer_sequence
+     WHERE c.campaign_id = ?`,
+    [row.id]
+  );
+  const raisedDrops = totals.reduce((sum, t) => sum + BigInt(t.amount_drops), 0n);
+  const released = totals.filter((t) => t.escrow_status === ESCROW_STATUS.FINISHED).length;
+  const refunded = totals.filter((t) => t.escrow_status === ESCROW_STATUS.CANCELLED).length;
+  const targetDrops = BigInt(row.target_drops);
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    projectAddress: row.project_address,
+    title: row.title,
+    description: row.description || null,
+    targetXrp: dropsToXrp(row.target_drops),
+    targetXlusd: row.target_xlusd ?? null,
+    xlusdPerXrp: row.xlusd_per_xrp ?? null,
+    xlusdRateSource: row.xlusd_rate_source || null,
+    deadlineUnix: row.deadline_unix,
+    cancelAfterUnix: row.cancel_after,
+    condition: row.condition,
+    status: campaignStatus(row, { raisedDrops, contributions: totals.length, released, refunded }),
+    progress: {
+      raisedXrp: dropsToXrp(raisedDrops.toString()),
+      raisedXlusd: row.xlusd_per_xrp ? Number((dropsToXrp(raisedDrops.toString()) * row.xlusd_per_xrp).toFixed(6)) : null,
+      percent: targetDrops > 0n ? Math.floor(Number((raisedDrops * 10000n) / targetDrops)) / 100 : 0,
+      targetReached: raisedDrops >= targetDrops,
+      contributions: totals.length,
+      released,
+      refunded,
+      secondsRemaining: Math.max(0, row.deadline_unix - nowUnix()),
+    },
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Create a campaign; the preimage is sealed before it is stored
+ * @returns {Promise<number>} campaign id
+ */
+export async function createCrowdfundCampaign({
+  userId,
+  projectAddress,
+  title,
+  description = null,
+  targetDrops,
+  targetXlusd = null,
+  xlusdPerXrp = null,
+  xlusdRateSource = null,
+  deadlineUnix,
+  cancelAfterUnix,
+  condition,
+  preimage,
+}) {
+  const insert = await dbPromise.run(
+    `INSERT INTO crowdfund_campaigns
+       (user_id, project_address, title, description, target_drops, target_xlusd, xlusd_per_xrp, xlusd_rate_source,
+        deadline_unix, cancel_after, condition, preimage)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      projectAddress,
+      title,
+      description,
+      String(targetDrops),
+      targetXlusd,
+      xlusdPerXrp,
+      xlusdRateSource,
+      deadlineUnix,
+      cancelAfterUnix,
+      condition,
+      sealEscrowSecret(preimage),
+    ]
+  );
+  return insert.lastID;
+}
+
+/**
+ * FinishAfter/CancelAfter for a contribution escrow. Conditional escrows can only be finished
+ * before FinishAfter, so FinishAfter closes the release window that opens at the deadline;
+ * contributions are refunded from CancelAfter on.
+ */
+export function contributionEscrowWindow(campaign) {
+  return { finishAfterUnix: campaign.cancelAfterUnix - 1, cancelAfterUnix: campaign.cancelAfterUnix };
+}
+
+/**
+ * Load a campaign with its progress, or null if unknown
+ */
+export async function getCrowdfundCampaign(campaignId) {
+  return loadCampaign(await dbPromise.get(`SELECT * FROM crowdfund_campaigns WHERE id = ? LIMIT 1`, [Number(campaignId)]));
+}
+
+/**
+ * The campaign a contribution escrow belongs to, with its sealed preimage (for settlement), or null
+ */
+export async function getCrowdfundCampaignForEscrow(ownerAddress, offerSequence) {
+  const row = await dbPromise.get(
+    `SELECT cc.*
+     FROM crowdfund_contributions c
+     JOIN crowdfund_campaigns cc ON cc.id = c.campaign_id
+     WHERE c.owner_address = ? AND c.offer_sequence = ?
+     LIMIT 1`,
+    [ownerAddress, Number(offerSequence)]
+  );
+  const campaign = await loadCampaign(row);
+  return campaign ? { ...campaign, sealedPreimage: row.preimage } : null;
+}
+
+/**
+ * Campaigns the user created or contributed to
+ */
+export async function listCrowdfundCampaignIdsForUser(userId) {
+  const rows = await dbPromise.all(
+    `SELECT id FROM crowdfund_campaigns cc
+     WHERE cc.user_id = ?
+        OR EXISTS (SELECT 1 FROM crowdfund_contributions c WHERE c.campaign_id = cc.id AND c.user_id = ?)
+     ORDER BY cc.id DESC`,
+    [userId, userId]
+  );
+  return rows.map((r) => r.id);
+}
+
+export async function recordCrowdfundContribution({
+  campaignId,
+  userId,
+  ownerAddress,
+  offerSequence,
+  amountDrops,
+  amountXlusd = null,
+  txHash,
+}) {
+  const insert = await dbPromise.run(
+    `INSERT INTO crowdfund_contributions (campaign_id, user_id, owner_address, offer_sequence, amount_drops, amount_xlusd, tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [campaignId, userId, ownerAddress, Number(offerSequence), String(amountDrops), amountXlusd, txHash]
+  );
+  return insert.lastID;
+}
+
+/**
+ * Contributions to a campaign (optionally one contributor's), newest first, with their escrow state
+ */
+export async function listCrowdfundContributions(campaignId, { userId = null } = {}) {
+  const rows = await dbPromise.all(
+    `SELECT c.*, u.email, e.status AS escrow_status, e.finish_tx_hash, e.cancel_tx_hash
+     FROM crowdfund_contributions c
+     JOIN users u ON u.id = c.user_id
+     LEFT JOIN escrows e ON e.owner_address = c.owner_address AND e.offer_sequence = c.offer_sequence
+     WHERE c.campaign_id = ? AND (? IS NULL OR c.user_id = ?)
+     ORDER BY c.id DESC`,
+    [Number(campaignId), userId, userId]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    userId: row.user_id,
+    email: row.email,
+    ownerAddress: row.owner_address,
+    offerSequence: row.offer_sequence,
+    amountXrp: dropsToXrp(row.amount_drops),
+    amountXlusd: row.amount_xlusd ?? null,
+    status: row.escrow_status || ESCROW_STATUS.OPEN,
+    txHash: row.tx_hash || null,
+    finishTxHash: row.finish_tx_hash || null,
+    cancelTxHash: row.cancel_tx_hash || null,
+    createdAt: row.created_at,
+  }));
+}
@@ -1,5 +1,13 @@
 // Promise-based database wrapper for better async/await support
-import db from "../db.js";
+import { AsyncLocalStorage } from "async_hooks";
+import db, { transactionDb } from "../db.js";
+
+// Set while a transaction's work runs: its queries (including those of helpers it calls) use its connection
+const transactionScope = new AsyncLocalStorage();
+
+function connection() {
+  return transactionScope.getStore() ? transactionDb : db;
+}
 
 /**
  * Promisified database methods for cleaner async/await code
@@ -10,7 +18,7 @@ export const dbPromise = {
    */
   all(sql, params = []) {
     return new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => {
+      connection().all(sql, params, (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
@@ -22,7 +30,7 @@ export const dbPromise = {
    */
   get(sql, params = []) {
     return new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => {
+      connection().get(sql, params, (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
@@ -34,12 +42,40 @@ export const dbPromise = {
    */
   run(sql, params = []) {
     return new Promise((resolve, reject) => {
-      db.run(sql, params, function (err) {
+      connection().run(sql, params, function (err) {
         if (err) reject(err);
         else resolve({ lastID: this.lastID, changes: this.changes });
       });
     });
   },
+
+  /**
+   * Run `work` inside BEGIN IMMEDIATE ... COMMIT on the transaction connection, rolling back if it throws.
+   * dbPromise calls made while `work` runs go to that connection; everything else stays on the shared one.
+   * Transactions are queued one after another; one started inside `work` joins the open transaction.
+   * @param {Function} work - async () => result, issuing its queries through dbPromise
+   */
+  transaction(work) {
+    if (transactionScope.getStore()) return work();
+
+    const next = transactionQueue.then(() =>
+      transactionScope.run(true, async () => {
+        await dbPromise.run("BEGIN IMMEDIATE");
+        try {
+          const result = await work();
+          await dbPromise.run("COMMIT");
+          return result;
+        } catch (err) {
+          await dbPromise.run("ROLLBACK").catch(() => {});
+          throw err;
+        }
+      })
+    );
+    transactionQueue = next.catch(() => {});
+    return next;
+  },
 };
 
+let transactionQueue = Promise.resolve();
+
 export default dbPromise;
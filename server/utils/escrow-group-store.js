@@ -0,0 +1,185 @@
+// Escrow groups - one payment split by percentage across recipients, one XRPL escrow each
+import xrpl from "xrpl";
+import dbPromise from "./db-promise.js";
+import { ESCROW_STATUS, GROUP_MEMBER_STATUS } from "./constants.js";
+
+/**
+ * Create the group and one 'pending' row per recipient
+ * @returns {Promise<number>} group id
+ */
+export async function createEscrowGroup({
+  userId,
+  ownerAddress,
+  title = null,
+  amountXrp,
+  amountXlusd = null,
+  xlusdPerXrp = null,
+  xlusdRateSource = null,
+  condition = null,
+  finishAfterUnix,
+  cancelAfterUnix = null,
+  members,
+}) {
+  const insert = await dbPromise.run(
+    `INSERT INTO escrow_groups
+       (user_id, owner_address, title, amount_xrp, amount_xlusd, xlusd_per_xrp, xlusd_rate_source, condition,
+        finish_after, cancel_after)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      ownerAddress,
+      title,
+      amountXrp,
+      amountXlusd,
+      xlusdPerXrp,
+      xlusdRateSource,
+      condition,
+      finishAfterUnix,
+      cancelAfterUnix,
+    ]
+  );
+  const groupId = insert.lastID;
+
+  for (const [idx, m] of members.entries()) {
+    await dbPromise.run(
+      `INSERT INTO escrow_group_members (group_id, member_index, destination_address, email, share_bps, amount_drops, amount_xlusd)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [groupId, idx, m.destinationAddress, m.email || null, m.shareBps, m.amountDrops, m.amountXlusd ?? null]
+    );
+  }
+
+  return groupId;
+}
+
+/**
+ * Claim a member for creation (pending, or failed on an earlier attempt)
+ * @returns {Promise<boolean>} false if it is already created or being created
+ */
+export async function claimGroupMember(groupId, memberIndex) {
+  const update = await dbPromise.run(
+    `UPDATE escrow_group_members SET status = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE group_id = ? AND member_index = ? AND status IN (?, ?)`,
+    [GROUP_MEMBER_STATUS.CREATING, groupId, memberIndex, GROUP_MEMBER_STATUS.PENDING, GROUP_MEMBER_STATUS.FAILED]
+  );
+  return update.changes > 0;
+}
+
+export async function markGroupMemberCreated(groupId, memberIndex, { offerSequence, txHash }) {
+  await dbPromise.run(
+    `UPDATE escrow_group_members
+     SET status = ?, offer_sequence = ?, create_tx_hash = ?, error = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE group_id = ? AND member_index = ?`,
+    [GROUP_MEMBER_STATUS.CREATED, offerSequence, txHash, groupId, memberIndex]
+  );
+}
+
+export async function markGroupMemberFailed(groupId, memberIndex, error) {
+  await dbPromise.run(
+    `UPDATE escrow_group_members SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE group_id = ? AND member_index = ?`,
+    [GROUP_MEMBER_STATUS.FAILED, error, groupId, memberIndex]
+  );
+}
+
+/**
+ * Give up on the members that were never created, so the ones that were can be released or refunded
+ * @returns {Promise<number>} members abandoned
+ */
+export async function abandonUncreatedGroupMembers(groupId) {
+  const update = await dbPromise.run(
+    `UPDATE escrow_group_members SET status = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE group_id = ? AND status IN (?, ?)`,
+    [GROUP_MEMBER_STATUS.ABANDONED, groupId, GROUP_MEMBER_STATUS.PENDING, GROUP_MEMBER_STATUS.FAILED]
+  );
+  return update.changes;
+}
+
+// Where a recipient's escrow stands: creation state until it exists, then the registry outcome
+function memberState(row) {
+  if (row.status !== GROUP_MEMBER_STATUS.CREATED) return row.status;
+  if (row.escrow_status === ESCROW_STATUS.FINISHED) return "released";
+  if (row.escrow_status === ESCROW_STATUS.CANCELLED) return "refunded";
+  return "open";
+}
+
+// One status for the whole group, so callers don't have to reconcile members themselves
+function groupStatus(allMembers) {
+  const members = allMembers.filter((m) => m.state !== GROUP_MEMBER_STATUS.ABANDONED);
+  if (members.length === 0) return "abandoned";
+  const count = (state) => members.filter((m) => m.state === state).length;
+  const released = count("released");
+  const refunded = count("refunded");
+  if (members.some((m) => !["open", "released", "refunded"].includes(m.state))) {
+    return "incomplete"; // creation stopped part-way
+  }
+  if (released === members.length) return "released";
+  if (refunded === members.length) return "refunded";
+  if (released + refunded === members.length) return "closed";
+  if (released + refunded > 0) return "partially_settled";
+  return "active";
+}
+
+/**
+ * Load a group with per-recipient state, or null if unknown
+ */
+export async function getEscrowGroup(groupId) {
+  const group = await dbPromise.get(`SELECT * FROM escrow_groups WHERE id = ? LIMIT 1`, [Number(groupId)]);
+  if (!group) return null;
+
+  const rows = await dbPromise.all(
+    `SELECT m.*, e.status AS escrow_status, e.finish_tx_hash, e.cancel_tx_hash
+     FROM escrow_group_members m
+     LEFT JOIN escrows e ON e.owner_address = ? AND e.offer_sequence = m.offer_sequence
+     WHERE m.group_id = ?
+     ORDER BY m.member_index ASC`,
+    [group.owner_address, group.id]
+  );
+
+  const members = rows.map((row) => ({
+    index: row.member_index,
+    destinationAddress: row.destination_address,
+    email: row.email || null,
+    sharePercent: row.share_bps / 100,
+    amountXrp: Number(xrpl.dropsToXrp(String(row.amount_drops))),
+    amountDrops: row.amount_drops,
+    amountXlusd: row.amount_xlusd ?? null,
+    offerSequence: row.offer_sequence ?? null,
+    state: memberState(row),
+    createTxHash: row.create_tx_hash || null,
+    finishTxHash: row.finish_tx_hash || null,
+    cancelTxHash: row.cancel_tx_hash || null,
+    error: row.error || null,
+  }));
+
+  return {
+    id: group.id,
+    userId: group.user_id,
+    ownerAddress: group.owner_address,
+    title: group.title,
+    amountXrp: group.amount_xrp,
+    amountXlusd: group.amount_xlusd ?? null,
+    xlusdPerXrp: group.xlusd_per_xrp ?? null,
+    xlusdRateSource: group.xlusd_rate_source || null,
+    hasCondition: !!group.condition,
+    condition: group.condition || null,
+    finishAfterUnix: group.finish_after,
+    cancelAfterUnix: group.cancel_after ?? null,
+    status: groupStatus(members),
+    createdAt: group.created_at,
+    members,
+  };
+}
+
+/**
+ * Groups the user paid into or is a recipient of
+ */
+export async function listEscrowGroupIdsForUser({ userId, address = null }) {
+  const rows = await dbPromise.all(
+    `SELECT id FROM escrow_groups g
+     WHERE g.user_id = ?
+        OR EXISTS (SELECT 1 FROM escrow_group_members m WHERE m.group_id = g.id AND m.destination_address = ?)
+     ORDER BY g.id DESC`,
+    [userId, address || ""]
+  );
+  return rows.map((r) => r.id);
+}
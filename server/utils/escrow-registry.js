@@ -0,0 +1,117 @@
+// Escrow registry - platform-side record of every escrow created through the app
+import dbPromise from "./db-promise.js";
+import { ESCROW_STATUS, ESCROW_WORKFLOWS } from "./constants.js";
+
+/**
+ * Record a newly created escrow (idempotent per owner + offer sequence)
+ */
+export async function recordEscrow({
+  userId = null,
+  ownerAddress,
+  destinationAddress,
+  offerSequence,
+  amountDrops,
+  amountXlusd = null,
+  xlusdPerXrp = null,
+  xlusdRateSource = null,
+  guaranteedXlusd = null,
+  xlusdGuaranteePolicy = null,
+  condition = null,
+  finishAfterUnix = null,
+  cancelAfterUnix = null,
+  workflow = ESCROW_WORKFLOWS.STANDARD,
+  txHash = null,
+}) {
+  if (!ownerAddress || !destinationAddress) {
+    throw new Error("recordEscrow: missing ownerAddress or destinationAddress");
+  }
+  const seq = Number(offerSequence);
+  if (!Number.isInteger(seq) || seq <= 0) {
+    throw new Error("recordEscrow: invalid offerSequence");
+  }
+
+  await dbPromise.run(
+    `INSERT INTO escrows (
+       user_id, owner_address, destination_address, offer_sequence, amount_drops,
+       amount_xlusd, xlusd_per_xrp, xlusd_rate_source, guaranteed_xlusd, xlusd_guarantee_policy, condition,
+       finish_after, cancel_after, workflow, status, create_tx_hash
+     )
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(owner_address, offer_sequence) DO UPDATE SET
+       user_id = COALESCE(user_id, excluded.user_id),
+       amount_xlusd = COALESCE(excluded.amount_xlusd, amount_xlusd),
+       xlusd_per_xrp = COALESCE(excluded.xlusd_per_xrp, xlusd_per_xrp),
+       xlusd_rate_source = COALESCE(excluded.xlusd_rate_source, xlusd_rate_source),
+       guaranteed_xlusd = COALESCE(excluded.guaranteed_xlusd, guaranteed_xlusd),
+       xlusd_guarantee_policy = COALESCE(excluded.xlusd_guarantee_policy, xlusd_guarantee_policy),
+       -- the ledger watcher only knows 'external'; never let it overwrite an app workflow
+       workflow = CASE WHEN excluded.workflow = 'external' THEN workflow ELSE excluded.workflow END,
+       create_tx_hash = COALESCE(excluded.create_tx_hash, create_tx_hash),
+       updated_at = CURRENT_TIMESTAMP`,
+    [
+      userId,
+      ownerAddress,
+      destinationAddress,
+      seq,
+      String(amountDrops),
+      amountXlusd !== null && amountXlusd !== undefined ? Number(amountXlusd) : null,
+      xlusdPerXrp !== null && xlusdPerXrp !== undefined ? Number(xlusdPerXrp) : null,
+      xlusdRateSource || null,
+      guaranteedXlusd !== null && guaranteedXlusd !== undefined ? Number(guaranteedXlusd) : null,
+      xlusdGuaranteePolicy || null,
+      condition || null,
+      finishAfterUnix !== null && finishAfterUnix !== undefined ? Number(finishAfterUnix) : null,
+      cancelAfterUnix !== null && cancelAfterUnix !== undefined ? Number(cancelAfterUnix) : null,
+      workflow,
+      ESCROW_STATUS.OPEN,
+      txHash,
+    ]
+  );
+
+  return await getEscrowRecord(ownerAddress, seq);
+}
+
+/**
+ * Look up a registry row by owner address + offer sequence
+ */
+export async function getEscrowRecord(ownerAddress, offerSequence) {
+  return await dbPromise.get(
+    `SELECT * FROM escrows WHERE owner_address = ? AND offer_sequence = ? LIMIT 1`,
+    [ownerAddress, Number(offerSequence)]
+  );
+}
+
+/**
+ * All registry rows where the user is the payer (creator/owner) or the payee (destination)
+ */
+export async function listEscrowRecordsForUser({ userId, address = null }) {
+  return await dbPromise.all(
+    `SELECT *
+     FROM escrows
+     WHERE user_id = ? OR owner_address = ? OR destination_address = ?
+     ORDER BY created_at DESC, id DESC`,
+    [userId, address || "", address || ""]
+  );
+}
+
+/**
+ * Move an escrow to 'finished' or 'cancelled' after a validated EscrowFinish/EscrowCancel
+ * @returns {Promise<boolean>} true if a registry row was updated
+ */
+export async function updateEscrowStatus({ ownerAddress, offerSequence, status, txHash = null }) {
+  let sql;
+  if (status === ESCROW_STATUS.FINISHED) {
+    sql = `UPDATE escrows
+           SET status = ?, finish_tx_hash = ?, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE owner_address = ? AND offer_sequence = ?`;
+  } else if (status === ESCROW_STATUS.CANCELLED) {
+    sql = `UPDATE escrows
+           SET status = ?, cancel_tx_hash = ?, cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE owner_address = ? AND offer_sequence = ?`;
+  } else {
+    throw new Error(`updateEscrowStatus: unsupported status '${status}'`);
+  }
+
+  const out = await dbPromise.run(sql, [status, txHash, ownerAddress, Number(offerSequence)]);
+  return out.changes > 0;
+}
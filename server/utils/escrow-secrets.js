@@ -0,0 +1,199 @@
+// Escrow secrets - server-held preimages encrypted at rest under the wallet key hierarchy
+//
+// The master key is the one encryptSeed/decryptSeed use for wallet seeds (WALLET_ENCRYPTION_KEY,
+// never stored in the database). Escrow secrets use a subkey derived from it per key version, and
+// every stored value carries that version: "v<version>:<iv hex>:<ciphertext hex>".
+// Decryption goes through openEscrowSecret, which records each access in escrow_secret_access_log.
+import crypto from "crypto";
+import dbPromise from "./db-promise.js";
+import { createCondition } from "../xrpl.js";
+import { APPROVAL_STATUS, ESCROW_WORKFLOWS, FREELANCER_ESCROW_STATUS } from "./constants.js";
+
+const ALGORITHM = "aes-256-cbc";
+const SEALED_PATTERN = /^v(\d+):([0-9a-f]{32}):([0-9a-f]+)$/i;
+const LEGACY_WALLET_PATTERN = /^([0-9a-f]{32}):([0-9a-f]+)$/i; // encryptSeed output (no version tag)
+
+// Read lazily: index.js loads .env after its imports are evaluated
+export function getEscrowSecretKeyVersion() {
+  const version = Number(process.env.ESCROW_SECRET_KEY_VERSION || 1);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error("Invalid ESCROW_SECRET_KEY_VERSION. Must be a positive integer.");
+  }
+  return version;
+}
+
+/**
+ * Master key shared with wallet seed encryption (32 bytes for AES-256)
+ */
+export function getMasterEncryptionKey() {
+  // Use SESSION_SECRET as encryption key (in production, use a separate WALLET_ENCRYPTION_KEY)
+  const key = process.env.WALLET_ENCRYPTION_KEY || process.env.SESSION_SECRET || "DEV_ONLY_CHANGE_ME";
+  return crypto.createHash("sha256").update(key).digest();
+}
+
+function deriveEscrowSecretKey(version) {
+  return Buffer.from(crypto.hkdfSync("sha256", getMasterEncryptionKey(), Buffer.alloc(0), `escrow-secret:v${version}`, 32));
+}
+
+/**
+ * Encrypt a preimage/fulfillment under the current key version
+ * @returns {string|null} "v<version>:<iv>:<ciphertext>" (null in, null out)
+ */
+export function sealEscrowSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === "") return null;
+  const version = getEscrowSecretKeyVersion();
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveEscrowSecretKey(version), iv);
+  let encrypted = cipher.update(String(plaintext), "utf8", "hex");
+  encrypted += cipher.final("hex");
+  return `v${version}:${iv.toString("hex")}:${encrypted}`;
+}
+
+function decryptSealed(sealed) {
+  const match = SEALED_PATTERN.exec(sealed || "");
+  if (!match) throw new Error("Invalid sealed escrow secret format");
+  const version = Number(match[1]);
+  const decipher = crypto.createDecipheriv(ALGORITHM, deriveEscrowSecretKey(version), Buffer.from(match[2], "hex"));
+  let decrypted = decipher.update(match[3], "hex", "utf8");
+  decrypted += decipher.final("utf8");
+  return { plaintext: decrypted, version };
+}
+
+/**
+ * Decrypt a stored secret and log the access (who, why, which key version)
+ * @param {string} sealed - value produced by sealEscrowSecret
+ * @param {Object} access
+ * @param {string} access.kind - 'qa_escrow' | 'freelancer_escrow' | 'crowdfund_campaign'
+ * @param {number} access.refId - row id of the escrow holding the secret
+ * @param {string} access.purpose - e.g. 'qa_claim', 'scheduler_release', 'fulfillment_reveal'
+ * @param {number|null} [access.userId] - acting user (null for background jobs)
+ */
+export async function openEscrowSecret(sealed, { kind, refId, purpose, userId = null }) {
+  let result;
+  try {
+    result = decryptSealed(sealed);
+  } catch (err) {
+    await logSecretAccess({ kind, refId, purpose, userId, keyVersion: null, ok: false });
+    throw new Error("Failed to decrypt escrow secret: " + err.message);
+  }
+  await logSecretAccess({ kind, refId, purpose, userId, keyVersion: result.version, ok: true });
+  return result.plaintext;
+}
+
+async function logSecretAccess({ kind, refId, purpose, userId, keyVersion, ok }) {
+  await dbPromise.run(
+    `INSERT INTO escrow_secret_access_log (secret_kind, secret_ref, key_version, purpose, user_id, ok)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [kind, refId ?? null, keyVersion, purpose, userId, ok ? 1 : 0]
+  );
+}
+
+/**
+ * Decryption history for one stored secret (newest first)
+ */
+export async function listEscrowSecretAccess({ kind, refId, limit = 100 }) {
+  return await dbPromise.all(
+    `SELECT id, key_version, purpose, user_id, ok, created_at
+     FROM escrow_secret_access_log
+     WHERE secret_kind = ? AND secret_ref = ?
+     ORDER BY id DESC
+     LIMIT ?`,
+    [kind, Number(refId), limit]
+  );
+}
+
+function decryptLegacyWalletFormat(value) {
+  const match = LEGACY_WALLET_PATTERN.exec(value);
+  const decipher = crypto.createDecipheriv(ALGORITHM, getMasterEncryptionKey(), Buffer.from(match[1], "hex"));
+  let decrypted = decipher.update(match[2], "hex", "utf8");
+  decrypted += decipher.final("utf8");
+  return decrypted;
+}
+
+// Bring one column up to the current format: plaintext and encryptSeed-style values are sealed,
+// values under an older key version are re-sealed under the current one
+async function sealColumn(table, column) {
+  const currentVersion = getEscrowSecretKeyVersion();
+  const rows = await dbPromise.all(`SELECT id, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL AND ${column} != ''`);
+  let updated = 0;
+  for (const row of rows) {
+    let plaintext;
+    const sealed = SEALED_PATTERN.exec(row.value);
+    if (sealed) {
+      if (Number(sealed[1]) === currentVersion) continue;
+      plaintext = decryptSealed(row.value).plaintext;
+    } else if (LEGACY_WALLET_PATTERN.test(row.value)) {
+      plaintext = decryptLegacyWalletFormat(row.value);
+    } else {
+      plaintext = row.value;
+    }
+    await dbPromise.run(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [sealEscrowSecret(plaintext), row.id]);
+    updated += 1;
+  }
+  return updated;
+}
+
+// Approval policies created before freelancer_escrows existed kept the preimage in plaintext on
+// escrow_approval_policies.preimage. Move each one into the store its workflow now reads from
+// (sealed), then clear the policy column.
+async function migrateLegacyApprovalPreimages() {
+  const columns = await dbPromise.all(`PRAGMA table_info(escrow_approval_policies)`);
+  if (!columns.some((c) => c.name === "preimage")) return 0;
+
+  const rows = await dbPromise.all(
+    `SELECT * FROM escrow_approval_policies WHERE preimage IS NOT NULL AND preimage != ''`
+  );
+  let migrated = 0;
+  for (const row of rows) {
+    if (row.workflow === ESCROW_WORKFLOWS.FREELANCER) {
+      const status =
+        row.status === APPROVAL_STATUS.RELEASED
+          ? FREELANCER_ESCROW_STATUS.RELEASED
+          : row.status === APPROVAL_STATUS.APPROVED
+          ? FREELANCER_ESCROW_STATUS.APPROVED
+          : FREELANCER_ESCROW_STATUS.LOCKED;
+      await dbPromise.run(
+        `INSERT INTO freelancer_escrows
+           (user_id, owner_address, freelancer_address, offer_sequence, condition, encrypted_preimage, status,
+            release_tx_hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (owner_address, offer_sequence) DO NOTHING`,
+        [
+          row.user_id,
+          row.owner_address,
+          row.destination_address,
+          row.offer_sequence,
+          createCondition(row.preimage),
+          sealEscrowSecret(row.preimage),
+          status,
+          row.release_tx_hash || null,
+        ]
+      );
+    } else {
+      await dbPromise.run(
+        `UPDATE qa_escrows SET preimage = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE owner_address = ? AND offer_sequence = ? AND (preimage IS NULL OR preimage = '')`,
+        [sealEscrowSecret(row.preimage), row.owner_address, row.offer_sequence]
+      );
+    }
+    await dbPromise.run(`UPDATE escrow_approval_policies SET preimage = NULL WHERE id = ?`, [row.id]);
+    migrated += 1;
+  }
+  return migrated;
+}
+
+/**
+ * Startup migration: move legacy plaintext approval-policy preimages into their escrow stores, then
+ * seal every server-held preimage under the current key version
+ * @returns {Promise<number>} rows rewritten
+ */
+export async function sealStoredEscrowSecrets() {
+  return (
+    (await migrateLegacyApprovalPreimages()) +
+    (await sealColumn("qa_escrows", "preimage")) +
+    (await sealColumn("freelancer_escrows", "encrypted_preimage")) +
+    (await sealColumn("crowdfund_campaigns", "preimage")) +
+    (await sealColumn("contract_milestones", "preimage")) +
+    (await sealColumn("escrow_invitations", "preimage"))
+  );
+}
@@ -0,0 +1,234 @@
+// Deadline extensions - both parties agree on a new deadline; the QA escrow is cancelled and recreated
+import dbPromise from "./db-promise.js";
+import { EXTENSION_STATUS } from "./constants.js";
+
+// An escrow can have at most one extension in progress
+const ACTIVE_STATUSES = [EXTENSION_STATUS.PENDING_CONSENT, EXTENSION_STATUS.SCHEDULED];
+
+function toExtensionView(row) {
+  return {
+    id: row.id,
+    qaEscrowId: row.qa_escrow_id,
+    escrowId: row.escrow_id,
+    ownerAddress: row.owner_address,
+    oldOfferSequence: row.old_offer_sequence,
+    oldDeadlineUnix: row.old_deadline_unix ?? null,
+    newDeadlineUnix: row.new_deadline_unix,
+    reason: row.reason || null,
+    requestedByUserId: row.requested_by_user_id,
+    payerConsentedAt: row.payer_consented_at || null,
+    providerConsentedAt: row.provider_consented_at || null,
+    status: row.status,
+    cancelTxHash: row.cancel_tx_hash || null,
+    newOfferSequence: row.new_offer_sequence ?? null,
+    createTxHash: row.create_tx_hash || null,
+    createLastLedgerSequence: row.create_last_ledger_sequence ?? null,
+    error: row.error || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Record an extension request; the requester's own consent is included
+ * @returns {Promise<number>} extension id
+ */
+export async function createEscrowExtension({
+  qaEscrowId,
+  escrowId,
+  ownerAddress,
+  oldOfferSequence,
+  oldDeadlineUnix,
+  newDeadlineUnix,
+  reason = null,
+  requestedByUserId,
+  requesterRole,
+}) {
+  const consentColumn = requesterRole === "payer" ? "payer_consented_at" : "provider_consented_at";
+  const insert = await dbPromise.run(
+    `INSERT INTO escrow_extensions
+       (qa_escrow_id, escrow_id, owner_address, old_offer_sequence, old_deadline_unix, new_deadline_unix, reason,
+        requested_by_user_id, ${consentColumn})
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [qaEscrowId, escrowId, ownerAddress, Number(oldOfferSequence), oldDeadlineUnix, newDeadlineUnix, reason, requestedByUserId]
+  );
+  return insert.lastID;
+}
+
+/**
+ * Load an extension, or null if unknown
+ */
+export async function getEscrowExtension(extensionId) {
+  const row = await dbPromise.get(`SELECT * FROM escrow_extensions WHERE id = ? LIMIT 1`, [Number(extensionId)]);
+  return row ? toExtensionView(row) : null;
+}
+
+/**
+ * The extension awaiting consent or scheduled for a QA escrow, if any
+ */
+export async function getActiveExtensionForQaEscrow(qaEscrowId) {
+  const row = await dbPromise.get(
+    `SELECT * FROM escrow_extensions
+     WHERE qa_escrow_id = ? AND status IN (${ACTIVE_STATUSES.map(() => "?").join(", ")})
+     ORDER BY id DESC LIMIT 1`,
+    [qaEscrowId, ...ACTIVE_STATUSES]
+  );
+  return row ? toExtensionView(row) : null;
+}
+
+/**
+ * The scheduled extension for a registry escrow (what the scheduler acts on), if any
+ */
+export async function getScheduledExtensionForEscrow(escrowId) {
+  const row = await dbPromise.get(
+    `SELECT * FROM escrow_extensions WHERE escrow_id = ? AND status = ? ORDER BY id DESC LIMIT 1`,
+    [escrowId, EXTENSION_STATUS.SCHEDULED]
+  );
+  return row ? toExtensionView(row) : null;
+}
+
+/**
+ * Every extension of a QA escrow, oldest first (its full lineage of offer sequences)
+ */
+export async function listExtensionsForQaEscrow(qaEscrowId) {
+  const rows = await dbPromise.all(`SELECT * FROM escrow_extensions WHERE qa_escrow_id = ? ORDER BY id ASC`, [
+    qaEscrowId,
+  ]);
+  return rows.map(toExtensionView);
+}
+
+/**
+ * Completed extensions on escrows the user pays or is paid by (for history)
+ */
+export async function listCompletedExtensionsForUser({ userId, address = null, limit = 50 }) {
+  const rows = await dbPromise.all(
+    `SELECT x.*
+     FROM escrow_extensions x
+     JOIN qa_escrows q ON q.id = x.qa_escrow_id
+     WHERE x.status = ? AND (q.user_id = ? OR q.provider_address = ?)
+     ORDER BY x.updated_at DESC
+     LIMIT ?`,
+    [EXTENSION_STATUS.COMPLETED, userId, address || "", limit]
+  );
+  return rows.map(toExtensionView);
+}
+
+/**
+ * Record the other party's consent; the extension is scheduled once both have agreed
+ * @returns {Promise<boolean>} false if it was no longer waiting for consent
+ */
+export async function consentToEscrowExtension(extensionId, role) {
+  const consentColumn = role === "payer" ? "payer_consented_at" : "provider_consented_at";
+  const update = await dbPromise.run(
+    `UPDATE escrow_extensions
+     SET ${consentColumn} = COALESCE(${consentColumn}, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ?`,
+    [extensionId, EXTENSION_STATUS.PENDING_CONSENT]
+  );
+  if (update.changes === 0) return false;
+  await dbPromise.run(
+    `UPDATE escrow_extensions
+     SET status = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ? AND payer_consented_at IS NOT NULL AND provider_consented_at IS NOT NULL`,
+    [EXTENSION_STATUS.SCHEDULED, extensionId, EXTENSION_STATUS.PENDING_CONSENT]
+  );
+  return true;
+}
+
+/**
+ * Decline (other party) or withdraw (requester) an extension that has not been scheduled yet
+ */
+export async function declineEscrowExtension(extensionId) {
+  const update = await dbPromise.run(
+    `UPDATE escrow_extensions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+    [EXTENSION_STATUS.DECLINED, extensionId, EXTENSION_STATUS.PENDING_CONSENT]
+  );
+  return update.changes > 0;
+}
+
+export async function markExtensionOldCancelled(extensionId, txHash) {
+  await dbPromise.run(
+    `UPDATE escrow_extensions SET cancel_tx_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [txHash, extensionId]
+  );
+}
+
+/**
+ * Record the signed replacement EscrowCreate before it is submitted, so a retry looks it up by hash
+ * instead of creating a second escrow
+ */
+export async function markExtensionRecreateSubmitted(extensionId, { offerSequence, txHash, lastLedgerSequence }) {
+  await dbPromise.run(
+    `UPDATE escrow_extensions
+     SET new_offer_sequence = ?, create_tx_hash = ?, create_last_ledger_sequence = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [offerSequence, txHash, lastLedgerSequence ?? null, extensionId]
+  );
+}
+
+// The recorded EscrowCreate failed or expired without reaching the ledger; the next attempt signs a new one
+export async function clearExtensionRecreate(extensionId, error) {
+  await dbPromise.run(
+    `UPDATE escrow_extensions
+     SET new_offer_sequence = NULL, create_tx_hash = NULL, create_last_ledger_sequence = NULL, error = ?,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [error, extensionId]
+  );
+}
+
+/**
+ * Close an extension without a replacement ('superseded' | 'failed')
+ */
+export async function closeEscrowExtension(extensionId, { status, error }) {
+  await dbPromise.run(
+    `UPDATE escrow_extensions SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+    [status, error, extensionId, EXTENSION_STATUS.SCHEDULED]
+  );
+}
+
+/**
+ * Move the QA escrow (requirements, proofs, verification, disputes), its terms document and everything
+ * keyed by owner + sequence over to the recreated escrow, and link both registry rows. All or nothing:
+ * a half-moved escrow would leave the new sequence without its requirements or preimage.
+ */
+export async function completeEscrowExtension(extension, { newOfferSequence, txHash }) {
+  const { ownerAddress, oldOfferSequence, qaEscrowId } = extension;
+  await dbPromise.transaction(async () => {
+    await dbPromise.run(
+      `UPDATE qa_escrows SET offer_sequence = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [newOfferSequence, qaEscrowId]
+    );
+    await dbPromise.run(
+      `UPDATE contract_milestones SET offer_sequence = ?, create_tx_hash = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE qa_escrow_id = ?`,
+      [newOfferSequence, txHash, qaEscrowId]
+    );
+    await dbPromise.run(
+      `UPDATE escrow_approval_policies SET offer_sequence = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE owner_address = ? AND offer_sequence = ?`,
+      [newOfferSequence, ownerAddress, oldOfferSequence]
+    );
+    // The new EscrowCreate carries the same terms memo
+    await dbPromise.run(
+      `UPDATE escrow_terms SET offer_sequence = ?, tx_hash = ? WHERE owner_address = ? AND offer_sequence = ?`,
+      [newOfferSequence, txHash, ownerAddress, oldOfferSequence]
+    );
+    await dbPromise.run(
+      `UPDATE escrows SET replaced_by_offer_sequence = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE owner_address = ? AND offer_sequence = ?`,
+      [newOfferSequence, ownerAddress, oldOfferSequence]
+    );
+    await dbPromise.run(
+      `UPDATE escrows SET replaces_offer_sequence = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE owner_address = ? AND offer_sequence = ?`,
+      [oldOfferSequence, ownerAddress, newOfferSequence]
+    );
+    await dbPromise.run(
+      `UPDATE escrow_extensions
+       SET status = ?, new_offer_sequence = ?, create_tx_hash = ?, error = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [EXTENSION_STATUS.COMPLETED, newOfferSequence, txHash, extension.id]
+    );
+  });
+}
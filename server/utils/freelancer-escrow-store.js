@@ -0,0 +1,84 @@
+// Freelancer escrows whose preimage is held (encrypted) by the server instead of the client
+import dbPromise from "./db-promise.js";
+import { FREELANCER_ESCROW_STATUS } from "./constants.js";
+import { sealEscrowSecret } from "./escrow-secrets.js";
+
+function toFreelancerEscrowView(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    ownerAddress: row.owner_address,
+    freelancerAddress: row.freelancer_address,
+    offerSequence: row.offer_sequence,
+    condition: row.condition,
+    sealedPreimage: row.encrypted_preimage,
+    status: row.status,
+    approvedAt: row.approved_at || null,
+    releaseTxHash: row.release_tx_hash || null,
+    fulfillmentRevealedAt: row.fulfillment_revealed_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Persist a server-held freelancer escrow (the preimage is sealed before it is written)
+ * @returns {Promise<number>} freelancer escrow id
+ */
+export async function saveFreelancerEscrow({
+  userId,
+  ownerAddress,
+  freelancerAddress,
+  offerSequence,
+  condition,
+  preimage,
+}) {
+  const insert = await dbPromise.run(
+    `INSERT INTO freelancer_escrows (user_id, owner_address, freelancer_address, offer_sequence, condition, encrypted_preimage)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, ownerAddress, freelancerAddress, Number(offerSequence), condition, sealEscrowSecret(preimage)]
+  );
+  return insert.lastID;
+}
+
+export async function getFreelancerEscrow(id) {
+  return toFreelancerEscrowView(
+    await dbPromise.get(`SELECT * FROM freelancer_escrows WHERE id = ? LIMIT 1`, [Number(id)])
+  );
+}
+
+export async function getFreelancerEscrowForEscrow(ownerAddress, offerSequence) {
+  return toFreelancerEscrowView(
+    await dbPromise.get(
+      `SELECT * FROM freelancer_escrows WHERE owner_address = ? AND offer_sequence = ? LIMIT 1`,
+      [ownerAddress, Number(offerSequence)]
+    )
+  );
+}
+
+export async function markFreelancerEscrowApproved(id) {
+  await dbPromise.run(
+    `UPDATE freelancer_escrows
+     SET status = ?, approved_at = COALESCE(approved_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ?`,
+    [FREELANCER_ESCROW_STATUS.APPROVED, Number(id), FREELANCER_ESCROW_STATUS.LOCKED]
+  );
+}
+
+export async function markFreelancerEscrowReleased(id, txHash) {
+  await dbPromise.run(
+    `UPDATE freelancer_escrows
+     SET status = ?, approved_at = COALESCE(approved_at, CURRENT_TIMESTAMP), release_tx_hash = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [FREELANCER_ESCROW_STATUS.RELEASED, txHash, Number(id)]
+  );
+}
+
+export async function markFulfillmentRevealed(id) {
+  await dbPromise.run(
+    `UPDATE freelancer_escrows
+     SET fulfillment_revealed_at = COALESCE(fulfillment_revealed_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [Number(id)]
+  );
+}
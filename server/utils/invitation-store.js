@@ -0,0 +1,278 @@
+// Escrow invitations - payment offers to an email without an account, funded once the invitee signs up
+import crypto from "crypto";
+import dbPromise from "./db-promise.js";
+import { beginFunding, markFunded, markFundingFailed, nowUnix, parseJsonArray } from "./store-helpers.js";
+import { sealEscrowSecret } from "./escrow-secrets.js";
+import { INVITATION_STATUS, XRPL_CONSTANTS } from "./constants.js";
+
+// Invitations that still hold part of the payer's balance
+const RESERVING_STATUSES = [INVITATION_STATUS.PENDING, INVITATION_STATUS.ACCEPTED, INVITATION_STATUS.FUNDING];
+
+function toInvitationView(row, { includeToken = false } = {}) {
+  return {
+    id: row.id,
+    payerUserId: row.user_id,
+    email: row.email,
+    ...(includeToken ? { token: row.token } : {}),
+    workflow: row.workflow,
+    amountXrp: row.amount_xrp,
+    activationXrp: row.activation_xrp ?? 0,
+    payerAddress: row.payer_address || null,
+    amountXlusd: row.amount_xlusd,
+    xlusdPerXrp: row.xlusd_per_xrp,
+    xlusdRateSource: row.xlusd_rate_source || null,
+    finishAfterUnix: row.finish_after,
+    cancelAfterUnix: row.cancel_after,
+    requirements: parseJsonArray(row.requirements),
+    status: row.status,
+    expiresAt: row.expires_at,
+    inviteeUserId: row.invitee_user_id || null,
+    destinationAddress: row.destination_address || null,
+    ownerAddress: row.owner_address || null,
+    offerSequence: row.offer_sequence ?? null,
+    txHash: row.tx_hash || null,
+    lastLedgerSequence: row.last_ledger_sequence ?? null,
+    fundingAttempts: row.funding_attempts ?? 0,
+    error: row.error || null,
+    acceptedAt: row.accepted_at || null,
+    fundedAt: row.funded_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Expire pending invitations whose claim window has passed, and accepted ones whose escrow can no
+ * longer be created before FinishAfter, releasing their reservation
+ * @returns {Promise<number>} invitations expired
+ */
+export async function expireStaleInvitations() {
+  const now = nowUnix();
+  const unclaimed = await dbPromise.run(
+    `UPDATE escrow_invitations
+     SET status = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE status = ? AND expires_at <= ?`,
+    [INVITATION_STATUS.EXPIRED, INVITATION_STATUS.PENDING, now]
+  );
+  const unfunded = await dbPromise.run(
+    `UPDATE escrow_invitations
+     SET status = ?, error = COALESCE(error, 'FinishAfter passed before the escrow was funded'),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE status = ? AND finish_after <= ?`,
+    [INVITATION_STATUS.EXPIRED, INVITATION_STATUS.ACCEPTED, now + XRPL_CONSTANTS.MIN_FINISH_BUFFER_SECONDS]
+  );
+  return unclaimed.changes + unfunded.changes;
+}
+
+/**
+ * XRP the payer has promised to invitations that are not yet funded, expired or cancelled: the amounts
+ * plus the reserve that activates each invitee's wallet. With `walletAddress`, invitations of other users
+ * held against the same wallet (the shared PAYER_SEED fallback) count too.
+ */
+export async function getReservedInvitationXrp(userId, { walletAddress = null } = {}) {
+  await expireStaleInvitations();
+  const row = await dbPromise.get(
+    `SELECT COALESCE(SUM(amount_xrp + activation_xrp), 0) AS reserved
+     FROM escrow_invitations
+     WHERE (user_id = ? OR payer_address = ?) AND status IN (${RESERVING_STATUSES.map(() => "?").join(", ")})`,
+    [userId, walletAddress, ...RESERVING_STATUSES]
+  );
+  return Number(row?.reserved || 0);
+}
+
+/**
+ * Record a pending invitation and its claim token
+ * @returns {Promise<{ id: number, token: string }>}
+ */
+export async function createEscrowInvitation({
+  userId,
+  email,
+  workflow,
+  amountXrp,
+  activationXrp = 0,
+  payerAddress = null,
+  amountXlusd = null,
+  xlusdPerXrp = null,
+  xlusdRateSource = null,
+  finishAfterUnix,
+  cancelAfterUnix = null,
+  requirements = [],
+  expiresAt,
+}) {
+  const token = crypto.randomBytes(24).toString("hex");
+  const insert = await dbPromise.run(
+    `INSERT INTO escrow_invitations
+       (user_id, email, token, workflow, amount_xrp, activation_xrp, payer_address, amount_xlusd, xlusd_per_xrp,
+        xlusd_rate_source, finish_after, cancel_after, requirements, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      email,
+      token,
+      workflow,
+      amountXrp,
+      activationXrp,
+      payerAddress,
+      amountXlusd,
+      xlusdPerXrp,
+      xlusdRateSource,
+      finishAfterUnix,
+      cancelAfterUnix,
+      JSON.stringify(requirements || []),
+      expiresAt,
+    ]
+  );
+  return { id: insert.lastID, token };
+}
+
+/**
+ * Load an invitation, or null if unknown
+ */
+export async function getEscrowInvitation(invitationId, options = {}) {
+  await expireStaleInvitations();
+  const row = await dbPromise.get(`SELECT * FROM escrow_invitations WHERE id = ? LIMIT 1`, [Number(invitationId)]);
+  return row ? toInvitationView(row, options) : null;
+}
+
+/**
+ * Pending invitation behind an invite link, or null if unknown, claimed or expired
+ */
+export async function getPendingInvitationByToken(token) {
+  await expireStaleInvitations();
+  const row = await dbPromise.get(`SELECT * FROM escrow_invitations WHERE token = ? AND status = ? LIMIT 1`, [
+    String(token || ""),
+    INVITATION_STATUS.PENDING,
+  ]);
+  return row ? toInvitationView(row) : null;
+}
+
+/**
+ * Invitations the user sent (with their tokens) or accepted
+ */
+export async function listEscrowInvitationsForUser(userId) {
+  await expireStaleInvitations();
+  const rows = await dbPromise.all(
+    `SELECT * FROM escrow_invitations WHERE user_id = ? OR invitee_user_id = ? ORDER BY id DESC`,
+    [userId, userId]
+  );
+  return rows.map((row) => toInvitationView(row, { includeToken: row.user_id === userId }));
+}
+
+/**
+ * Point every pending invitation for this email (or behind the invite token) at the new user's wallet
+ * @returns {Promise<Array>} accepted invitations
+ */
+export async function acceptEscrowInvitations({ userId, email, token = null, destinationAddress }) {
+  await expireStaleInvitations();
+  await dbPromise.run(
+    `UPDATE escrow_invitations
+     SET status = ?, invitee_user_id = ?, destination_address = ?, accepted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE status = ? AND (email = ? OR token = ?)`,
+    [INVITATION_STATUS.ACCEPTED, userId, destinationAddress, INVITATION_STATUS.PENDING, email, token || ""]
+  );
+  const rows = await dbPromise.all(
+    `SELECT * FROM escrow_invitations WHERE invitee_user_id = ? AND status = ? ORDER BY id ASC`,
+    [userId, INVITATION_STATUS.ACCEPTED]
+  );
+  return rows.map((row) => toInvitationView(row));
+}
+
+/**
+ * Claim an accepted invitation for funding
+ * @returns {Promise<boolean>} false if it is not waiting to be funded (already funding, funded or withdrawn)
+ */
+export async function beginInvitationFunding(invitationId) {
+  return await beginFunding("escrow_invitations", invitationId, {
+    fromStatus: INVITATION_STATUS.ACCEPTED,
+    toStatus: INVITATION_STATUS.FUNDING,
+    set: ["funding_attempts = funding_attempts + 1"],
+  });
+}
+
+/**
+ * Record the signed EscrowCreate before it is submitted, so an interrupted funding is settled by
+ * looking the transaction up rather than creating a second escrow
+ */
+export async function markInvitationSubmitted(
+  invitationId,
+  { ownerAddress, offerSequence, txHash, lastLedgerSequence, preimage = null }
+) {
+  await dbPromise.run(
+    `UPDATE escrow_invitations
+     SET owner_address = ?, offer_sequence = ?, tx_hash = ?, last_ledger_sequence = ?, preimage = ?,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [ownerAddress, offerSequence, txHash, lastLedgerSequence ?? null, sealEscrowSecret(preimage), invitationId]
+  );
+}
+
+/**
+ * Sealed QA preimage recorded with the submitted EscrowCreate, or null
+ */
+export async function getInvitationSealedPreimage(invitationId) {
+  const row = await dbPromise.get(`SELECT preimage FROM escrow_invitations WHERE id = ? LIMIT 1`, [
+    Number(invitationId),
+  ]);
+  return row?.preimage || null;
+}
+
+export async function markInvitationFunded(invitationId, { ownerAddress, offerSequence, txHash }) {
+  await markFunded("escrow_invitations", invitationId, {
+    status: INVITATION_STATUS.FUNDED,
+    columns: { owner_address: ownerAddress, offer_sequence: offerSequence, tx_hash: txHash },
+    set: ["funded_at = CURRENT_TIMESTAMP"],
+  });
+}
+
+// Back to 'accepted' so it is retried; the amount stays reserved. Only for an EscrowCreate that never
+// reached the ledger: its recorded transaction is forgotten.
+export async function markInvitationFundingFailed(invitationId, error) {
+  await markFundingFailed("escrow_invitations", invitationId, {
+    status: INVITATION_STATUS.ACCEPTED,
+    error,
+    clear: ["owner_address", "offer_sequence", "tx_hash", "last_ledger_sequence", "preimage"],
+  });
+}
+
+/**
+ * Invitations left in 'funding' for longer than a submit can take (the process stopped mid-way or the
+ * submit result was lost)
+ */
+export async function listInterruptedInvitationFunding({ olderThanSeconds, limit = 20 }) {
+  const rows = await dbPromise.all(
+    `SELECT * FROM escrow_invitations
+     WHERE status = ? AND updated_at <= datetime('now', ?)
+     ORDER BY id ASC
+     LIMIT ?`,
+    [INVITATION_STATUS.FUNDING, `-${Math.floor(olderThanSeconds)} seconds`, limit]
+  );
+  return rows.map((row) => toInvitationView(row));
+}
+
+/**
+ * Accepted invitations due another funding attempt: fewer than maxAttempts so far, and
+ * backoffSeconds x attempts since the last one
+ */
+export async function listInvitationsDueFunding({ maxAttempts, backoffSeconds, limit = 20 }) {
+  await expireStaleInvitations();
+  const rows = await dbPromise.all(
+    `SELECT * FROM escrow_invitations
+     WHERE status = ? AND funding_attempts < ?
+       AND updated_at <= datetime('now', printf('-%d seconds', funding_attempts * ?))
+     ORDER BY id ASC
+     LIMIT ?`,
+    [INVITATION_STATUS.ACCEPTED, maxAttempts, Math.floor(backoffSeconds), limit]
+  );
+  return rows.map((row) => toInvitationView(row));
+}
+
+/**
+ * Withdraw an invitation that has not been funded yet
+ * @returns {Promise<boolean>} false if it was already funding, funded, expired or cancelled
+ */
+export async function cancelEscrowInvitation(invitationId) {
+  const update = await dbPromise.run(
+    `UPDATE escrow_invitations SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status IN (?, ?)`,
+    [INVITATION_STATUS.CANCELLED, invitationId, INVITATION_STATUS.PENDING, INVITATION_STATUS.ACCEPTED]
+  );
+  return update.changes > 0;
+}
@@ -0,0 +1,178 @@
+// Milestone contracts - a parent contract whose milestones are individual QA escrows
+import dbPromise from "./db-promise.js";
+import { getQaEscrow } from "./qa-escrow-store.js";
+import { getEscrowRecord } from "./escrow-registry.js";
+import { sealEscrowSecret } from "./escrow-secrets.js";
+import { ESCROW_STATUS, MILESTONE_STATUS } from "./constants.js";
+
+/**
+ * Create the parent contract and one 'pending' row per milestone
+ * @returns {Promise<number>} contract id
+ */
+export async function createMilestoneContract({ userId, ownerAddress, providerAddress, title = null, milestones }) {
+  const insert = await dbPromise.run(
+    `INSERT INTO milestone_contracts (user_id, owner_address, provider_address, title)
+     VALUES (?, ?, ?, ?)`,
+    [userId, ownerAddress, providerAddress, title]
+  );
+  const contractId = insert.lastID;
+
+  for (const [idx, m] of milestones.entries()) {
+    await dbPromise.run(
+      `INSERT INTO contract_milestones (contract_id, milestone_index, title, amount_xlusd, amount_xrp, deadline_unix)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [contractId, idx, m.title || null, m.amountXlusd ?? null, m.amountXrp, m.deadlineUnix]
+    );
+  }
+
+  return contractId;
+}
+
+/**
+ * Keep the milestone's preimage (sealed) before its escrow is submitted, so the fulfillment survives
+ * a failure between the ledger accepting the escrow and the QA escrow row being saved
+ */
+export async function prepareMilestoneEscrow(contractId, milestoneIndex, { preimage }) {
+  await dbPromise.run(
+    `UPDATE contract_milestones SET preimage = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE contract_id = ? AND milestone_index = ?`,
+    [sealEscrowSecret(preimage), contractId, milestoneIndex]
+  );
+}
+
+/**
+ * Link a milestone to the QA escrow created for it
+ */
+export async function markMilestoneCreated(contractId, milestoneIndex, { qaEscrowId, offerSequence, txHash }) {
+  await dbPromise.run(
+    `UPDATE contract_milestones
+     SET status = ?, qa_escrow_id = ?, offer_sequence = ?, create_tx_hash = ?, error = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE contract_id = ? AND milestone_index = ?`,
+    [MILESTONE_STATUS.CREATED, qaEscrowId, offerSequence, txHash, contractId, milestoneIndex]
+  );
+}
+
+/**
+ * Mark a milestone failed; offerSequence/txHash are kept when the escrow reached the ledger before the failure
+ */
+export async function markMilestoneFailed(contractId, milestoneIndex, error, { offerSequence = null, txHash = null } = {}) {
+  await dbPromise.run(
+    `UPDATE contract_milestones
+     SET status = ?, error = ?, offer_sequence = COALESCE(?, offer_sequence),
+         create_tx_hash = COALESCE(?, create_tx_hash), updated_at = CURRENT_TIMESTAMP
+     WHERE contract_id = ? AND milestone_index = ?`,
+    [MILESTONE_STATUS.FAILED, error, offerSequence, txHash, contractId, milestoneIndex]
+  );
+}
+
+/**
+ * Look up one milestone row (used to route proof submissions to the right escrow)
+ */
+export async function getContractMilestone(contractId, milestoneIndex) {
+  return await dbPromise.get(
+    `SELECT m.*, c.user_id, c.owner_address, c.provider_address
+     FROM contract_milestones m
+     JOIN milestone_contracts c ON c.id = m.contract_id
+     WHERE m.contract_id = ? AND m.milestone_index = ?
+     LIMIT 1`,
+    [Number(contractId), Number(milestoneIndex)]
+  );
+}
+
+// Where a milestone stands, from creation through AI verification to the on-ledger outcome
+function milestoneProgressState(row, qaEscrow, record) {
+  if (row.status !== MILESTONE_STATUS.CREATED) return row.status;
+  if (qaEscrow?.escrowFinished || record?.status === ESCROW_STATUS.FINISHED) return "released";
+  if (record?.status === ESCROW_STATUS.CANCELLED) return "refunded";
+  if (qaEscrow?.allVerified) return "verified";
+  if ((qaEscrow?.proofSubmissions?.length || 0) > 0) return "in_review";
+  return "open";
+}
+
+/**
+ * Load a contract with per-milestone state and contract-level progress, or null if unknown
+ */
+export async function getMilestoneContract(contractId) {
+  const contract = await dbPromise.get(`SELECT * FROM milestone_contracts WHERE id = ? LIMIT 1`, [
+    Number(contractId),
+  ]);
+  if (!contract) return null;
+
+  const rows = await dbPromise.all(
+    `SELECT * FROM contract_milestones WHERE contract_id = ? ORDER BY milestone_index ASC`,
+    [contract.id]
+  );
+
+  const milestones = [];
+  for (const row of rows) {
+    const qaEscrow = row.offer_sequence ? await getQaEscrow(row.offer_sequence, contract.owner_address) : null;
+    const record = row.offer_sequence ? await getEscrowRecord(contract.owner_address, row.offer_sequence) : null;
+    const requirements = qaEscrow?.requirements || [];
+    const verifiedCount = Object.values(qaEscrow?.verifiedRequirements || {}).filter((r) => r.verified).length;
+
+    milestones.push({
+      index: row.milestone_index,
+      title: row.title,
+      amountXlusd: row.amount_xlusd,
+      amountXrp: row.amount_xrp,
+      deadlineUnix: row.deadline_unix,
+      offerSequence: row.offer_sequence,
+      txHash: row.create_tx_hash,
+      state: milestoneProgressState(row, qaEscrow, record),
+      requirements,
+      verifiedRequirements: verifiedCount,
+      aiVerificationStatus: qaEscrow?.aiVerificationStatus || null,
+      proofCount: qaEscrow?.proofSubmissions?.length || 0,
+      error: row.error || null,
+    });
+  }
+
+  const sum = (list, key) => Number(list.reduce((acc, m) => acc + Number(m[key] || 0), 0).toFixed(6));
+  const released = milestones.filter((m) => m.state === "released");
+  const refunded = milestones.filter((m) => m.state === "refunded");
+  const settled = released.length + refunded.length;
+  const nextMilestone = milestones.find((m) => !["released", "refunded", MILESTONE_STATUS.FAILED].includes(m.state));
+
+  let status = "active";
+  if (milestones.some((m) => m.state === MILESTONE_STATUS.PENDING || m.state === MILESTONE_STATUS.FAILED)) {
+    status = "incomplete"; // creation stopped part-way
+  } else if (milestones.length > 0 && settled === milestones.length) {
+    status = refunded.length === 0 ? "completed" : "closed";
+  }
+
+  return {
+    id: contract.id,
+    userId: contract.user_id,
+    title: contract.title,
+    ownerAddress: contract.owner_address,
+    providerAddress: contract.provider_address,
+    status,
+    createdAt: contract.created_at,
+    milestones,
+    progress: {
+      total: milestones.length,
+      released: released.length,
+      refunded: refunded.length,
+      verified: milestones.filter((m) => m.state === "verified").length,
+      percentComplete: milestones.length ? Math.round((released.length / milestones.length) * 100) : 0,
+      totalXlusd: sum(milestones, "amountXlusd"),
+      releasedXlusd: sum(released, "amountXlusd"),
+      totalXrp: sum(milestones, "amountXrp"),
+      releasedXrp: sum(released, "amountXrp"),
+      nextMilestoneIndex: nextMilestone ? nextMilestone.index : null,
+    },
+  };
+}
+
+/**
+ * Contracts where the user is the client (creator) or the provider
+ */
+export async function listMilestoneContractIdsForUser({ userId, address = null }) {
+  const rows = await dbPromise.all(
+    `SELECT id FROM milestone_contracts
+     WHERE user_id = ? OR provider_address = ?
+     ORDER BY id DESC`,
+    [userId, address || ""]
+  );
+  return rows.map((r) => r.id);
+}
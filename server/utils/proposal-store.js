@@ -0,0 +1,199 @@
+// Escrow proposals - QA escrow terms negotiated between payer and provider before anything is funded
+import dbPromise from "./db-promise.js";
+import { beginFunding, markFunded, markFundingFailed, parseJsonArray } from "./store-helpers.js";
+import { PROPOSAL_STATUS } from "./constants.js";
+
+function toVersionView(row, proposal) {
+  return {
+    version: row.version,
+    authorUserId: row.author_user_id,
+    authorRole: row.author_user_id === proposal.payer_user_id ? "payer" : "provider",
+    amountXlusd: row.amount_xlusd,
+    deadlineUnix: row.deadline_unix,
+    requirements: parseJsonArray(row.requirements),
+    note: row.note || null,
+    createdAt: row.created_at,
+  };
+}
+
+const PROPOSAL_SELECT = `
+  SELECT p.*, payer.email AS payer_email, provider.email AS provider_email
+  FROM escrow_proposals p
+  JOIN users payer ON payer.id = p.payer_user_id
+  JOIN users provider ON provider.id = p.provider_user_id`;
+
+async function loadProposal(row) {
+  if (!row) return null;
+  const versionRows = await dbPromise.all(
+    `SELECT * FROM escrow_proposal_versions WHERE proposal_id = ? ORDER BY version ASC`,
+    [row.id]
+  );
+  const versions = versionRows.map((v) => toVersionView(v, row));
+
+  return {
+    id: row.id,
+    payerUserId: row.payer_user_id,
+    payerEmail: row.payer_email,
+    providerUserId: row.provider_user_id,
+    providerEmail: row.provider_email,
+    createdByUserId: row.created_by_user_id,
+    status: row.status,
+    currentVersion: row.current_version,
+    awaitingUserId: row.awaiting_user_id || null,
+    agreedVersion: row.agreed_version || null,
+    responseNote: row.response_note || null,
+    terms: versions.find((v) => v.version === row.current_version) || null,
+    versions,
+    qaEscrowId: row.qa_escrow_id || null,
+    ownerAddress: row.owner_address || null,
+    providerAddress: row.provider_address || null,
+    offerSequence: row.offer_sequence ?? null,
+    txHash: row.tx_hash || null,
+    error: row.error || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function insertVersion(proposalId, version, { authorUserId, amountXlusd, deadlineUnix, requirements, note }) {
+  await dbPromise.run(
+    `INSERT INTO escrow_proposal_versions (proposal_id, version, author_user_id, amount_xlusd, deadline_unix, requirements, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [proposalId, version, authorUserId, amountXlusd, deadlineUnix, JSON.stringify(requirements || []), note]
+  );
+}
+
+/**
+ * Draft a proposal (version 1); the counterparty is asked to respond
+ * @returns {Promise<number>} proposal id
+ */
+export async function createEscrowProposal({ payerUserId, providerUserId, authorUserId, terms }) {
+  const awaitingUserId = authorUserId === payerUserId ? providerUserId : payerUserId;
+  const insert = await dbPromise.run(
+    `INSERT INTO escrow_proposals (payer_user_id, provider_user_id, created_by_user_id, awaiting_user_id)
+     VALUES (?, ?, ?, ?)`,
+    [payerUserId, providerUserId, authorUserId, awaitingUserId]
+  );
+  await insertVersion(insert.lastID, 1, { authorUserId, ...terms });
+  return insert.lastID;
+}
+
+/**
+ * Load a proposal with every version, or null if unknown
+ */
+export async function getEscrowProposal(proposalId) {
+  return loadProposal(await dbPromise.get(`${PROPOSAL_SELECT} WHERE p.id = ? LIMIT 1`, [Number(proposalId)]));
+}
+
+/**
+ * Proposals where the user is payer or provider
+ */
+export async function listEscrowProposalsForUser(userId) {
+  const rows = await dbPromise.all(
+    `${PROPOSAL_SELECT} WHERE p.payer_user_id = ? OR p.provider_user_id = ? ORDER BY p.updated_at DESC, p.id DESC`,
+    [userId, userId]
+  );
+  const proposals = [];
+  for (const row of rows) proposals.push(await loadProposal(row));
+  return proposals;
+}
+
+/**
+ * Counter the current version; the turn passes back to the other party
+ * @returns {Promise<boolean>} false if the proposal moved on (closed, or not this user's turn on that version)
+ */
+export async function counterEscrowProposal(proposalId, { authorUserId, expectedVersion, nextAwaitingUserId, terms }) {
+  const update = await dbPromise.run(
+    `UPDATE escrow_proposals
+     SET current_version = current_version + 1, awaiting_user_id = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ? AND awaiting_user_id = ? AND current_version = ?`,
+    [nextAwaitingUserId, proposalId, PROPOSAL_STATUS.OPEN, authorUserId, expectedVersion]
+  );
+  if (update.changes === 0) return false;
+  await insertVersion(proposalId, expectedVersion + 1, { authorUserId, ...terms });
+  return true;
+}
+
+// Close an open proposal, guarded by the version the acting user saw
+async function closeOpenProposal(proposalId, { version, status, partySql, partyParams, note = null, agreed = false }) {
+  const update = await dbPromise.run(
+    `UPDATE escrow_proposals
+     SET status = ?, awaiting_user_id = NULL, response_note = ?, agreed_version = ${agreed ? "current_version" : "NULL"},
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ? AND current_version = ? AND ${partySql}`,
+    [status, note, proposalId, PROPOSAL_STATUS.OPEN, version, ...partyParams]
+  );
+  return update.changes > 0;
+}
+
+/**
+ * Accept the current version (only the party whose turn it is)
+ * @returns {Promise<boolean>} false if the proposal changed since the given version was read
+ */
+export async function acceptEscrowProposal(proposalId, { userId, version }) {
+  return closeOpenProposal(proposalId, {
+    version,
+    status: PROPOSAL_STATUS.ACCEPTED,
+    partySql: "awaiting_user_id = ?",
+    partyParams: [userId],
+    agreed: true,
+  });
+}
+
+export async function rejectEscrowProposal(proposalId, { userId, version, reason = null }) {
+  return closeOpenProposal(proposalId, {
+    version,
+    status: PROPOSAL_STATUS.REJECTED,
+    partySql: "awaiting_user_id = ?",
+    partyParams: [userId],
+    note: reason,
+  });
+}
+
+/**
+ * Pull an open proposal (only the author of the current version, i.e. the party not being awaited)
+ */
+export async function withdrawEscrowProposal(proposalId, { userId, version }) {
+  return closeOpenProposal(proposalId, {
+    version,
+    status: PROPOSAL_STATUS.WITHDRAWN,
+    partySql: "awaiting_user_id != ? AND (payer_user_id = ? OR provider_user_id = ?)",
+    partyParams: [userId, userId, userId],
+  });
+}
+
+/**
+ * Claim an accepted proposal for funding
+ * @returns {Promise<boolean>} false if it is not waiting to be funded
+ */
+export async function beginProposalFunding(proposalId) {
+  return await beginFunding("escrow_proposals", proposalId, {
+    fromStatus: PROPOSAL_STATUS.ACCEPTED,
+    toStatus: PROPOSAL_STATUS.FUNDING,
+  });
+}
+
+export async function markProposalFunded(proposalId, { ownerAddress, providerAddress, offerSequence, txHash }) {
+  await markFunded("escrow_proposals", proposalId, {
+    status: PROPOSAL_STATUS.FUNDED,
+    columns: {
+      owner_address: ownerAddress,
+      provider_address: providerAddress,
+      offer_sequence: offerSequence,
+      tx_hash: txHash,
+    },
+  });
+}
+
+// Link the QA escrow row once it has been saved (the proposal is marked funded as soon as the tx succeeds)
+export async function linkProposalQaEscrow(proposalId, qaEscrowId) {
+  await dbPromise.run(`UPDATE escrow_proposals SET qa_escrow_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [
+    qaEscrowId,
+    proposalId,
+  ]);
+}
+
+// Back to 'accepted' so funding can be retried; the agreed version does not change
+export async function markProposalFundingFailed(proposalId, error) {
+  await markFundingFailed("escrow_proposals", proposalId, { status: PROPOSAL_STATUS.ACCEPTED, error });
+}
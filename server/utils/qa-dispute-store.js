@@ -0,0 +1,160 @@
+// QA disputes - payer objections to verified QA escrows and the arbitrator's decisions
+import dbPromise from "./db-promise.js";
+import { parseJsonArray } from "./store-helpers.js";
+import { DISPUTE_STATUS } from "./constants.js";
+
+function toDisputeView(row) {
+  return {
+    id: row.id,
+    qaEscrowId: row.qa_escrow_id,
+    offerSequence: row.offer_sequence,
+    ownerAddress: row.owner_address,
+    providerAddress: row.provider_address,
+    payerUserId: row.payer_user_id,
+    openedByUserId: row.opened_by_user_id,
+    reason: row.reason,
+    status: row.status,
+    resolution: row.resolution || null,
+    decisionReason: row.decision_reason || null,
+    arbitratorUserId: row.arbitrator_user_id || null,
+    resolutionTxHash: row.resolution_tx_hash || null,
+    decidedAt: row.decided_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+const DISPUTE_SELECT = `
+  SELECT d.*, q.offer_sequence, q.owner_address, q.provider_address, q.user_id AS payer_user_id
+  FROM qa_disputes d
+  JOIN qa_escrows q ON q.id = d.qa_escrow_id`;
+
+/**
+ * Append an entry to the dispute timeline
+ */
+export async function addQaDisputeEvent({ disputeId, userId = null, actorRole, action, text = null, links = [], txHash = null }) {
+  await dbPromise.run(
+    `INSERT INTO qa_dispute_events (dispute_id, user_id, actor_role, action, text, links, tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [disputeId, userId, actorRole, action, text, JSON.stringify(links || []), txHash]
+  );
+}
+
+/**
+ * Open a dispute on a QA escrow (the caller checks the payer + window rules)
+ * @returns {Promise<number>} dispute id
+ */
+export async function openQaDispute({ qaEscrowId, userId, reason, evidenceText = null, evidenceLinks = [] }) {
+  const insert = await dbPromise.run(
+    `INSERT INTO qa_disputes (qa_escrow_id, opened_by_user_id, reason) VALUES (?, ?, ?)`,
+    [qaEscrowId, userId, reason]
+  );
+  const disputeId = insert.lastID;
+
+  await addQaDisputeEvent({ disputeId, userId, actorRole: "payer", action: "opened", text: reason });
+  if (evidenceText || evidenceLinks.length > 0) {
+    await addQaDisputeEvent({
+      disputeId,
+      userId,
+      actorRole: "payer",
+      action: "evidence",
+      text: evidenceText,
+      links: evidenceLinks,
+    });
+  }
+  return disputeId;
+}
+
+/**
+ * Most recent dispute for a QA escrow (open or resolved), or null
+ */
+export async function getLatestQaDispute(qaEscrowId) {
+  const row = await dbPromise.get(`${DISPUTE_SELECT} WHERE d.qa_escrow_id = ? ORDER BY d.id DESC LIMIT 1`, [
+    qaEscrowId,
+  ]);
+  return row ? toDisputeView(row) : null;
+}
+
+/**
+ * Load a dispute with its full timeline, or null if unknown
+ */
+export async function getQaDispute(disputeId) {
+  const row = await dbPromise.get(`${DISPUTE_SELECT} WHERE d.id = ? LIMIT 1`, [Number(disputeId)]);
+  if (!row) return null;
+
+  const events = await dbPromise.all(
+    `SELECT id, user_id, actor_role, action, text, links, tx_hash, created_at
+     FROM qa_dispute_events
+     WHERE dispute_id = ?
+     ORDER BY id ASC`,
+    [row.id]
+  );
+
+  return {
+    ...toDisputeView(row),
+    events: events.map((e) => ({
+      id: e.id,
+      userId: e.user_id,
+      actorRole: e.actor_role,
+      action: e.action,
+      text: e.text,
+      links: parseJsonArray(e.links),
+      txHash: e.tx_hash,
+      createdAt: e.created_at,
+    })),
+  };
+}
+
+/**
+ * Disputes visible to a user: all of them for arbitrators, otherwise those where they are payer or provider
+ */
+export async function listQaDisputes({ status = null, userId = null, address = null, all = false }) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push("d.status = ?");
+    params.push(status);
+  }
+  if (!all) {
+    where.push("(q.user_id = ? OR q.provider_address = ?)");
+    params.push(userId, address || "");
+  }
+
+  const rows = await dbPromise.all(
+    `${DISPUTE_SELECT}
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY d.id DESC`,
+    params
+  );
+  return rows.map(toDisputeView);
+}
+
+/**
+ * Record the arbitrator's decision and close the dispute
+ */
+export async function resolveQaDispute(disputeId, { resolution, reason, arbitratorUserId }) {
+  await dbPromise.run(
+    `UPDATE qa_disputes
+     SET status = ?, resolution = ?, decision_reason = ?, arbitrator_user_id = ?,
+         decided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [DISPUTE_STATUS.RESOLVED, resolution, reason, arbitratorUserId, disputeId]
+  );
+  await addQaDisputeEvent({
+    disputeId,
+    userId: arbitratorUserId,
+    actorRole: "arbitrator",
+    action: "decided",
+    text: `${resolution}: ${reason}`,
+  });
+}
+
+/**
+ * Record the on-ledger transaction that carried out a decision ('released' | 'refunded')
+ */
+export async function recordQaDisputeSettlement(disputeId, { action, txHash }) {
+  await dbPromise.run(
+    `UPDATE qa_disputes SET resolution_tx_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [txHash, disputeId]
+  );
+  await addQaDisputeEvent({ disputeId, actorRole: "system", action, txHash });
+}
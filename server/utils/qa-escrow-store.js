@@ -0,0 +1,183 @@
+// Durable storage for QA escrows (requirements, server-held preimage, AI verification, proofs)
+import dbPromise from "./db-promise.js";
+import { parseJsonArray } from "./store-helpers.js";
+import { sealEscrowSecret } from "./escrow-secrets.js";
+
+/**
+ * Persist a newly created QA escrow together with its requirements checklist
+ * @returns {Promise<number>} qa_escrows row id
+ */
+export async function saveQaEscrow({
+  userId,
+  offerSequence,
+  ownerAddress,
+  providerAddress,
+  preimage = null,
+  condition = null,
+  requirements = [],
+}) {
+  const insert = await dbPromise.run(
+    `INSERT INTO qa_escrows (user_id, offer_sequence, owner_address, provider_address, preimage, condition)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, Number(offerSequence), ownerAddress, providerAddress, sealEscrowSecret(preimage), condition]
+  );
+  const qaEscrowId = insert.lastID;
+
+  for (const [idx, requirement] of requirements.entries()) {
+    await dbPromise.run(
+      `INSERT INTO qa_escrow_requirements (qa_escrow_id, requirement_index, text, evidence_links)
+       VALUES (?, ?, ?, ?)`,
+      [qaEscrowId, idx, requirement.text || "", JSON.stringify(requirement.evidenceLinks || [])]
+    );
+  }
+
+  return qaEscrowId;
+}
+
+/**
+ * Load a QA escrow by owner address and offer sequence (sequences are only unique per account)
+ * Returns the same shape the routes used to keep in memory, or null if unknown.
+ */
+export async function getQaEscrow(offerSequence, ownerAddress) {
+  if (!ownerAddress) throw new Error("ownerAddress is required to look up a QA escrow");
+  const row = await dbPromise.get(
+    `SELECT * FROM qa_escrows WHERE offer_sequence = ? AND owner_address = ? LIMIT 1`,
+    [Number(offerSequence), ownerAddress]
+  );
+  if (!row) return null;
+
+  const [requirementRows, resultRows, proofRows] = await Promise.all([
+    dbPromise.all(
+      `SELECT requirement_index, text, evidence_links
+       FROM qa_escrow_requirements
+       WHERE qa_escrow_id = ?
+       ORDER BY requirement_index ASC`,
+      [row.id]
+    ),
+    dbPromise.all(
+      `SELECT requirement_index, verified, confidence, reason, verified_at
+       FROM qa_verification_results
+       WHERE qa_escrow_id = ?
+       ORDER BY requirement_index ASC`,
+      [row.id]
+    ),
+    dbPromise.all(
+      `SELECT user_id, proof_text, proof_links, created_at
+       FROM qa_proof_submissions
+       WHERE qa_escrow_id = ?
+       ORDER BY id ASC`,
+      [row.id]
+    ),
+  ]);
+
+  const verifiedRequirements = {};
+  for (const r of resultRows) {
+    verifiedRequirements[r.requirement_index] = {
+      verified: Number(r.verified) === 1,
+      confidence: r.confidence,
+      reason: r.reason,
+      timestamp: r.verified_at,
+    };
+  }
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    offerSequence: row.offer_sequence,
+    ownerAddress: row.owner_address,
+    providerAddress: row.provider_address,
+    sealedPreimage: row.preimage, // decrypt with openEscrowSecret (audited) only when finishing
+    condition: row.condition,
+    requirements: requirementRows.map((r) => ({
+      text: r.text,
+      evidenceLinks: parseJsonArray(r.evidence_links),
+    })),
+    verifiedRequirements,
+    allVerified: Number(row.all_verified) === 1,
+    aiVerificationStatus: row.ai_verification_status || "pending",
+    aiSummary: row.ai_summary || null,
+    proofSubmissions: proofRows.map((p) => ({
+      userId: p.user_id,
+      proofText: p.proof_text,
+      proofLinks: parseJsonArray(p.proof_links),
+      createdAt: p.created_at,
+    })),
+    escrowFinished: Number(row.escrow_finished) === 1,
+    disputeWindowEndsAt: row.dispute_window_ends_at ?? null,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Record a proof-of-work submission
+ */
+export async function addQaProofSubmission(qaEscrowId, { userId, proofText, proofLinks = [] }) {
+  await dbPromise.run(
+    `INSERT INTO qa_proof_submissions (qa_escrow_id, user_id, proof_text, proof_links)
+     VALUES (?, ?, ?, ?)`,
+    [qaEscrowId, userId, proofText || "", JSON.stringify(proofLinks)]
+  );
+}
+
+/**
+ * Update the AI verification status ('pending' | 'in_progress' | 'completed')
+ */
+export async function setQaVerificationStatus(qaEscrowId, status) {
+  await dbPromise.run(
+    `UPDATE qa_escrows SET ai_verification_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [status, qaEscrowId]
+  );
+}
+
+/**
+ * Store the outcome of AIChecker.verifyAllRequirements (replaces the previous run)
+ */
+export async function saveQaVerificationResults(qaEscrowId, { results = [], summary = null, allVerified = false }) {
+  for (const [idx, r] of results.entries()) {
+    await dbPromise.run(
+      `INSERT INTO qa_verification_results (qa_escrow_id, requirement_index, verified, confidence, reason, verified_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(qa_escrow_id, requirement_index) DO UPDATE SET
+         verified = excluded.verified,
+         confidence = excluded.confidence,
+         reason = excluded.reason,
+         verified_at = excluded.verified_at`,
+      [qaEscrowId, idx, r.verified ? 1 : 0, r.confidence ?? null, r.reason || null, r.timestamp || new Date().toISOString()]
+    );
+  }
+
+  await dbPromise.run(
+    `UPDATE qa_escrows
+     SET ai_verification_status = 'completed',
+         ai_summary = ?,
+         all_verified = ?,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [summary, allVerified ? 1 : 0, qaEscrowId]
+  );
+}
+
+/**
+ * Open the payer's dispute window the first time all requirements verify (later runs keep the original end)
+ * @returns {Promise<number|null>} the window end (unix seconds)
+ */
+export async function startQaDisputeWindow(qaEscrowId, endsAtUnix) {
+  await dbPromise.run(
+    `UPDATE qa_escrows
+     SET dispute_window_ends_at = COALESCE(dispute_window_ends_at, ?), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [endsAtUnix, qaEscrowId]
+  );
+  const row = await dbPromise.get(`SELECT dispute_window_ends_at FROM qa_escrows WHERE id = ?`, [qaEscrowId]);
+  return row?.dispute_window_ends_at ?? null;
+}
+
+/**
+ * Mark the QA escrow as finished on-ledger
+ */
+export async function markQaEscrowFinished(qaEscrowId) {
+  await dbPromise.run(
+    `UPDATE qa_escrows SET escrow_finished = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [qaEscrowId]
+  );
+}
@@ -0,0 +1,202 @@
+// XLUSD settlements - ledger of value-guarantee adjustments: what a guaranteed escrow promised, what its
+// release converted to, and the XLUSD the treasury paid in (or reclaimed) to make up the difference.
+// Failed and stuck pending adjustments are picked up again by a retry pass (next_attempt_at).
+import dbPromise from "./db-promise.js";
+import { nowUnix } from "./store-helpers.js";
+import { XLUSD_SETTLEMENT_STATUS } from "./constants.js";
+
+function toSettlementView(row) {
+  const adjustment = row.adjustment_xlusd;
+  return {
+    id: row.id,
+    escrowId: row.escrow_id ?? null,
+    ownerAddress: row.owner_address,
+    offerSequence: row.offer_sequence,
+    destinationAddress: row.destination_address,
+    conversionId: row.conversion_id ?? null,
+    policy: row.policy,
+    promisedXlusd: row.promised_xlusd,
+    expectedXlusd: row.expected_xlusd,
+    deliveredXlusd: row.delivered_xlusd,
+    adjustmentXlusd: adjustment,
+    direction: adjustment === null ? null : adjustment > 0 ? "topup" : adjustment < 0 ? "reclaim" : "none",
+    treasuryAddress: row.treasury_address || null,
+    status: row.status,
+    attempts: row.attempts ?? 1,
+    nextAttemptAt: row.next_attempt_at ?? null,
+    txHash: row.tx_hash || null,
+    lastLedgerSequence: row.last_ledger_sequence ?? null,
+    error: row.error || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function getXlusdSettlement(ownerAddress, offerSequence) {
+  const row = await dbPromise.get(
+    `SELECT * FROM xlusd_settlements WHERE owner_address = ? AND offer_sequence = ? LIMIT 1`,
+    [ownerAddress, Number(offerSequence)]
+  );
+  return row ? toSettlementView(row) : null;
+}
+
+/**
+ * Open the settlement for an escrow before any adjustment is paid. One per escrow: a failed settlement
+ * is reopened with the new figures, a pending or completed one is left alone.
+ * @param {number} params.nextAttemptAt - when the retry pass takes over if the settlement is still pending
+ * @returns {Promise<Object|null>} the opened settlement, or null if it is already in flight or settled
+ */
+export async function openXlusdSettlement({
+  escrowId = null,
+  ownerAddress,
+  offerSequence,
+  destinationAddress,
+  conversionId = null,
+  policy,
+  promisedXlusd,
+  expectedXlusd,
+  deliveredXlusd,
+  adjustmentXlusd,
+  treasuryAddress = null,
+  nextAttemptAt,
+}) {
+  const upsert = await dbPromise.run(
+    `INSERT INTO xlusd_settlements
+       (escrow_id, owner_address, offer_sequence, destination_address, conversion_id, policy, promised_xlusd,
+        expected_xlusd, delivered_xlusd, adjustment_xlusd, treasury_address, status, next_attempt_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (owner_address, offer_sequence) DO UPDATE SET
+       conversion_id = excluded.conversion_id, expected_xlusd = excluded.expected_xlusd,
+       delivered_xlusd = excluded.delivered_xlusd, adjustment_xlusd = excluded.adjustment_xlusd,
+       treasury_address = excluded.treasury_address, status = excluded.status, attempts = 1,
+       next_attempt_at = excluded.next_attempt_at, tx_hash = NULL, last_ledger_sequence = NULL, error = NULL,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE xlusd_settlements.status = ?`,
+    [
+      escrowId,
+      ownerAddress,
+      Number(offerSequence),
+      destinationAddress,
+      conversionId,
+      policy,
+      promisedXlusd,
+      expectedXlusd,
+      deliveredXlusd,
+      adjustmentXlusd,
+      treasuryAddress,
+      XLUSD_SETTLEMENT_STATUS.PENDING,
+      nextAttemptAt,
+      XLUSD_SETTLEMENT_STATUS.FAILED,
+    ]
+  );
+  if (upsert.changes === 0) return null;
+  return await getXlusdSettlement(ownerAddress, offerSequence);
+}
+
+/**
+ * Record a guaranteed escrow whose release was never converted (auto-convert off, or the conversion gave
+ * up) as a failed settlement with nothing delivered, so the unmet promise shows in the ledger. It is not
+ * retried; an existing settlement is left alone.
+ * @returns {Promise<Object|null>} the settlement for the escrow
+ */
+export async function recordUnconvertedXlusdSettlement({
+  escrowId = null,
+  ownerAddress,
+  offerSequence,
+  destinationAddress,
+  conversionId = null,
+  policy,
+  promisedXlusd,
+  error,
+}) {
+  await dbPromise.run(
+    `INSERT INTO xlusd_settlements
+       (escrow_id, owner_address, offer_sequence, destination_address, conversion_id, policy, promised_xlusd,
+        expected_xlusd, status, error)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (owner_address, offer_sequence) DO NOTHING`,
+    [
+      escrowId,
+      ownerAddress,
+      Number(offerSequence),
+      destinationAddress,
+      conversionId,
+      policy,
+      promisedXlusd,
+      promisedXlusd,
+      XLUSD_SETTLEMENT_STATUS.FAILED,
+      error,
+    ]
+  );
+  return await getXlusdSettlement(ownerAddress, offerSequence);
+}
+
+/**
+ * Record the signed adjustment payment before it is submitted, so an unconfirmed one is looked up by
+ * hash instead of being paid again
+ */
+export async function markXlusdSettlementSubmitted(settlementId, { txHash, lastLedgerSequence }) {
+  await dbPromise.run(
+    `UPDATE xlusd_settlements SET tx_hash = ?, last_ledger_sequence = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [txHash, lastLedgerSequence ?? null, settlementId]
+  );
+}
+
+/**
+ * Store the outcome of an adjustment. A settlement left pending (submit result unknown) keeps its
+ * LastLedgerSequence for the lookup; `nextAttemptAt` (null: never) schedules the retry pass.
+ */
+export async function completeXlusdSettlement(settlementId, { status, txHash = null, error = null, nextAttemptAt = null }) {
+  const lastLedgerSequence = status === XLUSD_SETTLEMENT_STATUS.PENDING ? "last_ledger_sequence" : "NULL";
+  await dbPromise.run(
+    `UPDATE xlusd_settlements
+     SET status = ?, tx_hash = ?, error = ?, next_attempt_at = ?, last_ledger_sequence = ${lastLedgerSequence},
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, txHash, error, nextAttemptAt, settlementId]
+  );
+}
+
+/**
+ * Pending or failed settlements whose retry is due, oldest first
+ */
+export async function listDueXlusdSettlements({ limit = 20 } = {}) {
+  const rows = await dbPromise.all(
+    `SELECT * FROM xlusd_settlements
+     WHERE status IN (?, ?) AND next_attempt_at IS NOT NULL AND next_attempt_at <= ?
+     ORDER BY next_attempt_at ASC
+     LIMIT ?`,
+    [XLUSD_SETTLEMENT_STATUS.PENDING, XLUSD_SETTLEMENT_STATUS.FAILED, nowUnix(), limit]
+  );
+  return rows.map(toSettlementView);
+}
+
+/**
+ * Claim a due settlement for another payment attempt: back to pending with the attempt counted and the
+ * previous payment cleared
+ * @returns {Promise<boolean>} false if another pass claimed or settled it first
+ */
+export async function claimXlusdSettlementRetry(settlement, { nextAttemptAt }) {
+  const update = await dbPromise.run(
+    `UPDATE xlusd_settlements
+     SET status = ?, attempts = attempts + 1, next_attempt_at = ?, tx_hash = NULL, last_ledger_sequence = NULL,
+         error = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = ? AND attempts = ?`,
+    [XLUSD_SETTLEMENT_STATUS.PENDING, nextAttemptAt, settlement.id, settlement.status, settlement.attempts]
+  );
+  return update.changes > 0;
+}
+
+/**
+ * Settlements for escrows the address paid into or was paid from, newest first
+ */
+export async function listXlusdSettlements({ address, limit = 50 }) {
+  const rows = await dbPromise.all(
+    `SELECT * FROM xlusd_settlements
+     WHERE destination_address = ? OR owner_address = ?
+     ORDER BY id DESC
+     LIMIT ?`,
+    [address, address, limit]
+  );
+  return rows.map(toSettlementView);
+}
@@ -0,0 +1,73 @@
+// Store helpers - small pieces shared by the *-store modules: clock, JSON columns and the
+// claim -> funded / failed lifecycle of rows that are turned into an escrow
+import dbPromise from "./db-promise.js";
+
+export function nowUnix() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// JSON array column (requirements, proof links, results); anything unreadable is an empty list
+export function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// `column = ?` per key; table and column names are the stores' own constants, never request input
+function assignments(columns) {
+  return Object.keys(columns).map((column) => `${column} = ?`);
+}
+
+/**
+ * Claim a row for funding by moving it from `fromStatus` to `toStatus`
+ * @param {string} table
+ * @param {number} id
+ * @param {Object} options
+ * @param {string} options.fromStatus - status the row must still be in
+ * @param {string} options.toStatus
+ * @param {string[]} [options.set] - extra SQL assignments, e.g. an attempt counter
+ * @returns {Promise<boolean>} false if it is not waiting to be funded (claimed by another request, funded or withdrawn)
+ */
+export async function beginFunding(table, id, { fromStatus, toStatus, set = [] }) {
+  const update = await dbPromise.run(
+    `UPDATE ${table} SET ${["status = ?", ...set, "updated_at = CURRENT_TIMESTAMP"].join(", ")}
+     WHERE id = ? AND status = ?`,
+    [toStatus, id, fromStatus]
+  );
+  return update.changes > 0;
+}
+
+/**
+ * Record where the escrow landed and clear any earlier funding error
+ * @param {Object} options
+ * @param {string} options.status - the funded status
+ * @param {Object} options.columns - column -> value (owner address, offer sequence, tx hash, ...)
+ * @param {string[]} [options.set] - extra SQL assignments, e.g. a funded_at timestamp
+ */
+export async function markFunded(table, id, { status, columns, set = [] }) {
+  await dbPromise.run(
+    `UPDATE ${table}
+     SET ${["status = ?", ...assignments(columns), "error = NULL", ...set, "updated_at = CURRENT_TIMESTAMP"].join(", ")}
+     WHERE id = ?`,
+    [status, ...Object.values(columns), id]
+  );
+}
+
+/**
+ * Put a row back in `status` so funding can be retried, keeping the error for the user
+ * @param {Object} options
+ * @param {string} options.status - the status funding is retried from
+ * @param {string} options.error
+ * @param {string[]} [options.clear] - columns from the failed attempt to reset to NULL
+ */
+export async function markFundingFailed(table, id, { status, error, clear = [] }) {
+  await dbPromise.run(
+    `UPDATE ${table}
+     SET ${["status = ?", "error = ?", ...clear.map((column) => `${column} = NULL`), "updated_at = CURRENT_TIMESTAMP"].join(", ")}
+     WHERE id = ?`,
+    [status, error, id]
+  );
+}
@@ -0,0 +1,108 @@
+// Terms documents hashed into the EscrowCreate Memos (stored copy + on-ledger binding)
+import crypto from "crypto";
+import dbPromise from "./db-promise.js";
+import { TERMS_MEMO } from "./constants.js";
+
+export function hashTermsDocument(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hash a document and build the memo that binds it to an escrow
+ * @param {Buffer} content
+ * @returns {{ sha256: string, reference: string, memo: { type: string, format: string, data: string } }}
+ */
+export function buildTermsMemo(content) {
+  const sha256 = hashTermsDocument(content);
+  const reference = `terms_${crypto.randomUUID()}`;
+  return { sha256, reference, memo: termsMemo({ sha256, reference }) };
+}
+
+/**
+ * The memo binding an already stored document (e.g. when its escrow is recreated)
+ */
+export function termsMemo({ sha256, reference }) {
+  return { type: TERMS_MEMO.TYPE, format: TERMS_MEMO.FORMAT, data: JSON.stringify({ sha256, ref: reference }) };
+}
+
+/**
+ * Find the terms memo among decoded transaction memos
+ * @returns {{ sha256: string, ref: string }|null}
+ */
+export function parseTermsMemo(memos = []) {
+  const memo = memos.find((m) => m.type === TERMS_MEMO.TYPE);
+  if (!memo?.data) return null;
+  try {
+    const parsed = JSON.parse(memo.data);
+    return parsed?.sha256 ? { sha256: String(parsed.sha256).toLowerCase(), ref: parsed.ref || null } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep the document once its escrow is on-ledger
+ */
+export async function saveTermsDocument({
+  reference,
+  userId,
+  sha256,
+  filename = null,
+  contentType = null,
+  content,
+  ownerAddress,
+  destinationAddress,
+  offerSequence,
+  txHash,
+}) {
+  await dbPromise.run(
+    `INSERT INTO escrow_terms
+       (reference, user_id, sha256, filename, content_type, size_bytes, content, owner_address, destination_address, offer_sequence, tx_hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      reference,
+      userId,
+      sha256,
+      filename,
+      contentType,
+      content.length,
+      content,
+      ownerAddress,
+      destinationAddress,
+      Number(offerSequence),
+      txHash,
+    ]
+  );
+}
+
+function toTermsView(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    reference: row.reference,
+    userId: row.user_id,
+    sha256: row.sha256,
+    filename: row.filename,
+    contentType: row.content_type,
+    sizeBytes: row.size_bytes,
+    content: row.content,
+    ownerAddress: row.owner_address,
+    destinationAddress: row.destination_address,
+    offerSequence: row.offer_sequence,
+    txHash: row.tx_hash,
+    createdAt: row.created_at,
+  };
+}
+
+export async function getTermsByReference(reference) {
+  return toTermsView(await dbPromise.get(`SELECT * FROM escrow_terms WHERE reference = ? LIMIT 1`, [reference]));
+}
+
+export async function getTermsForEscrow(ownerAddress, offerSequence) {
+  return toTermsView(
+    await dbPromise.get(`SELECT * FROM escrow_terms WHERE owner_address = ? AND offer_sequence = ? LIMIT 1`, [
+      ownerAddress,
+      Number(offerSequence),
+    ])
+  );
+}
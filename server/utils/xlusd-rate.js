@@ -0,0 +1,238 @@
+// XLUSD/XRP rate service - mid price from the DEX order book and the AMM pool, cached, with a manual override.
+// Every rate carries its source so callers can record exactly which price an amount was converted at:
+// - 'override': XLUSD_RATE_OVERRIDE is set
+// - 'book' | 'amm' | 'book+amm': live from the validated ledger (both are averaged when present)
+// - 'fallback': no live rate within the staleness limit; the configured XLUSD_PER_XRP
+// A live rate further than XLUSD_RATE_MAX_DEVIATION_PERCENT from XLUSD_PER_XRP (a thin or manipulated
+// book) is not used; the rejection is recorded in xlusd_rate_rejections.
+import xrpl from "xrpl";
+import dbPromise from "./db-promise.js";
+import { getClient } from "./xrpl-client.js";
+import { DEFAULT_XLUSD_ISSUER, XLUSD_CURRENCY, XLUSD_GUARANTEE_POLICIES } from "./constants.js";
+
+let cachedRate = null; // { xlusdPerXrp, source, fetchedAt, book, amm }
+let lastRejection = null; // { xlusdPerXrp, source, deviationPercent, rejectedAt }
+let lastAttemptAt = 0;
+let refreshPromise = null;
+
+function positiveNumber(name, fallback, { max = Infinity } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0 || value > max) {
+    throw new Error(`Invalid ${name}. Must be a positive number${max < Infinity ? ` up to ${max}` : ""}.`);
+  }
+  return value;
+}
+
+/**
+ * Rate settings from the environment (read on use, so .env is honoured); throws on invalid values
+ */
+export function getXlusdRateConfig() {
+  return {
+    fallbackXlusdPerXrp: positiveNumber("XLUSD_PER_XRP", 2.12),
+    overrideXlusdPerXrp: positiveNumber("XLUSD_RATE_OVERRIDE", null),
+    ttlMs: positiveNumber("XLUSD_RATE_TTL_MS", 60 * 1000), // refresh a live rate after this long
+    maxAgeMs: positiveNumber("XLUSD_RATE_MAX_AGE_MS", 15 * 60 * 1000), // never use a live rate older than this
+    timeoutMs: positiveNumber("XLUSD_RATE_TIMEOUT_MS", 5000),
+    // XRP -> XLUSD conversions must fill within this much of their quote (and of a live mid rate)
+    maxSlippagePercent: positiveNumber("XLUSD_MAX_SLIPPAGE_PERCENT", 1, { max: 50 }),
+    // A live rate this far from the fallback is rejected rather than used
+    maxDeviationPercent: positiveNumber("XLUSD_RATE_MAX_DEVIATION_PERCENT", 20, { max: 100 }),
+    issuer: process.env.XLUSD_ISSUER || DEFAULT_XLUSD_ISSUER,
+  };
+}
+
+/**
+ * XLUSD value-guarantee settings from the environment; throws on invalid values
+ */
+export function getXlusdGuaranteeConfig() {
+  const policy = process.env.XLUSD_GUARANTEE_POLICY || XLUSD_GUARANTEE_POLICIES.OFF;
+  if (!Object.values(XLUSD_GUARANTEE_POLICIES).includes(policy)) {
+    throw new Error(`Invalid XLUSD_GUARANTEE_POLICY. Use one of: ${Object.values(XLUSD_GUARANTEE_POLICIES).join(", ")}`);
+  }
+  return {
+    policy,
+    // Differences within this much of the promise are recorded without a payment
+    tolerancePercent: positiveNumber("XLUSD_GUARANTEE_TOLERANCE_PERCENT", 0.5, { max: 100 }),
+    // The most the treasury pays in, or takes back, per settlement
+    maxTopupPercent: positiveNumber("XLUSD_GUARANTEE_MAX_TOPUP_PERCENT", 10, { max: 100 }),
+    maxReclaimPercent: positiveNumber("XLUSD_GUARANTEE_MAX_RECLAIM_PERCENT", 10, { max: 100 }),
+  };
+}
+
+// XLUSD per XRP for a book offer (one side is XRP drops, the other XLUSD)
+function offerXlusdPerXrp(offer) {
+  if (!offer) return null;
+  const xrpSide = typeof offer.TakerGets === "string" ? offer.TakerGets : offer.TakerPays;
+  const xlusdSide = typeof offer.TakerGets === "string" ? offer.TakerPays : offer.TakerGets;
+  const xrp = Number(xrpl.dropsToXrp(String(xrpSide)));
+  const xlusd = Number(xlusdSide?.value);
+  return xrp > 0 && xlusd > 0 ? xlusd / xrp : null;
+}
+
+async function fetchAmmPrice(client, xlusd) {
+  try {
+    const resp = await client.request({
+      command: "amm_info",
+      asset: { currency: "XRP" },
+      asset2: xlusd,
+      ledger_index: "validated",
+    });
+    const amm = resp.result?.amm;
+    if (!amm) return null;
+    const xrp = Number(xrpl.dropsToXrp(String(amm.amount)));
+    const xlusdPool = Number(amm.amount2?.value);
+    return xrp > 0 && xlusdPool > 0 ? xlusdPool / xrp : null;
+  } catch (err) {
+    // No pool for this pair
+    if (["actNotFound", "ammNotFound"].includes(err?.data?.error || err?.error)) return null;
+    throw err;
+  }
+}
+
+async function fetchLiveRate({ issuer }) {
+  const client = await getClient();
+  const xlusd = { currency: XLUSD_CURRENCY, issuer };
+  const book = (takerGets, takerPays) =>
+    client.request({
+      command: "book_offers",
+      taker_gets: takerGets,
+      taker_pays: takerPays,
+      ledger_index: "validated",
+      limit: 1,
+    });
+
+  const [asks, bids, ammPrice] = await Promise.all([
+    book(xlusd, { currency: "XRP" }), // offers selling XLUSD for XRP
+    book({ currency: "XRP" }, xlusd), // offers buying XLUSD with XRP
+    fetchAmmPrice(client, xlusd),
+  ]);
+
+  const ask = offerXlusdPerXrp(asks.result?.offers?.[0]);
+  const bid = offerXlusdPerXrp(bids.result?.offers?.[0]);
+  const bookMid = ask && bid ? (ask + bid) / 2 : ask || bid || null;
+
+  if (bookMid && ammPrice) {
+    return {
+      xlusdPerXrp: (bookMid + ammPrice) / 2,
+      source: "book+amm",
+      book: { bid, ask, mid: bookMid },
+      amm: ammPrice,
+    };
+  }
+  if (bookMid) return { xlusdPerXrp: bookMid, source: "book", book: { bid, ask, mid: bookMid }, amm: null };
+  if (ammPrice) return { xlusdPerXrp: ammPrice, source: "amm", book: null, amm: ammPrice };
+  return null; // no liquidity on either
+}
+
+// Keep a live rate out of the cache when it strays too far from the configured fallback
+async function rejectDeviantRate(live, config) {
+  const deviationPercent =
+    (Math.abs(live.xlusdPerXrp - config.fallbackXlusdPerXrp) / config.fallbackXlusdPerXrp) * 100;
+  if (deviationPercent <= config.maxDeviationPercent) return false;
+
+  lastRejection = {
+    xlusdPerXrp: live.xlusdPerXrp,
+    source: live.source,
+    deviationPercent: Number(deviationPercent.toFixed(4)),
+    rejectedAt: new Date().toISOString(),
+  };
+  console.warn(
+    `XLUSD rate rejected: live ${live.xlusdPerXrp} (${live.source}) is ${deviationPercent.toFixed(2)}% from ` +
+      `XLUSD_PER_XRP ${config.fallbackXlusdPerXrp} (max ${config.maxDeviationPercent}%)`
+  );
+  try {
+    await dbPromise.run(
+      `INSERT INTO xlusd_rate_rejections
+         (xlusd_per_xrp, source, book_bid, book_ask, amm_xlusd_per_xrp, fallback_xlusd_per_xrp, deviation_percent,
+          max_deviation_percent)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        live.xlusdPerXrp,
+        live.source,
+        live.book?.bid ?? null,
+        live.book?.ask ?? null,
+        live.amm ?? null,
+        config.fallbackXlusdPerXrp,
+        deviationPercent,
+        config.maxDeviationPercent,
+      ]
+    );
+  } catch (err) {
+    console.warn("Could not record XLUSD rate rejection:", err.message);
+  }
+  return true;
+}
+
+// One refresh at a time; failures are logged and retried after the TTL rather than on every call
+async function refreshRate(config) {
+  if (!refreshPromise) {
+    lastAttemptAt = Date.now();
+    refreshPromise = (async () => {
+      let timer;
+      try {
+        const live = await Promise.race([
+          fetchLiveRate(config),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error("rate lookup timed out")), config.timeoutMs);
+          }),
+        ]);
+        if (live && !(await rejectDeviantRate(live, config))) {
+          cachedRate = { ...live, fetchedAt: Date.now() };
+          lastRejection = null;
+        }
+      } catch (err) {
+        console.warn("XLUSD rate refresh failed:", err.message || String(err));
+      } finally {
+        clearTimeout(timer);
+        refreshPromise = null;
+      }
+    })();
+  }
+  await refreshPromise;
+}
+
+/**
+ * The last live rate rejected for deviating from the fallback, or null once a live rate is accepted again
+ */
+export function getLastXlusdRateRejection() {
+  return lastRejection;
+}
+
+function toRateView(rate) {
+  const fetchedAt = rate.fetchedAt ?? null;
+  return {
+    xlusdPerXrp: Number(rate.xlusdPerXrp.toFixed(8)),
+    source: rate.source,
+    fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+    ageSeconds: fetchedAt ? Math.floor((Date.now() - fetchedAt) / 1000) : null,
+    book: rate.book || null,
+    amm: rate.amm ?? null,
+  };
+}
+
+/**
+ * Current XLUSD per XRP: override, else the cached live rate (refreshed after the TTL), else the
+ * configured fallback once the last live rate is older than the staleness limit
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh=false] - look the rate up now even if the cache is fresh
+ * @returns {Promise<{xlusdPerXrp: number, source: string, fetchedAt: string|null, ageSeconds: number|null}>}
+ */
+export async function getXlusdRate({ refresh = false } = {}) {
+  const config = getXlusdRateConfig();
+  if (config.overrideXlusdPerXrp) {
+    return toRateView({ xlusdPerXrp: config.overrideXlusdPerXrp, source: "override" });
+  }
+
+  const now = Date.now();
+  const cacheFresh = cachedRate && now - cachedRate.fetchedAt < config.ttlMs;
+  if (refresh || (!cacheFresh && now - lastAttemptAt >= config.ttlMs)) {
+    await refreshRate(config);
+  }
+
+  if (cachedRate && Date.now() - cachedRate.fetchedAt <= config.maxAgeMs) {
+    return toRateView(cachedRate);
+  }
+  return toRateView({ xlusdPerXrp: config.fallbackXlusdPerXrp, source: "fallback" });
+}
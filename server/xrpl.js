@@ -2,7 +2,8 @@ import xrpl from "xrpl";
 import crypto from "crypto";
 import cc from "five-bells-condition";
 import { getClient } from "./utils/xrpl-client.js";
-import { XRPL_CONSTANTS } from "./utils/constants.js";
+import { XRPL_CONSTANTS, ESCROW_STATUS } from "./utils/constants.js";
+import { updateEscrowStatus } from "./utils/escrow-registry.js";
 
 // Re-export getClient for backward compatibility
 export { getClient };
@@ -111,6 +112,17 @@ export function generateConditionPair() {
   return { preimage, condition, fulfillment: fulfillmentHex };
 }
 
+/**
+ * Serialize the PREIMAGE-SHA-256 fulfillment for a hex preimage (what EscrowFinish submits)
+ * @returns {string} fulfillment hex
+ */
+export function createFulfillment(preimage) {
+  const cleanPreimage = String(preimage).replace(/\s+/g, "").toLowerCase();
+  const fulfillment = new cc.PreimageSha256();
+  fulfillment.setPreimage(Buffer.from(cleanPreimage, "hex"));
+  return fulfillment.serializeBinary().toString("hex").toUpperCase();
+}
+
 // Convert XRP -> drops (XRPL uses drops in tx fields)
 export function xrpToDrops(xrp) {
   // xrpl.js requires XRP amounts to have at most 6 decimal places.
@@ -158,6 +170,210 @@ export async function getEscrowEntry({ client, ownerAddress, offerSequence }) {
   }
 }
 
+// Keep the escrow registry in sync after a validated finish/cancel (best-effort, never throws)
+async function syncEscrowRegistry({ ownerAddress, offerSequence, status, txHash }) {
+  try {
+    await updateEscrowStatus({ ownerAddress, offerSequence, status, txHash });
+  } catch (err) {
+    console.warn(`Failed to update escrow registry (${ownerAddress}#${offerSequence}):`, err.message);
+  }
+}
+
+/**
+ * List every Escrow ledger object linked to an account (as owner or destination)
+ * @param {Object} params
+ * @param {Object} params.client - XRPL client
+ * @param {string} params.address - XRPL account address
+ * @returns {Promise<Array>} Normalized escrow objects (unix times, drops as string)
+ */
+export async function getAccountEscrows({ client, address }) {
+  const escrows = [];
+  let marker;
+  do {
+    const resp = await client.request({
+      command: "account_objects",
+      account: address,
+      type: "escrow",
+      ledger_index: "validated",
+      limit: 200,
+      ...(marker ? { marker } : {}),
+    });
+    for (const obj of resp.result?.account_objects || []) {
+      escrows.push({
+        ownerAddress: obj.Account,
+        destinationAddress: obj.Destination,
+        amountDrops: String(obj.Amount),
+        condition: obj.Condition || null,
+        finishAfterUnix: obj.FinishAfter ? rippleTimeToUnix(obj.FinishAfter) : null,
+        cancelAfterUnix: obj.CancelAfter ? rippleTimeToUnix(obj.CancelAfter) : null,
+        previousTxnId: obj.PreviousTxnID || null,
+        ledgerIndex: obj.index || null,
+      });
+    }
+    marker = resp.result?.marker;
+  } while (marker);
+
+  return escrows;
+}
+
+/**
+ * Encode memos for a transaction's Memos field (XRPL expects hex-encoded strings)
+ * @param {Array<{type: string, data: string, format?: string}>} memos
+ */
+export function buildMemos(memos) {
+  return memos.map((m) => ({
+    Memo: {
+      MemoType: xrpl.convertStringToHex(String(m.type)),
+      MemoData: xrpl.convertStringToHex(String(m.data)),
+      ...(m.format ? { MemoFormat: xrpl.convertStringToHex(String(m.format)) } : {}),
+    },
+  }));
+}
+
+/**
+ * Fetch a transaction and decode its Memos
+ * @returns {Promise<{transactionType: string, account: string, destination: string|null, validated: boolean,
+ *   memos: Array<{type: string|null, data: string|null, format: string|null}>}>}
+ */
+export async function getTransactionMemos({ client, txHash }) {
+  const resp = await client.request({ command: "tx", transaction: txHash });
+  const txJson = resp.result?.tx_json || resp.result || {};
+  const decode = (hex) => (hex ? xrpl.convertHexToString(hex) : null);
+  return {
+    transactionType: txJson.TransactionType,
+    account: txJson.Account,
+    destination: txJson.Destination || null,
+    validated: !!resp.result?.validated,
+    memos: (txJson.Memos || []).map(({ Memo = {} }) => ({
+      type: decode(Memo.MemoType),
+      data: decode(Memo.MemoData),
+      format: decode(Memo.MemoFormat),
+    })),
+  };
+}
+
+/**
+ * Resolve the OfferSequence of an escrow from its EscrowCreate transaction.
+ * Escrow ledger objects don't carry the sequence, so we read it from the creating tx.
+ * @returns {Promise<{offerSequence: number, createdAtUnix: number|null}|null>}
+ */
+export async function getEscrowCreateInfo({ client, txHash }) {
+  if (!txHash) return null;
+  const resp = await client.request({ command: "tx", transaction: txHash });
+  const txJson = resp.result?.tx_json || resp.result || {};
+  if (txJson.TransactionType !== "EscrowCreate") return null;
+
+  // Escrows created from a Ticket have Sequence 0 and use TicketSequence instead
+  const offerSequence = Number(txJson.Sequence) || Number(txJson.TicketSequence) || null;
+  const rippleDate = txJson.date ?? resp.result?.date;
+  return {
+    offerSequence,
+    createdAtUnix: Number.isFinite(Number(rippleDate)) ? rippleTimeToUnix(rippleDate) : null,
+  };
+}
+
+/**
+ * Which actions the XRPL time rules allow right now - mirrors the checks in
+ * finishEscrow()/cancelEscrow() below:
+ * - conditional escrow: finish (with fulfillment) only BEFORE FinishAfter (the deadline)
+ * - time-based escrow: finish only AFTER FinishAfter
+ * - cancel only once CancelAfter has passed (never if CancelAfter is unset)
+ * @returns {{finishable: boolean, cancellable: boolean}}
+ */
+export function getEscrowActionWindow({ finishAfterUnix, cancelAfterUnix, hasCondition, nowUnix }) {
+  const now = nowUnix ?? Math.floor(Date.now() / 1000);
+  const finish = finishAfterUnix ? Number(finishAfterUnix) : null;
+  const cancel = cancelAfterUnix ? Number(cancelAfterUnix) : null;
+
+  let finishable;
+  if (finish === null) {
+    finishable = true;
+  } else if (hasCondition) {
+    finishable = now < finish;
+  } else {
+    finishable = now >= finish;
+  }
+
+  const cancellable = cancel !== null && now >= cancel;
+  // The ledger rejects EscrowFinish once CancelAfter has passed
+  if (cancellable) finishable = false;
+  return { finishable, cancellable };
+}
+
+/**
+ * What funding an EscrowCreate needs from the payer, read from the ledger before submitting:
+ * - fee: the open-ledger cost from `fee`
+ * - reserves: base + owner increment from `server_state` (the escrow adds one owned object)
+ * - balance / owner count from `account_info` (an unfunded account has neither)
+ * @returns {Promise<Object>} drop amounts as strings, canFund and the reasons it can't
+ */
+export async function getEscrowFundingQuote({ client, payerAddress, destinationAddress, amountDrops }) {
+  const accountInfo = async (account) => {
+    try {
+      const resp = await client.request({ command: "account_info", account, ledger_index: "validated" });
+      return resp.result?.account_data || null;
+    } catch (err) {
+      if ((err?.data?.error || err?.error) === "actNotFound") return null;
+      throw err;
+    }
+  };
+
+  const [feeResp, stateResp, payer, destination] = await Promise.all([
+    client.request({ command: "fee" }),
+    client.request({ command: "server_state" }),
+    accountInfo(payerAddress),
+    destinationAddress ? accountInfo(destinationAddress) : Promise.resolve(null),
+  ]);
+
+  const validatedLedger = stateResp.result?.state?.validated_ledger;
+  if (!validatedLedger) {
+    throw new Error("Server has no validated ledger yet; cannot read reserves");
+  }
+  const drops = feeResp.result?.drops || {};
+  const feeDrops = BigInt(drops.open_ledger_fee || drops.base_fee || validatedLedger.base_fee);
+  const reserveBaseDrops = BigInt(validatedLedger.reserve_base);
+  const reserveIncDrops = BigInt(validatedLedger.reserve_inc);
+
+  const amount = BigInt(amountDrops);
+  const balanceDrops = payer ? BigInt(payer.Balance) : 0n;
+  const ownerCount = payer ? Number(payer.OwnerCount || 0) : 0;
+  const reservedDrops = reserveBaseDrops + BigInt(ownerCount) * reserveIncDrops;
+  const spendableDrops = balanceDrops > reservedDrops ? balanceDrops - reservedDrops : 0n;
+  // Locked amount + fee + the reserve for the new escrow object must all come out of spendable
+  const requiredDrops = amount + feeDrops + reserveIncDrops;
+  const spendableAfterDrops = spendableDrops - requiredDrops;
+
+  const reasons = [];
+  if (!payer) {
+    reasons.push("Payer account is not activated on the ledger (fund it with XRP first)");
+  } else if (spendableAfterDrops < 0n) {
+    // Mirrors EscrowCreate: after the fee, the balance must cover the new reserve, then the amount on top
+    const code = spendableDrops < feeDrops + reserveIncDrops ? "tecINSUFFICIENT_RESERVE" : "tecUNFUNDED";
+    reasons.push(`Insufficient XRP after reserves (the ledger would return ${code})`);
+  }
+  if (destinationAddress && !destination) {
+    reasons.push("Destination account does not exist on the ledger (the ledger would return tecNO_DST)");
+  }
+
+  return {
+    payerActivated: !!payer,
+    destinationActivated: destinationAddress ? !!destination : null,
+    amountDrops: amount.toString(),
+    feeDrops: feeDrops.toString(),
+    reserveBaseDrops: reserveBaseDrops.toString(),
+    reserveIncrementDrops: reserveIncDrops.toString(),
+    ownerCount,
+    balanceDrops: balanceDrops.toString(),
+    reservedDrops: reservedDrops.toString(),
+    spendableDrops: spendableDrops.toString(),
+    requiredDrops: requiredDrops.toString(),
+    spendableAfterDrops: (spendableAfterDrops > 0n ? spendableAfterDrops : 0n).toString(),
+    shortfallDrops: (spendableAfterDrops < 0n ? -spendableAfterDrops : 0n).toString(),
+    canFund: reasons.length === 0,
+    reasons,
+  };
+}
+
 // Convert unix seconds -> ripple epoch seconds
 export function toRippleTime(unixSeconds) {
   const u = Number(unixSeconds);
@@ -169,6 +385,29 @@ export function rippleTimeToUnix(rippleSeconds) {
   return Number(rippleSeconds) + XRPL_CONSTANTS.RIPPLE_EPOCH_OFFSET;
 }
 
+/**
+ * Outcome of a transaction submitted earlier, looked up by its hash (used before retrying a submit
+ * whose result never came back, so the same payment is not made twice)
+ * @returns {Promise<{ state: 'success' | 'failed' | 'expired' | 'pending', txResult?: string, result?: Object }>}
+ *   'expired': not in a validated ledger and past its LastLedgerSequence, so it can never apply
+ */
+export async function lookupSubmittedTx({ client, hash, lastLedgerSequence = null }) {
+  try {
+    const resp = await client.request({ command: "tx", transaction: hash });
+    if (resp.result?.validated) {
+      const txResult = resp.result.meta?.TransactionResult;
+      return { state: txResult === "tesSUCCESS" ? "success" : "failed", txResult, result: resp.result };
+    }
+  } catch (err) {
+    if ((err?.data?.error || err?.error) !== "txnNotFound") throw err;
+  }
+  if (lastLedgerSequence) {
+    const ledger = await client.request({ command: "ledger", ledger_index: "validated" });
+    if (Number(ledger.result?.ledger_index) > Number(lastLedgerSequence)) return { state: "expired" };
+  }
+  return { state: "pending" };
+}
+
 // create an escrow from payer
 export async function createEscrow({
   client,
@@ -178,6 +417,8 @@ export async function createEscrow({
   finishAfterUnix,
   cancelAfterUnix,
   condition, // Optional: hex-encoded crypto-condition (for conditional escrow)
+  memos = null, // Optional: [{ type, data, format }] plain strings, hex-encoded into Memos
+  onSigned = null, // Optional: async ({ hash, offerSequence, lastLedgerSequence }) => {}, awaited before submitting
 }) {
   // Validate inputs
   if (!payeeAddress || typeof payeeAddress !== "string" || payeeAddress.trim() === "") {
@@ -315,6 +556,10 @@ export async function createEscrow({
     tx.Condition = conditionHex;
   }
 
+  if (Array.isArray(memos) && memos.length > 0) {
+    tx.Memos = buildMemos(memos);
+  }
+
   // Log transaction for debugging
   console.log("EscrowCreate transaction:", JSON.stringify({
     TransactionType: tx.TransactionType,
@@ -328,6 +573,7 @@ export async function createEscrow({
     CancelAfterType: tx.CancelAfter ? typeof tx.CancelAfter : 'none',
     Condition: conditionHex ? `${conditionHex.substring(0, 16)}...` : 'none',
     ConditionLength: conditionHex ? conditionHex.length : 0,
+    Memos: tx.Memos ? tx.Memos.length : 0,
   }, null, 2));
 
   // Autofill fee + sequence
@@ -348,6 +594,15 @@ export async function createEscrow({
     throw new Error(`Failed to sign transaction: ${signErr.message}`);
   }
 
+  // Let the caller record the hash first: if the submit result is lost, it can look the tx up instead of resubmitting
+  if (onSigned) {
+    await onSigned({
+      hash: signed.hash,
+      offerSequence: prepared.Sequence,
+      lastLedgerSequence: prepared.LastLedgerSequence,
+    });
+  }
+
   // Submit and wait for validation
   let result;
   try {
@@ -405,7 +660,14 @@ export async function createEscrow({
     );
   }
   
-  return { result, offerSequence: prepared.Sequence };
+  return {
+    result,
+    offerSequence: prepared.Sequence,
+    amountDrops: tx.Amount,
+    finishAfterUnix: finish,
+    cancelAfterUnix: cancel,
+    condition: conditionHex,
+  };
 }
 
 /**
@@ -419,6 +681,7 @@ export async function createEscrow({
  * @param {number} params.amountXrp - Amount in XRP
  * @param {number} params.deadlineUnix - Deadline unix timestamp (when auto-refund becomes available)
  * @param {string} params.preimage - Optional preimage (if not provided, generates one)
+ * @param {Array} params.memos - Optional memos for the EscrowCreate (see createEscrow)
  * @returns {Object} Escrow creation result with condition info
  */
 export async function createFreelancerEscrow({
@@ -428,6 +691,7 @@ export async function createFreelancerEscrow({
   amountXrp,
   deadlineUnix,
   preimage = null,
+  memos = null,
 }) {
   // Generate condition-fulfillment pair if not provided
   let conditionPair;
@@ -435,12 +699,7 @@ export async function createFreelancerEscrow({
     // If preimage is provided, create condition from it
     const condition = createCondition(preimage);
     // Also create fulfillment for later use
-    const cleanPreimage = preimage.replace(/\s+/g, "").toLowerCase();
-    const preimageBuffer = Buffer.from(cleanPreimage, "hex");
-    const fulfillment = new cc.PreimageSha256();
-    fulfillment.setPreimage(preimageBuffer);
-    const fulfillmentHex = fulfillment.serializeBinary().toString("hex").toUpperCase();
-    conditionPair = { preimage, condition, fulfillment: fulfillmentHex };
+    conditionPair = { preimage, condition, fulfillment: createFulfillment(preimage) };
   } else {
     conditionPair = generateConditionPair();
   }
@@ -469,6 +728,7 @@ export async function createFreelancerEscrow({
     finishAfterUnix: finishAfterUnix, // Fallback time (allows early finishing with condition)
     cancelAfterUnix: deadlineUnix, // Can refund after deadline
     condition: conditionPair.condition,
+    memos,
   });
 
   return {
@@ -491,6 +751,8 @@ export async function createFreelancerEscrow({
  * @param {number} params.amountXrp - Amount in XRP
  * @param {number} params.deadlineUnix - Deadline unix timestamp (when refund becomes available)
  * @param {string} params.preimage - Optional preimage (if not provided, generates one)
+ * @param {Array} params.memos - Optional memos for the EscrowCreate (see createEscrow)
+ * @param {Function} params.onSigned - Optional hook run before submitting (see createEscrow)
  * @returns {Object} Escrow creation result with condition info
  */
 export async function createQAEscrow({
@@ -500,6 +762,8 @@ export async function createQAEscrow({
   amountXrp,
   deadlineUnix,
   preimage = null,
+  memos = null,
+  onSigned = null,
 }) {
   // Generate condition-fulfillment pair if not provided
   let conditionPair;
@@ -524,6 +788,8 @@ export async function createQAEscrow({
     finishAfterUnix: deadlineUnix, // Deadline - service provider can finish before this with preimage
     cancelAfterUnix: deadlineUnix + 1, // After deadline - client can refund
     condition: conditionPair.condition, // Preimage required to finish
+    memos,
+    onSigned,
   });
 
   return {
@@ -678,6 +944,14 @@ export async function finishEscrow({ client, payeeWallet, ownerAddress, offerSeq
 
   // 5) Return parsed outcome
   const txResult = result.result?.meta?.TransactionResult;
+  if (txResult === "tesSUCCESS") {
+    await syncEscrowRegistry({
+      ownerAddress,
+      offerSequence: seq,
+      status: ESCROW_STATUS.FINISHED,
+      txHash: result.result?.hash,
+    });
+  }
   return {
     txResult,
     hash: result.result?.hash,
@@ -757,6 +1031,14 @@ export async function cancelEscrow({ client, payerWallet, ownerAddress, offerSeq
   const result = await client.submitAndWait(signed.tx_blob);
 
   const txResult = result.result?.meta?.TransactionResult;
+  if (txResult === "tesSUCCESS") {
+    await syncEscrowRegistry({
+      ownerAddress,
+      offerSequence: seq,
+      status: ESCROW_STATUS.CANCELLED,
+      txHash: result.result?.hash,
+    });
+  }
   return {
     txResult,
     hash: result.result?.hash,
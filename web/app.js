@@ -26,6 +26,9 @@ function getApiBase() {
 
 const API = getApiBase();
 
+// Escrow invitation link: index.html?invite=<token>
+const inviteToken = new URLSearchParams(window.location.search).get("invite");
+
 function setMode(newMode) {
   mode = newMode;
 
@@ -63,7 +66,9 @@ form.addEventListener("submit", async (e) => {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       credentials: "include", // IMPORTANT (sessions)
-      body: JSON.stringify({ email, password, rememberMe }),
+      body: JSON.stringify(
+        mode === "signup" && inviteToken ? { email, password, rememberMe, inviteToken } : { email, password, rememberMe }
+      ),
     });
 
     const data = await res.json();
@@ -85,5 +90,27 @@ form.addEventListener("submit", async (e) => {
   }
 });
 
+async function showInvitation() {
+  try {
+    const res = await fetch(`${API}/api/invitations/${encodeURIComponent(inviteToken)}`);
+    const data = await res.json();
+    if (!res.ok) {
+      msg.textContent = data.error || "Invitation not available";
+      return;
+    }
+    const inv = data.invitation;
+    const amount = inv.amountXlusd !== null ? `${inv.amountXlusd} XLUSD` : `${inv.amountXrp} XRP`;
+    msg.textContent = `✉️ ${inv.payerEmail || "Someone"} invited you to an escrow of ${amount}. Create an account to accept it.`;
+    document.getElementById("email").value = inv.email;
+  } catch (err) {
+    // Preview is optional; signup still accepts the token
+  }
+}
+
 // initialize
-setMode("login");
+if (inviteToken) {
+  setMode("signup");
+  showInvitation();
+} else {
+  setMode("login");
+}
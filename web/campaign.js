@@ -0,0 +1,147 @@
+// web/campaign.js
+
+function getApiBase() {
+  const params = new URLSearchParams(window.location.search);
+  const port =
+    params.get("apiPort") ||
+    localStorage.getItem("API_PORT") ||
+    "3001";
+  const host =
+    params.get("apiHost") ||
+    localStorage.getItem("API_HOST") ||
+    window.location.hostname ||
+    "127.0.0.1";
+  const proto =
+    params.get("apiProto") ||
+    localStorage.getItem("API_PROTO") ||
+    (window.location.protocol === "https:" ? "https:" : "http:");
+  return `${proto}//${host}:${port}`;
+}
+
+const API = getApiBase();
+const campaignId = new URLSearchParams(window.location.search).get("id");
+
+// Clicking the bottom-left profile area should open the Profile tab
+document.querySelector(".sidebar-footer .user-info")?.addEventListener("click", () => {
+  window.location.href = `profile.html${window.location.search || ""}`;
+});
+
+// The campaign page is shareable, so visitors who are not logged in can still see progress
+async function loadUser() {
+  try {
+    const res = await fetch(`${API}/api/me`, {
+      credentials: "include",
+    });
+    if (!res.ok) throw new Error("Not logged in");
+
+    const data = await res.json();
+    const email = data.user?.email || "Unknown";
+    document.getElementById("sidebarUser").textContent = email.split("@")[0];
+    document.getElementById("sidebarEmail").textContent = email;
+    document.getElementById("userInitial").textContent = email.charAt(0).toUpperCase();
+    return true;
+  } catch (e) {
+    document.getElementById("sidebarUser").textContent = "Guest";
+    document.getElementById("sidebarEmail").textContent = "Log in to contribute";
+    return false;
+  }
+}
+
+function formatAmount(xrp, xlusd) {
+  if (xlusd !== null && xlusd !== undefined) return `${Number(xlusd).toFixed(2)} XLUSD`;
+  return `${Number(xrp).toFixed(6)} XRP`;
+}
+
+const STATUS_LABELS = {
+  active: "Open for contributions",
+  funded: "Target met - releasing to the project",
+  released: "Target met - released to the project",
+  failed: "Target missed - contributions will be refunded",
+  refunded: "Target missed - contributions refunded",
+};
+
+async function loadCampaign() {
+  if (!campaignId) {
+    document.getElementById("campaignDescription").textContent = "No campaign selected";
+    return null;
+  }
+
+  try {
+    const res = await fetch(`${API}/api/crowdfund/${encodeURIComponent(campaignId)}/progress`);
+    const data = await res.json();
+    if (!res.ok || !data.ok) {
+      document.getElementById("campaignDescription").textContent = data.error || "Campaign not found";
+      return null;
+    }
+
+    const c = data.campaign;
+    document.getElementById("campaignTitle").textContent = c.title;
+    document.getElementById("campaignDescription").textContent = c.description || "";
+    document.getElementById("campaignProgressBar").style.width = `${Math.min(100, c.progress.percent)}%`;
+    document.getElementById("campaignRaised").textContent =
+      `${formatAmount(c.progress.raisedXrp, c.progress.raisedXlusd)} of ${formatAmount(c.targetXrp, c.targetXlusd)}` +
+      ` (${c.progress.percent}%, ${c.progress.contributions} contribution(s))`;
+    document.getElementById("campaignDeadline").textContent = new Date(c.deadlineUnix * 1000).toLocaleString();
+    document.getElementById("campaignStatus").textContent = STATUS_LABELS[c.status] || c.status;
+    return c;
+  } catch (err) {
+    document.getElementById("campaignDescription").textContent = "Error loading campaign";
+    return null;
+  }
+}
+
+document.getElementById("btnContribute").addEventListener("click", async () => {
+  const btn = document.getElementById("btnContribute");
+  const amountXlusd = Number(document.getElementById("contributionAmount").value);
+  if (!Number.isFinite(amountXlusd) || amountXlusd <= 0) {
+    showNotification("Enter an amount to contribute", true);
+    return;
+  }
+
+  btn.disabled = true;
+  btn.textContent = "Locking...";
+  try {
+    const res = await fetch(`${API}/crowdfund/campaigns/${encodeURIComponent(campaignId)}/contribute`, {
+      method: "POST",
+      credentials: "include",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ amountXlusd }),
+    });
+    const data = await res.json();
+    if (!res.ok || !data.ok) {
+      showNotification(data.error || "Contribution failed", true);
+      return;
+    }
+    showNotification(`Contributed ${amountXlusd} XLUSD (escrow #${data.offerSequence})`);
+    document.getElementById("contributionAmount").value = "";
+    await loadCampaign();
+  } catch (err) {
+    showNotification("Contribution failed", true);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "Contribute";
+  }
+});
+
+function showNotification(message, isError = false) {
+  const notification = document.createElement("div");
+  notification.className = `notification ${isError ? "error" : "success"}`;
+  notification.textContent = message;
+  document.body.appendChild(notification);
+
+  setTimeout(() => {
+    notification.classList.add("show");
+  }, 10);
+
+  setTimeout(() => {
+    notification.classList.remove("show");
+    setTimeout(() => notification.remove(), 300);
+  }, 3000);
+}
+
+(async () => {
+  const [loggedIn, campaign] = await Promise.all([loadUser(), loadCampaign()]);
+  if (loggedIn && campaign?.status === "active") {
+    document.getElementById("contributeSection").style.display = "";
+  }
+})();
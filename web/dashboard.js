@@ -143,6 +143,8 @@ async function loadStatistics() {
       const data = await res.json();
       document.getElementById("completedCount").textContent = Math.round(data.completed || 0);
       document.getElementById("pendingCount").textContent = Math.round(data.pending || 0);
+      const lockedEl = document.getElementById("lockedValue");
+      if (lockedEl) lockedEl.textContent = `${Number(data.totalValueXlusd || 0).toFixed(2)} XLUSD`;
     }
   } catch (err) {
     console.error("Failed to load statistics:", err);
@@ -640,7 +642,7 @@ btnQACreate.addEventListener("click", async () => {
 
 // Service Provider: Claim Payment
 btnQAClaim.addEventListener("click", async () => {
-  const ownerAddress = qaClaimOwnerInput.value.trim(); // kept for display consistency
+  const ownerAddress = qaClaimOwnerInput.value.trim();
   const seqValue = qaClaimSeqInput.value.trim();
   const proofText = qaProofText?.value?.trim() || "";
   const proofLinks = Array.from(qaProofLinksWrap?.querySelectorAll(".qa-proof-link") || [])
@@ -677,6 +679,7 @@ btnQAClaim.addEventListener("click", async () => {
       headers: { "Content-Type": "application/json" },
       credentials: "include",
       body: JSON.stringify({
+        ownerAddress,
         sequence: Number(seqValue),
         proofText,
         proofLinks,
@@ -125,6 +125,7 @@ function getTransactionIcon(type) {
     withdrawal: "💸",
     transfer_in: "⬇️",
     transfer_out: "⬆️",
+    auto_release: "⏰",
   };
   return icons[type] || "📝";
 }
@@ -138,6 +139,7 @@ function getTransactionTitle(type) {
     withdrawal: "XLUSD Withdrawn",
     transfer_in: "Transfer Received",
     transfer_out: "Transfer Sent",
+    auto_release: "Escrow Auto-Released",
   };
   return titles[type] || "Transaction";
 }
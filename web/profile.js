@@ -113,7 +113,7 @@ async function loadProfile() {
       if (statsRes.ok) {
         const stats = await statsRes.json();
         document.getElementById("profileEscrows").textContent = stats.totalEscrows || 0;
-        document.getElementById("profileBalance").textContent = `${stats.xlusdBalance || 0} XLUSD`;
+        document.getElementById("profileBalance").textContent = `${Number(stats.xlusdBalance || 0).toFixed(2)} XLUSD`;
       }
     } catch (err) {
       console.error("Failed to load stats:", err);
@@ -61,6 +61,7 @@ async function loadSettings() {
         document.getElementById("emailNotifications").checked = data.settings.emailNotifications !== false;
         document.getElementById("transactionAlerts").checked = data.settings.transactionAlerts !== false;
         document.getElementById("networkSelect").value = data.settings.network || "testnet";
+        document.getElementById("autoRefundExpired").checked = data.settings.autoRefundExpired !== false;
         const addrInput = document.getElementById("xrplAddressInput");
         if (addrInput) addrInput.value = data.settings.defaultXrplAddress || "";
         renderXrplStatus(data.settings);
@@ -99,6 +100,7 @@ async function saveSettings() {
     emailNotifications: document.getElementById("emailNotifications").checked,
     transactionAlerts: document.getElementById("transactionAlerts").checked,
     network: document.getElementById("networkSelect").value,
+    autoRefundExpired: document.getElementById("autoRefundExpired").checked,
     defaultXrplAddress: document.getElementById("xrplAddressInput")?.value?.trim() || "",
   };
 
@@ -159,6 +161,7 @@ document.getElementById("btnDeleteAccount").addEventListener("click", () => {
 document.getElementById("emailNotifications").addEventListener("change", saveSettings);
 document.getElementById("transactionAlerts").addEventListener("change", saveSettings);
 document.getElementById("networkSelect").addEventListener("change", saveSettings);
+document.getElementById("autoRefundExpired").addEventListener("change", saveSettings);
 document.getElementById("xrplAddressInput")?.addEventListener("change", saveSettings);
 document.getElementById("xrplAddressInput")?.addEventListener("blur", saveSettings);
 document.getElementById("xrplAddressInput")?.addEventListener("input", () => {